@@ -0,0 +1,85 @@
+/**
+ * Mock REST backend for part metadata, serving public/parts.json.
+ *
+ * Endpoints:
+ * - GET /api/parts              -> { partsByName } index (name, partNumber, path only)
+ * - GET /api/parts/:partNumber  -> full part record (404 if unknown)
+ *
+ * Responses are delayed to make lazy loading and cancellation visible in the viewer.
+ *
+ * Usage:
+ *   npm run mock:metadata            (port 4010, 400 ms latency)
+ *   PORT=5000 LATENCY=1500 npm run mock:metadata
+ *
+ * Then open the viewer with ?parts=rest:http://localhost:4010/api
+ */
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+
+const PORT = Number(process.env.PORT) || 4010;
+const LATENCY = Number(process.env.LATENCY ?? 400);
+const PARTS_FILE = new URL("../public/parts.json", import.meta.url);
+
+/** Fields kept in the index; everything else needs a per-part request */
+const INDEX_FIELDS = ["name", "partNumber", "path"];
+
+const { partsByName } = JSON.parse(readFileSync(PARTS_FILE, "utf8"));
+
+const partsByNumber = new Map(
+  Object.values(partsByName).map((part) => [part.partNumber, part]),
+);
+
+const index = Object.fromEntries(
+  Object.entries(partsByName).map(([key, part]) => [
+    key,
+    Object.fromEntries(INDEX_FIELDS.map((field) => [field, part[field]])),
+  ]),
+);
+
+/**
+ * Send a JSON response with CORS headers (the viewer runs on another port).
+ */
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+};
+
+const server = createServer((req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+  setTimeout(() => {
+    if (req.method !== "GET") {
+      sendJson(res, 405, { error: "Method not allowed" });
+      return;
+    }
+
+    if (pathname === "/api/parts") {
+      sendJson(res, 200, { partsByName: index });
+      return;
+    }
+
+    const match = /^\/api\/parts\/([^/]+)$/.exec(pathname);
+    if (match) {
+      const part = partsByNumber.get(decodeURIComponent(match[1]));
+      if (part) {
+        sendJson(res, 200, part);
+      } else {
+        sendJson(res, 404, { error: `Unknown part ${match[1]}` });
+      }
+      return;
+    }
+
+    sendJson(res, 404, { error: "Not found" });
+  }, LATENCY);
+
+  console.log(`${req.method} ${pathname}`);
+});
+
+server.listen(PORT, () => {
+  console.log(
+    `Mock metadata API on http://localhost:${PORT}/api (${LATENCY} ms latency)`,
+  );
+});
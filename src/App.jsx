@@ -1,43 +1,205 @@
+import { Suspense, useCallback, useMemo } from "react";
 import { Canvas } from "@react-three/fiber";
-import { Scene } from "./viewer/three/features/scene/scene";
+import {
+  Scene,
+  SceneErrorBoundary,
+} from "./viewer/three/features/scene/scene";
+import {
+  useModelGLTF,
+  MODEL_RESOURCE_ID,
+  MODEL_RESOURCE_LABEL,
+} from "./viewer/three/features/model/model";
 import * as THREE from "three";
 import { HierarchyPanel } from "./viewer/features/hierarchy/hierarchy";
 import { InspectorPanel } from "./viewer/features/inspector/inspector";
 import { Loader } from "./components/Loader";
 import { ModelCredits } from "./components/ModelCredits";
-import { viewerStateStore } from "./viewer/features/viewerState/viewerState";
-import { useSelectedPartMetadata } from "./viewer/features/partMetadata/partMetadata";
+import {
+  loadingStore,
+  getOverallProgress,
+  getResourceProgress,
+} from "./viewer/features/loading/loading";
+import { usePartMetadataLoader } from "./viewer/features/partMetadata/partMetadata";
 import styles from "./App.module.css";
 import ExplosionSlider from "./viewer/features/explosion/ExplosionSlider";
+import {
+  WorkspaceToolbar,
+  WorkspacePanelHost,
+} from "./viewer/features/workspace/workspace";
+import { CoveragePanel } from "./viewer/features/metadataCoverage/metadataCoverage";
+import { ImportPanel } from "./viewer/features/metadataImport/metadataImport";
+import { BomPanel } from "./viewer/features/bom/bom";
+import {
+  MaintenancePanel,
+  useMaintenanceOverlay,
+} from "./viewer/features/maintenance/maintenance";
+import {
+  HeatmapControl,
+  useHeatmapLayer,
+} from "./viewer/features/heatmap/heatmap";
+import { useViewerLink } from "./viewer/features/deepLink/deepLink";
+import { SavedViewsPanel } from "./viewer/features/savedViews/savedViews";
+import { ExplosionOverridesPanel } from "./viewer/features/explosionOverrides/explosionOverrides";
+import {
+  PresentationPanel,
+  PresentationPlayer,
+} from "./viewer/features/presentation/presentation";
+import {
+  ViewHistoryPanel,
+  useViewHistoryShortcuts,
+} from "./viewer/features/viewHistory/viewHistory";
+import {
+  ModelDropZone,
+  ModelSourceControls,
+  modelSourceStore,
+  useModelCatalog,
+} from "./viewer/features/modelSource/modelSource";
+
+/**
+ * Floating panels opened from the workspace toolbar (top-right of the viewport).
+ * Each entry: { id, title, icon, component, width? }.
+ */
+const WORKSPACE_PANELS = [
+  {
+    id: "coverage",
+    title: "Metadata coverage",
+    icon: "📋",
+    component: CoveragePanel,
+  },
+  {
+    id: "bom",
+    title: "Bill of materials",
+    icon: "🧾",
+    component: BomPanel,
+    width: 640,
+  },
+  {
+    id: "maintenance",
+    title: "Maintenance",
+    icon: "🛠️",
+    component: MaintenancePanel,
+    width: 600,
+  },
+  {
+    id: "import",
+    title: "Import spreadsheet",
+    icon: "📥",
+    component: ImportPanel,
+  },
+  {
+    id: "views",
+    title: "Saved views",
+    icon: "🔖",
+    component: SavedViewsPanel,
+  },
+  {
+    id: "presentation",
+    title: "Presentation",
+    icon: "🎬",
+    component: PresentationPanel,
+    width: 520,
+  },
+  {
+    id: "overrides",
+    title: "Explosion overrides",
+    icon: "📐",
+    component: ExplosionOverridesPanel,
+  },
+  {
+    id: "history",
+    title: "View history",
+    icon: "🕘",
+    component: ViewHistoryPanel,
+  },
+];
 
 /**
  * Main application component that orchestrates the 3D engine viewer.
  *
  * Provides a three-panel layout:
  * - Left: Hierarchy panel for scene object navigation and visibility control
- * - Center: 3D Canvas with interactive model viewer and explosion animation controls
+ * - Center: 3D Canvas with interactive model viewer, model source controls
+ *   (file picker / drag-and-drop), workspace panels, explosion animation controls,
+ *   the heatmap legend and the presentation player
  * - Right: Inspector panel displaying metadata for selected parts
  *
  * @component
  * @returns {JSX.Element} The main application interface with three-panel layout
  */
 export function App() {
-  // Initialize part metadata loading (manages isLoading state globally)
-  useSelectedPartMetadata();
+  // Load the model catalog (models.json) and resolve the initial model
+  useModelCatalog();
+
+  // Load part metadata and match it to the scene (reported to the loading store)
+  usePartMetadataLoader();
+
+  // Tint overdue parts on the model while the maintenance overlay is on
+  useMaintenanceOverlay();
+
+  // Paint the model by the heatmap attribute while the heatmap mode is on
+  useHeatmapLayer();
+
+  // Restore the viewer state from the URL, then keep the URL in sync (shareable links)
+  useViewerLink();
 
-  // Retrieve global loading state from Zustand store
-  const isLoading = viewerStateStore((state) => state.isLoading);
+  // Undo/redo view changes with Ctrl+Z / Ctrl+Shift+Z
+  useViewHistoryShortcuts();
+
+  // Per-resource loading state (model bytes, metadata fetch) from Zustand store
+  const resources = loadingStore((state) => state.resources);
+  const retryCount = loadingStore((state) => state.retryCount);
+  const retry = loadingStore((state) => state.retry);
+  const dismissErrors = loadingStore((state) => state.dismissErrors);
+  const modelUrl = modelSourceStore((state) => state.source.url);
+
+  const resourceList = useMemo(
+    () =>
+      Object.entries(resources).map(([id, resource]) => ({
+        id,
+        label: resource.label,
+        status: resource.status,
+        progress: getResourceProgress(resource),
+        error: resource.error,
+      })),
+    [resources],
+  );
+  const showLoader = resourceList.some(
+    (resource) => resource.status !== "loaded",
+  );
+
+  /**
+   * Report a model that failed to download or parse.
+   * The loader cache entry is cleared so Retry downloads it again.
+   */
+  const handleSceneError = useCallback(
+    (error) => {
+      console.error("❌ Error loading 3D model:", error);
+      loadingStore
+        .getState()
+        .failResource(MODEL_RESOURCE_ID, error, MODEL_RESOURCE_LABEL);
+      if (modelUrl) useModelGLTF.clear(modelUrl);
+    },
+    [modelUrl],
+  );
 
   return (
     <div className={styles.app}>
-      {/* Loading overlay - displayed while 3D model and metadata are loading */}
-      {isLoading && <Loader />}
+      {/* Loading overlay - displayed while the model or metadata is loading or failed */}
+      {showLoader && (
+        <Loader
+          progress={getOverallProgress(resources)}
+          resources={resourceList}
+          onRetry={retry}
+          onDismiss={dismissErrors}
+        />
+      )}
 
       {/* Left sidebar: Scene hierarchy tree with visibility and isolation controls */}
       <HierarchyPanel />
 
-      {/* Center content: 3D viewport with interactive model and explosion slider */}
-      <div className={styles.viewport}>
+      {/* Center content: 3D viewport with interactive model and explosion slider.
+          Dropping a .glb/.gltf file anywhere on it loads that model. */}
+      <ModelDropZone className={styles.viewport}>
         <Canvas
           className={styles.canvas}
           gl={{
@@ -47,13 +209,31 @@ export function App() {
           shadows
         >
           <color attach="background" args={["#888888"]} />
-          <Scene />
+          {/* Model loading suspends here; failures surface in the Loader
+              overlay. Retrying or switching model resets the boundary. */}
+          <SceneErrorBoundary
+            resetKey={`${retryCount}:${modelUrl}`}
+            onError={handleSceneError}
+          >
+            <Suspense fallback={null}>
+              <Scene />
+            </Suspense>
+          </SceneErrorBoundary>
         </Canvas>
+        {/* Catalog model switcher and file picker */}
+        <ModelSourceControls />
+        {/* Workspace panels (metadata coverage, ...) and their toolbar */}
+        <WorkspaceToolbar panels={WORKSPACE_PANELS} />
+        <WorkspacePanelHost panels={WORKSPACE_PANELS} />
         {/* Controls for explosion animation visualization */}
         <ExplosionSlider />
-        {/* Attribution credits for 3D model (CC BY 4.0 license compliance) */}
+        {/* Color-by-attribute picker and legend */}
+        <HeatmapControl />
+        {/* Caption and controls of the running presentation */}
+        <PresentationPlayer />
+        {/* Attribution credits for the active model (CC BY 4.0 license compliance) */}
         <ModelCredits />
-      </div>
+      </ModelDropZone>
 
       {/* Right sidebar: Displays detailed metadata and specifications for selected part */}
       <InspectorPanel />
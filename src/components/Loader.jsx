@@ -4,30 +4,94 @@ import styles from "./Loader.module.css";
  * Loading overlay component displayed while 3D model and metadata are loading.
  *
  * Shows:
- * - Animated spinner
- * - "Loading 3D Model..." text
- * - Animated progress bar
+ * - Animated spinner and overall percentage while resources load
+ * - Progress bar filled to the overall percentage
+ * - One row per tracked resource (model, metadata) with its own status
+ * - An error screen with Retry / Dismiss when any resource failed
  *
- * Displayed globally via App component while isLoading state is true.
- * Disappears once both model and metadata finish loading.
+ * Displayed globally via App component while any resource is loading or failed.
+ * Disappears once every tracked resource has finished loading.
  *
  * @component
+ * @param {Object} props - Component props
+ * @param {number} props.progress - Overall percentage (0-100)
+ * @param {Array<Object>} props.resources - Tracked resources
+ *   ({ id, label, status, progress, error }, progress may be null when unknown)
+ * @param {Function} props.onRetry - Called when the user retries failed resources
+ * @param {Function} props.onDismiss - Called when the user hides the error screen
  * @returns {JSX.Element} Centered loading UI overlay
  */
-export function Loader() {
+export function Loader({ progress, resources, onRetry, onDismiss }) {
+  const failed = resources.filter((resource) => resource.status === "error");
+  const hasErrors = failed.length > 0;
+
   return (
     <div className={styles.loaderContainer}>
       <div className={styles.loaderContent}>
-        {/* Animated spinner icon */}
-        <div className={styles.spinner}></div>
+        {hasErrors ? (
+          <>
+            {/* Error icon and summary */}
+            <div className={styles.errorIcon}>⚠️</div>
+            <p className={styles.errorTitle}>Something failed to load</p>
+          </>
+        ) : (
+          <>
+            {/* Animated spinner icon */}
+            <div className={styles.spinner}></div>
+
+            {/* Loading status text with overall percentage */}
+            <p className={styles.text}>Loading 3D Model... {progress}%</p>
+
+            {/* Progress bar filled to the overall percentage */}
+            <div className={styles.progressBar}>
+              <div
+                className={styles.progressFill}
+                style={{ width: `${progress}%` }}
+              ></div>
+            </div>
+          </>
+        )}
 
-        {/* Loading status text with animation */}
-        <p className={styles.text}>Loading 3D Model...</p>
+        {/* Per-resource status rows */}
+        <ul className={styles.resourceList}>
+          {resources.map((resource) => (
+            <li
+              key={resource.id}
+              className={`${styles.resourceRow} ${
+                resource.status === "error" ? styles.resourceError : ""
+              }`}
+            >
+              <span className={styles.resourceLabel}>{resource.label}</span>
+              <span className={styles.resourceStatus}>
+                {resource.status === "error"
+                  ? "Failed"
+                  : resource.status === "loaded"
+                    ? "Done"
+                    : resource.progress !== null
+                      ? `${resource.progress}%`
+                      : "Loading..."}
+              </span>
+              {resource.error && (
+                <span className={styles.resourceMessage}>{resource.error}</span>
+              )}
+            </li>
+          ))}
+        </ul>
 
-        {/* Animated progress bar (visual feedback) */}
-        <div className={styles.progressBar}>
-          <div className={styles.progressFill}></div>
-        </div>
+        {hasErrors && (
+          <div className={styles.actions}>
+            <button type="button" className={styles.retryButton} onClick={onRetry}>
+              Retry
+            </button>
+            <button
+              type="button"
+              className={styles.dismissButton}
+              onClick={onDismiss}
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,52 +1,71 @@
 import styles from "./ModelCredits.module.css";
+import { modelSourceStore } from "../viewer/features/modelSource/modelSource";
 
 /**
- * ModelCredits component displays attribution information for the 3D model.
+ * Render text as an external link when a URL is available, plain text otherwise.
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.href] - Link target
+ * @param {React.ReactNode} props.children - Link text
+ * @returns {JSX.Element} Anchor or text fragment
+ */
+function CreditLink({ href, children }) {
+  if (!href) return <>{children}</>;
+
+  return (
+    <a
+      href={href}
+      target="_blank"
+      rel="noopener noreferrer"
+      className={styles.link}
+    >
+      {children}
+    </a>
+  );
+}
+
+/**
+ * ModelCredits component displays attribution information for the active 3D model.
  *
  * Shows model name, author, and license information as required by
- * Creative Commons Attribution (CC BY 4.0) license.
+ * Creative Commons Attribution (CC BY 4.0) license. Credits come from the
+ * active catalog entry in public/models.json; models without credits
+ * (local files, bare URLs) render nothing.
  *
  * Positioned at the bottom-center of the viewport with semi-transparent
  * background that becomes fully opaque on hover.
  *
  * @component
- * @returns {JSX.Element} Attribution credits overlay
+ * @returns {JSX.Element|null} Attribution credits overlay
  */
 export function ModelCredits() {
+  const credits = modelSourceStore((state) => state.source.credits);
+
+  if (!credits) return null;
+
   return (
     <div className={styles.credits}>
       <div className={styles.box}>
-        <p className={styles.modelName}>
-          <a
-            href="https://skfb.ly/6ZxRG"
-            target="_blank"
-            rel="noopener noreferrer"
-            className={styles.link}
-          >
-            Oscillating Cylinder Motor for LEGO (3d Print)
-          </a>
-        </p>
-        <p className={styles.author}>
-          Model by{" "}
-          <a
-            href="https://sketchfab.com/slava"
-            target="_blank"
-            rel="noopener noreferrer"
-            className={styles.link}
-          >
-            Slava Z.
-          </a>
-          {" | "}
-          <a
-            href="http://creativecommons.org/licenses/by/4.0/"
-            target="_blank"
-            rel="noopener noreferrer"
-            className={styles.link}
-          >
-            CC BY 4.0
-          </a>
-        </p>
-        <p className={styles.optimization}>Optimized for web (GLTF→GLB)</p>
+        {credits.title && (
+          <p className={styles.modelName}>
+            <CreditLink href={credits.titleUrl}>{credits.title}</CreditLink>
+          </p>
+        )}
+        {(credits.author || credits.license) && (
+          <p className={styles.author}>
+            {credits.author && (
+              <>
+                Model by{" "}
+                <CreditLink href={credits.authorUrl}>{credits.author}</CreditLink>
+              </>
+            )}
+            {credits.author && credits.license && " | "}
+            {credits.license && (
+              <CreditLink href={credits.licenseUrl}>{credits.license}</CreditLink>
+            )}
+          </p>
+        )}
+        {credits.note && <p className={styles.optimization}>{credits.note}</p>}
       </div>
     </div>
   );
@@ -0,0 +1,40 @@
+/**
+ * CSV writer - serializes tables for spreadsheets (RFC 4180, CRLF line endings).
+ */
+
+/** Characters that force a cell to be quoted */
+const NEEDS_QUOTES_PATTERN = /[",\r\n]/;
+
+/**
+ * Format one cell: empty for null/undefined, quoted when it contains a comma,
+ * quote or line break (quotes doubled).
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+const formatCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return NEEDS_QUOTES_PATTERN.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+/**
+ * Serialize rows to CSV with a header row.
+ *
+ * @param {Array<Object>} columns - Columns { label, value: (row) => * }
+ * @param {Array<Object>} rows - Rows to serialize
+ * @returns {string} CSV text
+ *
+ * @example
+ * toCsv([{ label: "Name", value: (row) => row.name }], [{ name: "Bolt, M8" }]);
+ * // 'Name\r\n"Bolt, M8"\r\n'
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => formatCell(column.label))];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => formatCell(column.value(row))));
+  });
+  return `${lines.map((cells) => cells.join(",")).join("\r\n")}\r\n`;
+};
@@ -0,0 +1,56 @@
+/**
+ * Download helpers - save generated content as a file from the browser.
+ */
+
+/**
+ * Trigger a browser download of text content.
+ *
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File content
+ * @param {string} [mimeType="text/plain"] - MIME type of the content
+ *
+ * @example
+ * downloadFile("report.csv", "a,b\n1,2\n", "text/csv");
+ */
+export const downloadFile = (fileName, content, mimeType = "text/plain") => {
+  const url = URL.createObjectURL(
+    new Blob([content], { type: `${mimeType};charset=utf-8` }),
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled, otherwise some browsers cancel the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Trigger a browser download of a value serialized as pretty-printed JSON.
+ *
+ * @param {string} fileName - Suggested file name
+ * @param {*} data - JSON-serializable value
+ */
+export const downloadJson = (fileName, data) => {
+  downloadFile(
+    fileName,
+    `${JSON.stringify(data, null, 2)}\n`,
+    "application/json",
+  );
+};
+
+/**
+ * Turn a display name into a file-name-safe base name
+ * ("Oscillating Cylinder Motor" -> "oscillating-cylinder-motor", "air_motor.glb" -> "air_motor").
+ *
+ * @param {string} name - Display name (a file extension is dropped)
+ * @param {string} [fallback="export"] - Used when nothing usable is left
+ * @returns {string} Base name without extension
+ */
+export const toFileBaseName = (name, fallback = "export") =>
+  (name || "")
+    .replace(/\.[a-z0-9]+$/i, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, "-")
+    .replace(/^-+|-+$/g, "") || fallback;
@@ -0,0 +1,86 @@
+/**
+ * Versioned JSON files - exports the viewer reads back (saved views,
+ * presentations, explosion overrides). Each one names its format, the version
+ * of its layout and the model it was written for, next to its payload:
+ *
+ * { "format": "saved-views", "version": 1, "model": "air-motor", "views": [..] }
+ */
+
+/**
+ * Parse an exported file and check its format and version. The payload is
+ * left to the caller.
+ *
+ * @param {string} text - File content
+ * @param {Object} expected - What the file must be
+ * @param {string} expected.format - Expected `format`
+ * @param {number} expected.version - Newest layout version this build reads
+ * @param {string} expected.label - What the file is, for messages ("a saved
+ *   views export")
+ * @returns {Object} { data, model }: parsed content, and the model key it was
+ *   written for (null when absent)
+ * @throws {Error} When the content is not JSON, has another format or a newer
+ *   version
+ *
+ * @example
+ * const { data, model } = readVersionedJsonFile(text, {
+ *   format: "saved-views",
+ *   version: 1,
+ *   label: "a saved views export",
+ * });
+ */
+export const readVersionedJsonFile = (text, { format, version, label }) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+
+  if (data?.format !== format) {
+    throw new Error(`The file is not ${label}.`);
+  }
+  if (data.version > version) {
+    throw new Error(
+      `The file was written by a newer version (v${data.version}).`,
+    );
+  }
+
+  return {
+    data,
+    model: typeof data.model === "string" ? data.model : null,
+  };
+};
+
+/**
+ * Whether a payload value is a list of three finite numbers (a position or an
+ * offset).
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for [x, y, z]
+ *
+ * @example
+ * isVector3([0, 42.5, 0]); // true
+ */
+export const isVector3 = (value) =>
+  Array.isArray(value) &&
+  value.length === 3 &&
+  value.every((n) => typeof n === "number" && Number.isFinite(n));
+
+/**
+ * Read a picked file with a content reader, naming the file in errors.
+ *
+ * @param {File} file - Picked file
+ * @param {Function} read - Reads the file's text (e.g. readSavedViewsFile)
+ * @returns {Promise<*>} What `read` returns
+ * @throws {Error} "Could not read <name>: <reason>" when reading fails
+ *
+ * @example
+ * const imported = await readImportFile(file, readSavedViewsFile);
+ */
+export const readImportFile = async (file, read) => {
+  try {
+    return read(await file.text());
+  } catch (err) {
+    throw new Error(`Could not read ${file.name}: ${err.message || err}`);
+  }
+};
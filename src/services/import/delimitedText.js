@@ -0,0 +1,125 @@
+/**
+ * Delimited text parsing - reads CSV/TSV files exported from spreadsheets.
+ *
+ * Follows RFC 4180: fields may be quoted, quotes inside quoted fields are doubled,
+ * and quoted fields may contain delimiters and line breaks. Both LF and CRLF line
+ * endings are accepted, a leading byte order mark is ignored and blank lines are skipped.
+ */
+
+/** Delimiters recognized when sniffing the header line */
+const CANDIDATE_DELIMITERS = [",", ";", "\t"];
+
+/** Quote character of quoted fields */
+const QUOTE = '"';
+
+/** Byte order mark some spreadsheet apps write at the start of UTF-8 files */
+const BYTE_ORDER_MARK = "\uFEFF";
+
+/**
+ * Pick the delimiter of a file.
+ *
+ * `.tsv` files are tab-separated; otherwise the candidate occurring most often in
+ * the header line wins (spreadsheets in some locales export CSV with semicolons).
+ *
+ * @param {string} text - File content
+ * @param {string} [fileName=""] - File name, used for its extension
+ * @returns {string} Delimiter ("," when nothing else is found)
+ *
+ * @example
+ * detectDelimiter("name;weight\nBolt;0,2"); // ";"
+ */
+export const detectDelimiter = (text, fileName = "") => {
+  if (/\.tsv$/i.test(fileName)) return "\t";
+
+  const headerLine = text.split(/\r?\n/, 1)[0] || "";
+  let best = ",";
+  let bestCount = 0;
+  CANDIDATE_DELIMITERS.forEach((delimiter) => {
+    const count = headerLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+/**
+ * Split delimited text into records.
+ *
+ * @param {string} text - File content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Object>} Records { line, cells }, `line` being the 1-based line
+ *   the record starts on (for error messages)
+ *
+ * @example
+ * parseDelimitedText('name,notes\nBolt,"M8, zinc"', ",");
+ * // [{ line: 1, cells: ["name", "notes"] }, { line: 2, cells: ["Bolt", "M8, zinc"] }]
+ */
+export const parseDelimitedText = (text, delimiter) => {
+  const input = text.startsWith(BYTE_ORDER_MARK) ? text.slice(1) : text;
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endCell = () => {
+    cells.push(cell);
+    cell = "";
+  };
+  const endRecord = () => {
+    endCell();
+    const isBlank = cells.length === 1 && cells[0].trim() === "";
+    if (!isBlank) records.push({ line: recordLine, cells });
+    cells = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === QUOTE && input[i + 1] === QUOTE) {
+        cell += QUOTE;
+        i++;
+      } else if (char === QUOTE) {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        cell += char;
+      }
+    } else if (char === QUOTE && cell === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      line++;
+      endRecord();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || cells.length > 0) endRecord();
+  return records;
+};
+
+/**
+ * Parse a spreadsheet export into a header row and data rows.
+ *
+ * @param {string} text - File content
+ * @param {string} [fileName=""] - File name (".tsv" selects tabs)
+ * @returns {Object} { delimiter, headers: Array<string>, rows: Array<{ line, cells }> }
+ */
+export const readDelimitedTable = (text, fileName = "") => {
+  const delimiter = detectDelimiter(text, fileName);
+  const [header, ...rows] = parseDelimitedText(text, delimiter);
+  return {
+    delimiter,
+    headers: (header?.cells || []).map((cell) => cell.trim()),
+    rows,
+  };
+};
@@ -0,0 +1,94 @@
+/**
+ * Model catalog service - handles loading the list of viewable assemblies.
+ *
+ * Provides:
+ * - Lazy loading with automatic caching of the catalog manifest
+ * - Normalization of catalog entries (defaults for optional fields)
+ * - Lookup of entries by id
+ *
+ * The manifest is stored as JSON in public/models.json:
+ * { defaultModelId, models: [{ id, name, modelUrl, partsUrl, credits, camera, unitScale }] }
+ *
+ * `unitScale` is the length of one model unit in meters (0.001 for a model
+ * authored in millimeters); glTF units are meters, so it defaults to 1.
+ *
+ * `partsUrl` is a metadata locator: a static JSON file, "rest:<api url>" or
+ * "idb:<dataset>" (see services/partMetadata/adapters/metadataAdapters).
+ */
+
+/** Location of the catalog manifest */
+export const CATALOG_URL = "/models.json";
+
+/** Cached catalog to avoid repeated fetches */
+let cachedCatalog = null;
+
+/**
+ * Fill optional fields of a catalog entry so consumers can rely on its shape.
+ *
+ * @param {Object} entry - Raw entry from models.json
+ * @returns {Object} Entry with name, partsUrl, credits, camera and unitScale
+ *   always present
+ */
+const normalizeEntry = (entry) => ({
+  id: entry.id,
+  name: entry.name || entry.id,
+  modelUrl: entry.modelUrl,
+  partsUrl: entry.partsUrl || null,
+  credits: entry.credits || null,
+  camera: entry.camera || null,
+  unitScale: entry.unitScale > 0 ? entry.unitScale : 1,
+});
+
+/**
+ * Load the model catalog from public/models.json.
+ *
+ * Results are cached after first successful load.
+ * Entries without an id or modelUrl are skipped.
+ *
+ * @async
+ * @returns {Promise<{defaultModelId: string|null, models: Array<Object>}>} Normalized catalog
+ * @throws {Error} If fetch fails or JSON parsing fails
+ *
+ * @example
+ * const catalog = await loadCatalog();
+ * const entry = getCatalogEntry(catalog, "air-motor");
+ */
+export const loadCatalog = async () => {
+  if (cachedCatalog) {
+    return cachedCatalog;
+  }
+
+  try {
+    const res = await fetch(CATALOG_URL);
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status} while loading ${CATALOG_URL}`);
+    }
+    const data = await res.json();
+    const models = (data.models || [])
+      .filter((entry) => entry && entry.id && entry.modelUrl)
+      .map(normalizeEntry);
+
+    cachedCatalog = {
+      defaultModelId: data.defaultModelId || models[0]?.id || null,
+      models,
+    };
+    return cachedCatalog;
+  } catch (err) {
+    console.error("❌ Error loading model catalog:", err);
+    throw err;
+  }
+};
+
+/**
+ * Get a catalog entry by id.
+ *
+ * @param {Object} catalog - Catalog returned by loadCatalog
+ * @param {string|null} id - Model id; falls back to the catalog default when empty
+ * @returns {Object|null} Catalog entry, or null if not found
+ */
+export const getCatalogEntry = (catalog, id) => {
+  if (!catalog) return null;
+
+  const targetId = id || catalog.defaultModelId;
+  return catalog.models.find((entry) => entry.id === targetId) || null;
+};
@@ -0,0 +1,22 @@
+import { MetadataFormatError } from "../partSchema";
+
+/**
+ * Fetch a JSON document, turning HTTP errors and malformed bodies into errors
+ * the loader overlay can show.
+ *
+ * @async
+ * @param {string} url - Document URL
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<*>} Parsed JSON
+ * @throws {Error} If the request fails or the server answers with an error status
+ * @throws {MetadataFormatError} If the body isn't valid JSON
+ */
+export const fetchJson = async (url, signal) => {
+  const res = await fetch(url, { signal });
+  if (!res.ok) {
+    throw new Error(`Failed to load part metadata (${res.status} ${url})`);
+  }
+  return res.json().catch(() => {
+    throw new MetadataFormatError("Metadata file is not valid JSON", url);
+  });
+};
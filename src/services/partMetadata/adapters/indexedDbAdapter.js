@@ -0,0 +1,112 @@
+import { readPartsFile } from "../partSchema";
+import { createRequestCache } from "./requestCache";
+import { fetchJson } from "./fetchJson";
+
+/** IndexedDB database holding locally stored metadata */
+const DB_NAME = "r3f-mechanical-demo-metadata";
+const DB_VERSION = 1;
+/** Object store with one record per dataset: { dataset, partsByName, updatedAt } */
+const STORE_NAME = "datasets";
+
+/**
+ * Wrap an IDBRequest in a promise.
+ *
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Open (and create on first use) the metadata database.
+ *
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+const openDatabase = () => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME, { keyPath: "dataset" });
+  };
+  return promisifyRequest(request);
+};
+
+/**
+ * Run a single request against the datasets store.
+ *
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} run - (store) => IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+const withStore = async (mode, run) => {
+  const db = await openDatabase();
+  try {
+    return await promisifyRequest(
+      run(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)),
+    );
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Store the parts of a dataset in IndexedDB (replaces previous content).
+ *
+ * @async
+ * @param {string} dataset - Dataset name
+ * @param {Object<string, Object>} partsByName - Entries keyed by part key
+ * @returns {Promise<void>}
+ */
+export const savePartsToIndexedDb = async (dataset, partsByName) => {
+  await withStore("readwrite", (store) =>
+    store.put({ dataset, partsByName, updatedAt: new Date().toISOString() }),
+  );
+};
+
+/**
+ * Metadata adapter reading a dataset stored in the browser's IndexedDB.
+ *
+ * Works fully offline. When the dataset doesn't exist yet and `seedUrl` is given,
+ * it is filled from that static JSON file on first load.
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.dataset - Dataset name (usually the model id)
+ * @param {string} [options.seedUrl] - Static metadata file used to create the dataset
+ * @returns {Object} Metadata adapter (see createMetadataAdapter)
+ */
+export const createIndexedDbAdapter = ({ dataset, seedUrl }) => {
+  const cache = createRequestCache();
+
+  const loadIndex = (signal) =>
+    cache.get(
+      "index",
+      async (requestSignal) => {
+        const record = await withStore("readonly", (store) =>
+          store.get(dataset),
+        );
+        if (record) return record.partsByName;
+
+        if (!seedUrl) {
+          throw new Error(
+            `No metadata stored in IndexedDB dataset "${dataset}"`,
+          );
+        }
+        const partsByName = readPartsFile(
+          await fetchJson(seedUrl, requestSignal),
+          seedUrl,
+        );
+        await savePartsToIndexedDb(dataset, partsByName);
+        return partsByName;
+      },
+      signal,
+    );
+
+  return {
+    lazyDetails: false,
+    loadIndex,
+    loadPart: async (key, signal) => (await loadIndex(signal))[key] || null,
+    invalidate: () => cache.clear(),
+  };
+};
@@ -0,0 +1,71 @@
+import { createStaticAdapter } from "./staticAdapter";
+import { createRestAdapter } from "./restAdapter";
+import { createIndexedDbAdapter } from "./indexedDbAdapter";
+
+/**
+ * Metadata adapters - where part metadata comes from.
+ *
+ * A model points at its metadata with a locator string (catalog `partsUrl`,
+ * `?parts=` query parameter):
+ * - "/parts.json"                            static JSON file
+ * - "rest:http://localhost:4010/api"         REST API, part details fetched lazily
+ * - "idb:air-motor"                          IndexedDB dataset
+ * - "idb:air-motor?seed=/parts.json"         IndexedDB dataset, created from a file
+ *
+ * Every adapter implements the same interface:
+ * - lazyDetails: boolean, true when the index only holds summaries
+ * - loadIndex(signal) -> Promise<partsByName>, all entries (at least name/path/ids)
+ * - loadPart(key, signal) -> Promise<Object|null>, full record of one entry
+ * - invalidate(key?) -> drop one cached part, or everything when key is omitted
+ */
+
+/** Locator prefix selecting the REST adapter */
+const REST_PREFIX = "rest:";
+
+/** Locator prefix selecting the IndexedDB adapter */
+const INDEXED_DB_PREFIX = "idb:";
+
+/**
+ * Parse a metadata locator into adapter options.
+ *
+ * @param {string} locator - Metadata locator
+ * @returns {Object} { type: "static" | "rest" | "indexedDb", url?, dataset?, seedUrl? }
+ *
+ * @example
+ * parseMetadataLocator("idb:air-motor?seed=/parts.json");
+ * // { type: "indexedDb", dataset: "air-motor", seedUrl: "/parts.json" }
+ */
+export const parseMetadataLocator = (locator) => {
+  if (locator.startsWith(REST_PREFIX)) {
+    return { type: "rest", url: locator.slice(REST_PREFIX.length) };
+  }
+
+  if (locator.startsWith(INDEXED_DB_PREFIX)) {
+    const [dataset, query = ""] = locator
+      .slice(INDEXED_DB_PREFIX.length)
+      .split("?");
+    const seedUrl = new URLSearchParams(query).get("seed");
+    return { type: "indexedDb", dataset, seedUrl };
+  }
+
+  return { type: "static", url: locator };
+};
+
+/**
+ * Create the adapter for a metadata locator.
+ *
+ * @param {string} locator - Metadata locator
+ * @returns {Object} Metadata adapter
+ */
+export const createMetadataAdapter = (locator) => {
+  const options = parseMetadataLocator(locator);
+
+  switch (options.type) {
+    case "rest":
+      return createRestAdapter(options);
+    case "indexedDb":
+      return createIndexedDbAdapter(options);
+    default:
+      return createStaticAdapter(options);
+  }
+};
@@ -0,0 +1,128 @@
+/**
+ * Request cache shared by the metadata adapters.
+ *
+ * - Settled results are cached per key until invalidated
+ * - Concurrent requests for the same key share one in-flight request (de-duplication)
+ * - Each caller may pass its own AbortSignal: aborting rejects that caller only,
+ *   and the underlying request is aborted once every caller has given up
+ */
+
+/**
+ * Create an AbortError like the one fetch() rejects with.
+ *
+ * @returns {DOMException} Abort error
+ */
+const createAbortError = () =>
+  new DOMException("The request was aborted", "AbortError");
+
+/**
+ * Create a request cache.
+ *
+ * @returns {Object} Cache with get(key, fetcher, signal), invalidate(key) and clear()
+ *
+ * @example
+ * const cache = createRequestCache();
+ * const part = await cache.get("part:AEV-1", (signal) => fetchJson(url, signal), signal);
+ */
+export const createRequestCache = () => {
+  const settled = new Map();
+  const inFlight = new Map();
+
+  /**
+   * Attach a caller to an in-flight request.
+   * The returned promise follows the request unless the caller's signal aborts first.
+   */
+  const subscribe = (key, entry, signal) => {
+    if (signal?.aborted) return Promise.reject(createAbortError());
+
+    // Callers without a signal never give up, so the request is never aborted.
+    entry.subscribers += 1;
+    if (!signal) return entry.promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        entry.subscribers -= 1;
+        if (entry.subscribers === 0 && inFlight.get(key) === entry) {
+          inFlight.delete(key);
+          entry.controller.abort();
+        }
+        reject(createAbortError());
+      };
+
+      signal.addEventListener("abort", onAbort, { once: true });
+      entry.promise.then(
+        (value) => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(value);
+        },
+        (err) => {
+          signal.removeEventListener("abort", onAbort);
+          reject(err);
+        },
+      );
+    });
+  };
+
+  return {
+    /**
+     * Get a cached value, joining or starting the request for it.
+     *
+     * @param {string} key - Cache key
+     * @param {Function} fetcher - (signal) => Promise, called when nothing is cached or in flight
+     * @param {AbortSignal} [signal] - Caller's cancellation signal
+     * @returns {Promise<*>} Value for the key
+     */
+    get(key, fetcher, signal) {
+      if (settled.has(key)) return Promise.resolve(settled.get(key));
+
+      let entry = inFlight.get(key);
+      if (!entry) {
+        const controller = new AbortController();
+        entry = { controller, subscribers: 0 };
+        entry.promise = fetcher(controller.signal).then(
+          (value) => {
+            // Skip caching if the key was invalidated while loading
+            if (inFlight.get(key) === entry) {
+              inFlight.delete(key);
+              settled.set(key, value);
+            }
+            return value;
+          },
+          (err) => {
+            if (inFlight.get(key) === entry) inFlight.delete(key);
+            throw err;
+          },
+        );
+        // Callers that aborted don't observe the rejection; avoid unhandled warnings.
+        entry.promise.catch(() => {});
+        inFlight.set(key, entry);
+      }
+
+      return subscribe(key, entry, signal);
+    },
+
+    /**
+     * Drop the cached value for a key (a running request completes but isn't cached).
+     *
+     * @param {string} key - Cache key
+     */
+    invalidate(key) {
+      settled.delete(key);
+      inFlight.delete(key);
+    },
+
+    /** Drop every cached value. */
+    clear() {
+      settled.clear();
+      inFlight.clear();
+    },
+  };
+};
+
+/**
+ * Whether an error comes from an aborted request (not a real failure).
+ *
+ * @param {Error} err - Error to check
+ * @returns {boolean} True for AbortError
+ */
+export const isAbortError = (err) => err?.name === "AbortError";
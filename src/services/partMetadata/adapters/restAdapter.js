@@ -0,0 +1,60 @@
+import { readPartsFile } from "../partSchema";
+import { createRequestCache } from "./requestCache";
+import { fetchJson } from "./fetchJson";
+
+/**
+ * Metadata adapter reading a REST API.
+ *
+ * Endpoints (relative to `baseUrl`):
+ * - GET /parts               -> { partsByName } index with at least name, partNumber and path
+ * - GET /parts/:partNumber   -> full part record, fetched lazily when a part is selected
+ *
+ * See scripts/mock-metadata-server.js for a local implementation.
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.url - API base URL (e.g. "http://localhost:4010/api")
+ * @returns {Object} Metadata adapter (see createMetadataAdapter)
+ */
+export const createRestAdapter = ({ url }) => {
+  const baseUrl = url.replace(/\/+$/, "");
+  const cache = createRequestCache();
+
+  const loadIndex = (signal) =>
+    cache.get(
+      "index",
+      async (requestSignal) => {
+        const indexUrl = `${baseUrl}/parts`;
+        return readPartsFile(await fetchJson(indexUrl, requestSignal), indexUrl);
+      },
+      signal,
+    );
+
+  const loadPart = async (key, signal) => {
+    const summary = (await loadIndex(signal))[key];
+    if (!summary) return null;
+
+    const partNumber = summary.partNumber || key;
+    return cache.get(
+      `part:${key}`,
+      (requestSignal) =>
+        fetchJson(
+          `${baseUrl}/parts/${encodeURIComponent(partNumber)}`,
+          requestSignal,
+        ),
+      signal,
+    );
+  };
+
+  return {
+    lazyDetails: true,
+    loadIndex,
+    loadPart,
+    invalidate: (key) => {
+      if (key) {
+        cache.invalidate(`part:${key}`);
+        return;
+      }
+      cache.clear();
+    },
+  };
+};
@@ -0,0 +1,32 @@
+import { readPartsFile } from "../partSchema";
+import { createRequestCache } from "./requestCache";
+import { fetchJson } from "./fetchJson";
+
+/**
+ * Metadata adapter reading a static JSON file ({ partsByName }).
+ *
+ * The whole file is fetched once; part details come straight from it.
+ *
+ * @param {Object} options - Adapter options
+ * @param {string} options.url - Metadata file URL (e.g. "/parts.json")
+ * @returns {Object} Metadata adapter (see createMetadataAdapter)
+ */
+export const createStaticAdapter = ({ url }) => {
+  const cache = createRequestCache();
+
+  const loadIndex = (signal) =>
+    cache.get(
+      "index",
+      async (requestSignal) =>
+        readPartsFile(await fetchJson(url, requestSignal), url),
+      signal,
+    );
+
+  return {
+    lazyDetails: false,
+    loadIndex,
+    loadPart: async (key, signal) => (await loadIndex(signal))[key] || null,
+    // Parts can't be refreshed one by one from a single file.
+    invalidate: () => cache.clear(),
+  };
+};
@@ -0,0 +1,199 @@
+/**
+ * Bill of materials - lists the parts of a model from its resolved metadata.
+ *
+ * Each scene node matched to a metadata entry counts as one instance of that part.
+ * Instances sharing a part number are grouped into one line with a quantity (and a
+ * total weight); entries without a part number are grouped by part key.
+ */
+
+import { validateField } from "./partSchema";
+
+/**
+ * BOM columns, in display order.
+ * - type: "string" | "number" (sort order, alignment)
+ * - value: reads the cell from a BOM line
+ */
+export const BOM_COLUMNS = [
+  {
+    id: "partNumber",
+    label: "Part Number",
+    type: "string",
+    value: (line) => line.partNumber,
+  },
+  { id: "name", label: "Name", type: "string", value: (line) => line.name },
+  {
+    id: "material",
+    label: "Material",
+    type: "string",
+    value: (line) => line.material,
+  },
+  {
+    id: "weightKg",
+    label: "Weight (kg)",
+    type: "number",
+    value: (line) => line.weightKg,
+  },
+  {
+    id: "quantity",
+    label: "Qty",
+    type: "number",
+    value: (line) => line.quantity,
+  },
+  {
+    id: "totalWeightKg",
+    label: "Total (kg)",
+    type: "number",
+    value: (line) => line.totalWeightKg,
+  },
+];
+
+/**
+ * Whether a cell is empty (sorted last).
+ *
+ * @param {*} value - Cell value
+ * @returns {boolean} True for undefined, null and empty strings
+ */
+const isBlank = (value) =>
+  value === undefined || value === null || value === "";
+
+/** Columns searched by the text filter */
+const FILTER_COLUMNS = ["partNumber", "name", "material"];
+
+/**
+ * Read a field of a record, dropping values that fail the part schema
+ * (an invalid weight must not end up in a total).
+ *
+ * @param {Object} record - Metadata entry
+ * @param {string} field - Field key in PART_SCHEMA
+ * @returns {*} Valid value, or null
+ */
+const readValid = (record, field) =>
+  validateField(field, record?.[field]).status === "valid"
+    ? record[field]
+    : null;
+
+/**
+ * Build BOM lines from the node resolution.
+ *
+ * @param {Object} resolution - Node resolution (see resolveParts)
+ * @param {Object<string, Object>} records - Metadata entries keyed by part key
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.grouped=true] - Group instances sharing a part number
+ * @returns {Array<Object>} Lines { id, partNumber, name, material, weightKg, quantity,
+ *   totalWeightKg, nodeIds, paths } in scene order
+ *
+ * @example
+ * buildBomLines(resolution, records);
+ * // [{ id: "AEV-Bolt", partNumber: "AEV-Bolt", quantity: 4, totalWeightKg: 0.08, ... }]
+ */
+export const buildBomLines = (resolution, records, { grouped = true } = {}) => {
+  const lines = new Map();
+
+  Object.entries(resolution.matches).forEach(([nodeId, match]) => {
+    const record = records[match.key];
+    if (!record) return;
+
+    const partNumber = readValid(record, "partNumber");
+    const id = grouped ? partNumber || `key:${match.key}` : nodeId;
+    const line = lines.get(id);
+    if (line) {
+      line.quantity++;
+      line.nodeIds.push(nodeId);
+      line.paths.push(match.path);
+      return;
+    }
+
+    lines.set(id, {
+      id,
+      partNumber,
+      name: readValid(record, "name") || match.key,
+      material: readValid(record, "material"),
+      weightKg: readValid(record, "weightKg"),
+      quantity: 1,
+      nodeIds: [nodeId],
+      paths: [match.path],
+    });
+  });
+
+  return Array.from(lines.values()).map((line) => ({
+    ...line,
+    totalWeightKg:
+      line.weightKg === null ? null : line.weightKg * line.quantity,
+  }));
+};
+
+/**
+ * Keep lines whose part number, name or material contain the query (case-insensitive).
+ *
+ * @param {Array<Object>} lines - BOM lines
+ * @param {string} query - Filter text
+ * @returns {Array<Object>} Matching lines
+ */
+export const filterBomLines = (lines, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return lines;
+
+  return lines.filter((line) =>
+    FILTER_COLUMNS.some((column) =>
+      String(line[column] ?? "")
+        .toLowerCase()
+        .includes(needle),
+    ),
+  );
+};
+
+/**
+ * Sort lines by a column. Empty cells always come last.
+ *
+ * @param {Array<Object>} lines - BOM lines
+ * @param {Object|null} sort - { column, direction: "asc" | "desc" }, null keeps scene order
+ * @returns {Array<Object>} Sorted copy
+ */
+export const sortBomLines = (lines, sort) => {
+  const column = sort && BOM_COLUMNS.find((entry) => entry.id === sort.column);
+  if (!column) return lines;
+
+  const factor = sort.direction === "desc" ? -1 : 1;
+  return [...lines].sort((a, b) => {
+    const left = column.value(a);
+    const right = column.value(b);
+    if (isBlank(left)) return isBlank(right) ? 0 : 1;
+    if (isBlank(right)) return -1;
+
+    const order =
+      column.type === "number"
+        ? left - right
+        : String(left).localeCompare(String(right), undefined, {
+            numeric: true,
+          });
+    return order * factor;
+  });
+};
+
+/**
+ * Shape BOM lines for the JSON export.
+ *
+ * @param {Array<Object>} lines - BOM lines
+ * @returns {Object} { parts: [{ partNumber, name, material, weightKg, quantity,
+ *   totalWeightKg, paths }], totals: { lines, quantity, weightKg, partialWeight } }
+ */
+export const toBomJson = (lines) => {
+  const weighed = lines.filter((line) => line.totalWeightKg !== null);
+  return {
+    parts: lines.map((line) => ({
+      partNumber: line.partNumber,
+      name: line.name,
+      material: line.material,
+      weightKg: line.weightKg,
+      quantity: line.quantity,
+      totalWeightKg: line.totalWeightKg,
+      paths: line.paths,
+    })),
+    totals: {
+      lines: lines.length,
+      quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+      weightKg: weighed.reduce((sum, line) => sum + line.totalWeightKg, 0),
+      partialWeight: weighed.length < lines.length,
+    },
+  };
+};
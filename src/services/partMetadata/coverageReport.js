@@ -0,0 +1,76 @@
+/**
+ * Metadata coverage report - compares a parts metadata file with the loaded scene.
+ *
+ * Built from the node resolution (see partResolver) to help authoring metadata
+ * for a new model:
+ * - Scene nodes without an entry (unmatched) or with several candidates (ambiguous)
+ * - Entries no node resolved to (orphaned: their path/name doesn't exist in the scene)
+ * - Entries found by part ID or name whose `path` doesn't match the node's scene path
+ * - Entries failing schema validation (see partSchema)
+ */
+
+/**
+ * Build the coverage report for the active model.
+ *
+ * @param {Object<string, Object>} partsData - Entries keyed by part key (partsByName)
+ * @param {Object} resolution - Result of resolveParts for the scene's part nodes
+ * @param {Object<string, Array<Object>>} [partIssues] - Schema problems per part key (validateParts)
+ * @returns {Object} Report:
+ *   - totals: { nodes, matchedNodes, entries, matchedEntries }
+ *   - unmatchedNodes: [{ id, name, path }]
+ *   - ambiguousNodes: [{ id, name, path, candidates }]
+ *   - orphanedEntries: [{ key, name, path }]
+ *   - pathMismatches: [{ id, key, matchedBy, nodePath, entryPath }]
+ *   - invalidEntries: [{ key, name, problems }]
+ *
+ * @example
+ * const report = buildCoverageReport(partsData, resolution);
+ * console.log(`${report.totals.matchedNodes}/${report.totals.nodes} nodes have data`);
+ */
+export const buildCoverageReport = (partsData, resolution, partIssues = {}) => {
+  const entries = partsData || {};
+  const matchedKeys = new Set();
+  const pathMismatches = [];
+
+  Object.entries(resolution.matches).forEach(([id, match]) => {
+    matchedKeys.add(match.key);
+
+    const entryPath = entries[match.key]?.path;
+    if (match.matchedBy !== "path" && entryPath && entryPath !== match.path) {
+      pathMismatches.push({
+        id,
+        key: match.key,
+        matchedBy: match.matchedBy,
+        nodePath: match.path,
+        entryPath,
+      });
+    }
+  });
+
+  const orphanedEntries = Object.entries(entries)
+    .filter(([key]) => !matchedKeys.has(key))
+    .map(([key, part]) => ({ key, name: part.name || key, path: part.path }));
+
+  const invalidEntries = Object.entries(partIssues).map(([key, problems]) => ({
+    key,
+    name: entries[key]?.name || key,
+    problems,
+  }));
+
+  const matchedNodes = Object.keys(resolution.matches).length;
+
+  return {
+    totals: {
+      nodes:
+        matchedNodes + resolution.ambiguous.length + resolution.unmatched.length,
+      matchedNodes,
+      entries: Object.keys(entries).length,
+      matchedEntries: matchedKeys.size,
+    },
+    unmatchedNodes: resolution.unmatched,
+    ambiguousNodes: resolution.ambiguous,
+    orphanedEntries,
+    pathMismatches,
+    invalidEntries,
+  };
+};
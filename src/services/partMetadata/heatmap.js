@@ -0,0 +1,282 @@
+/**
+ * Heatmap - colors of the parts in the scene by a metadata attribute.
+ *
+ * Categorical attributes (material, category, maintenance status) give each value
+ * its own color; continuous attributes (weight, production age) map the value
+ * range onto a color ramp. Parts without a valid value get NO_VALUE_COLOR.
+ * The result comes with the legend describing the colors.
+ */
+
+import { validateField } from "./partSchema";
+import {
+  MAINTENANCE_STATUSES,
+  getMaintenanceStatus,
+} from "./maintenanceSchedule";
+
+/** Color of parts (and unmatched nodes) without a value */
+export const NO_VALUE_COLOR = "#5c5c5c";
+
+/**
+ * Colors of categorical values, in order of decreasing count.
+ * @constant {Array<string>}
+ */
+export const CATEGORICAL_PALETTE = [
+  "#4e79a7",
+  "#f28e2b",
+  "#59a14f",
+  "#e15759",
+  "#76b7b2",
+  "#edc948",
+  "#b07aa1",
+  "#ff9da7",
+  "#9c755f",
+];
+
+/** Color shared by the values beyond the palette */
+export const OTHER_COLOR = "#bab0ac";
+
+/**
+ * Color ramp of continuous values, from the lowest to the highest value.
+ * @constant {Array<string>}
+ */
+export const CONTINUOUS_RAMP = [
+  "#2c7bb6",
+  "#abd9e9",
+  "#ffffbf",
+  "#fdae61",
+  "#d7191c",
+];
+
+/** Days in a year, for ages */
+const DAYS_PER_YEAR = 365.25;
+
+/** Milliseconds in a day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a valid field of a record.
+ *
+ * @param {Object} record - Metadata entry
+ * @param {string} field - Field key in PART_SCHEMA
+ * @returns {*} Valid value, or null
+ */
+const readValid = (record, field) =>
+  validateField(field, record?.[field]).status === "valid"
+    ? record[field]
+    : null;
+
+/**
+ * Read a valid text field, trimmed.
+ *
+ * @param {Object} record - Metadata entry
+ * @param {string} field - Field key in PART_SCHEMA
+ * @returns {string|null} Text, or null when missing, invalid or blank
+ */
+const readText = (record, field) =>
+  String(readValid(record, field) ?? "").trim() || null;
+
+/**
+ * Attributes the model can be colored by.
+ * - scale: "categorical" or "continuous"
+ * - value(record, { today }): value of a record, null when it has none
+ * - unit / decimals: legend formatting of continuous values
+ * - categories: fixed colors, labels and order of categorical values (optional)
+ * @constant {Object<string, Object>}
+ */
+export const HEATMAP_ATTRIBUTES = {
+  material: {
+    label: "Material",
+    scale: "categorical",
+    value: (record) => readText(record, "material"),
+  },
+  category: {
+    label: "Category",
+    scale: "categorical",
+    value: (record) => readText(record, "category"),
+  },
+  maintenanceStatus: {
+    label: "Maintenance status",
+    scale: "categorical",
+    value: (record, { today }) =>
+      getMaintenanceStatus(record, { today }).status,
+    categories: {
+      overdue: { label: MAINTENANCE_STATUSES.overdue.label, color: "#e0433b" },
+      dueSoon: { label: MAINTENANCE_STATUSES.dueSoon.label, color: "#e0a030" },
+      unknown: { label: MAINTENANCE_STATUSES.unknown.label, color: "#9a9a9a" },
+      ok: { label: MAINTENANCE_STATUSES.ok.label, color: "#3d9f5f" },
+      unscheduled: {
+        label: MAINTENANCE_STATUSES.unscheduled.label,
+        color: "#7d8fa6",
+      },
+    },
+  },
+  weightKg: {
+    label: "Weight",
+    scale: "continuous",
+    unit: "kg",
+    decimals: 3,
+    value: (record) => readValid(record, "weightKg"),
+  },
+  productionAge: {
+    label: "Production age",
+    scale: "continuous",
+    unit: "years",
+    decimals: 1,
+    value: (record, { today }) => {
+      const date = readValid(record, "productionDate");
+      if (date === null) return null;
+      const [year, month, day] = date.slice(0, 10).split("-").map(Number);
+      const days =
+        (Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()) -
+          Date.UTC(year, month - 1, day)) /
+        DAY_MS;
+      return days / DAYS_PER_YEAR;
+    },
+  },
+};
+
+/**
+ * Color at a position of a ramp, interpolated between its two closest stops.
+ *
+ * @param {Array<string>} ramp - Colors ("#rrggbb") from 0 to 1
+ * @param {number} t - Position, clamped to [0, 1]
+ * @returns {string} Color ("#rrggbb")
+ *
+ * @example
+ * interpolateRamp(["#000000", "#ffffff"], 0.5); // "#808080"
+ */
+export const interpolateRamp = (ramp, t) => {
+  const position = Math.min(Math.max(t, 0), 1) * (ramp.length - 1);
+  const index = Math.min(Math.floor(position), ramp.length - 2);
+  const fraction = position - index;
+  const from = ramp[index];
+  const to = ramp[index + 1];
+
+  const channels = [1, 3, 5].map((offset) => {
+    const a = parseInt(from.slice(offset, offset + 2), 16);
+    const b = parseInt(to.slice(offset, offset + 2), 16);
+    return Math.round(a + (b - a) * fraction)
+      .toString(16)
+      .padStart(2, "0");
+  });
+  return `#${channels.join("")}`;
+};
+
+/**
+ * Legend items and value -> color map of categorical values.
+ *
+ * @param {Object} attribute - Entry of HEATMAP_ATTRIBUTES
+ * @param {Map<*, number>} counts - Node count per value
+ * @returns {Object} { items: [{ label, color, count }], colorOf: (value) => color }
+ */
+const buildCategoricalScale = (attribute, counts) => {
+  if (attribute.categories) {
+    const items = Object.entries(attribute.categories)
+      .filter(([value]) => counts.has(value))
+      .map(([value, { label, color }]) => ({
+        label,
+        color,
+        count: counts.get(value),
+      }));
+    return {
+      items,
+      colorOf: (value) => attribute.categories[value]?.color ?? OTHER_COLOR,
+    };
+  }
+
+  const values = Array.from(counts.keys()).sort(
+    (a, b) =>
+      counts.get(b) - counts.get(a) ||
+      String(a).localeCompare(String(b), undefined, { numeric: true }),
+  );
+  const colors = new Map(
+    values
+      .slice(0, CATEGORICAL_PALETTE.length)
+      .map((value, index) => [value, CATEGORICAL_PALETTE[index]]),
+  );
+  const items = values.slice(0, CATEGORICAL_PALETTE.length).map((value) => ({
+    label: String(value),
+    color: colors.get(value),
+    count: counts.get(value),
+  }));
+  const others = values.slice(CATEGORICAL_PALETTE.length);
+  if (others.length > 0) {
+    items.push({
+      label: `Other (${others.length} values)`,
+      color: OTHER_COLOR,
+      count: others.reduce((sum, value) => sum + counts.get(value), 0),
+    });
+  }
+  return { items, colorOf: (value) => colors.get(value) ?? OTHER_COLOR };
+};
+
+/**
+ * Color the matched scene nodes by an attribute of their metadata entry.
+ *
+ * @param {Object} resolution - Node resolution (see resolveParts)
+ * @param {Object<string, Object>} records - Metadata entries keyed by part key
+ * @param {string} attributeId - Key in HEATMAP_ATTRIBUTES
+ * @param {Object} [options] - Options
+ * @param {Date} [options.today=new Date()] - Reference date of ages and statuses
+ * @returns {Object|null} null for an unknown attribute, otherwise
+ *   { colors: { [nodeId]: "#rrggbb" }, legend, missingCount } where legend is
+ *   { scale: "categorical", items: [{ label, color, count }] } or
+ *   { scale: "continuous", min, max, unit, decimals, ramp }
+ *
+ * @example
+ * buildHeatmap(resolution, records, "material").legend.items;
+ * // [{ label: "Aluminum 6061", color: "#4e79a7", count: 12 }, ...]
+ */
+export const buildHeatmap = (
+  resolution,
+  records,
+  attributeId,
+  { today = new Date() } = {},
+) => {
+  const attribute = HEATMAP_ATTRIBUTES[attributeId];
+  if (!attribute) return null;
+
+  /** Value per matched node (null when the entry has none) */
+  const values = new Map();
+  Object.entries(resolution.matches).forEach(([nodeId, match]) => {
+    const record = records[match.key];
+    if (record) values.set(nodeId, attribute.value(record, { today }) ?? null);
+  });
+
+  const present = Array.from(values.values()).filter((value) => value !== null);
+  const missingCount = values.size - present.length;
+
+  let legend;
+  let colorOf;
+  if (attribute.scale === "continuous") {
+    const min = present.length > 0 ? Math.min(...present) : null;
+    const max = present.length > 0 ? Math.max(...present) : null;
+    legend = {
+      scale: "continuous",
+      min,
+      max,
+      unit: attribute.unit,
+      decimals: attribute.decimals,
+      ramp: CONTINUOUS_RAMP,
+    };
+    // A single value sits in the middle of the ramp
+    colorOf = (value) =>
+      interpolateRamp(
+        CONTINUOUS_RAMP,
+        max > min ? (value - min) / (max - min) : 0.5,
+      );
+  } else {
+    const counts = new Map();
+    present.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+    const scale = buildCategoricalScale(attribute, counts);
+    legend = { scale: "categorical", items: scale.items };
+    colorOf = scale.colorOf;
+  }
+
+  const colors = {};
+  values.forEach((value, nodeId) => {
+    colors[nodeId] = value === null ? NO_VALUE_COLOR : colorOf(value);
+  });
+
+  return { colors, legend, missingCount };
+};
@@ -0,0 +1,134 @@
+/**
+ * Maintenance log - service history of a part.
+ *
+ * A part's `maintenanceLog` lists service records ({ date, technician, action,
+ * notes }). Records added in the viewer are stored as a local edit of the whole
+ * list (see partEdits), so they persist and export like any other field.
+ * The legacy `lastMaintenanceDate` stays supported: the last service is the most
+ * recent of that date and the log's dates.
+ */
+
+import { validateField, validateServiceRecord } from "./partSchema";
+
+/**
+ * Fields of a service record, in display order.
+ * @constant {Array<Object>}
+ */
+export const SERVICE_RECORD_FIELDS = [
+  { id: "date", label: "Date", required: true },
+  { id: "technician", label: "Technician", required: false },
+  { id: "action", label: "Action", required: true },
+  { id: "notes", label: "Notes", required: false },
+];
+
+/**
+ * Today's local date as ISO date ("YYYY-MM-DD"), the default date of a new record.
+ *
+ * @param {Date} [date=new Date()] - Date to format
+ * @returns {string} ISO date
+ */
+export const toLocalIsoDate = (date = new Date()) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+/**
+ * Build a service record from form values: text is trimmed, empty optional
+ * fields are left out.
+ *
+ * @param {Object} values - { date, technician, action, notes } as typed
+ * @returns {Object} Service record (check it with validateServiceRecord)
+ */
+export const createServiceRecord = (values) => {
+  const record = {};
+  SERVICE_RECORD_FIELDS.forEach(({ id, required }) => {
+    const text = (values[id] ?? "").trim();
+    if (text || required) record[id] = text;
+  });
+  return record;
+};
+
+/**
+ * Valid service records of a part, newest first.
+ * Invalid records are left out (validatePart reports them).
+ *
+ * @param {Object} record - Metadata entry
+ * @returns {Array<Object>} Service records
+ */
+export const getServiceLog = (record) => {
+  const log = record?.maintenanceLog;
+  if (!Array.isArray(log)) return [];
+  return log
+    .filter((entry) => validateServiceRecord(entry) === null)
+    .sort((a, b) => b.date.localeCompare(a.date));
+};
+
+/**
+ * Append a service record to a part's log.
+ *
+ * @param {Object} record - Metadata entry
+ * @param {Object} serviceRecord - Record to add
+ * @returns {Array<Object>} New log (existing entries kept as they are)
+ */
+export const appendServiceRecord = (record, serviceRecord) => [
+  ...(Array.isArray(record?.maintenanceLog) ? record.maintenanceLog : []),
+  serviceRecord,
+];
+
+/**
+ * Date of the last service: the most recent of `lastMaintenanceDate` and the log dates.
+ *
+ * @param {Object} record - Metadata entry
+ * @returns {string|null} ISO date, or null when the part has no service date
+ *
+ * @example
+ * getLastServiceDate({
+ *   lastMaintenanceDate: "2024-07-18",
+ *   maintenanceLog: [{ date: "2025-01-10", action: "Lubricated" }],
+ * }); // "2025-01-10"
+ */
+export const getLastServiceDate = (record) => {
+  const legacy =
+    validateField("lastMaintenanceDate", record?.lastMaintenanceDate).status ===
+    "valid"
+      ? record.lastMaintenanceDate
+      : null;
+  const latest = getServiceLog(record)[0]?.date ?? null;
+  if (!legacy || !latest) return legacy || latest;
+  // Compare the date parts only (lastMaintenanceDate may carry a time)
+  return latest.slice(0, 10) > legacy.slice(0, 10) ? latest : legacy;
+};
+
+/**
+ * Flatten the service logs of several parts into rows for a CSV export.
+ *
+ * @param {Object<string, Object>} records - Metadata entries keyed by part key
+ * @returns {Array<Object>} Rows { partKey, partNumber, name, date, technician,
+ *   action, notes }, newest first
+ */
+export const buildServiceLogRows = (records) =>
+  Object.entries(records)
+    .flatMap(([key, record]) =>
+      getServiceLog(record).map((entry) => ({
+        partKey: key,
+        partNumber: record.partNumber ?? null,
+        name: record.name || key,
+        ...entry,
+      })),
+    )
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+/**
+ * Columns of the service log CSV export (see toCsv).
+ * @constant {Array<Object>}
+ */
+export const SERVICE_LOG_CSV_COLUMNS = [
+  { label: "Date", value: (row) => row.date },
+  { label: "Part Number", value: (row) => row.partNumber },
+  { label: "Name", value: (row) => row.name },
+  { label: "Technician", value: (row) => row.technician },
+  { label: "Action", value: (row) => row.action },
+  { label: "Notes", value: (row) => row.notes },
+];
@@ -0,0 +1,239 @@
+/**
+ * Maintenance schedule - next service dates and due status from the metadata.
+ *
+ * The service interval of a part comes from its own `serviceIntervalDays` when set,
+ * otherwise from the first maintenance rule matching its category or material.
+ * The next service is due one interval after the last service (`lastMaintenanceDate`
+ * or the latest record of the maintenance log); parts are "due soon" within
+ * DUE_SOON_DAYS of that date and "overdue" after it.
+ */
+
+import { validateField } from "./partSchema";
+import { getLastServiceDate } from "./maintenanceLog";
+
+/** Days before the due date a part is reported as due soon */
+export const DUE_SOON_DAYS = 30;
+
+/**
+ * Default service interval rules, first match wins.
+ * - match.category / match.material: case-insensitive text contained in the field
+ *   (a rule without match applies to every part)
+ * - intervalDays: days between two services
+ * @constant {Array<Object>}
+ */
+export const DEFAULT_MAINTENANCE_RULES = [
+  {
+    id: "bearing",
+    label: "Bearings",
+    match: { category: "bearing" },
+    intervalDays: 90,
+  },
+  {
+    id: "seal",
+    label: "Seals and gaskets",
+    match: { category: "seal" },
+    intervalDays: 120,
+  },
+  {
+    id: "steel",
+    label: "Steel parts",
+    match: { material: "steel" },
+    intervalDays: 180,
+  },
+  {
+    id: "aluminum",
+    label: "Aluminum parts",
+    match: { material: "alumin" },
+    intervalDays: 365,
+  },
+  {
+    id: "composite",
+    label: "Composite parts",
+    match: { material: "composite" },
+    intervalDays: 540,
+  },
+  { id: "default", label: "Other parts", intervalDays: 365 },
+];
+
+/**
+ * Due statuses, from most to least urgent.
+ * - unknown: the part has an interval but no (valid) service date
+ * - unscheduled: no rule gives the part an interval
+ */
+export const MAINTENANCE_STATUSES = {
+  overdue: { label: "Overdue", rank: 0 },
+  dueSoon: { label: "Due soon", rank: 1 },
+  unknown: { label: "No service date", rank: 2 },
+  ok: { label: "OK", rank: 3 },
+  unscheduled: { label: "Unscheduled", rank: 4 },
+};
+
+/** Milliseconds in a day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a valid field of a record.
+ *
+ * @param {Object} record - Metadata entry
+ * @param {string} field - Field key in PART_SCHEMA
+ * @returns {*} Valid value, or null
+ */
+const readValid = (record, field) =>
+  validateField(field, record?.[field]).status === "valid"
+    ? record[field]
+    : null;
+
+/**
+ * Day number (days since the epoch, UTC) of an ISO date, ignoring any time part.
+ *
+ * @param {string} isoDate - "YYYY-MM-DD" or ISO date-time
+ * @returns {number} Day number
+ */
+const toDayNumber = (isoDate) => {
+  const [year, month, day] = isoDate.slice(0, 10).split("-").map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+};
+
+/**
+ * Day number of a local calendar date.
+ *
+ * @param {Date} date - Date (its local year, month and day are used)
+ * @returns {number} Day number
+ */
+const toLocalDayNumber = (date) =>
+  Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS;
+
+/**
+ * ISO date ("YYYY-MM-DD") of a day number.
+ *
+ * @param {number} dayNumber - Days since the epoch
+ * @returns {string} ISO date
+ */
+const toIsoDate = (dayNumber) =>
+  new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Whether a rule applies to a record.
+ *
+ * @param {Object} rule - Maintenance rule
+ * @param {Object} record - Metadata entry
+ * @returns {boolean} True when every match criterion is contained in its field
+ */
+const matchesRule = (rule, record) =>
+  Object.entries(rule.match || {}).every(([field, text]) =>
+    String(readValid(record, field) ?? "")
+      .toLowerCase()
+      .includes(text.toLowerCase()),
+  );
+
+/**
+ * Find the service interval of a part.
+ *
+ * @param {Object} record - Metadata entry
+ * @param {Array<Object>} [rules=DEFAULT_MAINTENANCE_RULES] - Rules, first match wins
+ * @returns {Object|null} { intervalDays, source } where source is "part" for the
+ *   part's own interval or the matching rule's label; null when nothing applies
+ */
+export const findServiceInterval = (
+  record,
+  rules = DEFAULT_MAINTENANCE_RULES,
+) => {
+  const own = readValid(record, "serviceIntervalDays");
+  if (own !== null) return { intervalDays: own, source: "part" };
+
+  const rule = rules.find((candidate) => matchesRule(candidate, record));
+  return rule ? { intervalDays: rule.intervalDays, source: rule.label } : null;
+};
+
+/**
+ * Compute the maintenance status of a part.
+ *
+ * @param {Object} record - Metadata entry
+ * @param {Object} [options] - Options
+ * @param {Date} [options.today=new Date()] - Reference date
+ * @param {Array<Object>} [options.rules=DEFAULT_MAINTENANCE_RULES] - Interval rules
+ * @returns {Object} { status, intervalDays, source, nextDueDate, daysUntilDue }
+ *   (nextDueDate and daysUntilDue are null without interval or last service date;
+ *   daysUntilDue is negative when overdue)
+ *
+ * @example
+ * getMaintenanceStatus(
+ *   { material: "Steel", lastMaintenanceDate: "2024-09-12" },
+ *   { today: new Date(2025, 2, 1) },
+ * );
+ * // { status: "dueSoon", intervalDays: 180, source: "Steel parts",
+ * //   nextDueDate: "2025-03-11", daysUntilDue: 10 }
+ */
+export const getMaintenanceStatus = (
+  record,
+  { today = new Date(), rules = DEFAULT_MAINTENANCE_RULES } = {},
+) => {
+  const interval = findServiceInterval(record, rules);
+  const result = {
+    status: "unscheduled",
+    intervalDays: interval?.intervalDays ?? null,
+    source: interval?.source ?? null,
+    nextDueDate: null,
+    daysUntilDue: null,
+  };
+  if (!interval) return result;
+
+  const lastDate = getLastServiceDate(record);
+  if (lastDate === null) return { ...result, status: "unknown" };
+
+  const dueDay = toDayNumber(lastDate) + interval.intervalDays;
+  const daysUntilDue = dueDay - toLocalDayNumber(today);
+  return {
+    ...result,
+    status:
+      daysUntilDue < 0
+        ? "overdue"
+        : daysUntilDue <= DUE_SOON_DAYS
+          ? "dueSoon"
+          : "ok",
+    nextDueDate: toIsoDate(dueDay),
+    daysUntilDue,
+  };
+};
+
+/**
+ * Build the maintenance schedule of the parts present in the scene, most urgent first.
+ *
+ * @param {Object} resolution - Node resolution (see resolveParts)
+ * @param {Object<string, Object>} records - Metadata entries keyed by part key
+ * @param {Object} [options] - Options passed to getMaintenanceStatus
+ * @returns {Array<Object>} Entries { key, name, partNumber, lastMaintenanceDate,
+ *   nodeIds, status, intervalDays, source, nextDueDate, daysUntilDue }, sorted by
+ *   status, then due date
+ */
+export const buildMaintenanceSchedule = (resolution, records, options) => {
+  const entries = new Map();
+
+  Object.entries(resolution.matches).forEach(([nodeId, match]) => {
+    const record = records[match.key];
+    if (!record) return;
+
+    const entry = entries.get(match.key);
+    if (entry) {
+      entry.nodeIds.push(nodeId);
+      return;
+    }
+
+    entries.set(match.key, {
+      key: match.key,
+      name: readValid(record, "name") || match.key,
+      partNumber: readValid(record, "partNumber"),
+      lastMaintenanceDate: getLastServiceDate(record),
+      nodeIds: [nodeId],
+      ...getMaintenanceStatus(record, options),
+    });
+  });
+
+  return Array.from(entries.values()).sort(
+    (a, b) =>
+      MAINTENANCE_STATUSES[a.status].rank -
+        MAINTENANCE_STATUSES[b.status].rank ||
+      (a.daysUntilDue ?? 0) - (b.daysUntilDue ?? 0) ||
+      a.name.localeCompare(b.name, undefined, { numeric: true }),
+  );
+};
@@ -0,0 +1,68 @@
+/**
+ * Material densities - turn a measured volume into an estimated mass.
+ *
+ * Densities are looked up from the free-text `material` field of the metadata: an
+ * exact (case-insensitive) key first, then the longest key contained in the text,
+ * so "Aluminum 6061-T6" uses the "aluminum 6061" density and "Cast Steel" the
+ * "steel" one.
+ */
+
+/**
+ * Typical densities in kg/m³, keyed by lower-case material name.
+ * Grades come before families so the most specific match wins.
+ * @constant {Object<string, number>}
+ */
+export const MATERIAL_DENSITY_KG_M3 = {
+  "aluminum 6061": 2700,
+  "aluminum 7075": 2810,
+  "aluminum 2024": 2780,
+  aluminum: 2700,
+  aluminium: 2700,
+  "stainless steel": 8000,
+  "tool steel": 7800,
+  steel: 7850,
+  "cast iron": 7200,
+  iron: 7870,
+  titanium: 4430,
+  brass: 8500,
+  bronze: 8800,
+  copper: 8960,
+  magnesium: 1770,
+  "carbon fiber": 1600,
+  composite: 1600,
+  fiberglass: 1850,
+  nylon: 1150,
+  abs: 1040,
+  polycarbonate: 1200,
+  rubber: 1100,
+  wood: 700,
+};
+
+/**
+ * Find the density of a material.
+ *
+ * @param {string|undefined|null} material - Material as written in the metadata
+ * @param {Object<string, number>} [table=MATERIAL_DENSITY_KG_M3] - Densities by material
+ * @returns {Object|null} { key, densityKgM3 }, null when the material is unknown
+ *
+ * @example
+ * findMaterialDensity("Aluminum 6061"); // { key: "aluminum 6061", densityKgM3: 2700 }
+ * findMaterialDensity("N/A"); // null
+ */
+export const findMaterialDensity = (
+  material,
+  table = MATERIAL_DENSITY_KG_M3,
+) => {
+  if (typeof material !== "string") return null;
+  const text = material.trim().toLowerCase();
+  if (!text) return null;
+
+  if (table[text] !== undefined) {
+    return { key: text, densityKgM3: table[text] };
+  }
+
+  const key = Object.keys(table)
+    .filter((candidate) => text.includes(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? { key, densityKgM3: table[key] } : null;
+};
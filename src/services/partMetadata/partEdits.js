@@ -0,0 +1,132 @@
+/**
+ * Part edits - local changes layered on top of a parts metadata source.
+ *
+ * Edits never modify the loaded metadata. They are kept per part key and field
+ * ({ [key]: { [field]: value } }) and applied when a record is read or exported,
+ * so the original file stays untouched and every field can be reverted on its own.
+ * A `null` value means the field was cleared.
+ *
+ * Edits for keys the source doesn't have describe entries added locally
+ * (e.g. by a spreadsheet import); they are applied on top of an empty record.
+ */
+
+import { PART_SCHEMA } from "./partSchema";
+
+/**
+ * Whether a value counts as empty (cleared or never provided).
+ *
+ * @param {*} value - Field value
+ * @returns {boolean} True for undefined, null and empty strings
+ */
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+/**
+ * Whether an edited value differs from the value in the source record.
+ *
+ * @param {*} baseValue - Value in the loaded metadata
+ * @param {*} value - Edited value
+ * @returns {boolean} True if the edit changes the record
+ */
+export const isFieldChanged = (baseValue, value) => {
+  if (isEmpty(baseValue) && isEmpty(value)) return false;
+  return baseValue !== value;
+};
+
+/**
+ * Convert raw input text into the value stored for a field.
+ * Numbers are parsed (unparseable input stays NaN so validation rejects it),
+ * empty input clears the field.
+ *
+ * @param {string} field - Field key in PART_SCHEMA
+ * @param {string} text - Input text
+ * @returns {*} Field value (null when cleared)
+ *
+ * @example
+ * parseFieldInput("weightKg", "0.25"); // 0.25
+ * parseFieldInput("material", "  ");   // null
+ */
+export const parseFieldInput = (field, text) => {
+  const trimmed = text.trim();
+  if (trimmed === "") return null;
+  if (PART_SCHEMA[field]?.type === "number") return Number(trimmed);
+  return field === "maintenanceNotes" ? text : trimmed;
+};
+
+/**
+ * Apply edits to a part record.
+ *
+ * @param {Object|null} part - Record from the metadata source
+ * @param {Object<string, *>|undefined} edits - Edited fields of the part
+ * @returns {Object|null} New record with the edits applied (cleared fields removed),
+ *   or `part` itself when there is nothing to apply
+ */
+export const applyPartEdits = (part, edits) => {
+  if (!part || !edits) return part;
+
+  const edited = { ...part };
+  Object.entries(edits).forEach(([field, value]) => {
+    if (value === null) {
+      delete edited[field];
+    } else {
+      edited[field] = value;
+    }
+  });
+  return edited;
+};
+
+/**
+ * Whether a part key refers to an entry added locally rather than one from the source.
+ *
+ * @param {Object<string, Object>|null} partsData - Loaded entries keyed by part key
+ * @param {string|null} key - Part key
+ * @returns {boolean} True if the key isn't in the loaded metadata
+ */
+export const isAddedPart = (partsData, key) =>
+  Boolean(partsData && key) && !Object.hasOwn(partsData, key);
+
+/**
+ * Get the entries added locally (edits for keys missing from the source).
+ *
+ * @param {Object<string, Object>|null} partsData - Loaded entries keyed by part key
+ * @param {Object<string, Object>} [partEdits={}] - Edits keyed by part key
+ * @returns {Object<string, Object>} Added records keyed by part key
+ */
+export const getAddedParts = (partsData, partEdits = {}) => {
+  const added = {};
+  Object.entries(partEdits).forEach(([key, edits]) => {
+    if (isAddedPart(partsData, key)) added[key] = applyPartEdits({}, edits);
+  });
+  return added;
+};
+
+/**
+ * Build a metadata file with the edits applied, in the same shape as parts.json.
+ *
+ * For lazily loaded sources (REST), `partDetails` supplies the full records fetched
+ * so far; other entries are exported as listed in the index. Entries added locally
+ * are appended.
+ *
+ * @param {Object<string, Object>} partsData - Loaded entries keyed by part key
+ * @param {Object<string, Object>} partEdits - Edits keyed by part key
+ * @param {Object<string, Object>} [partDetails={}] - Fetched details ({ [key]: { status, data } })
+ * @returns {Object} { partsByName }
+ *
+ * @example
+ * buildEditedPartsFile(parts, { Crank_End_L_08: { weightKg: 0.4 } });
+ * // { partsByName: { ..., Crank_End_L_08: { ..., weightKg: 0.4 } } }
+ */
+export const buildEditedPartsFile = (
+  partsData,
+  partEdits,
+  partDetails = {},
+) => {
+  const partsByName = {};
+  Object.entries(partsData || {}).forEach(([key, part]) => {
+    const record = partDetails[key]?.data || part;
+    partsByName[key] = applyPartEdits(record, partEdits[key]);
+  });
+  return {
+    partsByName: { ...partsByName, ...getAddedParts(partsData, partEdits) },
+  };
+};
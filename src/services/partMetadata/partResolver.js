@@ -0,0 +1,192 @@
+/**
+ * Part resolver - matches scene nodes to entries of a parts metadata file.
+ *
+ * Name-only lookups break as soon as a model has duplicated or missing node names,
+ * so each node is matched in order of reliability:
+ * 1. Scene path: the full path (or the longest unique path suffix, which tolerates
+ *    a different root node name) against each entry's `path`
+ * 2. Part ID: glTF `extras` (exposed by three.js as `userData`) against the entry's IDs
+ * 3. Name: only when the name is unique both in the scene and in the metadata
+ *
+ * Nodes that match several entries are reported as ambiguous, nodes that match none
+ * as unmatched. The resolver works on plain node descriptors and has no three.js dependency.
+ */
+
+/**
+ * Separator between node names in scene paths ("Scene/Sketchfab_Scene/_rootJoint/..."),
+ * in metadata entries and in the viewer's node references alike
+ */
+export const SCENE_PATH_SEPARATOR = "/";
+
+/** Fields compared between node userData (glTF extras) and metadata entries */
+export const PART_ID_KEYS = ["partId", "partNumber"];
+
+/** Shortest path suffix (in segments) accepted as a path match */
+const MIN_SUFFIX_SEGMENTS = 2;
+
+/** Resolution with nothing matched (no model or no metadata loaded) */
+export const EMPTY_RESOLUTION = {
+  matches: {},
+  ambiguous: [],
+  unmatched: [],
+};
+
+/**
+ * Append a value to the array stored under `key`, skipping duplicates.
+ *
+ * @param {Map<string, Array<string>>} map - Index to update
+ * @param {string} key - Index key
+ * @param {string} value - Part key to add
+ */
+const addToIndex = (map, key, value) => {
+  if (key === undefined || key === null || key === "") return;
+  const values = map.get(key);
+  if (!values) {
+    map.set(key, [value]);
+  } else if (!values.includes(value)) {
+    values.push(value);
+  }
+};
+
+/**
+ * Build lookup indexes over a parts metadata object.
+ *
+ * @param {Object<string, Object>} partsData - Entries keyed by part key (partsByName)
+ * @returns {Object} Indexes { byPath, bySuffix, byId, byName }, each mapping to part keys
+ */
+export const createPartIndex = (partsData) => {
+  const byPath = new Map();
+  const bySuffix = new Map();
+  const byId = new Map();
+  const byName = new Map();
+
+  Object.entries(partsData || {}).forEach(([key, part]) => {
+    if (part.path) {
+      const segments = part.path.split(SCENE_PATH_SEPARATOR);
+      addToIndex(byPath, part.path, key);
+      const lastStart = segments.length - MIN_SUFFIX_SEGMENTS;
+      for (let start = 0; start <= lastStart; start++) {
+        addToIndex(
+          bySuffix,
+          segments.slice(start).join(SCENE_PATH_SEPARATOR),
+          key,
+        );
+      }
+    }
+
+    PART_ID_KEYS.forEach((field) => addToIndex(byId, part[field], key));
+
+    addToIndex(byName, key, key);
+    addToIndex(byName, part.name, key);
+  });
+
+  return { byPath, bySuffix, byId, byName };
+};
+
+/**
+ * Match a node by scene path: exact path first, then the longest path suffix
+ * shared with a metadata path (e.g. when the exporter named or nested the root differently).
+ *
+ * @param {Object} index - Indexes from createPartIndex
+ * @param {Array<string>} path - Node path segments, root first
+ * @returns {Array<string>|null} Candidate part keys, or null if the path matched nothing
+ */
+const matchByPath = (index, path) => {
+  const exact = index.byPath.get(path.join(SCENE_PATH_SEPARATOR));
+  if (exact) return exact;
+
+  for (let start = 0; start <= path.length - MIN_SUFFIX_SEGMENTS; start++) {
+    const candidates = index.bySuffix.get(
+      path.slice(start).join(SCENE_PATH_SEPARATOR),
+    );
+    if (candidates) return candidates;
+  }
+  return null;
+};
+
+/**
+ * Match a node by the part IDs stored in its userData (glTF extras).
+ *
+ * @param {Object} index - Indexes from createPartIndex
+ * @param {Object} userData - Node userData
+ * @returns {Array<string>|null} Candidate part keys, or null if no ID matched
+ */
+const matchById = (index, userData) => {
+  const candidates = [];
+  PART_ID_KEYS.forEach((field) => {
+    (index.byId.get(userData?.[field]) || []).forEach((key) => {
+      if (!candidates.includes(key)) candidates.push(key);
+    });
+  });
+  return candidates.length > 0 ? candidates : null;
+};
+
+/**
+ * Resolve scene nodes to metadata entries.
+ *
+ * @param {Object<string, Object>} partsData - Entries keyed by part key (partsByName)
+ * @param {Array<Object>} nodes - Node descriptors { id, name, path, userData }
+ * @returns {Object} Resolution:
+ *   - matches: { [nodeId]: { key, matchedBy: "path" | "id" | "name", path } }
+ *   - ambiguous: [{ id, name, path, candidates }] nodes matching several entries
+ *   - unmatched: [{ id, name, path }] nodes matching no entry
+ *
+ * @example
+ * const { matches } = resolveParts(parts, [
+ *   { id: "uuid-1", name: "Crank_End_L_08", path: ["Scene", "...", "Crank_End_L_08"], userData: {} },
+ * ]);
+ * // matches["uuid-1"] = { key: "Crank_End_L_08", matchedBy: "path", path: "Scene/.../Crank_End_L_08" }
+ */
+export const resolveParts = (partsData, nodes) => {
+  const index = createPartIndex(partsData);
+  const resolution = { matches: {}, ambiguous: [], unmatched: [] };
+
+  // Names shared by several scene nodes can't identify a part on their own.
+  const sceneNameCounts = new Map();
+  nodes.forEach((node) => {
+    if (node.name) {
+      const count = sceneNameCounts.get(node.name) || 0;
+      sceneNameCounts.set(node.name, count + 1);
+    }
+  });
+
+  nodes.forEach((node) => {
+    const report = {
+      id: node.id,
+      name: node.name,
+      path: node.path.join(SCENE_PATH_SEPARATOR),
+    };
+    const strategies = [
+      ["path", () => matchByPath(index, node.path)],
+      ["id", () => matchById(index, node.userData)],
+      ["name", () => index.byName.get(node.name) || null],
+    ];
+
+    let ambiguousCandidates = null;
+    for (const [matchedBy, match] of strategies) {
+      const candidates = match();
+      if (!candidates) continue;
+
+      const isUnique =
+        candidates.length === 1 &&
+        (matchedBy !== "name" || sceneNameCounts.get(node.name) === 1);
+      if (isUnique) {
+        resolution.matches[node.id] = {
+          key: candidates[0],
+          matchedBy,
+          path: report.path,
+        };
+        return;
+      }
+      ambiguousCandidates = ambiguousCandidates || candidates;
+    }
+
+    if (ambiguousCandidates) {
+      resolution.ambiguous.push({ ...report, candidates: ambiguousCandidates });
+    } else {
+      resolution.unmatched.push(report);
+    }
+  });
+
+  return resolution;
+};
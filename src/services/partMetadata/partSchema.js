@@ -0,0 +1,252 @@
+/**
+ * Part record schema - declares the fields of a parts metadata entry and validates them.
+ *
+ * Metadata files are authored by hand, so nothing coming back from the server is
+ * trusted: the file shape is checked at load time (a broken file fails the load
+ * with a MetadataFormatError) and every entry is validated field by field, giving
+ * a list of problems per part instead of `undefined kg` in the inspector.
+ */
+
+/**
+ * Declared fields of a part record.
+ * - type: "string" | "isoDate" | "number" | "serviceLog" (array of service records,
+ *   see validateServiceRecord)
+ * - required: reported as a problem when missing
+ * - min: lowest accepted value (numbers)
+ * - unit: shown after the value in the inspector
+ */
+export const PART_SCHEMA = {
+  name: { label: "Name", type: "string", required: true },
+  partNumber: { label: "Part Number", type: "string", required: true },
+  serialNumber: { label: "Serial Number", type: "string", required: true },
+  path: { label: "Scene Path", type: "string", required: true },
+  material: { label: "Material", type: "string", required: false },
+  category: { label: "Category", type: "string", required: false },
+  weightKg: {
+    label: "Weight",
+    type: "number",
+    required: false,
+    min: 0,
+    unit: "kg",
+  },
+  productionDate: {
+    label: "Production Date",
+    type: "isoDate",
+    required: false,
+  },
+  lastMaintenanceDate: {
+    label: "Last Service",
+    type: "isoDate",
+    required: false,
+  },
+  serviceIntervalDays: {
+    label: "Service Interval",
+    type: "number",
+    required: false,
+    min: 1,
+    unit: "days",
+  },
+  maintenanceNotes: { label: "Notes", type: "string", required: false },
+  maintenanceLog: {
+    label: "Service Log",
+    type: "serviceLog",
+    required: false,
+  },
+};
+
+/** ISO 8601 date, optionally followed by a time ("2024-07-18", "2024-07-18T10:00:00Z") */
+const ISO_DATE_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Error thrown when a metadata file doesn't have the expected shape at all
+ * (e.g. no `partsByName` object). Individual bad entries don't throw.
+ */
+export class MetadataFormatError extends Error {
+  /**
+   * @param {string} message - What is wrong with the file
+   * @param {string} url - Metadata file URL
+   */
+  constructor(message, url) {
+    super(`${message} (${url})`);
+    this.name = "MetadataFormatError";
+    this.url = url;
+  }
+}
+
+/**
+ * Whether a string is a real calendar date in ISO 8601 form (rejects "2023-02-30").
+ *
+ * @param {string} value - Value to check
+ * @returns {boolean} True for valid ISO dates
+ */
+const isIsoDate = (value) => {
+  const match = ISO_DATE_PATTERN.exec(value);
+  if (!match) return false;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day
+  );
+};
+
+/**
+ * Validate one service record of a `maintenanceLog`
+ * ({ date, action, technician?, notes? }).
+ *
+ * @param {*} record - Service record
+ * @returns {string|null} Problem description, or null when the record is valid
+ *
+ * @example
+ * validateServiceRecord({ date: "2024-07-18", action: "Replaced seals" }); // null
+ * validateServiceRecord({ date: "18/07/2024", action: "" });
+ * // "date must be an ISO date (YYYY-MM-DD)"
+ */
+export const validateServiceRecord = (record) => {
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    return "must be an object";
+  }
+  if (typeof record.date !== "string" || !isIsoDate(record.date)) {
+    return "date must be an ISO date (YYYY-MM-DD)";
+  }
+  if (typeof record.action !== "string" || !record.action.trim()) {
+    return "action is required";
+  }
+  const badField = ["technician", "notes"].find(
+    (field) => record[field] !== undefined && typeof record[field] !== "string",
+  );
+  return badField ? `${badField} must be text` : null;
+};
+
+/**
+ * Validate one field value against its declaration.
+ *
+ * @param {string} field - Field key in PART_SCHEMA
+ * @param {*} value - Raw value from the metadata entry
+ * @returns {Object} { status: "valid" | "missing" | "invalid", message? }
+ *   ("missing" is returned for optional fields too; only required ones are problems)
+ *
+ * @example
+ * validateField("weightKg", -2);
+ * // { status: "invalid", message: "Weight must be at least 0" }
+ */
+export const validateField = (field, value) => {
+  const spec = PART_SCHEMA[field];
+  if (!spec) return { status: "valid" };
+
+  if (value === undefined || value === null || value === "") {
+    return {
+      status: "missing",
+      message: spec.required ? `${spec.label} is required` : undefined,
+    };
+  }
+
+  switch (spec.type) {
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return { status: "invalid", message: `${spec.label} must be a number` };
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return {
+          status: "invalid",
+          message: `${spec.label} must be at least ${spec.min}`,
+        };
+      }
+      return { status: "valid" };
+    case "serviceLog": {
+      if (!Array.isArray(value)) {
+        return { status: "invalid", message: `${spec.label} must be a list` };
+      }
+      const index = value.findIndex((record) => validateServiceRecord(record));
+      if (index !== -1) {
+        return {
+          status: "invalid",
+          message: `${spec.label} record ${index + 1}: ${validateServiceRecord(value[index])}`,
+        };
+      }
+      return { status: "valid" };
+    }
+    case "isoDate":
+      if (typeof value !== "string" || !isIsoDate(value)) {
+        return {
+          status: "invalid",
+          message: `${spec.label} must be an ISO date (YYYY-MM-DD)`,
+        };
+      }
+      return { status: "valid" };
+    default:
+      if (typeof value !== "string") {
+        return { status: "invalid", message: `${spec.label} must be text` };
+      }
+      return { status: "valid" };
+  }
+};
+
+/**
+ * Validate a part record against the schema.
+ *
+ * @param {Object} part - Metadata entry
+ * @returns {Array<Object>} Problems: [{ field, status: "missing" | "invalid", message }]
+ */
+export const validatePart = (part) => {
+  if (!part || typeof part !== "object" || Array.isArray(part)) {
+    return [
+      { field: null, status: "invalid", message: "Entry must be an object" },
+    ];
+  }
+
+  const problems = [];
+  Object.keys(PART_SCHEMA).forEach((field) => {
+    const result = validateField(field, part[field]);
+    const isProblem =
+      result.status === "invalid" ||
+      (result.status === "missing" && result.message);
+    if (isProblem) {
+      problems.push({ field, status: result.status, message: result.message });
+    }
+  });
+  return problems;
+};
+
+/**
+ * Validate every entry of a metadata file.
+ *
+ * @param {Object<string, Object>} partsData - Entries keyed by part key (partsByName)
+ * @returns {Object<string, Array<Object>>} Part key -> problems (only entries with problems)
+ *
+ * @example
+ * const issues = validateParts(parts);
+ * // { "Crank_End_L_08": [{ field: "weightKg", status: "invalid", message: "..." }] }
+ */
+export const validateParts = (partsData) => {
+  const issues = {};
+  Object.entries(partsData || {}).forEach(([key, part]) => {
+    const problems = validatePart(part);
+    if (problems.length > 0) issues[key] = problems;
+  });
+  return issues;
+};
+
+/**
+ * Check the overall shape of a metadata file and return its entries.
+ *
+ * @param {*} data - Parsed JSON of the metadata file
+ * @param {string} url - Metadata file URL (for the error message)
+ * @returns {Object<string, Object>} The `partsByName` object
+ * @throws {MetadataFormatError} If the file has no `partsByName` object
+ */
+export const readPartsFile = (data, url) => {
+  const partsByName = data?.partsByName;
+  const isObject =
+    partsByName && typeof partsByName === "object" && !Array.isArray(partsByName);
+  if (!isObject) {
+    throw new MetadataFormatError(
+      'Metadata file must contain a "partsByName" object keyed by part name',
+      url,
+    );
+  }
+  return partsByName;
+};
@@ -2,73 +2,97 @@
  * Parts data service - handles loading and querying part metadata.
  *
  * Provides:
- * - Lazy loading with automatic caching to avoid repeated fetches
- * - Fast lookups of part data by name
- * - Error handling and logging
+ * - Pluggable backends (static JSON file, REST API, IndexedDB), see adapters/metadataAdapters
+ * - Caching with request de-duplication and per-request cancellation
+ * - Cache invalidation per metadata source and per part
  *
- * Metadata is stored as JSON in public/parts.json and indexed by part name.
+ * Each catalog model points at its own metadata with a locator (e.g. "/parts.json"
+ * for the demo motor, "rest:http://localhost:4010/api" for a REST backend).
+ * One adapter (and cache) is kept per locator.
  */
 
-/** Cached parts data to avoid repeated fetches */
-let cachedParts = null;
+import { createMetadataAdapter } from "./adapters/metadataAdapters";
+import { isAbortError } from "./adapters/requestCache";
+
+export { isAbortError };
+
+/** Metadata file used when no locator is given */
+export const DEFAULT_PARTS_URL = "/parts.json";
+
+/** Adapters per metadata locator (each holds its own cache) */
+const adaptersByLocator = new Map();
+
+/**
+ * Get (or create) the adapter for a metadata locator.
+ *
+ * @param {string} locator - Metadata locator
+ * @returns {Object} Metadata adapter
+ */
+const getAdapter = (locator) => {
+  if (!adaptersByLocator.has(locator)) {
+    adaptersByLocator.set(locator, createMetadataAdapter(locator));
+  }
+  return adaptersByLocator.get(locator);
+};
 
 /**
- * Load parts metadata from public/parts.json file.
+ * Load the parts index of a metadata source.
  *
- * Results are cached after first successful load to minimize network requests.
- * Subsequent calls return cached data immediately.
+ * Results are cached per locator; concurrent calls share one request.
+ * For static files and IndexedDB the index holds full records; for REST backends
+ * it holds summaries and details come from loadPartDetails().
  *
  * @async
+ * @param {string} [locator=DEFAULT_PARTS_URL] - Metadata locator of the active model
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels this call (AbortError)
  * @returns {Promise<Object>} Parts data object indexed by part name (partsByName)
- * @throws {Error} If fetch fails or JSON parsing fails
+ * @throws {Error} If the request fails or the server answers with an error status
+ * @throws {MetadataFormatError} If the data isn't JSON or has no `partsByName` object
+ *   (individual entries are validated separately, see validateParts)
  *
  * @example
- * const parts = await loadParts();
+ * const parts = await loadParts("/parts.json");
  * const engineData = parts['Engine Block'];
  */
-export const loadParts = async () => {
-  if (cachedParts) {
-    return cachedParts;
-  }
-
+export const loadParts = async (
+  locator = DEFAULT_PARTS_URL,
+  { signal } = {},
+) => {
   try {
-    const res = await fetch("/parts.json");
-    const data = await res.json();
-    cachedParts = data.partsByName;
-    return cachedParts;
+    return await getAdapter(locator).loadIndex(signal);
   } catch (err) {
-    console.error("❌ Error loading parts data:", err);
+    if (!isAbortError(err)) {
+      console.error("❌ Error loading parts data:", err);
+    }
     throw err;
   }
 };
 
 /**
- * Get part information by name from loaded parts data.
+ * Load the full record of one part.
  *
- * Safe lookup with fallback to null if part not found.
- * Logs warning to console if part name doesn't exist in data.
+ * Cached per part; selecting the same part again doesn't refetch, and a quick
+ * selection change can cancel the previous request through `signal`.
  *
- * @param {Object} partsData - The loaded parts data object (from loadParts)
- * @param {string} name - The part name to look up
- * @returns {Object|null} Part information object, or null if not found
- *
- * @example
- * const parts = await loadParts();
- * const partInfo = getPartByName(parts, 'Engine Block');
+ * @async
+ * @param {string} locator - Metadata locator of the active model
+ * @param {string} key - Part key (in partsByName)
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels this call (AbortError)
+ * @returns {Promise<Object|null>} Part record, or null if the key is unknown
  */
-export const getPartByName = (partsData, name) => {
-  if (!partsData || !name) {
-    return null;
-  }
-
-  const part = partsData[name];
-  if (!part) {
-    console.warn(`⚠️ No data found for part: ${name}`);
-    return null;
-  }
+export const loadPartDetails = (locator, key, { signal } = {}) =>
+  getAdapter(locator).loadPart(key, signal);
 
-  return part;
-};
+/**
+ * Whether part details must be fetched separately from the index
+ * (REST backends) or are already part of it (static files, IndexedDB).
+ *
+ * @param {string} locator - Metadata locator
+ * @returns {boolean} True when loadPartDetails() hits the backend
+ */
+export const hasLazyPartDetails = (locator) => getAdapter(locator).lazyDetails;
 
 /**
  * Clear the cached parts data.
@@ -79,7 +103,24 @@ export const getPartByName = (partsData, name) => {
  * - Resetting application state
  *
  * After calling this, next loadParts() will fetch fresh data from server.
+ *
+ * @param {string} [locator] - Metadata source to evict; clears every source when omitted
+ */
+export const clearCache = (locator) => {
+  if (locator) {
+    adaptersByLocator.get(locator)?.invalidate();
+    return;
+  }
+  adaptersByLocator.forEach((adapter) => adapter.invalidate());
+};
+
+/**
+ * Drop the cached record of a single part so the next loadPartDetails() refetches it.
+ * Sources without per-part records (static files, IndexedDB) are reloaded entirely.
+ *
+ * @param {string} locator - Metadata locator
+ * @param {string} key - Part key
  */
-export const clearCache = () => {
-  cachedParts = null;
+export const invalidatePart = (locator, key) => {
+  adaptersByLocator.get(locator)?.invalidate(key);
 };
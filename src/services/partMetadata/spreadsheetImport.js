@@ -0,0 +1,283 @@
+/**
+ * Spreadsheet import - turns BOM rows (CSV/TSV) into metadata edits.
+ *
+ * Rows are matched to scene nodes with the part resolver, using the same rules as
+ * metadata files (scene path, then part number, then unique name). A matched row
+ * updates the metadata entry of its node; nodes without an entry get a new one,
+ * keyed by the node name and carrying the node's scene path. Rows matching no
+ * node are reported and not imported.
+ *
+ * Empty cells never clear existing values, and values failing the part schema are
+ * skipped (and reported) instead of being imported.
+ */
+
+import { PART_SCHEMA, validateField } from "./partSchema";
+import { parseFieldInput } from "./partEdits";
+import { resolveParts, SCENE_PATH_SEPARATOR } from "./partResolver";
+
+/** Fields identifying the part a row describes */
+export const IMPORT_KEY_FIELDS = ["name", "path", "partNumber"];
+
+/** Fields whose values are imported into existing entries */
+export const IMPORT_DATA_FIELDS = [
+  "serialNumber",
+  "material",
+  "category",
+  "weightKg",
+  "productionDate",
+  "lastMaintenanceDate",
+  "serviceIntervalDays",
+  "maintenanceNotes",
+];
+
+/** Every field a column can be mapped to, in display order */
+export const IMPORT_FIELDS = [...IMPORT_KEY_FIELDS, ...IMPORT_DATA_FIELDS];
+
+/** Header names recognized per field (compared after normalizeHeader) */
+const HEADER_ALIASES = {
+  name: ["name", "part name", "part", "component", "item", "description"],
+  path: ["path", "scene path", "node path", "node"],
+  partNumber: [
+    "part number",
+    "partnumber",
+    "part no",
+    "part #",
+    "pn",
+    "p n",
+    "part id",
+    "partid",
+  ],
+  serialNumber: ["serial number", "serialnumber", "serial", "serial no", "sn"],
+  material: ["material", "materials"],
+  category: ["category", "type", "part type", "group"],
+  weightKg: ["weight", "weight kg", "weightkg", "mass", "mass kg"],
+  productionDate: [
+    "production date",
+    "productiondate",
+    "produced",
+    "manufactured",
+    "manufacturing date",
+  ],
+  lastMaintenanceDate: [
+    "last maintenance",
+    "last maintenance date",
+    "lastmaintenancedate",
+    "last service",
+    "last service date",
+  ],
+  serviceIntervalDays: [
+    "service interval",
+    "service interval days",
+    "serviceintervaldays",
+    "interval",
+    "interval days",
+  ],
+  maintenanceNotes: [
+    "notes",
+    "maintenance notes",
+    "maintenancenotes",
+    "comments",
+    "remarks",
+  ],
+};
+
+/** Decimal comma as written by spreadsheets in some locales ("0,25") */
+const DECIMAL_COMMA_PATTERN = /^-?\d+,\d+$/;
+
+/**
+ * Normalize a column header for alias lookup ("Weight (kg)" -> "weight kg").
+ *
+ * @param {string} header - Header cell
+ * @returns {string} Lowercase header with punctuation collapsed to spaces
+ */
+const normalizeHeader = (header) =>
+  header
+    .toLowerCase()
+    .replace(/[()[\]_\-./]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Guess which column holds each field from the header row.
+ *
+ * @param {Array<string>} headers - Header cells
+ * @returns {Object<string, number|null>} Field -> column index (null when unmapped)
+ *
+ * @example
+ * guessColumnMapping(["Part No", "Material", "Weight (kg)"]);
+ * // { partNumber: 0, material: 1, weightKg: 2, name: null, ... }
+ */
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+
+  IMPORT_FIELDS.forEach((field) => {
+    const index = normalized.findIndex(
+      (header, i) => !used.has(i) && HEADER_ALIASES[field].includes(header),
+    );
+    mapping[field] = index >= 0 ? index : null;
+    if (index >= 0) used.add(index);
+  });
+  return mapping;
+};
+
+/**
+ * Parse a cell into the value stored for a field.
+ *
+ * @param {string} field - Field key in PART_SCHEMA
+ * @param {string} text - Cell text
+ * @returns {*} Field value (null for empty cells)
+ */
+const parseCell = (field, text) => {
+  const trimmed = text.trim();
+  const input =
+    PART_SCHEMA[field].type === "number" && DECIMAL_COMMA_PATTERN.test(trimmed)
+      ? trimmed.replace(",", ".")
+      : text;
+  return parseFieldInput(field, input);
+};
+
+/**
+ * Read the mapped cells of each data row.
+ *
+ * @param {Array<Object>} rows - Data rows { line, cells } (see readDelimitedTable)
+ * @param {Object<string, number|null>} mapping - Field -> column index
+ * @returns {Array<Object>} Rows:
+ *   { line, identity: { name?, path?, partNumber? }, values: { [field]: value },
+ *     problems: [{ field, message }] }
+ */
+export const readImportRows = (rows, mapping) =>
+  rows.map(({ line, cells }) => {
+    const identity = {};
+    const values = {};
+    const problems = [];
+
+    IMPORT_FIELDS.forEach((field) => {
+      const column = mapping[field];
+      if (column === null || column === undefined) return;
+
+      const value = parseCell(field, cells[column] ?? "");
+      if (value === null) return;
+
+      const result = validateField(field, value);
+      if (result.status === "invalid") {
+        problems.push({ field, message: result.message });
+      } else if (IMPORT_KEY_FIELDS.includes(field)) {
+        identity[field] = value;
+      } else {
+        values[field] = value;
+      }
+    });
+
+    if (Object.keys(identity).length === 0) {
+      problems.push({
+        field: null,
+        message: "Row has no name, path or part number",
+      });
+    }
+    return { line, identity, values, problems };
+  });
+
+/**
+ * Pick a key for a new entry that isn't taken yet ("Bolt", "Bolt (2)", ...).
+ *
+ * @param {string} name - Preferred key
+ * @param {Set<string>} taken - Keys already in use (updated)
+ * @returns {string} Unique key
+ */
+const claimKey = (name, taken) => {
+  let key = name;
+  for (let n = 2; taken.has(key); n++) key = `${name} (${n})`;
+  taken.add(key);
+  return key;
+};
+
+/**
+ * Match import rows to scene nodes and to the metadata entries they update.
+ *
+ * @param {Array<Object>} rows - Rows from readImportRows
+ * @param {Array<Object>} nodes - Scene node descriptors { id, name, path, userData }
+ * @param {Object<string, Object>} partsData - Current metadata (added entries included)
+ * @param {Object} resolution - Current node resolution (see resolveParts)
+ * @returns {Array<Object>} Rows with `targets`: [{ nodeId, nodeName, key, isNew, path }]
+ *   and `status`: "matched" | "unmatched" | "skipped" (no identity) |
+ *   "conflict" (only nodes matching several entries)
+ */
+export const matchImportRows = (rows, nodes, partsData, resolution) => {
+  const rowsByKey = {};
+  rows.forEach((row, index) => {
+    if (Object.keys(row.identity).length > 0) {
+      rowsByKey[`row:${index}`] = row.identity;
+    }
+  });
+
+  const targets = rows.map(() => []);
+  const conflicts = rows.map(() => 0);
+  const taken = new Set(Object.keys(partsData || {}));
+  const ambiguousIds = new Set(resolution.ambiguous.map((node) => node.id));
+  const rowResolution = resolveParts(rowsByKey, nodes);
+
+  nodes.forEach((node) => {
+    const rowMatch = rowResolution.matches[node.id];
+    if (!rowMatch) return;
+
+    const index = Number(rowMatch.key.slice("row:".length));
+    if (ambiguousIds.has(node.id)) {
+      conflicts[index]++;
+      return;
+    }
+
+    const path = node.path.join(SCENE_PATH_SEPARATOR);
+    const existing = resolution.matches[node.id];
+    targets[index].push({
+      nodeId: node.id,
+      nodeName: node.name,
+      key: existing
+        ? existing.key
+        : claimKey(rows[index].identity.name || node.name || path, taken),
+      isNew: !existing,
+      path,
+    });
+  });
+
+  return rows.map((row, index) => {
+    let status = "matched";
+    if (!rowsByKey[`row:${index}`]) status = "skipped";
+    else if (targets[index].length === 0) {
+      status = conflicts[index] > 0 ? "conflict" : "unmatched";
+    }
+    return { ...row, targets: targets[index], status };
+  });
+};
+
+/**
+ * Turn matched rows into edits keyed by part key. Later rows win when several
+ * rows target the same entry.
+ *
+ * @param {Array<Object>} matchedRows - Rows from matchImportRows
+ * @returns {Object<string, Object>} { [key]: { [field]: value } }; new entries also
+ *   get their identity (name, partNumber, scene path)
+ */
+export const buildImportEdits = (matchedRows) => {
+  const editsByKey = {};
+  matchedRows.forEach((row) => {
+    row.targets.forEach((target) => {
+      const identity = target.isNew
+        ? {
+            name: row.identity.name || target.nodeName || target.key,
+            ...(row.identity.partNumber && {
+              partNumber: row.identity.partNumber,
+            }),
+            path: target.path,
+          }
+        : {};
+      editsByKey[target.key] = {
+        ...editsByKey[target.key],
+        ...identity,
+        ...row.values,
+      };
+    });
+  });
+  return editsByKey;
+};
@@ -0,0 +1,84 @@
+/**
+ * Weight roll-up - aggregates part weights over the model hierarchy.
+ *
+ * Only leaf parts (nodes without child nodes) contribute to totals: metadata files
+ * often declare a weight for assemblies as well as for their parts, and summing both
+ * would count the same mass twice. An assembly's own declared weight is kept
+ * separately so it can be compared with the computed total.
+ *
+ * Leaf parts without metadata or without a valid `weightKg` are counted as missing,
+ * which marks the totals of every assembly containing them as partial.
+ */
+
+import { validateField } from "./partSchema";
+
+/**
+ * Read the valid weight of a metadata entry.
+ *
+ * @param {Object|undefined} record - Metadata entry
+ * @returns {number|null} Weight in kg, or null when missing or invalid
+ */
+const readWeight = (record) =>
+  record && validateField("weightKg", record.weightKg).status === "valid"
+    ? record.weightKg
+    : null;
+
+/**
+ * Compute weight totals for every node of the hierarchy.
+ *
+ * @param {Array<Object>} items - Hierarchy roots ({ id, name, children }, see buildHierarchy)
+ * @param {Object} resolution - Node resolution (see resolveParts)
+ * @param {Object<string, Object>} records - Metadata entries keyed by part key
+ * @returns {Object<string, Object>} Node id -> { totalKg, partCount, missingCount,
+ *   isPartial, isAssembly, declaredKg } where declaredKg is the node's own weight
+ *   (null if none)
+ *
+ * @example
+ * const rollup = computeWeightRollup(items, resolution, records);
+ * rollup[crankId];
+ * // { totalKg: 4.2, partCount: 9, missingCount: 1, isPartial: true, isAssembly: true, declaredKg: 4.5 }
+ */
+export const computeWeightRollup = (items, resolution, records) => {
+  const rollup = {};
+
+  const visit = (node) => {
+    const key = resolution.matches[node.id]?.key;
+    const declaredKg = key ? readWeight(records[key]) : null;
+
+    const isAssembly = node.children.length > 0;
+    const entry = {
+      totalKg: 0,
+      partCount: 0,
+      missingCount: 0,
+      isAssembly,
+      declaredKg,
+    };
+    if (!isAssembly) {
+      entry.totalKg = declaredKg ?? 0;
+      entry.partCount = 1;
+      entry.missingCount = declaredKg === null ? 1 : 0;
+    } else {
+      node.children.forEach((child) => {
+        const childEntry = visit(child);
+        entry.totalKg += childEntry.totalKg;
+        entry.partCount += childEntry.partCount;
+        entry.missingCount += childEntry.missingCount;
+      });
+    }
+
+    entry.isPartial = entry.missingCount > 0;
+    rollup[node.id] = entry;
+    return entry;
+  };
+
+  items.forEach(visit);
+  return rollup;
+};
+
+/**
+ * Format a weight for display ("0.3 kg", "12.05 kg"), with at most 3 decimals.
+ *
+ * @param {number} kg - Weight in kilograms
+ * @returns {string} Formatted weight with unit
+ */
+export const formatWeightKg = (kg) => `${Number(kg.toFixed(3))} kg`;
@@ -0,0 +1,207 @@
+import { useState } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { partMetadataStore } from "../../partMetadata/partMetadata";
+import { modelSourceStore } from "../../modelSource/modelSource";
+import {
+  BOM_COLUMNS,
+  toBomJson,
+} from "../../../../services/partMetadata/billOfMaterials";
+import { toCsv } from "../../../../services/export/csv";
+import {
+  downloadFile,
+  downloadJson,
+  toFileBaseName,
+} from "../../../../services/export/downloadFile";
+import { useBillOfMaterials } from "../hooks/useBillOfMaterials";
+import styles from "./BomPanel.module.css";
+
+/** Separator between the scene paths of a grouped line in the CSV export */
+const CSV_PATH_SEPARATOR = " | ";
+
+/** Columns of the CSV export (table columns plus scene paths) */
+const CSV_COLUMNS = [
+  ...BOM_COLUMNS,
+  {
+    label: "Scene Paths",
+    value: (line) => line.paths.join(CSV_PATH_SEPARATOR),
+  },
+];
+
+/**
+ * Format a numeric cell (weights get 3 decimals, empty when unknown).
+ *
+ * @param {Object} column - Column from BOM_COLUMNS
+ * @param {*} value - Cell value
+ * @returns {string} Display text
+ */
+const formatCell = (column, value) => {
+  if (value === null || value === undefined) return "—";
+  if (column.id === "weightKg" || column.id === "totalWeightKg") {
+    return Number(value.toFixed(3)).toString();
+  }
+  return String(value);
+};
+
+/**
+ * Bill of materials panel listing every part of the loaded model.
+ *
+ * Features:
+ * - One line per part number with its quantity and total weight (or one line per
+ *   scene node when grouping is off)
+ * - Click a column header to sort (again to reverse, a third time for scene order)
+ * - Text filter on part number, name and material
+ * - Clicking a line selects its (first) node; lines of the selected node are highlighted
+ * - Export of the visible lines to CSV or JSON
+ *
+ * Values come from the metadata as currently seen by the viewer (local edits and
+ * imports included); invalid weights are left out of the totals.
+ *
+ * @component
+ * @returns {JSX.Element} BOM toolbar, table and totals
+ */
+export function BomPanel() {
+  const [grouped, setGrouped] = useState(true);
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState(null);
+  const { lines, totalLines } = useBillOfMaterials({ grouped, query, sort });
+
+  const partsData = partMetadataStore((state) => state.partsData);
+  const selectedId = viewerStateStore((state) => state.selectedId);
+  const setSelectedById = viewerStateStore((state) => state.setSelectedById);
+  const modelName = modelSourceStore((state) => state.source.name);
+
+  if (!partsData) {
+    return <p className={styles.message}>Loading part metadata...</p>;
+  }
+
+  if (totalLines === 0) {
+    return (
+      <p className={styles.message}>
+        No scene node is matched to a metadata entry, so there is nothing to
+        list. Check the metadata coverage panel.
+      </p>
+    );
+  }
+
+  /**
+   * Cycle the sort of a column: ascending, descending, scene order.
+   */
+  const toggleSort = (column) => {
+    if (sort?.column !== column) {
+      setSort({ column, direction: "asc" });
+    } else if (sort.direction === "asc") {
+      setSort({ column, direction: "desc" });
+    } else {
+      setSort(null);
+    }
+  };
+
+  const baseName = `${toFileBaseName(modelName, "model")}-bom`;
+  const exportCsv = () =>
+    downloadFile(`${baseName}.csv`, toCsv(CSV_COLUMNS, lines), "text/csv");
+  const exportJson = () => downloadJson(`${baseName}.json`, toBomJson(lines));
+
+  const totals = toBomJson(lines).totals;
+
+  return (
+    <div className={styles.bom}>
+      <div className={styles.toolbar}>
+        <input
+          type="search"
+          className={styles.search}
+          placeholder="Filter part number, name, material…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          aria-label="Filter BOM"
+        />
+        <label className={styles.toggle}>
+          <input
+            type="checkbox"
+            checked={grouped}
+            onChange={(e) => setGrouped(e.target.checked)}
+          />
+          Group by part number
+        </label>
+      </div>
+
+      <div className={styles.tableWrapper}>
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              {BOM_COLUMNS.map((column) => (
+                <th
+                  key={column.id}
+                  className={column.type === "number" ? styles.numeric : ""}
+                  aria-sort={
+                    sort?.column === column.id
+                      ? sort.direction === "asc"
+                        ? "ascending"
+                        : "descending"
+                      : "none"
+                  }
+                >
+                  <button
+                    type="button"
+                    className={styles.sortBtn}
+                    onClick={() => toggleSort(column.id)}
+                  >
+                    {column.label}
+                    {sort?.column === column.id &&
+                      (sort.direction === "asc" ? " ▲" : " ▼")}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map((line) => (
+              <tr
+                key={line.id}
+                className={`${styles.line} ${
+                  line.nodeIds.includes(selectedId) ? styles.lineSelected : ""
+                }`}
+                onClick={() => setSelectedById(line.nodeIds[0])}
+                title={line.paths.join("\n")}
+              >
+                {BOM_COLUMNS.map((column) => (
+                  <td
+                    key={column.id}
+                    className={column.type === "number" ? styles.numeric : ""}
+                  >
+                    {formatCell(column, column.value(line))}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {lines.length === 0 && (
+          <p className={styles.message}>No part matches the filter.</p>
+        )}
+      </div>
+
+      <div className={styles.footer}>
+        <span className={styles.totals}>
+          {lines.length}/{totalLines} lines · {totals.quantity} parts ·{" "}
+          {totals.partialWeight ? "≥ " : ""}
+          {Number(totals.weightKg.toFixed(3))} kg
+          {totals.partialWeight && (
+            <span
+              className={styles.partial}
+              title="Some lines have no valid weight"
+            >
+              {" "}
+              (partial)
+            </span>
+          )}
+        </span>
+        <button type="button" className={styles.exportBtn} onClick={exportCsv}>
+          Export CSV
+        </button>
+        <button type="button" className={styles.exportBtn} onClick={exportJson}>
+          Export JSON
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,7 @@
+/**
+ * Bill of materials feature barrel file.
+ * Exports the BOM panel (sortable, filterable parts list with CSV/JSON export)
+ * and its hook.
+ */
+export { BomPanel } from "./BomPanel/BomPanel";
+export { useBillOfMaterials } from "./hooks/useBillOfMaterials";
@@ -0,0 +1,43 @@
+import { useMemo } from "react";
+import {
+  partMetadataStore,
+  usePartRecords,
+} from "../../partMetadata/partMetadata";
+import {
+  buildBomLines,
+  filterBomLines,
+  sortBomLines,
+} from "../../../../services/partMetadata/billOfMaterials";
+
+/**
+ * Custom hook returning the bill of materials of the active model.
+ *
+ * Lines are rebuilt when the node resolution or any metadata entry changes
+ * (including local edits and imports), then filtered and sorted for display.
+ *
+ * @hook
+ * @param {Object} options - View options
+ * @param {boolean} options.grouped - Group instances sharing a part number
+ * @param {string} options.query - Text filter (part number, name, material)
+ * @param {Object|null} options.sort - { column, direction } or null for scene order
+ * @returns {Object} { lines, totalLines } - visible lines and the unfiltered line count
+ *
+ * @example
+ * const { lines } = useBillOfMaterials({ grouped: true, query: "", sort: null });
+ */
+export const useBillOfMaterials = ({ grouped, query, sort }) => {
+  const resolution = partMetadataStore((state) => state.resolution);
+  const records = usePartRecords();
+
+  const allLines = useMemo(
+    () => buildBomLines(resolution, records, { grouped }),
+    [resolution, records, grouped],
+  );
+
+  const lines = useMemo(
+    () => sortBomLines(filterBomLines(allLines, query), sort),
+    [allLines, query, sort],
+  );
+
+  return { lines, totalLines: allLines.length };
+};
@@ -0,0 +1,14 @@
+/**
+ * Deep link feature barrel file.
+ * Exports the hook keeping the viewer state in the page URL (shareable links
+ * restored on load), the store exchanging the camera pose with the scene,
+ * the path-based view snapshots shared with saved views and the scene path
+ * index they are built on.
+ */
+export { deepLinkStore } from "./state/deepLinkStore";
+export { useViewerLink } from "./hooks/useViewerLink";
+export {
+  captureViewSnapshot,
+  resolveViewSnapshot,
+} from "./domain/viewSnapshot";
+export { buildNodePathIndex } from "./domain/nodePaths";
@@ -0,0 +1,37 @@
+/**
+ * Node paths - stable references to the loaded model's nodes for viewer links.
+ */
+import { viewerStateStore } from "../../viewerState/viewerState";
+import {
+  formatScenePath,
+  getScenePath,
+} from "../../../three/features/model/scenePath";
+
+/**
+ * Index the loaded model's nodes by scene path.
+ *
+ * Paths repeat when siblings share a name; the later ones get an occurrence
+ * suffix ("Scene/Bolt[2]") in traversal order, which is the same on every load
+ * of the model.
+ *
+ * @returns {Object} { pathById: Map<uuid, path>, idByPath: Map<path, uuid> }
+ *   (empty while no model is loaded)
+ */
+export const buildNodePathIndex = () => {
+  const pathById = new Map();
+  const idByPath = new Map();
+  const root = viewerStateStore.getState().getModelRoot();
+  if (!root) return { pathById, idByPath };
+
+  root.traverse((obj) => {
+    const basePath = formatScenePath(getScenePath(obj, root));
+    let path = basePath;
+    for (let occurrence = 2; idByPath.has(path); occurrence += 1) {
+      path = `${basePath}[${occurrence}]`;
+    }
+    pathById.set(obj.uuid, path);
+    idByPath.set(path, obj.uuid);
+  });
+
+  return { pathById, idByPath };
+};
@@ -0,0 +1,88 @@
+/**
+ * View snapshots - what the user sees (camera, visibility, isolation, selection,
+ * explosion) described with scene paths, so it can be restored after a reload.
+ * Shared by viewer links and saved views.
+ */
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { deepLinkStore } from "../state/deepLinkStore";
+import { buildNodePathIndex } from "./nodePaths";
+
+/**
+ * Describe the current view with scene paths.
+ *
+ * @returns {Object} { selected, hidden, isolation, solo, explosion,
+ *   subtreeExplosions, camera } (absent nodes are null, hidden an array of paths,
+ *   subtreeExplosions { [path]: factor }, camera { position, target } or null
+ *   before the scene reported it)
+ */
+export const captureViewSnapshot = () => {
+  const {
+    selectedId,
+    hiddenObjects,
+    isolationMode,
+    individualIsolatedId,
+    explosionFactor,
+    subtreeExplosions,
+    getObjectById,
+  } = viewerStateStore.getState();
+  const { pathById } = buildNodePathIndex();
+
+  // Hiding a node hides its subtree: only the topmost hidden nodes are needed
+  const hidden = [];
+  hiddenObjects.forEach((id) => {
+    const parentId = getObjectById(id)?.parent?.uuid;
+    if (pathById.has(id) && !hiddenObjects.has(parentId)) {
+      hidden.push(pathById.get(id));
+    }
+  });
+
+  return {
+    selected: pathById.get(selectedId) ?? null,
+    hidden,
+    isolation: isolationMode,
+    solo: pathById.get(individualIsolatedId) ?? null,
+    explosion: explosionFactor,
+    subtreeExplosions: Object.fromEntries(
+      Object.entries(subtreeExplosions)
+        .filter(([id]) => pathById.has(id))
+        .map(([id, factor]) => [pathById.get(id), factor]),
+    ),
+    camera: deepLinkStore.getState().cameraPose,
+  };
+};
+
+/**
+ * Resolve a snapshot's paths against the loaded model.
+ *
+ * @param {Object} snapshot - View snapshot (see captureViewSnapshot)
+ * @returns {Object} { view, missing }:
+ *   - view: argument of viewerStateStore.restoreView (UUIDs)
+ *   - missing: paths that don't exist in the model
+ */
+export const resolveViewSnapshot = (snapshot) => {
+  const { idByPath } = buildNodePathIndex();
+  const missing = [];
+  const toId = (path) => {
+    if (!path) return null;
+    const id = idByPath.get(path) ?? null;
+    if (!id) missing.push(path);
+    return id;
+  };
+
+  return {
+    view: {
+      hiddenIds: snapshot.hidden.map(toId).filter(Boolean),
+      isolationMode: snapshot.isolation,
+      individualIsolatedId: toId(snapshot.solo),
+      selectedId: toId(snapshot.selected),
+      explosionFactor: snapshot.explosion,
+      subtreeExplosions: Object.fromEntries(
+        // Views saved before subtree explosions existed have none
+        Object.entries(snapshot.subtreeExplosions ?? {})
+          .map(([path, factor]) => [toId(path), factor])
+          .filter(([id]) => id),
+      ),
+    },
+    missing,
+  };
+};
@@ -0,0 +1,156 @@
+/**
+ * Viewer link - viewer state encoded in the page query string.
+ *
+ * Nodes are referred to by their scene path (UUIDs are regenerated on every load),
+ * so a link restores the same parts on another machine:
+ *
+ * ?model=air-motor&sel=Scene/.../Crank_L_07&hide=Scene/.../Flywheel_L_09
+ *   &iso=1&explode=0.35&cam=120,40,180,0,0,0&panel=bom&color=material
+ *
+ * - sel: selected node
+ * - hide: hidden nodes (repeated; only the topmost node of a hidden subtree)
+ * - iso=1: isolation mode; solo: individually isolated node
+ * - explode: explosion factor (0-1)
+ * - subexplode: exploded subassembly, "factor:path" (repeated)
+ * - cam: camera position and orbit target (x,y,z,tx,ty,tz)
+ * - panel: open workspace panel; color: heatmap attribute
+ */
+
+/** Query parameters owned by the viewer link (model parameters excluded) */
+export const VIEW_QUERY_PARAMS = {
+  selected: "sel",
+  hidden: "hide",
+  isolation: "iso",
+  solo: "solo",
+  explosion: "explode",
+  subtreeExplosions: "subexplode",
+  camera: "cam",
+  panel: "panel",
+  heatmap: "color",
+};
+
+/** Decimals kept for camera coordinates and the explosion factor */
+const LINK_DECIMALS = 3;
+
+/**
+ * Round a number for the query string.
+ *
+ * @param {number} value - Number
+ * @returns {number} Rounded number
+ */
+const roundForLink = (value) => Number(value.toFixed(LINK_DECIMALS));
+
+/**
+ * Parse a camera pose ("x,y,z,tx,ty,tz").
+ *
+ * @param {string|null} text - Parameter value
+ * @returns {Object|null} { position, target }, or null when malformed
+ */
+const parseCamera = (text) => {
+  const numbers = (text ?? "").split(",").map(Number);
+  if (numbers.length !== 6 || !numbers.every(Number.isFinite)) return null;
+  return { position: numbers.slice(0, 3), target: numbers.slice(3) };
+};
+
+/**
+ * Parse the exploded subassemblies ("factor:path" each).
+ *
+ * @param {Array<string>} values - Parameter values
+ * @returns {Object} { [path]: factor }, malformed values left out
+ */
+const parseSubtreeExplosions = (values) => {
+  const subtreeExplosions = {};
+  values.forEach((value) => {
+    const separator = value.indexOf(":");
+    const factor = Number(value.slice(0, separator));
+    const path = value.slice(separator + 1);
+    if (separator > 0 && path && factor > 0 && factor <= 1) {
+      subtreeExplosions[path] = factor;
+    }
+  });
+  return subtreeExplosions;
+};
+
+/**
+ * Read the viewer state encoded in a query string.
+ *
+ * @param {string} search - Query string ("?sel=...")
+ * @returns {Object|null} { selected, hidden, isolation, solo, explosion,
+ *   subtreeExplosions, camera, panel, heatmap } (absent values are null, hidden
+ *   an array, subtreeExplosions an object), or null when the query string
+ *   carries no viewer state
+ *
+ * @example
+ * decodeViewerLink("?sel=Scene/BASE_00&explode=0.5");
+ * // { selected: "Scene/BASE_00", hidden: [], isolation: false, solo: null,
+ * //   explosion: 0.5, subtreeExplosions: {}, camera: null, panel: null, heatmap: null }
+ */
+export const decodeViewerLink = (search) => {
+  const params = new URLSearchParams(search);
+  const hasViewState = Object.values(VIEW_QUERY_PARAMS).some((name) =>
+    params.has(name),
+  );
+  if (!hasViewState) return null;
+
+  const explosion = Number(params.get(VIEW_QUERY_PARAMS.explosion));
+  return {
+    selected: params.get(VIEW_QUERY_PARAMS.selected) || null,
+    hidden: params.getAll(VIEW_QUERY_PARAMS.hidden).filter(Boolean),
+    isolation: params.get(VIEW_QUERY_PARAMS.isolation) === "1",
+    solo: params.get(VIEW_QUERY_PARAMS.solo) || null,
+    explosion:
+      params.has(VIEW_QUERY_PARAMS.explosion) &&
+      explosion >= 0 &&
+      explosion <= 1
+        ? explosion
+        : null,
+    subtreeExplosions: parseSubtreeExplosions(
+      params.getAll(VIEW_QUERY_PARAMS.subtreeExplosions),
+    ),
+    camera: parseCamera(params.get(VIEW_QUERY_PARAMS.camera)),
+    panel: params.get(VIEW_QUERY_PARAMS.panel) || null,
+    heatmap: params.get(VIEW_QUERY_PARAMS.heatmap) || null,
+  };
+};
+
+/**
+ * Write the viewer state into query parameters, replacing the previous viewer
+ * state. Other parameters (model, parts, ...) are left as they are; default
+ * values are left out to keep links short.
+ *
+ * @param {URLSearchParams} params - Parameters to update (modified in place)
+ * @param {Object} link - State in the shape returned by decodeViewerLink
+ * @returns {URLSearchParams} The updated parameters
+ */
+export const encodeViewerLink = (params, link) => {
+  Object.values(VIEW_QUERY_PARAMS).forEach((name) => params.delete(name));
+
+  if (link.selected) params.set(VIEW_QUERY_PARAMS.selected, link.selected);
+  link.hidden.forEach((path) => params.append(VIEW_QUERY_PARAMS.hidden, path));
+  if (link.isolation) params.set(VIEW_QUERY_PARAMS.isolation, "1");
+  if (link.solo) params.set(VIEW_QUERY_PARAMS.solo, link.solo);
+  if (link.explosion > 0) {
+    params.set(
+      VIEW_QUERY_PARAMS.explosion,
+      String(roundForLink(link.explosion)),
+    );
+  }
+  Object.entries(link.subtreeExplosions).forEach(([path, factor]) => {
+    params.append(
+      VIEW_QUERY_PARAMS.subtreeExplosions,
+      `${roundForLink(factor)}:${path}`,
+    );
+  });
+  if (link.camera) {
+    params.set(
+      VIEW_QUERY_PARAMS.camera,
+      [...link.camera.position, ...link.camera.target]
+        .map(roundForLink)
+        .join(","),
+    );
+  }
+  if (link.panel) params.set(VIEW_QUERY_PARAMS.panel, link.panel);
+  if (link.heatmap) params.set(VIEW_QUERY_PARAMS.heatmap, link.heatmap);
+
+  return params;
+};
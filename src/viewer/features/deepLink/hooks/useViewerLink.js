@@ -0,0 +1,160 @@
+import { useEffect } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { workspaceStore } from "../../workspace/workspace";
+import { heatmapStore } from "../../heatmap/heatmap";
+import {
+  modelSourceStore,
+  MODEL_QUERY_PARAM,
+  PARTS_QUERY_PARAM,
+} from "../../modelSource/modelSource";
+import { HEATMAP_ATTRIBUTES } from "../../../../services/partMetadata/heatmap";
+import { deepLinkStore } from "../state/deepLinkStore";
+import { encodeViewerLink } from "../domain/viewerLink";
+import {
+  captureViewSnapshot,
+  resolveViewSnapshot,
+} from "../domain/viewSnapshot";
+
+/** Delay before the URL follows a change (explosion drags, camera moves) */
+const URL_UPDATE_DELAY_MS = 300;
+
+/**
+ * Apply a link's viewer state to the loaded model.
+ * Paths that don't exist in the model are skipped and reported in the console.
+ *
+ * @param {Object} link - Decoded viewer link (see decodeViewerLink)
+ */
+const restoreViewerLink = (link) => {
+  const { view, missing } = resolveViewSnapshot(link);
+  const viewerState = viewerStateStore.getState();
+  viewerState.restoreView(view);
+
+  if (link.panel) workspaceStore.getState().openPanel(link.panel);
+  if (HEATMAP_ATTRIBUTES[link.heatmap]) {
+    heatmapStore.getState().setAttribute(link.heatmap);
+  }
+  // Applied by the scene after the selection, so the focus animation doesn't move it
+  if (link.camera) deepLinkStore.getState().requestCameraPose(link.camera);
+  // The shared view is where the user starts, not a change to undo
+  viewerState.clearHistory();
+
+  if (missing.length > 0) {
+    console.warn(
+      "⚠️ Nodes of the viewer link not found in the model:",
+      missing,
+    );
+  }
+};
+
+/**
+ * Set the model parameters of the query string for the active source.
+ * Local files can't be shared, so their link carries no model.
+ *
+ * @param {URLSearchParams} params - Parameters to update (modified in place)
+ * @param {Object} source - Active model source
+ */
+const encodeModelSource = (params, source) => {
+  params.delete(MODEL_QUERY_PARAM);
+  params.delete(PARTS_QUERY_PARAM);
+
+  if (source.kind === "catalog" && source.id) {
+    params.set(MODEL_QUERY_PARAM, source.id);
+  } else if (source.kind === "url") {
+    params.set(MODEL_QUERY_PARAM, source.url);
+    if (source.partsUrl) params.set(PARTS_QUERY_PARAM, source.partsUrl);
+  }
+};
+
+/**
+ * Describe the current viewer state as a link (see encodeViewerLink).
+ *
+ * @returns {Object} Viewer link state
+ */
+const captureViewerLink = () => ({
+  ...captureViewSnapshot(),
+  panel: workspaceStore.getState().activePanel,
+  heatmap: heatmapStore.getState().attribute,
+});
+
+/**
+ * Custom hook making the viewer state shareable through the page URL.
+ *
+ * - On load, once the model's object map is ready, restores the state encoded
+ *   in the URL: selected part, hidden parts, isolation, explosion factors,
+ *   camera, open panel and heatmap attribute (nodes are referred to by scene path)
+ * - Afterwards, keeps the URL in sync with the viewer state (history.replaceState,
+ *   so no history entry per change), including the active model
+ *
+ * Mount once (App). The camera pose is reported and applied by the scene
+ * (useCameraLink).
+ *
+ * @hook
+ *
+ * @example
+ * useViewerLink();
+ */
+export const useViewerLink = () => {
+  const items = viewerStateStore((state) => state.items);
+  const selectedId = viewerStateStore((state) => state.selectedId);
+  const hiddenObjects = viewerStateStore((state) => state.hiddenObjects);
+  const isolationMode = viewerStateStore((state) => state.isolationMode);
+  const individualIsolatedId = viewerStateStore(
+    (state) => state.individualIsolatedId,
+  );
+  const explosionFactor = viewerStateStore((state) => state.explosionFactor);
+  const subtreeExplosions = viewerStateStore(
+    (state) => state.subtreeExplosions,
+  );
+  const activePanel = workspaceStore((state) => state.activePanel);
+  const heatmapAttribute = heatmapStore((state) => state.attribute);
+  const source = modelSourceStore((state) => state.source);
+  const pendingLink = deepLinkStore((state) => state.pendingLink);
+  const cameraPose = deepLinkStore((state) => state.cameraPose);
+
+  /**
+   * Restore the startup link once the model is loaded (items are built right
+   * after the object map, so paths can be resolved).
+   */
+  useEffect(() => {
+    if (!pendingLink || items.length === 0) return;
+    restoreViewerLink(pendingLink);
+    deepLinkStore.getState().clearPendingLink();
+  }, [pendingLink, items]);
+
+  /**
+   * Follow the viewer state in the URL. Waits for the startup link to be
+   * restored (so it isn't overwritten) and for the model to be loaded.
+   */
+  useEffect(() => {
+    if (pendingLink || items.length === 0) return undefined;
+
+    const timer = setTimeout(() => {
+      const params = new URLSearchParams(window.location.search);
+      encodeModelSource(params, source);
+      encodeViewerLink(params, captureViewerLink());
+
+      // "/" and "," are valid in a query string: keep paths and poses readable
+      const query = params
+        .toString()
+        .replace(/%2F/gi, "/")
+        .replace(/%2C/gi, ",");
+      const url = `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+      window.history.replaceState(window.history.state, "", url);
+    }, URL_UPDATE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [
+    pendingLink,
+    items,
+    selectedId,
+    hiddenObjects,
+    isolationMode,
+    individualIsolatedId,
+    explosionFactor,
+    subtreeExplosions,
+    activePanel,
+    heatmapAttribute,
+    source,
+    cameraPose,
+  ]);
+};
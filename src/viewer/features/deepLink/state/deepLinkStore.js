@@ -0,0 +1,29 @@
+import { create } from "zustand";
+import { decodeViewerLink } from "../domain/viewerLink";
+
+export const deepLinkStore = create((set) => ({
+  // ============ LINK RESTORATION ============
+  /**
+   * Viewer state read from the page URL at startup, waiting for the model to load
+   * (see decodeViewerLink). null once restored, or when the URL carries none.
+   */
+  pendingLink: decodeViewerLink(window.location.search),
+  /** Mark the startup link as restored; the URL then follows the viewer state */
+  clearPendingLink: () => set({ pendingLink: null }),
+
+  // ============ CAMERA ============
+  /** Last camera pose reported by the scene: { position, target } (null before the first report) */
+  cameraPose: null,
+  /** Store the camera pose once the camera comes to rest */
+  setCameraPose: (cameraPose) => set({ cameraPose }),
+  /**
+   * Camera pose the scene should move to: { position, target, duration }, null
+   * when none. A duration of 0 jumps (links), a longer one animates (saved views).
+   */
+  requestedCameraPose: null,
+  /** Ask the scene to move the camera to a pose, optionally animated over `duration` ms */
+  requestCameraPose: (pose, { duration = 0 } = {}) =>
+    set({ requestedCameraPose: { ...pose, duration } }),
+  /** Drop the requested pose once the scene applied it */
+  clearRequestedCameraPose: () => set({ requestedCameraPose: null }),
+}));
@@ -5,6 +5,20 @@
  * - Slider to adjust explosion factor (0 to 100%)
  * - Reset button to return to 0 instantly
  * - Percentage display of current explosion level
+ * - Levels: how many hierarchy levels separate; with more than one, the
+ *   subassemblies separate first and their parts follow further along the
+ *   slider
+ * - Stagger (with several levels): how far a level moves before the next one
+ *   starts, from all together to one after the other
+ * - Mode: radial, along an axis, along the model's principal axis, or
+ *   cylindrical (away from an axis); the axis modes pick X/Y/Z in the world
+ *   or the model's own frame
+ * - Guides: dashed leader lines from exploded parts back to where they sit in
+ *   the assembly, and faint ghosts of the parts there
+ * - When a subassembly (several parts) is selected, a second slider exploding
+ *   only that subassembly, spread around its own center while the rest of the
+ *   model stays assembled
+ * - "Reset all" putting every exploded subassembly back together
  *
  * The slider value (0-1) is displayed as percentage (0-100%) for better UX.
  * Reset button is disabled when explosion is already at 0.
@@ -13,12 +27,138 @@
  * @returns {JSX.Element} Explosion control interface
  */
 import styles from "./ExplosionSlider.module.css";
-import { viewerStateStore } from "../viewerState/viewerState";
+import {
+  EXPLOSION_AXES,
+  EXPLOSION_AXIS_SPACES,
+  EXPLOSION_DEPTH_RANGE,
+  EXPLOSION_MODES,
+  EXPLOSION_STAGGERS,
+  viewerStateStore,
+} from "../viewerState/viewerState";
+
+/** Choices of the levels selector (1 to EXPLOSION_DEPTH_RANGE.max) */
+const DEPTH_OPTIONS = Array.from(
+  { length: EXPLOSION_DEPTH_RANGE.max - EXPLOSION_DEPTH_RANGE.min + 1 },
+  (_, index) => EXPLOSION_DEPTH_RANGE.min + index,
+);
+
+/**
+ * Tooltip of a stagger choice.
+ *
+ * @param {number} stagger - One of EXPLOSION_STAGGERS
+ * @returns {string} Tooltip text
+ */
+const getStaggerTitle = (stagger) => {
+  if (stagger === 0) return "All levels move together";
+  if (stagger === 1) return "Each level starts once the previous one is done";
+  return `Each level starts once the previous one is ${Math.round(stagger * 100)}% of the way`;
+};
+
+/** Button text and tooltip of each explosion mode */
+const MODE_LABELS = {
+  radial: ["Radial", "Parts move away from the center"],
+  axis: ["Axis", "Parts move along the chosen axis"],
+  principal: ["Principal", "Parts move along the axis the model is longest in"],
+  cylindrical: ["Cylinder", "Parts move away from the chosen axis"],
+};
+
+/** Modes that use the axis picker */
+const AXIS_MODES = ["axis", "cylindrical"];
+
+/**
+ * Row of mutually exclusive buttons (levels, mode, axis).
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.label - Row label (also the group's accessible name)
+ * @param {Array<string|number>} props.options - Values to choose from
+ * @param {string|number} props.value - Current value
+ * @param {Function} props.onChange - Called with the chosen value
+ * @param {Function} [props.getText] - Button text of a value (default: the value)
+ * @param {Function} [props.getTitle] - Tooltip of a value
+ * @returns {JSX.Element} Labelled button group
+ */
+function ChoiceRow({
+  label,
+  options,
+  value,
+  onChange,
+  getText = String,
+  getTitle,
+}) {
+  return (
+    <div className={styles.header}>
+      <span className={styles.note}>{label}</span>
+      <div
+        className={styles.choices}
+        role="radiogroup"
+        aria-label={`Explosion ${label.toLowerCase()}`}
+      >
+        {options.map((option) => (
+          <button
+            key={option}
+            className={`${styles.choiceBtn}${option === value ? ` ${styles.choiceBtnActive}` : ""}`}
+            type="button"
+            role="radio"
+            aria-checked={option === value}
+            onClick={() => onChange(option)}
+            title={getTitle?.(option)}
+          >
+            {getText(option)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
 
 export default function ExplosionSlider() {
   const explosionFactor = viewerStateStore((s) => s.explosionFactor);
   const setExplosionFactor = viewerStateStore((s) => s.setExplosionFactor);
   const resetExplosion = viewerStateStore((s) => s.resetExplosion);
+  const explosionDepth = viewerStateStore((s) => s.explosionDepth);
+  const setExplosionDepth = viewerStateStore((s) => s.setExplosionDepth);
+  const explosionStagger = viewerStateStore((s) => s.explosionStagger);
+  const setExplosionStagger = viewerStateStore((s) => s.setExplosionStagger);
+  const explosionMode = viewerStateStore((s) => s.explosionMode);
+  const setExplosionMode = viewerStateStore((s) => s.setExplosionMode);
+  const explosionAxis = viewerStateStore((s) => s.explosionAxis);
+  const explosionAxisSpace = viewerStateStore((s) => s.explosionAxisSpace);
+  const setExplosionAxis = viewerStateStore((s) => s.setExplosionAxis);
+  const explosionLeaderLines = viewerStateStore((s) => s.explosionLeaderLines);
+  const setExplosionLeaderLines = viewerStateStore(
+    (s) => s.setExplosionLeaderLines,
+  );
+  const explosionGhosts = viewerStateStore((s) => s.explosionGhosts);
+  const setExplosionGhosts = viewerStateStore((s) => s.setExplosionGhosts);
+  const selectedId = viewerStateStore((s) => s.selectedId);
+  const selectedItem = viewerStateStore((s) => s.selectedItem);
+  const isSubassemblySelected = viewerStateStore(
+    (s) =>
+      Boolean(s.selectedId) && s.getDescendantMeshIds(s.selectedId).length > 1,
+  );
+  const subtreeExplosions = viewerStateStore((s) => s.subtreeExplosions);
+  const setSubtreeExplosion = viewerStateStore((s) => s.setSubtreeExplosion);
+  const resetSubtreeExplosions = viewerStateStore(
+    (s) => s.resetSubtreeExplosions,
+  );
+
+  const guideToggles = [
+    {
+      text: "Lines",
+      title: "Dashed lines from exploded parts to their place in the assembly",
+      isOn: explosionLeaderLines,
+      onToggle: () => setExplosionLeaderLines(!explosionLeaderLines),
+    },
+    {
+      text: "Ghosts",
+      title: "Faint copies of exploded parts at their place in the assembly",
+      isOn: explosionGhosts,
+      onToggle: () => setExplosionGhosts(!explosionGhosts),
+    },
+  ];
+  const selectedFactor = subtreeExplosions[selectedId] ?? 0;
+  const explodedCount = Object.keys(subtreeExplosions).length;
 
   return (
     <div
@@ -54,6 +194,133 @@ export default function ExplosionSlider() {
           Reset
         </button>
       </div>
+
+      <ChoiceRow
+        label="Levels"
+        options={DEPTH_OPTIONS}
+        value={explosionDepth}
+        onChange={setExplosionDepth}
+        getTitle={(depth) =>
+          depth === 1
+            ? "Separate one level of subassemblies"
+            : `Separate ${depth} nested levels, staggered along the slider`
+        }
+      />
+      {explosionDepth > 1 && (
+        <ChoiceRow
+          label="Stagger"
+          options={EXPLOSION_STAGGERS}
+          value={explosionStagger}
+          onChange={setExplosionStagger}
+          getText={(stagger) => `${Math.round(stagger * 100)}%`}
+          getTitle={getStaggerTitle}
+        />
+      )}
+      <ChoiceRow
+        label="Mode"
+        options={EXPLOSION_MODES}
+        value={explosionMode}
+        onChange={setExplosionMode}
+        getText={(mode) => MODE_LABELS[mode][0]}
+        getTitle={(mode) => MODE_LABELS[mode][1]}
+      />
+      {AXIS_MODES.includes(explosionMode) && (
+        <>
+          <ChoiceRow
+            label="Axis"
+            options={EXPLOSION_AXES}
+            value={explosionAxis}
+            onChange={(axis) => setExplosionAxis(axis)}
+            getText={(axis) => axis.toUpperCase()}
+          />
+          <ChoiceRow
+            label="Frame"
+            options={EXPLOSION_AXIS_SPACES}
+            value={explosionAxisSpace}
+            onChange={(space) => setExplosionAxis(explosionAxis, space)}
+            getText={(space) => (space === "world" ? "World" : "Local")}
+            getTitle={(space) =>
+              space === "world"
+                ? "Axis of the scene"
+                : "Axis of the model's own frame"
+            }
+          />
+        </>
+      )}
+      <div className={styles.header}>
+        <span className={styles.note}>Guides</span>
+        <div
+          className={styles.choices}
+          role="group"
+          aria-label="Explosion guides"
+        >
+          {guideToggles.map(({ text, title, isOn, onToggle }) => (
+            <button
+              key={text}
+              className={`${styles.choiceBtn}${isOn ? ` ${styles.choiceBtnActive}` : ""}`}
+              type="button"
+              aria-pressed={isOn}
+              onClick={onToggle}
+              title={title}
+            >
+              {text}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {isSubassemblySelected && (
+        <>
+          <div className={styles.header}>
+            <span className={styles.subLabel} title={selectedItem}>
+              {selectedItem} only
+            </span>
+            <span className={styles.value}>
+              {Math.round(selectedFactor * 100)}%
+            </span>
+          </div>
+
+          <div className={styles.row}>
+            <input
+              className={styles.slider}
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={selectedFactor}
+              onChange={(e) =>
+                setSubtreeExplosion(selectedId, Number(e.target.value))
+              }
+              aria-label={`Explosion factor of ${selectedItem}`}
+            />
+            <button
+              className={styles.reset}
+              type="button"
+              onClick={() => setSubtreeExplosion(selectedId, 0)}
+              disabled={selectedFactor <= 0}
+              aria-label={`Reset explosion of ${selectedItem}`}
+            >
+              Reset
+            </button>
+          </div>
+        </>
+      )}
+
+      {explodedCount > 0 && (
+        <div className={styles.header}>
+          <span className={styles.note}>
+            {explodedCount} subassembl{explodedCount === 1 ? "y" : "ies"}{" "}
+            exploded
+          </span>
+          <button
+            className={styles.reset}
+            type="button"
+            onClick={resetSubtreeExplosions}
+          >
+            Reset all
+          </button>
+        </div>
+      )}
     </div>
   );
 }
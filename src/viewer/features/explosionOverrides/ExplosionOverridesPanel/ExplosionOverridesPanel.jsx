@@ -0,0 +1,181 @@
+import { useEffect, useState } from "react";
+import { useExplosionOverrides } from "../hooks/useExplosionOverrides";
+import styles from "./ExplosionOverridesPanel.module.css";
+import controls from "../../workspace/WorkspacePanels/PanelControls.module.css";
+
+/**
+ * Format an offset length for display ("12.5", "0.0042").
+ *
+ * @param {number} distance - Distance in model units
+ * @returns {string} Rounded distance
+ */
+const formatDistance = (distance) => Number(distance.toPrecision(3)).toString();
+
+/**
+ * Exploded offsets set by hand for parts whose automatic explosion is wrong.
+ *
+ * Features:
+ * - Edit mode: the model is shown fully exploded and the selected part gets a
+ *   translation gizmo; dragging it sets where the part goes at full explosion
+ * - Overridden parts of the model, with their distance; click one to select
+ *   it, ✕ gives it back its automatic motion
+ * - Overrides are stored in the browser per model; export them as JSON and
+ *   import them on another machine
+ *
+ * Closing the panel leaves the edit mode.
+ *
+ * @component
+ * @returns {JSX.Element} Edit toggle, override list and import/export buttons
+ */
+export function ExplosionOverridesPanel() {
+  const {
+    entries,
+    selectedPath,
+    canEdit,
+    isEditing,
+    setEditing,
+    selectNode,
+    deleteOverride,
+    clearOverrides,
+    exportOverrides,
+    importOverrides,
+  } = useExplosionOverrides();
+  const [message, setMessage] = useState(null);
+  const selectedEntry = entries.find((entry) => entry.path === selectedPath);
+
+  /**
+   * The gizmo and the fully exploded display only last while the panel is open.
+   */
+  useEffect(() => () => setEditing(false), [setEditing]);
+
+  const handleClear = () => {
+    if (
+      window.confirm(
+        `Delete the ${entries.length} override(s) of this model? Parts go back to their automatic motion.`,
+      )
+    ) {
+      clearOverrides();
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const [picked] = e.target.files;
+    // Allow picking the same file again after editing it
+    e.target.value = "";
+    if (!picked) return;
+
+    try {
+      const { count } = await importOverrides(picked);
+      setMessage({
+        isError: false,
+        text: `Imported ${count} override${count === 1 ? "" : "s"} from ${picked.name}.`,
+      });
+    } catch (err) {
+      setMessage({ isError: true, text: err.message });
+    }
+  };
+
+  return (
+    <div className={styles.overrides}>
+      <div className={styles.toolbar}>
+        <button
+          type="button"
+          className={isEditing ? styles.primaryBtn : controls.secondaryBtn}
+          onClick={() => setEditing(!isEditing)}
+          disabled={!canEdit}
+          aria-pressed={isEditing}
+        >
+          {isEditing ? "✓ Done" : "✥ Edit offsets"}
+        </button>
+        {selectedPath && (
+          <span className={styles.selection}>
+            {selectedEntry
+              ? `${selectedEntry.name}: ${formatDistance(selectedEntry.distance)} units`
+              : `${selectedPath.split("/").at(-1) || "(unnamed)"}: automatic`}
+          </span>
+        )}
+      </div>
+
+      <p className={styles.message}>
+        {!canEdit
+          ? "Load a model to adjust its explosion."
+          : isEditing
+            ? selectedPath
+              ? "Drag the gizmo arrows to move the part where it should go at full explosion."
+              : "Select a part to show its gizmo. The model is shown fully exploded while editing."
+            : "Turn on editing to drag a part to the place it should take at full explosion, replacing its automatic direction and distance."}
+      </p>
+
+      {entries.length > 0 && (
+        <ol className={styles.list}>
+          {entries.map((entry) => (
+            <li
+              key={entry.path}
+              className={`${styles.item}${entry.path === selectedPath ? ` ${styles.itemActive}` : ""}`}
+            >
+              <button
+                type="button"
+                className={styles.entryBtn}
+                onClick={() => selectNode(entry.id)}
+                disabled={!entry.id}
+                title={entry.path}
+              >
+                <span className={styles.entryName}>{entry.name}</span>
+                <span className={styles.entryMeta}>
+                  {entry.id
+                    ? `${formatDistance(entry.distance)} units`
+                    : "not in this model"}
+                </span>
+              </button>
+              <button
+                type="button"
+                className={controls.iconBtn}
+                onClick={() => deleteOverride(entry.path)}
+                title="Back to the automatic motion"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {message && (
+        <p className={message.isError ? controls.error : controls.success}>
+          {message.text}
+        </p>
+      )}
+
+      <div className={controls.footer}>
+        <button
+          type="button"
+          className={controls.secondaryBtn}
+          onClick={exportOverrides}
+          disabled={entries.length === 0}
+        >
+          ⬇ Export JSON
+        </button>
+        <label
+          className={`${controls.secondaryBtn}${canEdit ? "" : ` ${controls.disabled}`}`}
+        >
+          📂 Import JSON…
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFileChange}
+            className={controls.fileInput}
+            disabled={!canEdit}
+          />
+        </label>
+        <button
+          type="button"
+          className={controls.secondaryBtn}
+          onClick={handleClear}
+          disabled={entries.length === 0}
+        >
+          Clear all
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+/**
+ * Explosion overrides - exploded offsets set by hand for parts whose automatic
+ * direction or distance is wrong, kept per model and exchanged as JSON files.
+ *
+ * An override is where a node sits at full explosion, as an offset from its
+ * assembled position in its parent's frame. It replaces the node's automatic
+ * motion (see mergeExplosionOverrides). Nodes are referred to by scene path:
+ *
+ * {
+ *   "format": "explosion-overrides", "version": 1, "model": "air-motor",
+ *   "overrides": { "Scene/.../Piston_L_04": [0, 42.5, 0] }
+ * }
+ */
+import { buildNodePathIndex } from "../../deepLink/deepLink";
+import {
+  isVector3,
+  readVersionedJsonFile,
+} from "../../../../services/export/versionedJsonFile";
+
+/** `format` of an exported overrides file */
+export const EXPLOSION_OVERRIDES_FORMAT = "explosion-overrides";
+
+/** Version of the exported file layout */
+export const EXPLOSION_OVERRIDES_VERSION = 1;
+
+/** Significant digits kept in stored offsets (model units vary per model) */
+const OFFSET_PRECISION = 6;
+
+/**
+ * Round an offset for storage.
+ *
+ * @param {Array<number>} offset - [x, y, z]
+ * @returns {Array<number>} Rounded offset
+ */
+export const roundOffset = (offset) =>
+  offset.map((n) => Number(n.toPrecision(OFFSET_PRECISION)) || 0);
+
+/**
+ * Read the overrides of a model, dropping malformed entries (files may be
+ * edited by hand).
+ *
+ * @param {*} raw - Overrides read from a file or from storage
+ * @returns {Object<string, Array<number>>} { [path]: [x, y, z] }
+ */
+export const normalizeOverrides = (raw) =>
+  Object.fromEntries(
+    Object.entries(raw && typeof raw === "object" ? raw : {})
+      .filter(([path, offset]) => path && isVector3(offset))
+      .map(([path, offset]) => [path, roundOffset(offset)]),
+  );
+
+/**
+ * Length of an offset, for display.
+ *
+ * @param {Array<number>} offset - [x, y, z]
+ * @returns {number} Distance in model units
+ */
+export const getOffsetLength = ([x, y, z]) => Math.hypot(x, y, z);
+
+/**
+ * Resolve a model's overrides against the loaded model.
+ *
+ * @param {Object<string, Array<number>>} overrides - { [path]: [x, y, z] }
+ * @returns {Object} { offsets, missing }:
+ *   - offsets: { [uuid]: [x, y, z] }
+ *   - missing: paths that don't exist in the model
+ */
+export const resolveOverrides = (overrides) => {
+  const { idByPath } = buildNodePathIndex();
+  const offsets = {};
+  const missing = [];
+
+  Object.entries(overrides).forEach(([path, offset]) => {
+    const id = idByPath.get(path);
+    if (id) {
+      offsets[id] = offset;
+    } else {
+      missing.push(path);
+    }
+  });
+
+  return { offsets, missing };
+};
+
+/**
+ * Build the exported file content of a model's overrides.
+ *
+ * @param {string} model - Model key
+ * @param {Object<string, Array<number>>} overrides - { [path]: [x, y, z] }
+ * @returns {Object} JSON-serializable file content
+ */
+export const buildOverridesFile = (model, overrides) => ({
+  format: EXPLOSION_OVERRIDES_FORMAT,
+  version: EXPLOSION_OVERRIDES_VERSION,
+  model,
+  overrides,
+});
+
+/**
+ * Read an exported overrides file.
+ *
+ * @param {string} text - File content
+ * @returns {Object} { model, overrides }
+ * @throws {Error} When the content is not an overrides file
+ */
+export const readOverridesFile = (text) => {
+  const label = "an explosion overrides export";
+  const { data, model } = readVersionedJsonFile(text, {
+    format: EXPLOSION_OVERRIDES_FORMAT,
+    version: EXPLOSION_OVERRIDES_VERSION,
+    label,
+  });
+  if (!data.overrides || typeof data.overrides !== "object") {
+    throw new Error(`The file is not ${label}.`);
+  }
+
+  return {
+    model,
+    overrides: normalizeOverrides(data.overrides),
+  };
+};
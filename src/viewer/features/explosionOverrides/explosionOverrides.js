@@ -0,0 +1,9 @@
+/**
+ * Explosion overrides feature barrel file.
+ * Exports the panel managing exploded offsets set by hand (edit mode, list,
+ * JSON import/export), the hooks behind it and the scene's editor hook.
+ */
+export { ExplosionOverridesPanel } from "./ExplosionOverridesPanel/ExplosionOverridesPanel";
+export { useExplosionOverrides } from "./hooks/useExplosionOverrides";
+export { useExplosionOverrideEditor } from "./hooks/useExplosionOverrideEditor";
+export { explosionOverridesStore } from "./state/explosionOverridesStore";
@@ -0,0 +1,74 @@
+import { useCallback, useMemo } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { modelSourceStore } from "../../modelSource/modelSource";
+import { buildNodePathIndex } from "../../deepLink/deepLink";
+import { getModelKey } from "../../savedViews/savedViews";
+import { explosionOverridesStore } from "../state/explosionOverridesStore";
+import { resolveOverrides, roundOffset } from "../domain/explosionOverrides";
+
+/** Stable empty offsets while no model is loaded or it has no overrides */
+const NO_OFFSETS = {};
+
+/**
+ * Custom hook giving the scene the explosion overrides of the loaded model and
+ * the node edited with the gizmo.
+ *
+ * @hook
+ * @returns {Object} Scene side of the overrides:
+ *   - offsets: { [uuid]: [x, y, z] } offsets at full explosion, in each
+ *     node's parent frame
+ *   - isEditing: whether the edit mode is on
+ *   - editedId: UUID of the node the gizmo drags (the selection while
+ *     editing), null otherwise
+ *   - setEditedOffset(offset): store the edited node's offset ([x, y, z]),
+ *     once a drag ends
+ *
+ * @example
+ * const { offsets, editedId, setEditedOffset } = useExplosionOverrideEditor();
+ */
+export const useExplosionOverrideEditor = () => {
+  const source = modelSourceStore((state) => state.source);
+  const items = viewerStateStore((state) => state.items);
+  const selectedId = viewerStateStore((state) => state.selectedId);
+  const modelKey = getModelKey(source);
+  const overrides = explosionOverridesStore(
+    (state) => (modelKey && state.overrides[modelKey]) || null,
+  );
+  const isEditing = explosionOverridesStore((state) => state.isEditing);
+
+  /**
+   * Paths are resolved once the hierarchy of the loaded model is known.
+   */
+  const offsets = useMemo(
+    () =>
+      overrides && items.length > 0
+        ? resolveOverrides(overrides).offsets
+        : NO_OFFSETS,
+    [overrides, items],
+  );
+
+  const editedPath = useMemo(
+    () =>
+      isEditing && selectedId && items.length > 0
+        ? (buildNodePathIndex().pathById.get(selectedId) ?? null)
+        : null,
+    [isEditing, selectedId, items],
+  );
+
+  const setEditedOffset = useCallback(
+    (offset) => {
+      if (!modelKey || !editedPath) return;
+      explosionOverridesStore
+        .getState()
+        .setOverride(modelKey, editedPath, roundOffset(offset));
+    },
+    [modelKey, editedPath],
+  );
+
+  return {
+    offsets,
+    isEditing,
+    editedId: editedPath ? selectedId : null,
+    setEditedOffset,
+  };
+};
@@ -0,0 +1,145 @@
+import { useCallback, useMemo } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { modelSourceStore } from "../../modelSource/modelSource";
+import { buildNodePathIndex } from "../../deepLink/deepLink";
+import { getModelKey } from "../../savedViews/savedViews";
+import {
+  downloadJson,
+  toFileBaseName,
+} from "../../../../services/export/downloadFile";
+import { readImportFile } from "../../../../services/export/versionedJsonFile";
+import { explosionOverridesStore } from "../state/explosionOverridesStore";
+import {
+  buildOverridesFile,
+  getOffsetLength,
+  readOverridesFile,
+} from "../domain/explosionOverrides";
+
+/** Stable empty overrides for models without any */
+const NO_OVERRIDES = {};
+
+/** Path index while no model is loaded */
+const EMPTY_PATH_INDEX = { pathById: new Map(), idByPath: new Map() };
+
+/**
+ * Custom hook managing the explosion overrides of the loaded model.
+ *
+ * @hook
+ * @returns {Object} Overrides of the model and their actions:
+ *   - modelKey: key the overrides are stored under (null while no model is known)
+ *   - entries: overridden nodes { path, name, offset, distance, id } sorted by
+ *     path (id is null when the node isn't in the loaded model)
+ *   - selectedPath: scene path of the selected node (null without selection)
+ *   - canEdit: whether a model is loaded
+ *   - isEditing, setEditing(isEditing): gizmo edit mode
+ *   - selectNode(id): select an overridden node
+ *   - deleteOverride(path): give a node back its automatic motion
+ *   - clearOverrides(): delete all overrides of the model
+ *   - exportOverrides(): download the overrides as JSON
+ *   - importOverrides(file): add the overrides of an exported file; resolves to
+ *     { count, model }, rejects with a readable message
+ *
+ * @example
+ * const { entries, deleteOverride } = useExplosionOverrides();
+ * entries.map((entry) => <button onClick={() => deleteOverride(entry.path)} />);
+ */
+export const useExplosionOverrides = () => {
+  const source = modelSourceStore((state) => state.source);
+  const items = viewerStateStore((state) => state.items);
+  const selectedId = viewerStateStore((state) => state.selectedId);
+  const modelKey = getModelKey(source);
+  const overrides = explosionOverridesStore(
+    (state) => (modelKey && state.overrides[modelKey]) || NO_OVERRIDES,
+  );
+  const isEditing = explosionOverridesStore((state) => state.isEditing);
+
+  /**
+   * Path index of the loaded model; rebuilt when the hierarchy changes.
+   */
+  const pathIndex = useMemo(
+    () => (items.length > 0 ? buildNodePathIndex() : EMPTY_PATH_INDEX),
+    [items],
+  );
+
+  const entries = useMemo(
+    () =>
+      Object.entries(overrides)
+        .sort(([left], [right]) => left.localeCompare(right))
+        .map(([path, offset]) => ({
+          path,
+          name: path.split("/").at(-1) || "(unnamed)",
+          offset,
+          distance: getOffsetLength(offset),
+          id: pathIndex.idByPath.get(path) ?? null,
+        })),
+    [overrides, pathIndex],
+  );
+
+  const selectedPath = useMemo(
+    () => pathIndex.pathById.get(selectedId) ?? null,
+    [pathIndex, selectedId],
+  );
+
+  const setEditing = useCallback((editing) => {
+    explosionOverridesStore.getState().setEditing(editing);
+  }, []);
+
+  const selectNode = useCallback((id) => {
+    const { getObjectById, setSelectedObject } = viewerStateStore.getState();
+    const obj = getObjectById(id);
+    if (obj) setSelectedObject(obj);
+  }, []);
+
+  const deleteOverride = useCallback(
+    (path) => {
+      if (modelKey) {
+        explosionOverridesStore.getState().deleteOverride(modelKey, path);
+      }
+    },
+    [modelKey],
+  );
+
+  const clearOverrides = useCallback(() => {
+    if (modelKey) explosionOverridesStore.getState().clearOverrides(modelKey);
+  }, [modelKey]);
+
+  const exportOverrides = useCallback(() => {
+    if (!modelKey) return;
+    downloadJson(
+      `${toFileBaseName(source.name, "model")}-explosion-overrides.json`,
+      buildOverridesFile(modelKey, overrides),
+    );
+  }, [modelKey, source.name, overrides]);
+
+  const importOverrides = useCallback(
+    async (file) => {
+      if (!modelKey) {
+        throw new Error("Load a model before importing overrides.");
+      }
+
+      const imported = await readImportFile(file, readOverridesFile);
+      explosionOverridesStore
+        .getState()
+        .mergeOverrides(modelKey, imported.overrides);
+      return {
+        count: Object.keys(imported.overrides).length,
+        model: imported.model,
+      };
+    },
+    [modelKey],
+  );
+
+  return {
+    modelKey,
+    entries,
+    selectedPath,
+    canEdit: Boolean(modelKey) && items.length > 0,
+    isEditing,
+    setEditing,
+    selectNode,
+    deleteOverride,
+    clearOverrides,
+    exportOverrides,
+    importOverrides,
+  };
+};
@@ -0,0 +1,84 @@
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+
+/** localStorage key of the persisted overrides */
+const STORAGE_KEY = "r3f-mechanical-demo-explosion-overrides";
+
+/**
+ * Replace the overrides of one model, dropping the model once it has none left.
+ *
+ * @param {Object} overrides - All overrides ({ [modelKey]: { [path]: offset } })
+ * @param {string} modelKey - Model key (see getModelKey)
+ * @param {Object} modelOverrides - New overrides of the model
+ * @returns {Object} Updated overrides
+ */
+const withModelOverrides = (overrides, modelKey, modelOverrides) => {
+  const next = { ...overrides, [modelKey]: modelOverrides };
+  if (Object.keys(modelOverrides).length === 0) delete next[modelKey];
+  return next;
+};
+
+/**
+ * Explosion offsets set by hand for each model (see explosionOverrides domain)
+ * and the edit mode in which they are dragged. Overrides are persisted in
+ * localStorage; the edit mode is not.
+ */
+export const explosionOverridesStore = create(
+  persist(
+    (set) => ({
+      // ============ OVERRIDES ============
+      /** Overrides per model: { [modelKey]: { [path]: [x, y, z] } } */
+      overrides: {},
+
+      /** Set the offset of a node at full explosion */
+      setOverride: (modelKey, path, offset) =>
+        set((state) => ({
+          overrides: withModelOverrides(state.overrides, modelKey, {
+            ...state.overrides[modelKey],
+            [path]: offset,
+          }),
+        })),
+
+      /** Give a node back its automatic motion */
+      deleteOverride: (modelKey, path) =>
+        set((state) => {
+          const modelOverrides = { ...state.overrides[modelKey] };
+          delete modelOverrides[path];
+          return {
+            overrides: withModelOverrides(
+              state.overrides,
+              modelKey,
+              modelOverrides,
+            ),
+          };
+        }),
+
+      /** Add overrides (an import); they replace those of the same nodes */
+      mergeOverrides: (modelKey, added) =>
+        set((state) => ({
+          overrides: withModelOverrides(state.overrides, modelKey, {
+            ...state.overrides[modelKey],
+            ...added,
+          }),
+        })),
+
+      /** Delete all overrides of a model */
+      clearOverrides: (modelKey) =>
+        set((state) => ({
+          overrides: withModelOverrides(state.overrides, modelKey, {}),
+        })),
+
+      // ============ EDIT MODE ============
+      /**
+       * Whether the selected part shows a gizmo to drag its exploded offset.
+       * While editing, the model is shown fully exploded.
+       */
+      isEditing: false,
+      setEditing: (isEditing) => set({ isEditing }),
+    }),
+    {
+      name: STORAGE_KEY,
+      partialize: (state) => ({ overrides: state.overrides }),
+    },
+  ),
+);
@@ -0,0 +1,119 @@
+import {
+  HEATMAP_ATTRIBUTES,
+  NO_VALUE_COLOR,
+} from "../../../../services/partMetadata/heatmap";
+import { heatmapStore } from "../state/heatmapStore";
+import { useHeatmap } from "../hooks/useHeatmap";
+import styles from "./HeatmapControl.module.css";
+
+/**
+ * Format a continuous legend value with its unit.
+ *
+ * @param {number} value - Value
+ * @param {Object} legend - Continuous legend (decimals, unit)
+ * @returns {string} Formatted value ("0.25 kg")
+ */
+const formatLegendValue = (value, { decimals, unit }) =>
+  `${Number(value.toFixed(decimals))} ${unit}`;
+
+/**
+ * Legend of a heatmap: color swatches per value, or the color ramp with its range.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.heatmap - Heatmap from useHeatmap
+ * @returns {JSX.Element} Legend
+ */
+function HeatmapLegend({ heatmap }) {
+  const { legend, missingCount } = heatmap;
+
+  return (
+    <div className={styles.legend}>
+      {legend.scale === "continuous" ? (
+        legend.min === null ? (
+          <p className={styles.message}>No part has a value.</p>
+        ) : (
+          <div className={styles.ramp}>
+            <span
+              className={styles.rampBar}
+              style={{
+                background: `linear-gradient(to right, ${legend.ramp.join(", ")})`,
+              }}
+            />
+            <span className={styles.rampLabels}>
+              <span>{formatLegendValue(legend.min, legend)}</span>
+              <span>{formatLegendValue(legend.max, legend)}</span>
+            </span>
+          </div>
+        )
+      ) : (
+        <ul className={styles.items}>
+          {legend.items.map((item) => (
+            <li key={item.label} className={styles.item}>
+              <span
+                className={styles.swatch}
+                style={{ background: item.color }}
+              />
+              <span className={styles.itemLabel}>{item.label}</span>
+              <span className={styles.count}>{item.count}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div
+        className={styles.item}
+        title="Parts without a value and nodes without metadata"
+      >
+        <span
+          className={styles.swatch}
+          style={{ background: NO_VALUE_COLOR }}
+        />
+        <span className={styles.itemLabel}>No value</span>
+        <span className={styles.count}>{missingCount}</span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Floating control coloring the model by a metadata attribute (heatmap mode).
+ *
+ * Features:
+ * - Pick the attribute (material, category, maintenance status, weight,
+ *   production age) or keep the original materials
+ * - Legend generated from the data: one color per value for categorical
+ *   attributes (with node counts), a color ramp with the value range for
+ *   continuous ones
+ *
+ * Colors are applied by useHeatmapLayer; hover and selection outlines keep working
+ * since only the materials change.
+ *
+ * @component
+ * @returns {JSX.Element} Attribute picker and legend
+ */
+export function HeatmapControl() {
+  const attribute = heatmapStore((state) => state.attribute);
+  const setAttribute = heatmapStore((state) => state.setAttribute);
+  const heatmap = useHeatmap();
+
+  return (
+    <div className={styles.container} role="group" aria-label="Heatmap">
+      <label className={styles.header}>
+        <span className={styles.label}>Color by</span>
+        <select
+          className={styles.select}
+          value={attribute ?? ""}
+          onChange={(e) => setAttribute(e.target.value || null)}
+        >
+          <option value="">Original materials</option>
+          {Object.entries(HEATMAP_ATTRIBUTES).map(([id, { label }]) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {heatmap && <HeatmapLegend heatmap={heatmap} />}
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+/**
+ * Heatmap feature barrel file.
+ * Exports the control coloring the model by a metadata attribute (with its
+ * legend), the heatmap hook and the hook painting the colors on the model.
+ */
+export { heatmapStore } from "./state/heatmapStore";
+export { HeatmapControl } from "./HeatmapControl/HeatmapControl";
+export { useHeatmap } from "./hooks/useHeatmap";
+export { useHeatmapLayer } from "./hooks/useHeatmapLayer";
@@ -0,0 +1,31 @@
+import { useMemo } from "react";
+import {
+  partMetadataStore,
+  usePartRecords,
+} from "../../partMetadata/partMetadata";
+import { buildHeatmap } from "../../../../services/partMetadata/heatmap";
+import { heatmapStore } from "../state/heatmapStore";
+
+/**
+ * Custom hook returning the heatmap of the selected attribute.
+ *
+ * Colors follow the metadata with local edits and imports applied; ages and
+ * maintenance statuses are computed against today's date.
+ *
+ * @hook
+ * @returns {Object|null} Heatmap (see buildHeatmap), null when the mode is off
+ *
+ * @example
+ * const heatmap = useHeatmap();
+ * if (heatmap?.legend.scale === "continuous") console.log(heatmap.legend.max);
+ */
+export const useHeatmap = () => {
+  const attribute = heatmapStore((state) => state.attribute);
+  const resolution = partMetadataStore((state) => state.resolution);
+  const records = usePartRecords();
+
+  return useMemo(
+    () => (attribute ? buildHeatmap(resolution, records, attribute) : null),
+    [attribute, resolution, records],
+  );
+};
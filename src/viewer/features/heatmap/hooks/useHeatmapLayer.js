@@ -0,0 +1,40 @@
+import { useEffect } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { sceneTintStore } from "../../sceneTint/sceneTint";
+import { NO_VALUE_COLOR } from "../../../../services/partMetadata/heatmap";
+import { useHeatmap } from "./useHeatmap";
+
+/** Tint layer id of the heatmap */
+const TINT_LAYER = "heatmap";
+
+/**
+ * Custom hook painting the model with the heatmap colors while the mode is on.
+ * Mount once (App); the attribute is picked in the heatmap control.
+ *
+ * Meshes are painted through a "paint" tint layer: materials are swapped for
+ * flat-colored clones and the original glTF materials come back when the mode is
+ * turned off. Nodes without metadata are painted NO_VALUE_COLOR so only the
+ * legend colors remain on the model.
+ *
+ * @hook
+ *
+ * @example
+ * useHeatmapLayer();
+ */
+export const useHeatmapLayer = () => {
+  const heatmap = useHeatmap();
+  const items = viewerStateStore((state) => state.items);
+
+  useEffect(() => {
+    if (!heatmap) return undefined;
+
+    // Root nodes are the largest subtrees, so matched nodes paint over them
+    const colors = {};
+    items.forEach((item) => (colors[item.id] = NO_VALUE_COLOR));
+    Object.assign(colors, heatmap.colors);
+
+    const { setTintLayer, clearTintLayer } = sceneTintStore.getState();
+    setTintLayer(TINT_LAYER, colors, { mode: "paint" });
+    return () => clearTintLayer(TINT_LAYER);
+  }, [heatmap, items]);
+};
@@ -0,0 +1,9 @@
+import { create } from "zustand";
+
+export const heatmapStore = create((set) => ({
+  // ============ HEATMAP MODE ============
+  /** Attribute the model is colored by (key in HEATMAP_ATTRIBUTES), null when off */
+  attribute: null,
+  /** Color the model by an attribute, or restore its materials (null) */
+  setAttribute: (attribute) => set({ attribute }),
+}));
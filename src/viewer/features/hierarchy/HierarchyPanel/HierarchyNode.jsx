@@ -1,10 +1,37 @@
 import { useEffect, useRef, useCallback, memo } from "react";
 import { viewerStateStore } from "../../viewerState/viewerState";
+import { partMetadataStore } from "../../partMetadata/partMetadata";
+import { formatWeightKg } from "../../../../services/partMetadata/weightRollup";
 import styles from "./HierarchyNode.module.css";
 
+/** Badge shown next to nodes the metadata resolver couldn't match */
+const METADATA_ISSUE_BADGES = {
+  unmatched: { icon: "⚠️", title: "No metadata for this node" },
+  ambiguous: { icon: "🧩", title: "Node matches several metadata entries" },
+};
+
+/**
+ * Tooltip of the weight column.
+ *
+ * @param {Object} weight - Roll-up entry of the node (see computeWeightRollup)
+ * @returns {string} Part count and, for partial totals, the number of parts without weight
+ */
+const getWeightTitle = (weight) => {
+  if (!weight.isAssembly) {
+    return weight.isPartial ? "No valid weight" : "Part weight";
+  }
+  const parts = `Total of ${weight.partCount} part${weight.partCount === 1 ? "" : "s"}`;
+  return weight.isPartial
+    ? `${parts} (partial: ${weight.missingCount} without a valid weight)`
+    : parts;
+};
+
 /**
  * Hierarchical tree node component for scene object representation.
  * Renders expandable/collapsible nodes with selection, visibility toggle, and isolation controls.
+ * Nodes without (or with ambiguous) part metadata get a badge.
+ * When the weight column is on, each node shows its rolled-up weight; totals missing
+ * some part weights are marked as partial.
  * 
  * @component
  * @param {Object} props - Component props
@@ -15,6 +42,8 @@ import styles from "./HierarchyNode.module.css";
  * @param {Set<string>} props.matchedIds - Set of node IDs matching search filter
  * @param {Set<string>} props.openNodes - Set of expanded node IDs (controlled by parent)
  * @param {Function} props.onToggle - Callback when expand/collapse button is clicked
+ * @param {Object<string, Object>|null} [props.weightRollup] - Weight totals by node ID
+ *   (from useWeightRollup), null hides the weight column
  * @returns {JSX.Element} Recursive tree node component with children
  */
 export const HierarchyNode = memo(function HierarchyNode({
@@ -26,6 +55,7 @@ export const HierarchyNode = memo(function HierarchyNode({
   // controlled props from parent
   openNodes = new Set(),
   onToggle = () => {},
+  weightRollup = null,
 }) {
   const itemRef = useRef(null);
   const hasChildren = node.children && node.children.length > 0;
@@ -41,6 +71,11 @@ export const HierarchyNode = memo(function HierarchyNode({
   const toggleIndividualIsolation = viewerStateStore(
     (state) => state.toggleIndividualIsolation,
   );
+  const metadataIssue = partMetadataStore(
+    (state) => state.nodeIssues[node.id],
+  );
+  const issueBadge = METADATA_ISSUE_BADGES[metadataIssue];
+  const weight = weightRollup?.[node.id];
 
   /**
    * Auto-scroll to selected item for improved user experience.
@@ -147,6 +182,25 @@ export const HierarchyNode = memo(function HierarchyNode({
           title={node.name}
         >
           <span className={styles.itemName}>{node.name}</span>
+          {issueBadge && (
+            <span
+              className={styles.metadataBadge}
+              title={issueBadge.title}
+              aria-label={issueBadge.title}
+            >
+              {issueBadge.icon}
+            </span>
+          )}
+          {weight && (
+            <span
+              className={`${styles.weight}${weight.isPartial ? ` ${styles.weightPartial}` : ""}`}
+              title={getWeightTitle(weight)}
+            >
+              {weight.isAssembly || !weight.isPartial
+                ? `${weight.isPartial ? "≥ " : ""}${formatWeightKg(weight.totalKg)}`
+                : "—"}
+            </span>
+          )}
           <span
             className={styles.visibilityIcon}
             onClick={handleVisibilityIconClick}
@@ -180,6 +234,7 @@ export const HierarchyNode = memo(function HierarchyNode({
               matchedIds={matchedIds}
               openNodes={openNodes}
               onToggle={onToggle}
+              weightRollup={weightRollup}
             />
           ))
         : null}
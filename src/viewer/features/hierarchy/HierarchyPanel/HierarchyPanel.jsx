@@ -1,4 +1,5 @@
 import { viewerStateStore } from "../../viewerState/viewerState";
+import { useWeightRollup } from "../../partMetadata/partMetadata";
 import { HierarchyNode } from "./HierarchyNode";
 import styles from "./HierarchyPanel.module.css";
 import { useHierarchyFilter } from "../hooks/useHierarchyFilter";
@@ -12,6 +13,7 @@ import { useState, useEffect, useRef, startTransition } from "react";
  * - Tree expansion/collapse state (auto and manual preferences)
  * - Search and filtering (visibility, search text)
  * - Selection and isolation mode
+ * - Optional weight column with totals rolled up over each subtree
  * - Automatic expansion logic based on selected items and search matches
  *
  * @component
@@ -48,6 +50,13 @@ export function HierarchyPanel() {
   /** Track whether user wants to expand all search matches. */
   const [expandAllMatches, setExpandAllMatches] = useState(false);
 
+  /**
+   * Weight column toggle and the totals it displays.
+   * Totals are computed over the full tree, so filtering doesn't change them.
+   */
+  const [showWeights, setShowWeights] = useState(false);
+  const weightRollup = useWeightRollup();
+
   /**
    * Get hidden objects set from store.
    * Used to conditionally disable "only visible" filter checkbox.
@@ -274,6 +283,19 @@ export function HierarchyPanel() {
           >
             👁️
           </button>
+          <button
+            className={`${styles.globalBtn} ${showWeights ? styles.globalBtnActive : ""}`}
+            type="button"
+            onClick={() => setShowWeights(!showWeights)}
+            disabled={items.length === 0}
+            title={showWeights ? "Hide weights" : "Show rolled-up weights"}
+            aria-label={
+              showWeights ? "Hide weights" : "Show rolled-up weights"
+            }
+            aria-pressed={showWeights}
+          >
+            ⚖️
+          </button>
         </div>
 
         {/* Display currently selected item name */}
@@ -312,6 +334,7 @@ export function HierarchyPanel() {
               matchedIds={search ? matchedIds : new Set()}
               openNodes={openNodes}
               onToggle={onManualToggle}
+              weightRollup={showWeights ? weightRollup : null}
             />
           ))
         ) : (
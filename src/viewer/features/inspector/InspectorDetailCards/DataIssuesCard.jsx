@@ -0,0 +1,35 @@
+import { PART_SCHEMA } from "../../../../services/partMetadata/partSchema";
+import styles from "./cards.module.css";
+
+/**
+ * Data problems card component.
+ * Lists the schema problems of the selected part's metadata entry
+ * (missing required fields, wrong types, malformed dates, negative weights).
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.issues - Problems from validatePart ({ field, status, message })
+ * @returns {JSX.Element} Card UI with one line per problem
+ */
+export function DataIssuesCard({ issues }) {
+  return (
+    <div className={`${styles.card} ${styles.issuesCard}`}>
+      <div className={styles.cardHeader}>
+        <span className={styles.cardIcon}>⚠️</span>
+        <h4 className={styles.cardTitle}>Data Problems</h4>
+      </div>
+      <ul className={styles.issueList}>
+        {issues.map((issue) => (
+          <li key={issue.field ?? "entry"} className={styles.issue}>
+            {issue.field && (
+              <span className={styles.issueField}>
+                {PART_SCHEMA[issue.field]?.label ?? issue.field}
+              </span>
+            )}
+            {issue.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import styles from "./cards.module.css";
+
+/**
+ * Local edits summary card.
+ * Shows how many parts have unsaved local edits and lets the user export the
+ * metadata with the edits applied (parts.json shape) or discard every edit.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} props.editedCount - Number of parts with local edits
+ * @param {Function} props.onExport - Called to download the edited metadata
+ * @param {Function} props.onDiscard - Called to drop every local edit
+ * @returns {JSX.Element} Card UI with edit count and actions
+ */
+export function EditsCard({ editedCount, onExport, onDiscard }) {
+  const handleDiscard = () => {
+    if (window.confirm(`Discard local edits of ${editedCount} part(s)?`)) {
+      onDiscard();
+    }
+  };
+
+  return (
+    <div className={`${styles.card} ${styles.editsCard}`}>
+      <div className={styles.cardHeader}>
+        <span className={styles.cardIcon}>✏️</span>
+        <h4 className={styles.cardTitle}>Local Edits</h4>
+      </div>
+      <div className={styles.cardBody}>
+        <p className={styles.editsText}>
+          {editedCount === 0
+            ? "No parts edited yet. Changes are saved in this browser."
+            : `${editedCount} part(s) edited. Changes are saved in this browser until exported or discarded.`}
+        </p>
+        <div className={styles.cardActions}>
+          <button
+            type="button"
+            className={styles.actionButton}
+            onClick={onExport}
+            disabled={editedCount === 0}
+          >
+            Export parts.json
+          </button>
+          <button
+            type="button"
+            className={styles.actionButton}
+            onClick={handleDiscard}
+            disabled={editedCount === 0}
+          >
+            Discard all
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
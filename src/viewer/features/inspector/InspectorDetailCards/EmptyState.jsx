@@ -2,16 +2,32 @@ import styles from "./cards.module.css";
 
 /**
  * Empty state placeholder component.
- * Displayed when no part is currently selected in the hierarchy.
+ * Displayed when no part is currently selected in the hierarchy, or when the
+ * selected node has no metadata entry (the message explains why).
  *
  * @component
+ * @param {Object} props - Component props
+ * @param {string} [props.icon="📦"] - Icon shown above the message
+ * @param {string} [props.message="Select a part to view details"] - Message text
+ * @param {Array<string>} [props.details] - Optional list shown below the message
  * @returns {JSX.Element} Empty state UI with icon and message
  */
-export function EmptyState() {
+export function EmptyState({
+  icon = "📦",
+  message = "Select a part to view details",
+  details,
+}) {
   return (
     <div className={styles.emptyState}>
-      <div className={styles.emptyIcon}>📦</div>
-      <p className={styles.emptyText}>Select a part to view details</p>
+      <div className={styles.emptyIcon}>{icon}</div>
+      <p className={styles.emptyText}>{message}</p>
+      {details && details.length > 0 && (
+        <ul className={styles.emptyDetails}>
+          {details.map((detail) => (
+            <li key={detail}>{detail}</li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
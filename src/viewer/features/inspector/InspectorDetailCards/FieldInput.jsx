@@ -0,0 +1,92 @@
+import { useState } from "react";
+import {
+  PART_SCHEMA,
+  validateField,
+} from "../../../../services/partMetadata/partSchema";
+import { parseFieldInput } from "../../../../services/partMetadata/partEdits";
+import styles from "./cards.module.css";
+
+/** Placeholder hints per field type */
+const PLACEHOLDERS = {
+  number: "0.0",
+  isoDate: "YYYY-MM-DD",
+  string: "",
+};
+
+/**
+ * Text shown in the input for a field value.
+ *
+ * @param {*} value - Field value
+ * @returns {string} Input text ("" when missing)
+ */
+const formatInput = (value) =>
+  value === undefined || value === null ? "" : String(value);
+
+/**
+ * Input for editing a part metadata field.
+ *
+ * The draft is validated against the part schema while typing; valid changes are
+ * committed on blur or Enter (Ctrl+Enter for notes), Escape restores the value.
+ * Invalid drafts (and clearing a required field) are never committed.
+ *
+ * Remount it (via `key`) when `value` changes from outside, e.g. after a revert.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.field - Field key in PART_SCHEMA (e.g. "weightKg")
+ * @param {*} props.value - Current field value (edits applied)
+ * @param {Function} props.onCommit - Called with the parsed value (null when cleared)
+ * @returns {JSX.Element} Input (textarea for notes) with validation message
+ */
+export function FieldInput({ field, value, onCommit }) {
+  const [draft, setDraft] = useState(() => formatInput(value));
+  const spec = PART_SCHEMA[field];
+  const isMultiline = field === "maintenanceNotes";
+
+  const parsed = parseFieldInput(field, draft);
+  const result = validateField(field, parsed);
+  const error =
+    result.status === "invalid" || result.status === "missing"
+      ? result.message
+      : null;
+  const isDirty = draft !== formatInput(value);
+
+  const commit = () => {
+    if (isDirty && !error) onCommit(parsed);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      setDraft(formatInput(value));
+    } else if (e.key === "Enter" && (!isMultiline || e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      commit();
+    }
+  };
+
+  const inputProps = {
+    className: `${styles.input} ${error ? styles.inputInvalid : ""}`,
+    value: draft,
+    placeholder: PLACEHOLDERS[spec.type],
+    "aria-label": spec.label,
+    "aria-invalid": Boolean(error),
+    onChange: (e) => setDraft(e.target.value),
+    onBlur: commit,
+    onKeyDown: handleKeyDown,
+  };
+
+  return (
+    <div className={styles.inputWrapper}>
+      {isMultiline ? (
+        <textarea rows={3} {...inputProps} />
+      ) : (
+        <input
+          type="text"
+          inputMode={spec.type === "number" ? "decimal" : undefined}
+          {...inputProps}
+        />
+      )}
+      {error && <span className={styles.inputError}>{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import { PART_SCHEMA } from "../../../../services/partMetadata/partSchema";
+import { FieldValue } from "./FieldValue";
+import { FieldInput } from "./FieldInput";
+import styles from "./cards.module.css";
+
+/**
+ * Labeled row of a part metadata field, read-only or editable.
+ *
+ * Fields with local edits are marked (accent + dot next to the label) and get a
+ * revert button, in both modes, so changes not yet exported stay visible.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.field - Field key in PART_SCHEMA (label is taken from it)
+ * @param {Object} props.partData - Part metadata with edits applied
+ * @param {Object} props.editor - Editor from useSelectedPartEditor
+ * @param {boolean} props.isEditing - Whether to render an input instead of the value
+ * @returns {JSX.Element} Card row
+ */
+export function FieldRow({ field, partData, editor, isEditing }) {
+  const { label } = PART_SCHEMA[field];
+  const value = partData[field];
+  const isEdited = Object.hasOwn(editor.edits, field);
+
+  return (
+    <div className={`${styles.row} ${isEdited ? styles.rowEdited : ""}`}>
+      <span className={styles.label}>
+        {label}
+        {isEdited && (
+          <span className={styles.editedMark} title="Edited locally">
+            ●
+          </span>
+        )}
+      </span>
+      {isEditing ? (
+        <FieldInput
+          // Reset the draft when the part or the stored value changes (e.g. revert)
+          key={`${editor.partKey}:${JSON.stringify(value ?? null)}`}
+          field={field}
+          value={value}
+          onCommit={(next) => editor.setField(field, next)}
+        />
+      ) : (
+        <FieldValue field={field} value={value} />
+      )}
+      {isEdited && (
+        <button
+          type="button"
+          className={styles.revertButton}
+          onClick={() => editor.revertField(field)}
+          title={`Revert ${label} to the source value`}
+        >
+          ↺
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import {
+  PART_SCHEMA,
+  validateField,
+} from "../../../../services/partMetadata/partSchema";
+import styles from "./cards.module.css";
+
+/**
+ * Value of a part metadata field, validated against the part schema.
+ *
+ * Renders:
+ * - The value (with its unit, e.g. "0.3 kg") when valid
+ * - "not provided" when the field is missing
+ * - "invalid" when the value has the wrong type/format (the problem and the
+ *   raw value are shown in the tooltip)
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.field - Field key in PART_SCHEMA (e.g. "weightKg")
+ * @param {*} props.value - Raw value from the metadata entry
+ * @param {string} [props.className] - Class applied to valid values (defaults to card value style)
+ * @returns {JSX.Element} Formatted value or explicit missing/invalid state
+ */
+export function FieldValue({ field, value, className = styles.value }) {
+  const result = validateField(field, value);
+
+  if (result.status === "missing") {
+    return (
+      <span className={`${className} ${styles.valueMissing}`}>
+        not provided
+      </span>
+    );
+  }
+
+  if (result.status === "invalid") {
+    return (
+      <span
+        className={`${className} ${styles.valueInvalid}`}
+        title={`${result.message} (got ${JSON.stringify(value)})`}
+      >
+        invalid
+      </span>
+    );
+  }
+
+  const unit = PART_SCHEMA[field]?.unit;
+  return (
+    <span className={className}>
+      {value}
+      {unit ? ` ${unit}` : ""}
+    </span>
+  );
+}
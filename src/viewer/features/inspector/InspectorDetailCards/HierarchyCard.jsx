@@ -1,3 +1,4 @@
+import { FieldValue } from "./FieldValue";
 import styles from "./cards.module.css";
 
 /**
@@ -19,7 +20,11 @@ export function HierarchyCard({ partData }) {
         <h4 className={styles.cardTitle}>Hierarchy</h4>
       </div>
       <div className={styles.cardBody}>
-        <div className={styles.pathChip}>{partData.path}</div>
+        <FieldValue
+          field="path"
+          value={partData.path}
+          className={styles.pathChip}
+        />
       </div>
     </div>
   );
@@ -1,17 +1,50 @@
+import { FieldRow } from "./FieldRow";
+import {
+  MAINTENANCE_STATUSES,
+  getMaintenanceStatus,
+} from "../../../../services/partMetadata/maintenanceSchedule";
+import {
+  appendServiceRecord,
+  getServiceLog,
+} from "../../../../services/partMetadata/maintenanceLog";
+import { ServiceLog } from "./ServiceLog";
 import styles from "./cards.module.css";
 
+/** Pill style per maintenance status */
+const STATUS_CLASSES = {
+  overdue: styles.statusOverdue,
+  dueSoon: styles.statusDueSoon,
+  ok: styles.statusOk,
+  unknown: styles.statusNeutral,
+  unscheduled: styles.statusNeutral,
+};
+
 /**
  * Part maintenance history card component.
- * Displays maintenance-related information including last service date and maintenance notes.
+ * Displays maintenance-related information including last service date, service
+ * interval and maintenance notes, with the next due date and its status
+ * (overdue, due soon, OK) computed from the interval (the part's own or the
+ * maintenance rule matching its category or material).
+ * The service log lists the part's service records as a timeline and lets the
+ * user add one (stored as a local edit of `maintenanceLog`); the latest record
+ * counts as the last service.
+ * Missing or malformed values are shown as "not provided" / "invalid".
+ * In edit mode every field becomes an input; locally edited fields are marked and revertible.
  *
  * @component
  * @param {Object} props - Component props
  * @param {Object} props.partData - Part metadata from useSelectedPartMetadata hook
  * @param {string} props.partData.lastMaintenanceDate - Date of most recent service
+ * @param {number} props.partData.serviceIntervalDays - Days between services (overrides the rules)
  * @param {string} props.partData.maintenanceNotes - Comments about maintenance history
+ * @param {Array<Object>} props.partData.maintenanceLog - Service records { date, technician, action, notes }
+ * @param {Object} props.editor - Editor from useSelectedPartEditor hook
+ * @param {boolean} props.isEditing - Whether the inspector is in edit mode
  * @returns {JSX.Element} Card UI with maintenance information
  */
-export function MaintenanceCard({ partData }) {
+export function MaintenanceCard({ partData, editor, isEditing }) {
+  const schedule = getMaintenanceStatus(partData);
+
   return (
     <div className={styles.card}>
       <div className={styles.cardHeader}>
@@ -19,14 +52,55 @@ export function MaintenanceCard({ partData }) {
         <h4 className={styles.cardTitle}>Maintenance</h4>
       </div>
       <div className={styles.cardBody}>
+        {["lastMaintenanceDate", "serviceIntervalDays"].map((field) => (
+          <FieldRow
+            key={field}
+            field={field}
+            partData={partData}
+            editor={editor}
+            isEditing={isEditing}
+          />
+        ))}
         <div className={styles.row}>
-          <span className={styles.label}>Last Service</span>
-          <span className={styles.value}>{partData.lastMaintenanceDate}</span>
-        </div>
-        <div className={styles.row}>
-          <span className={styles.label}>Notes</span>
-          <span className={styles.value}>{partData.maintenanceNotes}</span>
+          <span className={styles.label}>Next Service</span>
+          <span
+            className={styles.value}
+            title={
+              schedule.source && schedule.source !== "part"
+                ? `Every ${schedule.intervalDays} days (${schedule.source})`
+                : undefined
+            }
+          >
+            {schedule.nextDueDate && `${schedule.nextDueDate} `}
+            <span
+              className={`${styles.statusPill} ${STATUS_CLASSES[schedule.status]}`}
+            >
+              {MAINTENANCE_STATUSES[schedule.status].label}
+            </span>
+          </span>
         </div>
+        <FieldRow
+          field="maintenanceNotes"
+          partData={partData}
+          editor={editor}
+          isEditing={isEditing}
+        />
+        <ServiceLog
+          // Close the add form when another part is selected
+          key={editor.partKey}
+          log={getServiceLog(partData)}
+          onAdd={
+            editor.partKey
+              ? (record) =>
+                  editor.setField(
+                    "maintenanceLog",
+                    appendServiceRecord(partData, record),
+                  )
+              : null
+          }
+          isEdited={Object.hasOwn(editor.edits, "maintenanceLog")}
+          onRevert={() => editor.revertField("maintenanceLog")}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,123 @@
+import { validateField } from "../../../../services/partMetadata/partSchema";
+import { formatWeightKg } from "../../../../services/partMetadata/weightRollup";
+import styles from "./cards.module.css";
+
+/**
+ * Format a measurement with 4 significant digits.
+ *
+ * @param {number} value - Value in display units
+ * @param {string} unit - Display unit
+ * @returns {string} Formatted value with unit
+ */
+const formatMeasure = (value, unit) =>
+  `${Number(value.toPrecision(4))} ${unit}`;
+
+/**
+ * Format a model-space vector in millimeters.
+ *
+ * @param {Array<number>} vector - [x, y, z] in meters
+ * @param {string} separator - Text between components
+ * @returns {string} Formatted components with unit
+ */
+const formatMillimeters = (vector, separator) =>
+  `${vector.map((value) => Number((value * 1000).toPrecision(4))).join(separator)} mm`;
+
+/**
+ * Geometric mass properties card component.
+ * Displays the volume, surface area, bounding dimensions and centroid measured from
+ * the selected object's meshes, the mass estimated from its material density and
+ * how that estimate compares with the declared weight.
+ * Open meshes and meshes without a known material are flagged, as they make the
+ * estimate unreliable or partial.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.measured - Result of useSelectedMassProperties hook
+ * @param {Object} props.measured.properties - Geometry (volume m³, surfaceArea m², size m, centroid m)
+ * @param {Object} props.measured.mass - Estimate ({ massKg, materials, unknownMeshCount })
+ * @param {*} props.declaredKg - Declared weight from the metadata entry (may be missing or invalid)
+ * @returns {JSX.Element} Card UI with measured and estimated values
+ */
+export function MassPropertiesCard({ measured, declaredKg }) {
+  const { properties, mass } = measured;
+  const hasDeclared = validateField("weightKg", declaredKg).status === "valid";
+  const hasEstimate = mass.unknownMeshCount < properties.meshCount;
+  const isPartial = hasEstimate && mass.unknownMeshCount > 0;
+  const deviation =
+    hasDeclared && hasEstimate && declaredKg > 0
+      ? ((mass.massKg - declaredKg) / declaredKg) * 100
+      : null;
+
+  return (
+    <div className={styles.card}>
+      <div className={styles.cardHeader}>
+        <span className={styles.cardIcon}>📐</span>
+        <h4 className={styles.cardTitle}>Mass Properties</h4>
+      </div>
+      <div className={styles.cardBody}>
+        <div className={styles.row}>
+          <span className={styles.label}>Volume</span>
+          <span className={styles.value}>
+            {formatMeasure(properties.volume * 1e6, "cm³")}
+          </span>
+        </div>
+        <div className={styles.row}>
+          <span className={styles.label}>Surface area</span>
+          <span className={styles.value}>
+            {formatMeasure(properties.surfaceArea * 1e4, "cm²")}
+          </span>
+        </div>
+        <div className={styles.row}>
+          <span className={styles.label}>Dimensions</span>
+          <span className={styles.value}>
+            {formatMillimeters(properties.size, " × ")}
+          </span>
+        </div>
+        <div className={styles.row}>
+          <span className={styles.label}>Centroid</span>
+          <span className={styles.value}>
+            {formatMillimeters(properties.centroid, ", ")}
+          </span>
+        </div>
+        <div className={styles.row}>
+          <span className={styles.label}>Estimated mass</span>
+          {hasEstimate ? (
+            <span
+              className={`${styles.value}${isPartial ? ` ${styles.valuePartial}` : ""}`}
+              title={`Density of ${mass.materials.join(", ")}${
+                isPartial
+                  ? ` (${mass.unknownMeshCount} of ${properties.meshCount} meshes have no known material)`
+                  : ""
+              }`}
+            >
+              {isPartial ? "≥ " : ""}
+              {formatWeightKg(mass.massKg)}
+            </span>
+          ) : (
+            <span
+              className={`${styles.value} ${styles.valueMissing}`}
+              title="Set a known material (e.g. Steel, Aluminum 6061) to estimate the mass"
+            >
+              unknown material
+            </span>
+          )}
+        </div>
+        {deviation !== null && (
+          <div className={styles.row}>
+            <span className={styles.label}>vs. declared</span>
+            <span className={styles.value}>
+              {deviation >= 0 ? "+" : ""}
+              {Math.round(deviation)}% ({formatWeightKg(declaredKg)})
+            </span>
+          </div>
+        )}
+        {properties.openMeshCount > 0 && (
+          <p className={styles.cardNote}>
+            {properties.openMeshCount} of {properties.meshCount} meshes are not
+            closed: volume and mass are approximate.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,3 +1,4 @@
+import { FieldValue } from "./FieldValue";
 import styles from "./cards.module.css";
 
 /**
@@ -14,8 +15,16 @@ import styles from "./cards.module.css";
 export function PartNameCard({ partData }) {
   return (
     <div className={styles.card}>
-      <h3 className={styles.partName}>{partData.name}</h3>
-      <p className={styles.partNumber}>{partData.partNumber}</p>
+      <h3 className={styles.partName}>
+        <FieldValue field="name" value={partData.name} className="" />
+      </h3>
+      <p className={styles.partNumber}>
+        <FieldValue
+          field="partNumber"
+          value={partData.partNumber}
+          className=""
+        />
+      </p>
     </div>
   );
 }
@@ -0,0 +1,174 @@
+import { useState } from "react";
+import {
+  SERVICE_RECORD_FIELDS,
+  createServiceRecord,
+  toLocalIsoDate,
+} from "../../../../services/partMetadata/maintenanceLog";
+import { validateServiceRecord } from "../../../../services/partMetadata/partSchema";
+import styles from "./cards.module.css";
+
+/**
+ * Form adding a service record.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} props.onAdd - Called with the new record once it is valid
+ * @param {Function} props.onCancel - Called when the form is dismissed
+ * @returns {JSX.Element} Record form
+ */
+function ServiceRecordForm({ onAdd, onCancel }) {
+  const [values, setValues] = useState({
+    date: toLocalIsoDate(),
+    technician: "",
+    action: "",
+    notes: "",
+  });
+  const [error, setError] = useState(null);
+
+  const setValue = (field, value) => {
+    setValues((previous) => ({ ...previous, [field]: value }));
+    setError(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const record = createServiceRecord(values);
+    const problem = validateServiceRecord(record);
+    if (problem) {
+      setError(`The record's ${problem}`);
+      return;
+    }
+    onAdd(record);
+  };
+
+  return (
+    <form className={styles.serviceForm} onSubmit={handleSubmit}>
+      {SERVICE_RECORD_FIELDS.map(({ id, label, required }) => (
+        <label key={id} className={styles.serviceFormField}>
+          <span className={styles.label}>
+            {label}
+            {required ? " *" : ""}
+          </span>
+          {id === "notes" ? (
+            <textarea
+              className={styles.input}
+              rows={2}
+              value={values[id]}
+              onChange={(e) => setValue(id, e.target.value)}
+            />
+          ) : (
+            <input
+              className={styles.input}
+              type={id === "date" ? "date" : "text"}
+              value={values[id]}
+              onChange={(e) => setValue(id, e.target.value)}
+            />
+          )}
+        </label>
+      ))}
+      {error && <span className={styles.inputError}>{error}</span>}
+      <div className={styles.cardActions}>
+        <button type="submit" className={styles.actionButton}>
+          Add record
+        </button>
+        <button
+          type="button"
+          className={styles.actionButton}
+          onClick={onCancel}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Service history of a part shown as a timeline (newest first), with a form to
+ * add a record. Added records are local edits of the part's `maintenanceLog`:
+ * they persist across reloads, export with parts.json and can be reverted together.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.log - Valid service records, newest first (getServiceLog)
+ * @param {Function|null} props.onAdd - Adds a record; null when the part can't be edited
+ * @param {boolean} props.isEdited - Whether the log has local changes
+ * @param {Function} props.onRevert - Drops the local changes of the log
+ * @returns {JSX.Element} Timeline and add form
+ */
+export function ServiceLog({ log, onAdd, isEdited, onRevert }) {
+  const [isAdding, setIsAdding] = useState(false);
+
+  const handleAdd = (record) => {
+    onAdd(record);
+    setIsAdding(false);
+  };
+
+  return (
+    <div className={styles.serviceLog}>
+      <div className={styles.serviceLogHeader}>
+        <span className={styles.label}>
+          Service Log
+          {isEdited && (
+            <span className={styles.editedMark} title="Edited locally">
+              {" "}
+              ●
+            </span>
+          )}
+        </span>
+        {isEdited && (
+          <button
+            type="button"
+            className={styles.revertButton}
+            onClick={onRevert}
+            title="Revert to the loaded log"
+            aria-label="Revert service log"
+          >
+            ↺
+          </button>
+        )}
+      </div>
+
+      {log.length === 0 ? (
+        <span className={`${styles.value} ${styles.valueMissing}`}>
+          no service recorded
+        </span>
+      ) : (
+        <ol className={styles.timeline}>
+          {log.map((record, index) => (
+            <li key={`${record.date}-${index}`} className={styles.timelineItem}>
+              <span className={styles.timelineDate}>{record.date}</span>
+              <span className={styles.timelineAction}>{record.action}</span>
+              {record.technician && (
+                <span className={styles.timelineMeta}>
+                  by {record.technician}
+                </span>
+              )}
+              {record.notes && (
+                <span className={styles.timelineNotes}>{record.notes}</span>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {onAdd &&
+        (isAdding ? (
+          <ServiceRecordForm
+            onAdd={handleAdd}
+            onCancel={() => setIsAdding(false)}
+          />
+        ) : (
+          <div className={styles.cardActions}>
+            <button
+              type="button"
+              className={styles.actionButton}
+              onClick={() => setIsAdding(true)}
+            >
+              + Add service record
+            </button>
+          </div>
+        ))}
+    </div>
+  );
+}
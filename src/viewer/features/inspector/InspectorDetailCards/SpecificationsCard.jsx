@@ -1,19 +1,25 @@
+import { FieldRow } from "./FieldRow";
 import styles from "./cards.module.css";
 
 /**
  * Part specifications card component.
- * Displays technical specifications including serial number, material, weight, and production date.
+ * Displays technical specifications including serial number, material, category, weight, and production date.
+ * Missing or malformed values are shown as "not provided" / "invalid".
+ * In edit mode every field becomes an input; locally edited fields are marked and revertible.
  *
  * @component
  * @param {Object} props - Component props
  * @param {Object} props.partData - Part metadata from useSelectedPartMetadata hook
  * @param {string} props.partData.serialNumber - Unique serial identifier
  * @param {string} props.partData.material - Material composition/type
+ * @param {string} props.partData.category - Part category (e.g. "Bearing"), used by maintenance rules
  * @param {number} props.partData.weightKg - Weight in kilograms
  * @param {string} props.partData.productionDate - Manufacturing date
+ * @param {Object} props.editor - Editor from useSelectedPartEditor hook
+ * @param {boolean} props.isEditing - Whether the inspector is in edit mode
  * @returns {JSX.Element} Card UI with specifications grid
  */
-export function SpecificationsCard({ partData }) {
+export function SpecificationsCard({ partData, editor, isEditing }) {
   return (
     <div className={styles.card}>
       <div className={styles.cardHeader}>
@@ -21,22 +27,21 @@ export function SpecificationsCard({ partData }) {
         <h4 className={styles.cardTitle}>Specifications</h4>
       </div>
       <div className={styles.cardBody}>
-        <div className={styles.row}>
-          <span className={styles.label}>Serial Number</span>
-          <span className={styles.value}>{partData.serialNumber}</span>
-        </div>
-        <div className={styles.row}>
-          <span className={styles.label}>Material</span>
-          <span className={styles.value}>{partData.material}</span>
-        </div>
-        <div className={styles.row}>
-          <span className={styles.label}>Weight</span>
-          <span className={styles.value}>{partData.weightKg} kg</span>
-        </div>
-        <div className={styles.row}>
-          <span className={styles.label}>Production Date</span>
-          <span className={styles.value}>{partData.productionDate}</span>
-        </div>
+        {[
+          "serialNumber",
+          "material",
+          "category",
+          "weightKg",
+          "productionDate",
+        ].map((field) => (
+          <FieldRow
+            key={field}
+            field={field}
+            partData={partData}
+            editor={editor}
+            isEditing={isEditing}
+          />
+        ))}
       </div>
     </div>
   );
@@ -0,0 +1,65 @@
+import { formatWeightKg } from "../../../../services/partMetadata/weightRollup";
+import styles from "./cards.module.css";
+
+/**
+ * Assembly weight roll-up card component.
+ * Displays the total weight of the parts below the selected assembly, the number of
+ * parts it contains and, for comparison, the weight declared on the assembly itself.
+ * Totals missing some part weights are marked as partial.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.rollup - Roll-up entry from useSelectedWeightRollup hook
+ * @param {number} props.rollup.totalKg - Sum of the valid part weights
+ * @param {number} props.rollup.partCount - Number of parts in the assembly
+ * @param {number} props.rollup.missingCount - Parts without a valid weight
+ * @param {boolean} props.rollup.isPartial - Whether some parts have no valid weight
+ * @param {number|null} props.rollup.declaredKg - Weight declared on the assembly entry
+ * @returns {JSX.Element} Card UI with the assembly totals
+ */
+export function WeightRollupCard({ rollup }) {
+  const { totalKg, partCount, missingCount, isPartial, declaredKg } = rollup;
+
+  return (
+    <div className={styles.card}>
+      <div className={styles.cardHeader}>
+        <span className={styles.cardIcon}>⚖️</span>
+        <h4 className={styles.cardTitle}>Assembly Weight</h4>
+      </div>
+      <div className={styles.cardBody}>
+        <div className={styles.row}>
+          <span className={styles.label}>Total weight</span>
+          <span
+            className={`${styles.value}${isPartial ? ` ${styles.valuePartial}` : ""}`}
+            title={
+              isPartial
+                ? "Lower bound: some parts have no valid weight"
+                : undefined
+            }
+          >
+            {isPartial ? "≥ " : ""}
+            {formatWeightKg(totalKg)}
+          </span>
+        </div>
+        <div className={styles.row}>
+          <span className={styles.label}>Parts</span>
+          <span className={styles.value}>{partCount}</span>
+        </div>
+        {isPartial && (
+          <div className={styles.row}>
+            <span className={styles.label}>Without weight</span>
+            <span className={`${styles.value} ${styles.valuePartial}`}>
+              {missingCount} of {partCount}
+            </span>
+          </div>
+        )}
+        {declaredKg !== null && (
+          <div className={styles.row}>
+            <span className={styles.label}>Declared</span>
+            <span className={styles.value}>{formatWeightKg(declaredKg)}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
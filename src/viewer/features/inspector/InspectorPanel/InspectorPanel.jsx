@@ -1,20 +1,70 @@
 import { useState } from "react";
-import { useSelectedPartMetadata } from "../../partMetadata/partMetadata";
+import {
+  useSelectedPartMetadata,
+  useSelectedPartMatch,
+  useSelectedPartIssues,
+  useSelectedPartEditor,
+  usePartEditsSummary,
+  useSelectedWeightRollup,
+} from "../../partMetadata/partMetadata";
+import { useSelectedMassProperties } from "../../massProperties/massProperties";
 import { EmptyState } from "../InspectorDetailCards/EmptyState";
 import { PartNameCard } from "../InspectorDetailCards/PartNameCard";
 import { SpecificationsCard } from "../InspectorDetailCards/SpecificationsCard";
 import { MaintenanceCard } from "../InspectorDetailCards/MaintenanceCard";
 import { HierarchyCard } from "../InspectorDetailCards/HierarchyCard";
+import { WeightRollupCard } from "../InspectorDetailCards/WeightRollupCard";
+import { MassPropertiesCard } from "../InspectorDetailCards/MassPropertiesCard";
+import { DataIssuesCard } from "../InspectorDetailCards/DataIssuesCard";
+import { EditsCard } from "../InspectorDetailCards/EditsCard";
 import styles from "./InspectorPanel.module.css";
 
+/**
+ * Empty state props explaining why the selected node shows no details.
+ *
+ * @param {Object|null} match - Result of useSelectedPartMatch
+ * @returns {Object} Props for EmptyState (defaults when nothing is selected)
+ */
+const getEmptyStateProps = (match) => {
+  switch (match?.status) {
+    case "ambiguous":
+      return {
+        icon: "🧩",
+        message: "This node matches several parts. Add a path or part ID to tell them apart:",
+        details: match.candidates,
+      };
+    case "unmatched":
+      return { icon: "❔", message: "No metadata found for this part" };
+    case "pending":
+    case "matched":
+      // Matched but no data yet: details of a lazily loaded part are on their way
+      return { icon: "⏳", message: "Loading part data..." };
+    case "error":
+      return {
+        icon: "❌",
+        message: "Could not load data for this part",
+        details: [match.error],
+      };
+    default:
+      return {};
+  }
+};
+
 /**
  * Inspector panel component showing detailed metadata for selected parts.
  *
  * Features:
  * - Collapsible panel (right sidebar)
  * - Shows part name, specifications, maintenance info, hierarchy
+ * - Lists schema problems of the part's metadata entry, if any
+ * - Assemblies show the weight rolled up from their parts
+ * - Volume, surface area, bounds and centroid measured from the geometry, with a
+ *   mass estimated from the material density and compared with the declared weight
+ * - Edit mode: specification and maintenance fields become validated inputs;
+ *   edits are kept locally (marked, revertible per field) and can be exported
  * - Notification badge when part data is available
- * - Empty state when no part is selected
+ * - Empty state when no part is selected, or when the selected node has no
+ *   (or an ambiguous) metadata entry
  *
  * Panel can be toggled between expanded and collapsed states.
  * Uses right-arrow/left-arrow icons to indicate state.
@@ -24,13 +74,25 @@ import styles from "./InspectorPanel.module.css";
  */
 export function InspectorPanel() {
   const [isCollapsed, setIsCollapsed] = useState(true);
+  const [isEditing, setIsEditing] = useState(false);
   const partData = useSelectedPartMetadata();
+  const match = useSelectedPartMatch();
+  const issues = useSelectedPartIssues();
+  const editor = useSelectedPartEditor();
+  const weightRollup = useSelectedWeightRollup();
+  const massProperties = useSelectedMassProperties(!isCollapsed);
+  const { editedCount, exportParts, discardAll } = usePartEditsSummary();
 
   /**
    * Toggle between expanded and collapsed panel states.
    */
   const togglePanel = () => setIsCollapsed(!isCollapsed);
 
+  /**
+   * Toggle between read-only and edit mode.
+   */
+  const toggleEditing = () => setIsEditing(!isEditing);
+
   if (isCollapsed) {
     return (
       <div className={styles.panelCollapsed}>
@@ -49,22 +111,57 @@ export function InspectorPanel() {
     <div className={styles.panel}>
       <div className={styles.header}>
         <h2 className={styles.title}>Part Details</h2>
-        <button
-          className={styles.toggleBtn}
-          onClick={togglePanel}
-          title="Hide Details"
-        >
-          ▶
-        </button>
+        <div className={styles.headerActions}>
+          <button
+            className={`${styles.toggleBtn} ${isEditing ? styles.toggleBtnActive : ""}`}
+            onClick={toggleEditing}
+            title={isEditing ? "Finish Editing" : "Edit Metadata"}
+            aria-pressed={isEditing}
+          >
+            ✎
+          </button>
+          <button
+            className={styles.toggleBtn}
+            onClick={togglePanel}
+            title="Hide Details"
+          >
+            ▶
+          </button>
+        </div>
       </div>
 
       {!partData ? (
-        <EmptyState />
+        <EmptyState {...getEmptyStateProps(match)} />
       ) : (
         <div className={styles.content}>
+          {(isEditing || editedCount > 0) && (
+            <EditsCard
+              editedCount={editedCount}
+              onExport={exportParts}
+              onDiscard={discardAll}
+            />
+          )}
           <PartNameCard partData={partData} />
-          <SpecificationsCard partData={partData} />
-          <MaintenanceCard partData={partData} />
+          {issues.length > 0 && <DataIssuesCard issues={issues} />}
+          <SpecificationsCard
+            partData={partData}
+            editor={editor}
+            isEditing={isEditing}
+          />
+          <MaintenanceCard
+            partData={partData}
+            editor={editor}
+            isEditing={isEditing}
+          />
+          {weightRollup?.isAssembly && (
+            <WeightRollupCard rollup={weightRollup} />
+          )}
+          {massProperties && (
+            <MassPropertiesCard
+              measured={massProperties}
+              declaredKg={partData.weightKg}
+            />
+          )}
           <HierarchyCard partData={partData} />
         </div>
       )}
@@ -0,0 +1,9 @@
+/**
+ * Loading feature barrel file.
+ * Exports the store tracking per-resource load progress and errors (model, metadata).
+ */
+export {
+  loadingStore,
+  getOverallProgress,
+  getResourceProgress,
+} from "./state/loadingStore";
@@ -0,0 +1,145 @@
+import { create } from "zustand";
+
+/**
+ * Fraction (0-1) of a single resource that has been loaded.
+ * Resources without a known total count as 0 until they complete.
+ *
+ * @param {Object} resource - Resource entry from the store
+ * @returns {number} Loaded fraction
+ */
+const getResourceFraction = (resource) => {
+  if (resource.status === "loaded") return 1;
+  if (resource.total > 0) return Math.min(resource.loaded / resource.total, 1);
+  return 0;
+};
+
+/**
+ * Overall loading percentage (0-100) across all tracked resources.
+ * Each resource weighs the same, regardless of its byte size.
+ *
+ * @param {Object<string, Object>} resources - Resources keyed by id
+ * @returns {number} Rounded percentage
+ */
+export const getOverallProgress = (resources) => {
+  const entries = Object.values(resources);
+  if (entries.length === 0) return 0;
+
+  const sum = entries.reduce(
+    (acc, resource) => acc + getResourceFraction(resource),
+    0,
+  );
+  return Math.round((sum / entries.length) * 100);
+};
+
+/**
+ * Percentage (0-100) of a single resource, or null if its size is unknown.
+ *
+ * @param {Object} resource - Resource entry from the store
+ * @returns {number|null} Rounded percentage
+ */
+export const getResourceProgress = (resource) => {
+  if (resource.status === "loaded") return 100;
+  if (resource.total > 0) return Math.round(getResourceFraction(resource) * 100);
+  return null;
+};
+
+export const loadingStore = create((set) => ({
+  // ============ TRACKED RESOURCES ============
+  /**
+   * Resources keyed by id ("model", "metadata", ...):
+   * { label, status: "loading" | "loaded" | "error", loaded, total, error }
+   * `loaded`/`total` are bytes when the loader reports them.
+   */
+  resources: {},
+  /**
+   * Incremented on every retry. Loaders include it in their effect
+   * dependencies / component keys to start over.
+   */
+  retryCount: 0,
+
+  /** Register a resource as loading (resets previous progress and errors) */
+  startResource: (id, label) =>
+    set((state) => ({
+      resources: {
+        ...state.resources,
+        [id]: { label, status: "loading", loaded: 0, total: 0, error: null },
+      },
+    })),
+
+  /** Update byte progress of a loading resource */
+  reportProgress: (id, loaded, total) =>
+    set((state) => {
+      const resource = state.resources[id];
+      if (!resource || resource.status !== "loading") return state;
+      return {
+        resources: { ...state.resources, [id]: { ...resource, loaded, total } },
+      };
+    }),
+
+  /** Mark a resource as fully loaded */
+  completeResource: (id) =>
+    set((state) => {
+      const resource = state.resources[id];
+      if (!resource) return state;
+      return {
+        resources: {
+          ...state.resources,
+          [id]: { ...resource, status: "loaded", error: null },
+        },
+      };
+    }),
+
+  /** Mark a resource as failed with a user-facing message */
+  failResource: (id, error, label) =>
+    set((state) => {
+      const resource = state.resources[id] || {
+        label: label || id,
+        loaded: 0,
+        total: 0,
+      };
+      return {
+        resources: {
+          ...state.resources,
+          [id]: {
+            ...resource,
+            status: "error",
+            error: error?.message || String(error),
+          },
+        },
+      };
+    }),
+
+  /** Stop tracking a resource (e.g. a model without a metadata file) */
+  removeResource: (id) =>
+    set((state) => {
+      if (!state.resources[id]) return state;
+      const resources = { ...state.resources };
+      delete resources[id];
+      return { resources };
+    }),
+
+  /**
+   * Retry every failed resource.
+   * Failed entries are dropped; their loaders re-register them on restart.
+   */
+  retry: () =>
+    set((state) => {
+      const resources = {};
+      Object.entries(state.resources).forEach(([id, resource]) => {
+        if (resource.status !== "error") resources[id] = resource;
+      });
+      return { resources, retryCount: state.retryCount + 1 };
+    }),
+
+  /**
+   * Hide failures without retrying (e.g. to pick another model instead).
+   */
+  dismissErrors: () =>
+    set((state) => {
+      const resources = {};
+      Object.entries(state.resources).forEach(([id, resource]) => {
+        if (resource.status !== "error") resources[id] = resource;
+      });
+      return { resources };
+    }),
+}));
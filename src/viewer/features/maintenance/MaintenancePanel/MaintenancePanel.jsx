@@ -0,0 +1,198 @@
+import { useState } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { modelSourceStore } from "../../modelSource/modelSource";
+import {
+  partMetadataStore,
+  usePartRecords,
+} from "../../partMetadata/partMetadata";
+import { MAINTENANCE_STATUSES } from "../../../../services/partMetadata/maintenanceSchedule";
+import {
+  SERVICE_LOG_CSV_COLUMNS,
+  buildServiceLogRows,
+} from "../../../../services/partMetadata/maintenanceLog";
+import { toCsv } from "../../../../services/export/csv";
+import {
+  downloadFile,
+  toFileBaseName,
+} from "../../../../services/export/downloadFile";
+import { maintenanceStore } from "../state/maintenanceStore";
+import { useMaintenanceSchedule } from "../hooks/useMaintenanceSchedule";
+import styles from "./MaintenancePanel.module.css";
+
+/**
+ * Describe how far the due date is ("in 12 days", "3 days ago", "today").
+ *
+ * @param {number|null} days - Days until the due date (negative when overdue)
+ * @returns {string} Relative due date, empty when unknown
+ */
+const formatDaysUntilDue = (days) => {
+  if (days === null) return "";
+  if (days === 0) return "today";
+  const count = Math.abs(days);
+  const unit = count === 1 ? "day" : "days";
+  return days > 0 ? `in ${count} ${unit}` : `${count} ${unit} ago`;
+};
+
+/**
+ * Maintenance dashboard listing the parts of the model by service urgency.
+ *
+ * Features:
+ * - Count of parts per status (overdue, due soon, no service date, OK, unscheduled);
+ *   clicking a count shows only that status
+ * - Table of parts with their last service, next due date and service interval
+ *   (the part's own or the rule it comes from), most urgent first
+ * - Clicking a line selects the part in the viewer
+ * - Toggle tinting overdue (red) and due-soon (amber) parts on the model
+ * - Export the service records of every part (local edits included) as CSV
+ *
+ * @component
+ * @returns {JSX.Element} Status summary, overlay toggle, schedule table and export
+ */
+export function MaintenancePanel() {
+  const [statusFilter, setStatusFilter] = useState(null);
+  const schedule = useMaintenanceSchedule();
+  const records = usePartRecords();
+
+  const partsData = partMetadataStore((state) => state.partsData);
+  const selectedId = viewerStateStore((state) => state.selectedId);
+  const setSelectedById = viewerStateStore((state) => state.setSelectedById);
+  const showOverlay = maintenanceStore((state) => state.showOverlay);
+  const setShowOverlay = maintenanceStore((state) => state.setShowOverlay);
+  const modelName = modelSourceStore((state) => state.source.name);
+
+  if (!partsData) {
+    return <p className={styles.message}>Loading part metadata...</p>;
+  }
+
+  if (schedule.length === 0) {
+    return (
+      <p className={styles.message}>
+        No scene node is matched to a metadata entry, so there is nothing to
+        schedule. Check the metadata coverage panel.
+      </p>
+    );
+  }
+
+  const counts = {};
+  schedule.forEach((entry) => {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  });
+
+  const entries = statusFilter
+    ? schedule.filter((entry) => entry.status === statusFilter)
+    : schedule;
+
+  const serviceLogRows = buildServiceLogRows(records);
+  const exportServiceLog = () =>
+    downloadFile(
+      `${toFileBaseName(modelName, "model")}-service-log.csv`,
+      toCsv(SERVICE_LOG_CSV_COLUMNS, serviceLogRows),
+      "text/csv",
+    );
+
+  return (
+    <div className={styles.maintenance}>
+      <div className={styles.summary}>
+        {Object.entries(MAINTENANCE_STATUSES).map(([status, { label }]) => (
+          <button
+            key={status}
+            type="button"
+            className={`${styles.stat} ${styles[status]}${
+              statusFilter === status ? ` ${styles.statActive}` : ""
+            }`}
+            onClick={() =>
+              setStatusFilter(statusFilter === status ? null : status)
+            }
+            aria-pressed={statusFilter === status}
+            title={
+              statusFilter === status ? "Show all parts" : `Show ${label} only`
+            }
+          >
+            <span className={styles.statValue}>{counts[status] || 0}</span>
+            <span className={styles.statLabel}>{label}</span>
+          </button>
+        ))}
+      </div>
+
+      <label className={styles.toggle}>
+        <input
+          type="checkbox"
+          checked={showOverlay}
+          onChange={(e) => setShowOverlay(e.target.checked)}
+        />
+        Tint overdue and due-soon parts on the model
+      </label>
+
+      <div className={styles.tableWrapper}>
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>Status</th>
+              <th>Part</th>
+              <th>Last service</th>
+              <th>Next due</th>
+              <th>Interval</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => (
+              <tr
+                key={entry.key}
+                className={`${styles.line} ${
+                  entry.nodeIds.includes(selectedId) ? styles.lineSelected : ""
+                }`}
+                onClick={() => setSelectedById(entry.nodeIds[0])}
+              >
+                <td>
+                  <span className={`${styles.badge} ${styles[entry.status]}`}>
+                    {MAINTENANCE_STATUSES[entry.status].label}
+                  </span>
+                </td>
+                <td title={entry.partNumber || undefined}>{entry.name}</td>
+                <td className={styles.nowrap}>
+                  {entry.lastMaintenanceDate || "—"}
+                </td>
+                <td className={styles.nowrap}>
+                  {entry.nextDueDate || "—"}
+                  <span className={styles.relative}>
+                    {formatDaysUntilDue(entry.daysUntilDue)}
+                  </span>
+                </td>
+                <td
+                  className={styles.nowrap}
+                  title={
+                    entry.source === "part"
+                      ? "Set on the part"
+                      : entry.source
+                        ? `Rule: ${entry.source}`
+                        : undefined
+                  }
+                >
+                  {entry.intervalDays ? `${entry.intervalDays} d` : "—"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {entries.length === 0 && (
+          <p className={styles.message}>No part has this status.</p>
+        )}
+      </div>
+
+      <div className={styles.footer}>
+        <span className={styles.footerText}>
+          {serviceLogRows.length} service record
+          {serviceLogRows.length === 1 ? "" : "s"}
+        </span>
+        <button
+          type="button"
+          className={styles.exportBtn}
+          onClick={exportServiceLog}
+          disabled={serviceLogRows.length === 0}
+        >
+          Export service log (CSV)
+        </button>
+      </div>
+    </div>
+  );
+}
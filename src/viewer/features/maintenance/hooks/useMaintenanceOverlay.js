@@ -0,0 +1,42 @@
+import { useEffect } from "react";
+import { sceneTintStore } from "../../sceneTint/sceneTint";
+import { maintenanceStore } from "../state/maintenanceStore";
+import { useMaintenanceSchedule } from "./useMaintenanceSchedule";
+
+/** Tint layer id of the maintenance overlay */
+const TINT_LAYER = "maintenance";
+
+/** Tint colors per maintenance status (other statuses keep their materials) */
+export const MAINTENANCE_TINT_COLORS = {
+  overdue: "#e0433b",
+  dueSoon: "#e0a030",
+};
+
+/**
+ * Custom hook keeping the maintenance tint layer in sync with the schedule.
+ * Mount once (App); the overlay itself is switched on from the maintenance panel.
+ *
+ * @hook
+ *
+ * @example
+ * useMaintenanceOverlay();
+ */
+export const useMaintenanceOverlay = () => {
+  const showOverlay = maintenanceStore((state) => state.showOverlay);
+  const schedule = useMaintenanceSchedule();
+
+  useEffect(() => {
+    if (!showOverlay) return undefined;
+
+    const colors = {};
+    schedule.forEach((entry) => {
+      const color = MAINTENANCE_TINT_COLORS[entry.status];
+      if (color) entry.nodeIds.forEach((nodeId) => (colors[nodeId] = color));
+    });
+
+    const { setTintLayer, clearTintLayer } = sceneTintStore.getState();
+    // Above the heatmap, so urgent parts stay visible while coloring by attribute
+    setTintLayer(TINT_LAYER, colors, { priority: 1 });
+    return () => clearTintLayer(TINT_LAYER);
+  }, [showOverlay, schedule]);
+};
@@ -0,0 +1,30 @@
+import { useMemo } from "react";
+import {
+  partMetadataStore,
+  usePartRecords,
+} from "../../partMetadata/partMetadata";
+import { buildMaintenanceSchedule } from "../../../../services/partMetadata/maintenanceSchedule";
+
+/**
+ * Custom hook returning the maintenance schedule of the parts in the scene.
+ *
+ * Statuses are computed against today's date from each part's last service date
+ * and service interval (its own, or from the maintenance rules), local edits and
+ * imports included.
+ *
+ * @hook
+ * @returns {Array<Object>} Schedule entries, most urgent first (see buildMaintenanceSchedule)
+ *
+ * @example
+ * const schedule = useMaintenanceSchedule();
+ * const overdue = schedule.filter((entry) => entry.status === "overdue");
+ */
+export const useMaintenanceSchedule = () => {
+  const resolution = partMetadataStore((state) => state.resolution);
+  const records = usePartRecords();
+
+  return useMemo(
+    () => buildMaintenanceSchedule(resolution, records),
+    [resolution, records],
+  );
+};
@@ -0,0 +1,12 @@
+/**
+ * Maintenance feature barrel file.
+ * Exports the maintenance dashboard (parts by service urgency), the schedule hook
+ * and the hook tinting overdue parts on the model.
+ */
+export { maintenanceStore } from "./state/maintenanceStore";
+export { MaintenancePanel } from "./MaintenancePanel/MaintenancePanel";
+export { useMaintenanceSchedule } from "./hooks/useMaintenanceSchedule";
+export {
+  useMaintenanceOverlay,
+  MAINTENANCE_TINT_COLORS,
+} from "./hooks/useMaintenanceOverlay";
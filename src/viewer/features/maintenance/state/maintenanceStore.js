@@ -0,0 +1,9 @@
+import { create } from "zustand";
+
+export const maintenanceStore = create((set) => ({
+  // ============ SCENE OVERLAY ============
+  /** Whether overdue and due-soon parts are tinted on the model */
+  showOverlay: false,
+  /** Switch the maintenance overlay on or off */
+  setShowOverlay: (showOverlay) => set({ showOverlay }),
+}));
@@ -0,0 +1,129 @@
+import { useEffect, useMemo, useState } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { modelSourceStore } from "../../modelSource/modelSource";
+import {
+  partMetadataStore,
+  usePartRecords,
+} from "../../partMetadata/partMetadata";
+import { computeMassProperties } from "../../../three/features/massProperties/massProperties";
+import { findMaterialDensity } from "../../../../services/partMetadata/materialDensity";
+import { validateField } from "../../../../services/partMetadata/partSchema";
+
+/**
+ * Find the material of a mesh: the first valid `material` on the mesh's own metadata
+ * entry or, failing that, on the closest ancestor that has one.
+ *
+ * @param {string} meshId - Mesh UUID
+ * @param {Object} resolution - Node resolution (see resolveParts)
+ * @param {Object<string, Object>} records - Metadata entries keyed by part key
+ * @returns {string|null} Material text, or null if no entry up the tree has one
+ */
+const findMeshMaterial = (meshId, resolution, records) => {
+  const { getObjectById } = viewerStateStore.getState();
+  for (let object = getObjectById(meshId); object; object = object.parent) {
+    const key = resolution.matches[object.uuid]?.key;
+    const material = key ? records[key]?.material : undefined;
+    if (validateField("material", material).status === "valid") {
+      return material;
+    }
+  }
+  return null;
+};
+
+/**
+ * Estimate the mass of measured meshes from their volume and material density.
+ *
+ * @param {Array<Object>} meshes - Measured meshes ({ id, volume } in m³)
+ * @param {Object} resolution - Node resolution
+ * @param {Object<string, Object>} records - Metadata entries keyed by part key
+ * @returns {Object} { massKg, materials, unknownMeshCount } - materials lists the
+ *   density keys used, unknownMeshCount the meshes left out (no known material)
+ */
+const estimateMass = (meshes, resolution, records) => {
+  const materials = new Set();
+  let massKg = 0;
+  let unknownMeshCount = 0;
+
+  meshes.forEach((mesh) => {
+    const density = findMaterialDensity(
+      findMeshMaterial(mesh.id, resolution, records),
+    );
+    if (!density) {
+      unknownMeshCount += 1;
+      return;
+    }
+    massKg += mesh.volume * density.densityKgM3;
+    materials.add(density.key);
+  });
+
+  return { massKg, materials: Array.from(materials), unknownMeshCount };
+};
+
+/**
+ * Custom hook measuring the selected mesh or group from its geometry.
+ *
+ * Measures volume, surface area, bounding dimensions and centroid in model space,
+ * converted to meters with the model's catalog `unitScale` (see
+ * computeMassProperties), and estimates the mass from each mesh's volume and
+ * the density of its metadata material. Parts are measured in the assembled
+ * pose, so exploding the model doesn't change the result. The measurement runs
+ * on the frame after the selection changes; the mass estimate follows metadata
+ * edits without re-measuring.
+ *
+ * @hook
+ * @param {boolean} [enabled=true] - Measure only while the result is displayed
+ *   (measuring large assemblies walks every triangle)
+ * @returns {Object|null} { properties, mass } (see computeMassProperties and
+ *   estimateMass), null when nothing measurable is selected or while measuring
+ *
+ * @example
+ * const measured = useSelectedMassProperties();
+ * if (measured) console.log(measured.properties.volume, measured.mass.massKg);
+ */
+export const useSelectedMassProperties = (enabled = true) => {
+  const selectedId = viewerStateStore((state) => state.selectedId);
+  const items = viewerStateStore((state) => state.items);
+  const unitScale = modelSourceStore((state) => state.source.unitScale);
+  const resolution = partMetadataStore((state) => state.resolution);
+  const records = usePartRecords();
+
+  /** Last measurement, tagged with the node it belongs to */
+  const [measurement, setMeasurement] = useState(null);
+
+  useEffect(() => {
+    if (!enabled || !selectedId) return undefined;
+
+    // Walking large assemblies is slow: measure once the selection has painted
+    const frame = requestAnimationFrame(() => {
+      const { getObjectById, getModelRoot, getAssembledPosition } =
+        viewerStateStore.getState();
+      const object = getObjectById(selectedId);
+      const root = getModelRoot();
+      setMeasurement({
+        id: selectedId,
+        properties:
+          object && root
+            ? computeMassProperties(object, root, {
+                getPosition: getAssembledPosition,
+                unitScale,
+              })
+            : null,
+      });
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [enabled, selectedId, items, unitScale]);
+
+  const properties =
+    measurement?.id === selectedId ? measurement.properties : null;
+
+  return useMemo(
+    () =>
+      properties
+        ? {
+            properties,
+            mass: estimateMass(properties.meshes, resolution, records),
+          }
+        : null,
+    [properties, resolution, records],
+  );
+};
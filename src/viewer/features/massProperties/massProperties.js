@@ -0,0 +1,6 @@
+/**
+ * Mass properties feature barrel file.
+ * Exports the hook measuring the selected object's geometry (volume, surface area,
+ * bounds, centroid) and estimating its mass from the material densities.
+ */
+export { useSelectedMassProperties } from "./hooks/useSelectedMassProperties";
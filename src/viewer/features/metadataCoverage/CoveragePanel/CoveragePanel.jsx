@@ -0,0 +1,194 @@
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { partMetadataStore } from "../../partMetadata/partMetadata";
+import { useCoverageReport } from "../hooks/useCoverageReport";
+import styles from "./CoveragePanel.module.css";
+
+/**
+ * Percentage of `part` in `total`, 0 when total is 0.
+ *
+ * @param {number} part - Matched count
+ * @param {number} total - Total count
+ * @returns {number} Rounded percentage
+ */
+const toPercent = (part, total) =>
+  total > 0 ? Math.round((part / total) * 100) : 0;
+
+/**
+ * Collapsible list section of the coverage report.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.title - Section title
+ * @param {Array} props.items - Rows of the section (count shown in the title)
+ * @param {Function} props.renderItem - Renders one row
+ * @param {string} props.emptyText - Shown when the section has no rows
+ * @returns {JSX.Element} Section with title and rows
+ */
+function CoverageSection({ title, items, renderItem, emptyText }) {
+  return (
+    <details className={styles.section} open={items.length > 0}>
+      <summary className={styles.sectionTitle}>
+        {title} <span className={styles.count}>{items.length}</span>
+      </summary>
+      {items.length === 0 ? (
+        <p className={styles.sectionEmpty}>{emptyText}</p>
+      ) : (
+        <ul className={styles.list}>{items.map(renderItem)}</ul>
+      )}
+    </details>
+  );
+}
+
+/**
+ * Metadata coverage panel for authoring parts metadata files.
+ *
+ * Lists:
+ * - Scene nodes without metadata, and nodes matching several entries
+ * - Orphaned entries (no scene node resolves to them)
+ * - Path mismatches (entry found by part ID or name, but its `path` is wrong)
+ * - Entries with missing required fields or invalid values
+ *
+ * Clicking a node row selects it in the viewer. "Reload metadata" drops the
+ * cached metadata and loads it again, to check edits without reloading the page.
+ *
+ * @component
+ * @returns {JSX.Element} Coverage summary and issue lists
+ */
+export function CoveragePanel() {
+  const report = useCoverageReport();
+  const setSelectedById = viewerStateStore((state) => state.setSelectedById);
+  const reloadMetadata = partMetadataStore((state) => state.reloadMetadata);
+
+  if (!report) {
+    return <p className={styles.message}>Loading part metadata...</p>;
+  }
+
+  if (report.totals.entries === 0) {
+    return (
+      <p className={styles.message}>
+        This model has no metadata file. Add a <code>partsUrl</code> to its
+        catalog entry or load it with <code>?parts=</code> to check coverage.
+      </p>
+    );
+  }
+
+  const { totals } = report;
+
+  /** Clickable row for a scene node (selects it in the viewer). */
+  const renderNode = (node) => (
+    <li key={node.id}>
+      <button
+        type="button"
+        className={styles.nodeBtn}
+        onClick={() => setSelectedById(node.id)}
+        title={node.path}
+      >
+        <span className={styles.name}>{node.name || "(unnamed)"}</span>
+        <span className={styles.path}>{node.path}</span>
+        {node.candidates && (
+          <span className={styles.detail}>
+            Candidates: {node.candidates.join(", ")}
+          </span>
+        )}
+      </button>
+    </li>
+  );
+
+  return (
+    <div className={styles.coverage}>
+      <button
+        type="button"
+        className={styles.reloadBtn}
+        onClick={reloadMetadata}
+        title="Drop cached metadata and load it again"
+      >
+        ⟳ Reload metadata
+      </button>
+
+      <div className={styles.summary}>
+        <div className={styles.stat}>
+          <span className={styles.statValue}>
+            {toPercent(totals.matchedNodes, totals.nodes)}%
+          </span>
+          <span className={styles.statLabel}>
+            of nodes have data ({totals.matchedNodes}/{totals.nodes})
+          </span>
+        </div>
+        <div className={styles.stat}>
+          <span className={styles.statValue}>
+            {toPercent(totals.matchedEntries, totals.entries)}%
+          </span>
+          <span className={styles.statLabel}>
+            of entries are used ({totals.matchedEntries}/{totals.entries})
+          </span>
+        </div>
+      </div>
+
+      <CoverageSection
+        title="Nodes without metadata"
+        items={report.unmatchedNodes}
+        renderItem={renderNode}
+        emptyText="Every node has an entry."
+      />
+
+      <CoverageSection
+        title="Ambiguous nodes"
+        items={report.ambiguousNodes}
+        renderItem={renderNode}
+        emptyText="No node matches several entries."
+      />
+
+      <CoverageSection
+        title="Orphaned entries"
+        items={report.orphanedEntries}
+        renderItem={(entry) => (
+          <li key={entry.key} className={styles.entry}>
+            <span className={styles.name}>{entry.name}</span>
+            <span className={styles.path}>{entry.path || "(no path)"}</span>
+          </li>
+        )}
+        emptyText="Every entry points at a scene node."
+      />
+
+      <CoverageSection
+        title="Path mismatches"
+        items={report.pathMismatches}
+        renderItem={(mismatch) => (
+          <li key={mismatch.id}>
+            <button
+              type="button"
+              className={styles.nodeBtn}
+              onClick={() => setSelectedById(mismatch.id)}
+            >
+              <span className={styles.name}>
+                {mismatch.key}{" "}
+                <span className={styles.detail}>
+                  (matched by {mismatch.matchedBy})
+                </span>
+              </span>
+              <span className={styles.path}>Entry: {mismatch.entryPath}</span>
+              <span className={styles.path}>Scene: {mismatch.nodePath}</span>
+            </button>
+          </li>
+        )}
+        emptyText="Every entry path matches the scene."
+      />
+
+      <CoverageSection
+        title="Invalid entries"
+        items={report.invalidEntries}
+        renderItem={(entry) => (
+          <li key={entry.key} className={styles.entry}>
+            <span className={styles.name}>{entry.name}</span>
+            {entry.problems.map((problem) => (
+              <span key={problem.field ?? "entry"} className={styles.detail}>
+                {problem.message}
+              </span>
+            ))}
+          </li>
+        )}
+        emptyText="Every entry matches the part schema."
+      />
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { useMemo } from "react";
+import {
+  partMetadataStore,
+  partEditsStore,
+  getPartRecord,
+} from "../../partMetadata/partMetadata";
+import { buildCoverageReport } from "../../../../services/partMetadata/coverageReport";
+import {
+  applyPartEdits,
+  getAddedParts,
+  isAddedPart,
+} from "../../../../services/partMetadata/partEdits";
+import { validatePart } from "../../../../services/partMetadata/partSchema";
+
+/** Stable empty edits for sources without local changes */
+const NO_EDITS = {};
+
+/**
+ * Custom hook returning the metadata coverage report of the active model.
+ *
+ * Recomputed whenever the metadata, its validation or the node resolution changes
+ * (new model, new metadata file, retry). Locally edited entries are validated
+ * with their edits applied, and entries added locally count as metadata entries.
+ *
+ * @hook
+ * @returns {Object|null} Coverage report (see buildCoverageReport), or null
+ *   while the metadata hasn't loaded
+ *
+ * @example
+ * const report = useCoverageReport();
+ * if (report) console.log(report.orphanedEntries);
+ */
+export const useCoverageReport = () => {
+  const partsData = partMetadataStore((state) => state.partsData);
+  const resolution = partMetadataStore((state) => state.resolution);
+  const partIssues = partMetadataStore((state) => state.partIssues);
+  const partDetails = partMetadataStore((state) => state.partDetails);
+  const lazyDetails = partMetadataStore((state) => state.lazyDetails);
+  const partsUrl = partMetadataStore((state) => state.partsUrl);
+  const partEdits = partEditsStore(
+    (state) => state.edits[partsUrl] || NO_EDITS,
+  );
+
+  return useMemo(() => {
+    if (!partsData) return null;
+
+    const issues = { ...partIssues };
+    Object.entries(partEdits).forEach(([key, edits]) => {
+      const record = isAddedPart(partsData, key)
+        ? {}
+        : getPartRecord({ partsData, partDetails, lazyDetails }, key);
+      // Summaries of lazily loaded sources are validated once details arrive
+      if (!record) return;
+      const problems = validatePart(applyPartEdits(record, edits));
+      if (problems.length > 0) {
+        issues[key] = problems;
+      } else {
+        delete issues[key];
+      }
+    });
+
+    return buildCoverageReport(
+      { ...partsData, ...getAddedParts(partsData, partEdits) },
+      resolution,
+      issues,
+    );
+  }, [partsData, resolution, partIssues, partDetails, lazyDetails, partEdits]);
+};
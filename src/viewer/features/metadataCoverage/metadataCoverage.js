@@ -0,0 +1,7 @@
+/**
+ * Metadata coverage feature barrel file.
+ * Exports the metadata coverage panel and its report hook
+ * (scene nodes without metadata, orphaned entries, path mismatches).
+ */
+export { CoveragePanel } from "./CoveragePanel/CoveragePanel";
+export { useCoverageReport } from "./hooks/useCoverageReport";
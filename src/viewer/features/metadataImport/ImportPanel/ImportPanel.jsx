@@ -0,0 +1,258 @@
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { partMetadataStore } from "../../partMetadata/partMetadata";
+import { PART_SCHEMA } from "../../../../services/partMetadata/partSchema";
+import { IMPORT_FIELDS } from "../../../../services/partMetadata/spreadsheetImport";
+import { useSpreadsheetImport } from "../hooks/useSpreadsheetImport";
+import styles from "./ImportPanel.module.css";
+
+/** Readable delimiter names for the file summary */
+const DELIMITER_NAMES = {
+  ",": "comma",
+  ";": "semicolon",
+  "\t": "tab",
+};
+
+/**
+ * Short description of the identifying cells of a row.
+ *
+ * @param {Object} identity - Row identity { name?, path?, partNumber? }
+ * @returns {string} e.g. "Crank_L_07 · AEV-Crank_L_07"
+ */
+const describeRow = (identity) =>
+  [identity.name, identity.partNumber, identity.path]
+    .filter(Boolean)
+    .join(" · ") || "(no name, path or part number)";
+
+/**
+ * Collapsible list of preview rows.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.title - Section title
+ * @param {Array<Object>} props.rows - Rows of the section (count shown in the title)
+ * @param {Function} props.renderDetail - Renders the detail line(s) of a row
+ * @param {boolean} [props.open=false] - Whether the section starts expanded
+ * @returns {JSX.Element|null} Section, or null when it has no rows
+ */
+function PreviewSection({ title, rows, renderDetail, open = false }) {
+  if (rows.length === 0) return null;
+
+  return (
+    <details className={styles.section} open={open}>
+      <summary className={styles.sectionTitle}>
+        {title} <span className={styles.count}>{rows.length}</span>
+      </summary>
+      <ul className={styles.list}>
+        {rows.map((row) => (
+          <li key={row.line} className={styles.row}>
+            <span className={styles.rowTitle}>
+              <span className={styles.line}>Line {row.line}</span>
+              {describeRow(row.identity)}
+            </span>
+            {renderDetail(row)}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+/**
+ * Spreadsheet import panel for bulk-loading part metadata from BOM exports.
+ *
+ * Steps:
+ * 1. Pick a CSV or TSV file (delimiter detected from the extension / header row)
+ * 2. Map columns to part fields (guessed from the header names)
+ * 3. Preview: rows matched to scene nodes (existing or new entries), rows matching
+ *    no node, and values skipped because they fail the part schema
+ * 4. Merge: matched rows become local metadata edits (see the inspector edit mode)
+ *
+ * Clicking the target of a matched row selects its node in the viewer.
+ *
+ * @component
+ * @returns {JSX.Element} Import steps and preview
+ */
+export function ImportPanel() {
+  const partsUrl = partMetadataStore((state) => state.partsUrl);
+  const setSelectedById = viewerStateStore((state) => state.setSelectedById);
+  const {
+    file,
+    error,
+    mapping,
+    preview,
+    result,
+    loadFile,
+    setColumn,
+    merge,
+    reset,
+  } = useSpreadsheetImport();
+
+  if (!partsUrl) {
+    return (
+      <p className={styles.message}>
+        This model has no metadata source to import into. Add a{" "}
+        <code>partsUrl</code> to its catalog entry or load it with{" "}
+        <code>?parts=</code>.
+      </p>
+    );
+  }
+
+  const matched = preview.filter((row) => row.status === "matched");
+  const unmatched = preview.filter(
+    (row) => row.status === "unmatched" || row.status === "conflict",
+  );
+  const withProblems = preview.filter((row) => row.problems.length > 0);
+  const newEntries = matched.reduce(
+    (count, row) => count + row.targets.filter((target) => target.isNew).length,
+    0,
+  );
+
+  const handleFileChange = (e) => {
+    const [picked] = e.target.files;
+    if (picked) loadFile(picked);
+    // Allow picking the same file again after editing it
+    e.target.value = "";
+  };
+
+  return (
+    <div className={styles.importPanel}>
+      <p className={styles.message}>
+        Import a BOM exported from a spreadsheet as CSV or TSV. Rows are matched
+        to scene nodes by path, part number or name; their values are merged as
+        local edits you can review in the inspector and export.
+      </p>
+
+      <div className={styles.fileRow}>
+        <label className={styles.fileBtn}>
+          📂 Choose file…
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+            onChange={handleFileChange}
+            className={styles.fileInput}
+          />
+        </label>
+        {file && (
+          <>
+            <span className={styles.fileName} title={file.name}>
+              {file.name} · {file.rowCount} rows ·{" "}
+              {DELIMITER_NAMES[file.delimiter]}-separated
+            </span>
+            <button type="button" className={styles.linkBtn} onClick={reset}>
+              Clear
+            </button>
+          </>
+        )}
+      </div>
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      {file && (
+        <>
+          <fieldset className={styles.mapping}>
+            <legend className={styles.legend}>Columns</legend>
+            {IMPORT_FIELDS.map((field) => (
+              <label key={field} className={styles.mappingRow}>
+                <span className={styles.mappingLabel}>
+                  {PART_SCHEMA[field].label}
+                </span>
+                <select
+                  className={styles.select}
+                  value={mapping[field] ?? ""}
+                  onChange={(e) =>
+                    setColumn(
+                      field,
+                      e.target.value === "" ? null : Number(e.target.value),
+                    )
+                  }
+                >
+                  <option value="">— not imported —</option>
+                  {file.headers.map((header, index) => (
+                    <option key={index} value={index}>
+                      {header || `Column ${index + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </fieldset>
+
+          <div className={styles.summary}>
+            <span>
+              <strong>{matched.length}</strong> matched
+              {newEntries > 0 && ` (${newEntries} new entries)`}
+            </span>
+            <span>
+              <strong>{unmatched.length}</strong> matched no node
+            </span>
+            <span>
+              <strong>{withProblems.length}</strong> with skipped values
+            </span>
+          </div>
+
+          <PreviewSection
+            title="Rows matching no node"
+            rows={unmatched}
+            open
+            renderDetail={(row) =>
+              row.status === "conflict" && (
+                <span className={styles.detail}>
+                  Its nodes match several metadata entries
+                </span>
+              )
+            }
+          />
+
+          <PreviewSection
+            title="Skipped values"
+            rows={withProblems}
+            open
+            renderDetail={(row) =>
+              row.problems.map((problem) => (
+                <span key={problem.field ?? "row"} className={styles.detail}>
+                  {problem.message}
+                </span>
+              ))
+            }
+          />
+
+          <PreviewSection
+            title="Matched rows"
+            rows={matched}
+            renderDetail={(row) =>
+              row.targets.map((target) => (
+                <button
+                  key={target.nodeId}
+                  type="button"
+                  className={styles.targetBtn}
+                  onClick={() => setSelectedById(target.nodeId)}
+                  title={target.path}
+                >
+                  → {target.key}
+                  {target.isNew && <span className={styles.newTag}>new</span>}
+                </button>
+              ))
+            }
+          />
+
+          <button
+            type="button"
+            className={styles.mergeBtn}
+            onClick={merge}
+            disabled={matched.length === 0}
+          >
+            Merge {matched.length} row(s) into metadata
+          </button>
+
+          {result && (
+            <p className={styles.success}>
+              Merged {result.rows} row(s) into {result.parts} part(s). Select a
+              part to review its values; the inspector's edits card exports
+              them.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
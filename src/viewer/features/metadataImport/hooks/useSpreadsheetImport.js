@@ -0,0 +1,138 @@
+import { useCallback, useMemo, useState } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import {
+  partMetadataStore,
+  partEditsStore,
+  getPartRecord,
+  collectPartNodes,
+} from "../../partMetadata/partMetadata";
+import { readDelimitedTable } from "../../../../services/import/delimitedText";
+import {
+  guessColumnMapping,
+  readImportRows,
+  matchImportRows,
+  buildImportEdits,
+} from "../../../../services/partMetadata/spreadsheetImport";
+import {
+  getAddedParts,
+  isAddedPart,
+} from "../../../../services/partMetadata/partEdits";
+
+/**
+ * Custom hook driving the spreadsheet import: file -> column mapping -> preview -> merge.
+ *
+ * The preview is recomputed whenever the mapping, the model or the metadata changes,
+ * so it always reflects what a merge would do right now. Merged values become local
+ * edits of the active metadata source (see partEditsStore): they show up in the
+ * inspector, are marked as edited and are included in the parts.json export.
+ *
+ * @hook
+ * @returns {Object} Import state and actions:
+ *   - file: { name, delimiter, headers, rowCount } of the loaded file, or null
+ *   - error: message of the last failed file read, or null
+ *   - mapping: field -> column index (null when not imported)
+ *   - preview: rows from matchImportRows (empty until a file is loaded)
+ *   - result: { rows, parts } after a merge, null otherwise
+ *   - loadFile(file): read a CSV/TSV File and guess the column mapping
+ *   - setColumn(field, index): map a field to a column (null to skip it)
+ *   - merge(): apply the matched rows to the metadata
+ *   - reset(): forget the loaded file
+ *
+ * @example
+ * const { loadFile, preview, merge } = useSpreadsheetImport();
+ * <input type="file" onChange={(e) => loadFile(e.target.files[0])} />
+ */
+export const useSpreadsheetImport = () => {
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const items = viewerStateStore((state) => state.items);
+  const partsUrl = partMetadataStore((state) => state.partsUrl);
+  const partsData = partMetadataStore((state) => state.partsData);
+  const resolution = partMetadataStore((state) => state.resolution);
+  const sourceEdits = partEditsStore((state) => state.edits[partsUrl]);
+
+  const preview = useMemo(() => {
+    if (!table || !partsData || items.length === 0) return [];
+
+    const rows = readImportRows(table.rows, mapping);
+    return matchImportRows(
+      rows,
+      collectPartNodes(),
+      { ...partsData, ...getAddedParts(partsData, sourceEdits) },
+      resolution,
+    );
+  }, [table, mapping, items, partsData, sourceEdits, resolution]);
+
+  const loadFile = useCallback(async (file) => {
+    setResult(null);
+    try {
+      const text = await file.text();
+      const parsed = readDelimitedTable(text, file.name);
+      if (parsed.headers.length === 0) {
+        throw new Error("The file is empty.");
+      }
+      setTable({ ...parsed, name: file.name });
+      setMapping(guessColumnMapping(parsed.headers));
+      setError(null);
+    } catch (err) {
+      setTable(null);
+      setError(`Could not read ${file.name}: ${err.message || err}`);
+    }
+  }, []);
+
+  const setColumn = useCallback((field, index) => {
+    setResult(null);
+    setMapping((current) => ({ ...current, [field]: index }));
+  }, []);
+
+  const merge = useCallback(() => {
+    if (!partsUrl) return;
+
+    const matchedRows = preview.filter((row) => row.status === "matched");
+    const editsByKey = buildImportEdits(matchedRows);
+    const state = partMetadataStore.getState();
+    const baseRecords = {};
+    Object.keys(editsByKey).forEach((key) => {
+      baseRecords[key] = isAddedPart(state.partsData, key)
+        ? null
+        : getPartRecord(state, key);
+    });
+
+    partEditsStore.getState().mergeEdits(partsUrl, editsByKey, baseRecords);
+    setResult({
+      rows: matchedRows.length,
+      parts: Object.keys(editsByKey).length,
+    });
+  }, [partsUrl, preview]);
+
+  const reset = useCallback(() => {
+    setTable(null);
+    setMapping({});
+    setError(null);
+    setResult(null);
+  }, []);
+
+  const file = table
+    ? {
+        name: table.name,
+        delimiter: table.delimiter,
+        headers: table.headers,
+        rowCount: table.rows.length,
+      }
+    : null;
+
+  return {
+    file,
+    error,
+    mapping,
+    preview,
+    result,
+    loadFile,
+    setColumn,
+    merge,
+    reset,
+  };
+};
@@ -0,0 +1,7 @@
+/**
+ * Metadata import feature barrel file.
+ * Exports the spreadsheet (CSV/TSV) import panel and its hook, which merge BOM rows
+ * into the part metadata as local edits.
+ */
+export { ImportPanel } from "./ImportPanel/ImportPanel";
+export { useSpreadsheetImport } from "./hooks/useSpreadsheetImport";
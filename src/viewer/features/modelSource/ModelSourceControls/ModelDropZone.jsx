@@ -0,0 +1,81 @@
+import { useRef, useState } from "react";
+import { modelSourceStore } from "../state/modelSourceStore";
+import styles from "./ModelSourceControls.module.css";
+
+/**
+ * Check whether a drag event carries files (as opposed to text or links).
+ *
+ * @param {DragEvent} e - Drag event
+ * @returns {boolean} True if files are being dragged
+ */
+const isFileDrag = (e) =>
+  Array.from(e.dataTransfer?.types || []).includes("Files");
+
+/**
+ * Drop target wrapper that loads dropped .glb/.gltf files into the viewer.
+ *
+ * Renders its children unchanged and shows a hint overlay while files are
+ * dragged over it. A .gltf can be dropped together with its .bin and texture files.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} [props.className] - Class applied to the wrapper element
+ * @param {React.ReactNode} props.children - Content rendered inside the drop zone
+ * @returns {JSX.Element} Wrapper element with drag-and-drop handling
+ */
+export function ModelDropZone({ className, children }) {
+  const setSourceFromFiles = modelSourceStore(
+    (state) => state.setSourceFromFiles,
+  );
+  const [isDragging, setIsDragging] = useState(false);
+
+  /**
+   * dragenter/dragleave fire for every nested element, so track depth
+   * to know when the pointer really leaves the wrapper.
+   */
+  const dragDepthRef = useRef(0);
+
+  const handleDragEnter = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    setIsDragging(true);
+  };
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+  };
+
+  const handleDragLeave = (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepthRef.current = Math.max(dragDepthRef.current - 1, 0);
+    if (dragDepthRef.current === 0) setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDragging(false);
+    setSourceFromFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div
+      className={className}
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {children}
+      {isDragging && (
+        <div className={styles.dropOverlay}>
+          <p className={styles.dropText}>Drop a .glb / .gltf file to load it</p>
+        </div>
+      )}
+    </div>
+  );
+}
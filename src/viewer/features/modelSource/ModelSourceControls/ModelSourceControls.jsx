@@ -0,0 +1,85 @@
+import { useRef } from "react";
+import { modelSourceStore } from "../state/modelSourceStore";
+import { MODEL_FILE_EXTENSIONS } from "../domain/modelSourceUtils";
+import { ModelSwitcher } from "./ModelSwitcher";
+import styles from "./ModelSourceControls.module.css";
+
+/**
+ * Floating viewport control for choosing the model to display.
+ *
+ * Provides:
+ * - Model switcher listing the catalog (or the model name before the catalog loads)
+ * - "Open model" button backed by a hidden file input (.glb/.gltf plus companion files)
+ * - Inline error message when an unsupported file is chosen
+ *
+ * @component
+ * @returns {JSX.Element} Model source control overlay
+ */
+export function ModelSourceControls() {
+  const source = modelSourceStore((state) => state.source);
+  const hasCatalog = modelSourceStore(
+    (state) => Boolean(state.catalog && state.catalog.models.length > 0),
+  );
+  const sourceError = modelSourceStore((state) => state.sourceError);
+  const setSourceFromFiles = modelSourceStore(
+    (state) => state.setSourceFromFiles,
+  );
+  const clearSourceError = modelSourceStore((state) => state.clearSourceError);
+  const inputRef = useRef(null);
+
+  /**
+   * Forward picked files to the store and reset the input so picking
+   * the same file again still triggers a change event.
+   */
+  const handleFilesPicked = (e) => {
+    if (e.target.files && e.target.files.length > 0) {
+      setSourceFromFiles(e.target.files);
+    }
+    e.target.value = "";
+  };
+
+  return (
+    <div className={styles.container} role="group" aria-label="Model source">
+      <div className={styles.row}>
+        {hasCatalog ? (
+          <ModelSwitcher />
+        ) : (
+          <span className={styles.name} title={source.name}>
+            {source.name}
+          </span>
+        )}
+        <button
+          className={styles.openBtn}
+          type="button"
+          onClick={() => inputRef.current?.click()}
+          title="Open a .glb or .gltf file (or drop it on the viewport)"
+        >
+          📂 Open model
+        </button>
+        <input
+          ref={inputRef}
+          className={styles.fileInput}
+          type="file"
+          accept={MODEL_FILE_EXTENSIONS.join(",")}
+          multiple
+          onChange={handleFilesPicked}
+          aria-label="Model file"
+        />
+      </div>
+
+      {sourceError && (
+        <div className={styles.error} role="alert">
+          <span>{sourceError}</span>
+          <button
+            className={styles.dismissBtn}
+            type="button"
+            onClick={clearSourceError}
+            aria-label="Dismiss error"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
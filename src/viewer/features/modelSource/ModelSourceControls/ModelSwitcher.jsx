@@ -0,0 +1,44 @@
+import { modelSourceStore } from "../state/modelSourceStore";
+import styles from "./ModelSourceControls.module.css";
+
+/**
+ * Dropdown listing the assemblies from the model catalog.
+ *
+ * Selecting an entry swaps the model, its metadata file, credits and camera preset.
+ * When a non-catalog model is active (URL or local file), a disabled
+ * "Custom" option shows its name.
+ *
+ * @component
+ * @returns {JSX.Element|null} Model select, or null until the catalog is loaded
+ */
+export function ModelSwitcher() {
+  const catalog = modelSourceStore((state) => state.catalog);
+  const source = modelSourceStore((state) => state.source);
+  const selectCatalogModel = modelSourceStore(
+    (state) => state.selectCatalogModel,
+  );
+
+  if (!catalog || catalog.models.length === 0) return null;
+
+  const isCatalogSource = source.kind === "catalog" && Boolean(source.id);
+
+  return (
+    <select
+      className={styles.switcher}
+      value={isCatalogSource ? source.id : ""}
+      onChange={(e) => selectCatalogModel(e.target.value)}
+      aria-label="Model"
+    >
+      {!isCatalogSource && (
+        <option value="" disabled>
+          Custom: {source.name}
+        </option>
+      )}
+      {catalog.models.map((entry) => (
+        <option key={entry.id} value={entry.id}>
+          {entry.name}
+        </option>
+      ))}
+    </select>
+  );
+}
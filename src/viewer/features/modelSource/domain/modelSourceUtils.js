@@ -0,0 +1,199 @@
+/**
+ * Model source helpers - resolve where the viewer should load its glTF asset from.
+ *
+ * Supported sources:
+ * - Catalog entries from public/models.json (default entry or `?model=<id>`)
+ * - `?model=<url>` query parameter (optionally with `&parts=<locator>` metadata:
+ *   a JSON file URL, "rest:<api url>" or "idb:<dataset>")
+ * - Local files picked or dropped by the user (exposed as blob: object URLs)
+ *
+ * Every source is described by the same shape:
+ * { kind, id, url, name, resources, partsUrl, credits, camera, unitScale }
+ *
+ * `unitScale` (meters per model unit) comes from the catalog; other sources
+ * use glTF's meters.
+ */
+import { DEFAULT_PARTS_URL } from "../../../../services/partMetadata/partsService";
+
+/** URL of the model bundled with the demo (used until the catalog is loaded) */
+export const DEFAULT_MODEL_URL = "/air_motor.glb";
+
+/** Query string parameter used to override the default model (catalog id or URL) */
+export const MODEL_QUERY_PARAM = "model";
+
+/** Query string parameter providing a parts metadata locator for `?model=<url>` */
+export const PARTS_QUERY_PARAM = "parts";
+
+/** File extensions accepted as the main model file */
+export const MODEL_FILE_EXTENSIONS = [".glb", ".gltf"];
+
+/**
+ * Extract the file name (last path segment, without query/hash) from a URL.
+ *
+ * @param {string} url - Absolute or relative URL
+ * @returns {string} File name, or the URL itself if no segment is found
+ */
+export const getFileNameFromUrl = (url) => {
+  const withoutQuery = String(url).split(/[?#]/)[0];
+  const segments = withoutQuery.split("/").filter(Boolean);
+  return segments.length > 0 ? decodeURIComponent(segments.at(-1)) : url;
+};
+
+/**
+ * Check whether a file name has a supported glTF extension.
+ *
+ * @param {string} fileName - File name to check
+ * @returns {boolean} True for .glb and .gltf files (case-insensitive)
+ */
+export const isModelFileName = (fileName) => {
+  const lowerName = String(fileName || "").toLowerCase();
+  return MODEL_FILE_EXTENSIONS.some((ext) => lowerName.endsWith(ext));
+};
+
+/**
+ * Check whether a `?model=` value is a URL (as opposed to a catalog id).
+ *
+ * @param {string} value - Query parameter value
+ * @returns {boolean} True if the value contains a path separator or a glTF extension
+ */
+const isModelUrl = (value) => value.includes("/") || isModelFileName(value);
+
+/**
+ * Build a model source from an arbitrary URL.
+ *
+ * @param {string} url - Model URL
+ * @param {string|null} [partsUrl=null] - Optional parts metadata locator
+ * @returns {Object} Model source descriptor
+ */
+export const createUrlModelSource = (url, partsUrl = null) => ({
+  kind: "url",
+  id: null,
+  url,
+  name: getFileNameFromUrl(url),
+  resources: {},
+  partsUrl,
+  credits: null,
+  camera: null,
+  unitScale: 1,
+});
+
+/**
+ * Build a model source from a catalog entry.
+ *
+ * @param {Object} entry - Normalized entry from catalogService
+ * @returns {Object} Model source descriptor
+ */
+export const createCatalogModelSource = (entry) => ({
+  kind: "catalog",
+  id: entry.id,
+  url: entry.modelUrl,
+  name: entry.name,
+  resources: {},
+  partsUrl: entry.partsUrl,
+  credits: entry.credits,
+  camera: entry.camera,
+  unitScale: entry.unitScale,
+});
+
+/**
+ * Build the initial model source from the page query string.
+ *
+ * - `?model=<url>`: loads that URL directly (metadata from `&parts=<url>` if given)
+ * - `?model=<id>`: pending catalog entry, resolved once models.json is loaded
+ * - no parameter: the bundled demo model, upgraded to the catalog default entry later
+ *
+ * A pending catalog source has `url: null` until it is resolved.
+ *
+ * @param {string} [search=window.location.search] - Query string to parse
+ * @returns {Object} Model source descriptor
+ *
+ * @example
+ * // https://host/?model=/models/gearbox.glb&parts=/models/gearbox.parts.json
+ * getInitialModelSource(); // { kind: "url", url: "/models/gearbox.glb", ... }
+ */
+export const getInitialModelSource = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const value = params.get(MODEL_QUERY_PARAM);
+
+  if (value && isModelUrl(value)) {
+    return createUrlModelSource(value, params.get(PARTS_QUERY_PARAM));
+  }
+
+  if (value) {
+    return {
+      kind: "catalog",
+      id: value,
+      url: null,
+      name: value,
+      resources: {},
+      partsUrl: null,
+      credits: null,
+      camera: null,
+      unitScale: 1,
+    };
+  }
+
+  return {
+    kind: "catalog",
+    id: null,
+    url: DEFAULT_MODEL_URL,
+    name: getFileNameFromUrl(DEFAULT_MODEL_URL),
+    resources: {},
+    partsUrl: DEFAULT_PARTS_URL,
+    credits: null,
+    camera: null,
+    unitScale: 1,
+  };
+};
+
+/**
+ * Build a model source from local files (file picker or drag-and-drop).
+ *
+ * The first .glb/.gltf file becomes the main model. Any other files are kept as
+ * companion resources (e.g. .bin buffers and textures referenced by a .gltf),
+ * mapped by file name to object URLs so the loader can resolve them.
+ *
+ * Local files carry no metadata, credits, camera preset or unit scale.
+ *
+ * @param {FileList|Array<File>} files - Files provided by the user
+ * @returns {Object|null} Model source descriptor, or null if no supported model file was provided
+ */
+export const createFileModelSource = (files) => {
+  const fileList = Array.from(files || []);
+  const modelFile = fileList.find((file) => isModelFileName(file.name));
+  if (!modelFile) return null;
+
+  const resources = {};
+  fileList
+    .filter((file) => file !== modelFile)
+    .forEach((file) => {
+      resources[file.name] = URL.createObjectURL(file);
+    });
+
+  return {
+    kind: "file",
+    id: null,
+    url: URL.createObjectURL(modelFile),
+    name: modelFile.name,
+    resources,
+    partsUrl: null,
+    credits: null,
+    camera: null,
+    unitScale: 1,
+  };
+};
+
+/**
+ * Release object URLs created for a file-based model source.
+ * No-op for URL-based sources.
+ *
+ * @param {Object|null} source - Model source descriptor
+ */
+export const revokeModelSource = (source) => {
+  if (!source || source.kind !== "file") return;
+
+  URL.revokeObjectURL(source.url);
+  Object.values(source.resources || {}).forEach((url) =>
+    URL.revokeObjectURL(url),
+  );
+};
@@ -0,0 +1,39 @@
+import { useEffect } from "react";
+import { modelSourceStore } from "../state/modelSourceStore";
+import { loadCatalog } from "../../../../services/modelCatalog/catalogService";
+
+/**
+ * Custom hook that loads the model catalog (public/models.json) once on mount
+ * and hands it to the model source store.
+ *
+ * Loading the catalog resolves the initial catalog source (default model or
+ * `?model=<id>`) so its metadata file, credits and camera preset become active.
+ * A missing or broken catalog is not fatal: the default model keeps loading.
+ *
+ * @hook
+ *
+ * @example
+ * // Called once at application root
+ * useModelCatalog();
+ */
+export const useModelCatalog = () => {
+  const setCatalog = modelSourceStore((state) => state.setCatalog);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadCatalog()
+      .then((catalog) => {
+        if (!cancelled) setCatalog(catalog);
+      })
+      .catch(() => {
+        // Already logged by the catalog service. An empty catalog keeps the
+        // default model and reports a pending `?model=<id>` as unknown.
+        if (!cancelled) setCatalog({ defaultModelId: null, models: [] });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [setCatalog]);
+};
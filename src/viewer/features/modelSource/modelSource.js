@@ -0,0 +1,15 @@
+/**
+ * Model source feature barrel file.
+ * Exports the store and UI for choosing which glTF model the viewer loads
+ * (catalog switcher, query parameter, file picker or drag-and-drop) and the names
+ * of its query parameters.
+ */
+export { modelSourceStore } from "./state/modelSourceStore";
+export { ModelSourceControls } from "./ModelSourceControls/ModelSourceControls";
+export { ModelDropZone } from "./ModelSourceControls/ModelDropZone";
+export { ModelSwitcher } from "./ModelSourceControls/ModelSwitcher";
+export { useModelCatalog } from "./hooks/useModelCatalog";
+export {
+  MODEL_QUERY_PARAM,
+  PARTS_QUERY_PARAM,
+} from "./domain/modelSourceUtils";
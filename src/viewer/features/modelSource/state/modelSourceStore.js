@@ -0,0 +1,106 @@
+import { create } from "zustand";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { getCatalogEntry } from "../../../../services/modelCatalog/catalogService";
+import {
+  createCatalogModelSource,
+  createFileModelSource,
+  createUrlModelSource,
+  getInitialModelSource,
+  MODEL_FILE_EXTENSIONS,
+  revokeModelSource,
+} from "../domain/modelSourceUtils";
+
+export const modelSourceStore = create((set, get) => ({
+  // ============ ACTIVE SOURCE ============
+  /**
+   * Descriptor of the model currently shown in the viewport:
+   * { kind: "catalog" | "url" | "file", id, url, name, resources, partsUrl, credits, camera,
+   * unitScale }
+   * `url` is null while a `?model=<id>` catalog entry is still being resolved.
+   */
+  source: getInitialModelSource(),
+  /** User-facing message for the last rejected source (null if none) */
+  sourceError: null,
+
+  /**
+   * Replace the active source.
+   *
+   * When the model URL changes, per-model viewer state is reset and object URLs
+   * owned by the previous source are released. When only descriptive fields change
+   * (e.g. the default model gets its catalog credits), the scene is kept as is.
+   */
+  setSource: (nextSource) => {
+    const previous = get().source;
+    if (previous && previous.url === nextSource.url) {
+      set({ source: { ...nextSource, resources: previous.resources } });
+      return;
+    }
+
+    revokeModelSource(previous);
+    viewerStateStore.getState().resetModelState();
+    set({ source: nextSource, sourceError: null });
+  },
+
+  /**
+   * Load a model from a remote or relative URL.
+   */
+  setSourceFromUrl: (url, partsUrl = null) => {
+    if (!url) return;
+    get().setSource(createUrlModelSource(url, partsUrl));
+  },
+
+  // ============ CATALOG ============
+  /** Catalog loaded from public/models.json (null until loaded) */
+  catalog: null,
+
+  /**
+   * Store the loaded catalog and resolve a pending catalog source
+   * (default model or `?model=<id>`) to its entry.
+   */
+  setCatalog: (catalog) => {
+    set({ catalog });
+
+    const { source } = get();
+    if (source.kind !== "catalog") return;
+
+    const entry = getCatalogEntry(catalog, source.id);
+    if (entry) {
+      get().setSource(createCatalogModelSource(entry));
+      return;
+    }
+
+    // Unknown `?model=<id>`: fall back to the catalog default entry
+    const fallback = getCatalogEntry(catalog, null);
+    if (fallback) get().setSource(createCatalogModelSource(fallback));
+    if (source.id) {
+      set({ sourceError: `Unknown model "${source.id}" in catalog.` });
+    }
+  },
+
+  /**
+   * Switch to a catalog model by id (used by the model switcher).
+   */
+  selectCatalogModel: (id) => {
+    const entry = getCatalogEntry(get().catalog, id);
+    if (!entry) return;
+    get().setSource(createCatalogModelSource(entry));
+  },
+
+  /**
+   * Load a model from local files (file picker or drag-and-drop).
+   * Rejects the selection if it contains no .glb/.gltf file.
+   */
+  setSourceFromFiles: (files) => {
+    const nextSource = createFileModelSource(files);
+    if (!nextSource) {
+      set({
+        sourceError: `Unsupported file. Expected ${MODEL_FILE_EXTENSIONS.join(" or ")}.`,
+      });
+      return;
+    }
+    get().setSource(nextSource);
+  },
+
+  /** Dismiss the last source error message */
+  clearSourceError: () => set({ sourceError: null }),
+}));
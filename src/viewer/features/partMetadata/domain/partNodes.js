@@ -0,0 +1,30 @@
+/**
+ * Part nodes - describes the loaded model's part nodes for matching them to metadata
+ * (resolver, spreadsheet import).
+ */
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { getScenePath } from "../../../three/features/model/scenePath";
+
+/**
+ * Describe the part nodes of the loaded model for the resolver.
+ * Only nodes shown in the hierarchy (meshes and groups containing meshes) are parts.
+ *
+ * @returns {Array<Object>} Node descriptors { id, name, path, userData }
+ */
+export const collectPartNodes = () => {
+  const { getModelRoot, getDescendantMeshIds } = viewerStateStore.getState();
+  const root = getModelRoot();
+  if (!root) return [];
+
+  const nodes = [];
+  root.traverse((obj) => {
+    if (obj === root || getDescendantMeshIds(obj.uuid).length === 0) return;
+    nodes.push({
+      id: obj.uuid,
+      name: obj.name,
+      path: getScenePath(obj, root),
+      userData: obj.userData,
+    });
+  });
+  return nodes;
+};
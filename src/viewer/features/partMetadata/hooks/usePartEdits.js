@@ -0,0 +1,110 @@
+import { useCallback } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { partMetadataStore, getPartRecord } from "../state/partMetadataStore";
+import { partEditsStore } from "../state/partEditsStore";
+import { buildEditedPartsFile } from "../../../../services/partMetadata/partEdits";
+import { downloadJson } from "../../../../services/export/downloadFile";
+
+/** Stable empty edits for parts without local changes */
+const NO_EDITS = {};
+
+/** File name used when the metadata locator doesn't end with a JSON file name */
+const DEFAULT_EXPORT_FILE_NAME = "parts.json";
+
+/**
+ * Derive the exported file name from the metadata locator
+ * ("/parts.json" -> "parts.json", "rest:http://host/api" -> "parts.json").
+ *
+ * @param {string} partsUrl - Metadata source locator
+ * @returns {string} File name
+ */
+const getExportFileName = (partsUrl) => {
+  const lastSegment = partsUrl.split(/[/?#]/).filter(Boolean).pop() || "";
+  return lastSegment.endsWith(".json") ? lastSegment : DEFAULT_EXPORT_FILE_NAME;
+};
+
+/**
+ * Custom hook for editing the selected part's metadata.
+ *
+ * Edits are stored per metadata source and part key, so they follow the part
+ * across selections and reloads.
+ *
+ * @hook
+ * @returns {Object} Editor:
+ *   - partKey: key of the selected part (null when nothing is matched)
+ *   - edits: edited fields of the part ({ [field]: value }, empty when unedited)
+ *   - setField(field, value): store an edited value (null clears the field)
+ *   - revertField(field): restore the field's source value
+ *
+ * @example
+ * const { edits, setField } = useSelectedPartEditor();
+ * setField("weightKg", 0.4);
+ */
+export const useSelectedPartEditor = () => {
+  const selectedId = viewerStateStore((state) => state.selectedId);
+  const partsUrl = partMetadataStore((state) => state.partsUrl);
+  const partKey = partMetadataStore(
+    (state) => state.resolution.matches[selectedId]?.key || null,
+  );
+  const edits = partEditsStore(
+    (state) => (partKey && state.edits[partsUrl]?.[partKey]) || NO_EDITS,
+  );
+
+  const setField = useCallback(
+    (field, value) => {
+      if (!partsUrl || !partKey) return;
+      const record = getPartRecord(partMetadataStore.getState(), partKey);
+      partEditsStore
+        .getState()
+        .setFieldEdit(partsUrl, partKey, field, value, record?.[field]);
+    },
+    [partsUrl, partKey],
+  );
+
+  const revertField = useCallback(
+    (field) => {
+      if (!partsUrl || !partKey) return;
+      partEditsStore.getState().revertFieldEdit(partsUrl, partKey, field);
+    },
+    [partsUrl, partKey],
+  );
+
+  return { partKey, edits, setField, revertField };
+};
+
+/**
+ * Custom hook summarizing the local edits of the active metadata source.
+ *
+ * @hook
+ * @returns {Object} Summary:
+ *   - editedCount: number of parts with local edits
+ *   - exportParts(): download the metadata with the edits applied (parts.json shape)
+ *   - discardAll(): drop every edit of the source
+ *
+ * @example
+ * const { editedCount, exportParts } = usePartEditsSummary();
+ * if (editedCount > 0) exportParts();
+ */
+export const usePartEditsSummary = () => {
+  const partsUrl = partMetadataStore((state) => state.partsUrl);
+  const editedCount = partEditsStore(
+    (state) => Object.keys(state.edits[partsUrl] || NO_EDITS).length,
+  );
+
+  const exportParts = useCallback(() => {
+    const { partsData, partDetails } = partMetadataStore.getState();
+    if (!partsUrl || !partsData) return;
+
+    const partEdits = partEditsStore.getState().edits[partsUrl] || NO_EDITS;
+    downloadJson(
+      getExportFileName(partsUrl),
+      buildEditedPartsFile(partsData, partEdits, partDetails),
+    );
+  }, [partsUrl]);
+
+  const discardAll = useCallback(() => {
+    if (partsUrl) partEditsStore.getState().discardEdits(partsUrl);
+  }, [partsUrl]);
+
+  return { editedCount, exportParts, discardAll };
+};
@@ -0,0 +1,181 @@
+import { useEffect, useMemo } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { modelSourceStore } from "../../modelSource/modelSource";
+import { loadingStore } from "../../loading/loading";
+import { partMetadataStore } from "../state/partMetadataStore";
+import { partEditsStore } from "../state/partEditsStore";
+import {
+  loadParts,
+  loadPartDetails,
+  hasLazyPartDetails,
+  isAbortError,
+} from "../../../../services/partMetadata/partsService";
+import {
+  resolveParts,
+  EMPTY_RESOLUTION,
+} from "../../../../services/partMetadata/partResolver";
+import { getAddedParts } from "../../../../services/partMetadata/partEdits";
+import { collectPartNodes } from "../domain/partNodes";
+
+/** Id of the metadata entry in the loading store */
+const METADATA_RESOURCE_ID = "metadata";
+
+/** Label of the metadata entry shown in the loader overlay */
+const METADATA_RESOURCE_LABEL = "Part metadata";
+
+/**
+ * Custom hook that loads the active model's part metadata and matches it to the scene.
+ *
+ * Handles the full lifecycle:
+ * - Loads the active model's metadata index through its adapter (static file,
+ *   REST or IndexedDB), aborting the request when the model changes
+ * - Reloads when the active model (and thus its metadata source) changes
+ * - Reloads on retry after a failed load and on reloadMetadata()
+ * - Fetches full records of lazily loaded sources (REST) for the selected part,
+ *   cancelling the request when the selection changes
+ * - Reports progress and failures as the "metadata" resource of the loading store
+ * - Validates every entry against the part schema (problems kept per part)
+ * - Resolves scene nodes to metadata entries (path, then part ID, then name)
+ *   whenever the model or its metadata changes, and reports ambiguous/unmatched nodes.
+ *   Entries added locally (spreadsheet import) take part in the matching.
+ *
+ * Models without a metadata file (local files, bare URLs) resolve to empty data.
+ * Mount it once (App); components read the results through useSelectedPartMetadata.
+ *
+ * @hook
+ * @returns {void}
+ *
+ * @example
+ * // In App
+ * usePartMetadataLoader();
+ */
+export const usePartMetadataLoader = () => {
+  const retryCount = loadingStore((state) => state.retryCount);
+  const partsUrl = modelSourceStore((state) => state.source.partsUrl);
+  const items = viewerStateStore((state) => state.items);
+  const reloadToken = partMetadataStore((state) => state.reloadToken);
+  const partsData = partMetadataStore((state) =>
+    state.partsUrl === partsUrl ? state.partsData : null,
+  );
+  const lazyDetails = partMetadataStore((state) => state.lazyDetails);
+  const selectedId = viewerStateStore((state) => state.selectedId);
+  const selectedKey = partMetadataStore((state) =>
+    selectedId ? (state.resolution.matches[selectedId]?.key ?? null) : null,
+  );
+  // Serialized so edits to existing entries don't trigger a new resolution
+  const addedPartsJson = partEditsStore((state) =>
+    JSON.stringify(getAddedParts(partsData, state.edits[partsUrl])),
+  );
+  const resolvableParts = useMemo(
+    () => partsData && { ...partsData, ...JSON.parse(addedPartsJson) },
+    [partsData, addedPartsJson],
+  );
+
+  /**
+   * Load the parts index for the active model.
+   *
+   * Fires on startup, whenever the model switcher changes the metadata source,
+   * on retry and on reload. Results are cached per source by loadParts(),
+   * so switching back won't refetch. Aborting drops responses that arrive
+   * after a newer model was chosen.
+   */
+  useEffect(() => {
+    const controller = new AbortController();
+    const { startResource, completeResource, failResource, removeResource } =
+      loadingStore.getState();
+    const { setPartsData } = partMetadataStore.getState();
+
+    if (!partsUrl) {
+      setPartsData(null, {});
+      removeResource(METADATA_RESOURCE_ID);
+      return;
+    }
+
+    startResource(METADATA_RESOURCE_ID, METADATA_RESOURCE_LABEL);
+    loadParts(partsUrl, { signal: controller.signal })
+      .then((data) => {
+        setPartsData(partsUrl, data, hasLazyPartDetails(partsUrl));
+        completeResource(METADATA_RESOURCE_ID);
+
+        const { partIssues } = partMetadataStore.getState();
+        const invalidCount = Object.keys(partIssues).length;
+        if (invalidCount > 0) {
+          console.warn(
+            `⚠️ ${invalidCount} part(s) in ${partsUrl} have invalid or missing fields:`,
+            partIssues,
+          );
+        }
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        failResource(METADATA_RESOURCE_ID, err);
+      });
+
+    return () => controller.abort();
+  }, [partsUrl, retryCount, reloadToken]);
+
+  /**
+   * Fetch the full record of the selected part from lazily loaded sources.
+   *
+   * Records are cached per part by the adapter, so reselecting is instant.
+   * Selecting another part before the response arrives aborts the request.
+   */
+  useEffect(() => {
+    if (!lazyDetails || !partsUrl || !partsData?.[selectedKey]) return;
+
+    const { partDetails, setPartDetails } = partMetadataStore.getState();
+    if (partDetails[selectedKey]?.status === "loaded") return;
+
+    const controller = new AbortController();
+    setPartDetails(selectedKey, { status: "loading", data: null, error: null });
+    loadPartDetails(partsUrl, selectedKey, { signal: controller.signal })
+      .then((data) =>
+        setPartDetails(selectedKey, { status: "loaded", data, error: null }),
+      )
+      .catch((err) => {
+        if (isAbortError(err)) {
+          setPartDetails(selectedKey, null);
+          return;
+        }
+        setPartDetails(selectedKey, {
+          status: "error",
+          data: null,
+          error: err.message || String(err),
+        });
+      });
+
+    return () => controller.abort();
+  }, [partsUrl, partsData, lazyDetails, selectedKey, reloadToken]);
+
+  /**
+   * Match scene nodes to metadata entries.
+   * Runs once the hierarchy of a new model is built and whenever new metadata arrives.
+   */
+  useEffect(() => {
+    const { setResolution } = partMetadataStore.getState();
+
+    if (!resolvableParts || items.length === 0) {
+      setResolution(EMPTY_RESOLUTION);
+      return;
+    }
+
+    const resolution = resolveParts(resolvableParts, collectPartNodes());
+    setResolution(resolution);
+
+    // Models without a metadata file have nothing to report.
+    if (Object.keys(resolvableParts).length === 0) return;
+
+    if (resolution.ambiguous.length > 0) {
+      console.warn(
+        `⚠️ ${resolution.ambiguous.length} node(s) match several parts:`,
+        resolution.ambiguous,
+      );
+    }
+    if (resolution.unmatched.length > 0) {
+      console.warn(
+        `⚠️ ${resolution.unmatched.length} node(s) have no part data:`,
+        resolution.unmatched,
+      );
+    }
+  }, [resolvableParts, items]);
+};
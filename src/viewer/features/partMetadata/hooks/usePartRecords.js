@@ -0,0 +1,44 @@
+import { useMemo } from "react";
+import { partMetadataStore } from "../state/partMetadataStore";
+import { partEditsStore } from "../state/partEditsStore";
+import {
+  applyPartEdits,
+  getAddedParts,
+} from "../../../../services/partMetadata/partEdits";
+
+/** Stable empty result while no metadata is loaded */
+const NO_RECORDS = {};
+
+/**
+ * Custom hook returning every metadata entry of the active source as currently seen
+ * by the viewer: fetched details replace index summaries (lazily loaded sources),
+ * local edits are applied and entries added locally are included.
+ *
+ * Use it for views over all parts (BOM, roll-ups); single-part views should use
+ * useSelectedPartMetadata.
+ *
+ * @hook
+ * @returns {Object<string, Object>} Records keyed by part key (empty while loading)
+ *
+ * @example
+ * const records = usePartRecords();
+ * const key = partMetadataStore.getState().resolution.matches[uuid]?.key;
+ * console.log(records[key]?.weightKg);
+ */
+export const usePartRecords = () => {
+  const partsData = partMetadataStore((state) => state.partsData);
+  const partDetails = partMetadataStore((state) => state.partDetails);
+  const partsUrl = partMetadataStore((state) => state.partsUrl);
+  const sourceEdits = partEditsStore((state) => state.edits[partsUrl]);
+
+  return useMemo(() => {
+    if (!partsData) return NO_RECORDS;
+
+    const records = {};
+    Object.entries(partsData).forEach(([key, part]) => {
+      const record = partDetails[key]?.data || part;
+      records[key] = applyPartEdits(record, sourceEdits?.[key]);
+    });
+    return { ...records, ...getAddedParts(partsData, sourceEdits) };
+  }, [partsData, partDetails, sourceEdits]);
+};
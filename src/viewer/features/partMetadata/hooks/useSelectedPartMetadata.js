@@ -1,73 +1,136 @@
-import { useEffect, useState } from "react";
+import { useMemo } from "react";
 import { viewerStateStore } from "../../viewerState/viewerState";
+import { partMetadataStore, getPartRecord } from "../state/partMetadataStore";
+import { partEditsStore } from "../state/partEditsStore";
 import {
-  loadParts,
-  getPartByName,
-} from "../../../../services/partMetadata/partsService";
+  applyPartEdits,
+  isAddedPart,
+} from "../../../../services/partMetadata/partEdits";
+import { validatePart } from "../../../../services/partMetadata/partSchema";
+
+/** Stable empty result so components don't re-render for valid entries */
+const NO_ISSUES = [];
+
+/** Base record of entries added locally (their edits hold every field) */
+const ADDED_PART_BASE = {};
 
 /**
- * Custom hook to fetch and manage part metadata for the selected object.
+ * Custom hook returning the selected part's record as loaded and its local edits.
  *
- * Handles the full lifecycle:
- * - Loads parts.json once on component mount (with cleanup)
- * - Watches for selection changes
- * - Returns metadata for currently selected part
- * - Manages global loading state
+ * @hook
+ * @returns {Object} { record, edits } - record is null when nothing is matched
+ *   or loaded, edits is undefined when the part wasn't edited
+ */
+const useSelectedPartSource = () => {
+  const selectedId = viewerStateStore((state) => state.selectedId);
+  const partsUrl = partMetadataStore((state) => state.partsUrl);
+  const key = partMetadataStore((state) =>
+    selectedId ? state.resolution.matches[selectedId]?.key : undefined,
+  );
+  const record = partMetadataStore((state) =>
+    isAddedPart(state.partsData, key)
+      ? ADDED_PART_BASE
+      : getPartRecord(state, key),
+  );
+  const edits = partEditsStore((state) =>
+    key ? state.edits[partsUrl]?.[key] : undefined,
+  );
+
+  return { record, edits };
+};
+
+/**
+ * Custom hook returning the metadata of the selected part.
  *
- * NOTE: This hook has a potential memory leak concern (see below).
+ * The lookup goes through the node resolution built by usePartMetadataLoader
+ * (scene path, then part ID, then name), keyed by the selected object's UUID,
+ * so duplicated or missing node names don't pick the wrong entry.
+ * For lazily loaded sources (REST) the full record fetched for the part is returned.
+ * Local edits (see partEditsStore) are applied on top of the loaded record.
  *
  * @hook
  * @returns {Object|null} Part metadata object for selected item, or null if:
- *   - Parts are still loading
+ *   - Parts (or the selected part's details) are still loading
  *   - No item is currently selected
- *   - Selected item not found in parts data
+ *   - Selected node has no (or no unambiguous) entry in parts data
  *
  * @example
  * const partData = useSelectedPartMetadata();
  * if (partData) {
  *   console.log(partData.name, partData.specifications);
  * }
- *
- * @todo Add cleanup flag to prevent state updates on unmounted component
- *       (see InteractiveModel for reference implementation)
  */
 export const useSelectedPartMetadata = () => {
-  // Retrieve selection state from global store
-  const selectedItem = viewerStateStore((state) => state.selectedItem);
-  const setLoading = viewerStateStore((state) => state.setLoading);
+  const { record, edits } = useSelectedPartSource();
+
+  return useMemo(() => applyPartEdits(record, edits), [record, edits]);
+};
+
+/**
+ * Custom hook describing how the selected node was matched to metadata.
+ *
+ * @hook
+ * @returns {Object|null} Null when nothing is selected, otherwise one of:
+ *   - { status: "matched", matchedBy: "path" | "id" | "name", key }
+ *   - { status: "error", key, error } when the part's details failed to load
+ *   - { status: "ambiguous", candidates: Array<string> }
+ *   - { status: "unmatched" }
+ *   - { status: "pending" } while the metadata or the resolution isn't ready
+ *
+ * @example
+ * const match = useSelectedPartMatch();
+ * if (match?.status === "ambiguous") console.log(match.candidates);
+ */
+export const useSelectedPartMatch = () => {
+  const selectedId = viewerStateStore((state) => state.selectedId);
+  const resolution = partMetadataStore((state) => state.resolution);
+  const partDetails = partMetadataStore((state) => state.partDetails);
+
+  if (!selectedId) return null;
 
-  /**
-   * Local state to cache parts data after initial load.
-   * Prevents refetching on every component render.
-   */
-  const [partsData, setPartsData] = useState(null);
+  const match = resolution.matches[selectedId];
+  if (match) {
+    const details = partDetails[match.key];
+    if (details?.status === "error") {
+      return { status: "error", key: match.key, error: details.error };
+    }
+    return { status: "matched", ...match };
+  }
 
-  /**
-   * Load parts metadata once on mount.
-   *
-   * This fires during initial app startup, fetching parts.json from public folder.
-   * Results are cached by loadParts(), so subsequent selections won't refetch.
-   */
-  useEffect(() => {
-    setLoading(true);
-    loadParts()
-      .then((data) => {
-        setPartsData(data);
-        setLoading(false);
-      })
-      .catch((err) => {
-        console.error("❌ Error loading parts data:", err);
-        setLoading(false);
-      });
-  }, [setLoading]);
+  const ambiguous = resolution.ambiguous.find((node) => node.id === selectedId);
+  if (ambiguous) {
+    return { status: "ambiguous", candidates: ambiguous.candidates };
+  }
 
-  /**
-   * Return part info for the currently selected item.
-   * Returns null if still loading or no item selected.
-   */
-  if (!partsData || !selectedItem) {
-    return null;
+  if (resolution.unmatched.some((node) => node.id === selectedId)) {
+    return { status: "unmatched" };
   }
 
-  return getPartByName(partsData, selectedItem);
+  return { status: "pending" };
+};
+
+/**
+ * Custom hook returning the schema problems of the selected part's metadata entry.
+ * Edited entries are validated again with the edits applied.
+ *
+ * @hook
+ * @returns {Array<Object>} Problems ({ field, status, message }), empty when the
+ *   entry is valid or nothing is matched
+ *
+ * @example
+ * const issues = useSelectedPartIssues();
+ * if (issues.length > 0) console.log(issues[0].message);
+ */
+export const useSelectedPartIssues = () => {
+  const selectedId = viewerStateStore((state) => state.selectedId);
+  const issues = partMetadataStore((state) => {
+    const match = selectedId ? state.resolution.matches[selectedId] : null;
+    return match ? state.partIssues[match.key] : undefined;
+  });
+  const { record, edits } = useSelectedPartSource();
+
+  return useMemo(() => {
+    if (record && edits) return validatePart(applyPartEdits(record, edits));
+    return issues || NO_ISSUES;
+  }, [issues, record, edits]);
 };
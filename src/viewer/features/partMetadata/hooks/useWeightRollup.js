@@ -0,0 +1,44 @@
+import { useMemo } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { partMetadataStore } from "../state/partMetadataStore";
+import { usePartRecords } from "./usePartRecords";
+import { computeWeightRollup } from "../../../../services/partMetadata/weightRollup";
+
+/**
+ * Custom hook returning weight totals for every node of the hierarchy.
+ *
+ * Totals sum the weights of the leaf parts below each node (assemblies' own weights
+ * are not added, see computeWeightRollup) using the metadata as currently seen by
+ * the viewer, local edits included. Totals with leaf parts lacking a valid weight
+ * are flagged as partial.
+ *
+ * @hook
+ * @returns {Object<string, Object>} Node UUID -> { totalKg, partCount, missingCount,
+ *   isPartial, isAssembly, declaredKg } (empty while no model is loaded)
+ *
+ * @example
+ * const rollup = useWeightRollup();
+ * const { totalKg, isPartial } = rollup[node.id];
+ */
+export const useWeightRollup = () => {
+  const items = viewerStateStore((state) => state.items);
+  const resolution = partMetadataStore((state) => state.resolution);
+  const records = usePartRecords();
+
+  return useMemo(
+    () => computeWeightRollup(items, resolution, records),
+    [items, resolution, records],
+  );
+};
+
+/**
+ * Custom hook returning the weight totals of the selected node.
+ *
+ * @hook
+ * @returns {Object|null} Roll-up entry (see useWeightRollup), null when nothing is selected
+ */
+export const useSelectedWeightRollup = () => {
+  const selectedId = viewerStateStore((state) => state.selectedId);
+  const rollup = useWeightRollup();
+  return (selectedId && rollup[selectedId]) || null;
+};
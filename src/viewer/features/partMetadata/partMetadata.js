@@ -1,5 +1,24 @@
 /**
  * Part metadata feature barrel file.
- * Exports the hook for loading and caching part details from the metadata service.
+ * Exports the stores and hooks for loading part details from the metadata service,
+ * matching them to scene nodes, reading the selected part's entry, editing it locally
+ * and rolling weights up the hierarchy.
  */
-export { useSelectedPartMetadata } from "./hooks/useSelectedPartMetadata";
+export { partMetadataStore, getPartRecord } from "./state/partMetadataStore";
+export { partEditsStore } from "./state/partEditsStore";
+export { collectPartNodes } from "./domain/partNodes";
+export { usePartMetadataLoader } from "./hooks/usePartMetadataLoader";
+export {
+  useSelectedPartMetadata,
+  useSelectedPartMatch,
+  useSelectedPartIssues,
+} from "./hooks/useSelectedPartMetadata";
+export { usePartRecords } from "./hooks/usePartRecords";
+export {
+  useWeightRollup,
+  useSelectedWeightRollup,
+} from "./hooks/useWeightRollup";
+export {
+  useSelectedPartEditor,
+  usePartEditsSummary,
+} from "./hooks/usePartEdits";
@@ -0,0 +1,125 @@
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { isFieldChanged } from "../../../../services/partMetadata/partEdits";
+
+/** localStorage key of the persisted edits */
+const STORAGE_KEY = "r3f-mechanical-demo-metadata-edits";
+
+/**
+ * Return a copy of `object` without `key`, or undefined if nothing is left.
+ *
+ * @param {Object} object - Object to copy
+ * @param {string} key - Key to drop
+ * @returns {Object|undefined} Copy without the key
+ */
+const omitKey = (object, key) => {
+  const rest = { ...object };
+  delete rest[key];
+  return Object.keys(rest).length > 0 ? rest : undefined;
+};
+
+/**
+ * Replace the edits of one part, dropping empty levels so the persisted
+ * state only holds actual changes.
+ *
+ * @param {Object} edits - All edits ({ [partsUrl]: { [key]: { [field]: value } } })
+ * @param {string} partsUrl - Metadata source locator
+ * @param {string} key - Part key
+ * @param {Object|undefined} partEdits - New edits of the part (undefined removes them)
+ * @returns {Object} Updated edits
+ */
+const withPartEdits = (edits, partsUrl, key, partEdits) => {
+  const sourceEdits = partEdits
+    ? { ...edits[partsUrl], [key]: partEdits }
+    : omitKey(edits[partsUrl] || {}, key);
+  return sourceEdits
+    ? { ...edits, [partsUrl]: sourceEdits }
+    : omitKey(edits, partsUrl) || {};
+};
+
+/**
+ * Local metadata edits, layered on top of the loaded metadata (see partEdits service).
+ * Persisted in localStorage so edits survive reloads until they are exported or reverted.
+ */
+export const partEditsStore = create(
+  persist(
+    (set) => ({
+      // ============ EDITS ============
+      /** Edited fields per metadata source: { [partsUrl]: { [key]: { [field]: value } } } */
+      edits: {},
+
+      /**
+       * Store an edited field value. Setting a field back to its source value
+       * removes the edit.
+       *
+       * @param {string} partsUrl - Metadata source locator
+       * @param {string} key - Part key
+       * @param {string} field - Field key in PART_SCHEMA
+       * @param {*} value - New value (null clears the field)
+       * @param {*} baseValue - Value in the loaded metadata
+       */
+      setFieldEdit: (partsUrl, key, field, value, baseValue) =>
+        set((state) => {
+          const partEdits = state.edits[partsUrl]?.[key] || {};
+          const nextPartEdits = isFieldChanged(baseValue, value)
+            ? { ...partEdits, [field]: value }
+            : omitKey(partEdits, field);
+          return {
+            edits: withPartEdits(state.edits, partsUrl, key, nextPartEdits),
+          };
+        }),
+
+      /**
+       * Store edited values of several parts at once (e.g. a spreadsheet import).
+       * Values equal to the source value remove the edit, like setFieldEdit.
+       *
+       * @param {string} partsUrl - Metadata source locator
+       * @param {Object<string, Object>} editsByKey - { [key]: { [field]: value } }
+       * @param {Object<string, Object|null>} baseRecords - Loaded record per key
+       *   (null for parts added locally)
+       */
+      mergeEdits: (partsUrl, editsByKey, baseRecords) =>
+        set((state) => {
+          let edits = state.edits;
+          Object.entries(editsByKey).forEach(([key, fields]) => {
+            let partEdits = edits[partsUrl]?.[key] || {};
+            Object.entries(fields).forEach(([field, value]) => {
+              partEdits = isFieldChanged(baseRecords[key]?.[field], value)
+                ? { ...partEdits, [field]: value }
+                : omitKey(partEdits, field) || {};
+            });
+            edits = withPartEdits(
+              edits,
+              partsUrl,
+              key,
+              Object.keys(partEdits).length > 0 ? partEdits : undefined,
+            );
+          });
+          return { edits };
+        }),
+
+      /** Drop the edit of one field, restoring the source value */
+      revertFieldEdit: (partsUrl, key, field) =>
+        set((state) => {
+          const partEdits = state.edits[partsUrl]?.[key];
+          if (!partEdits) return {};
+          return {
+            edits: withPartEdits(
+              state.edits,
+              partsUrl,
+              key,
+              omitKey(partEdits, field),
+            ),
+          };
+        }),
+
+      /** Drop every edit made to a metadata source */
+      discardEdits: (partsUrl) =>
+        set((state) => ({ edits: omitKey(state.edits, partsUrl) || {} })),
+    }),
+    {
+      name: STORAGE_KEY,
+      partialize: (state) => ({ edits: state.edits }),
+    },
+  ),
+);
@@ -0,0 +1,127 @@
+import { create } from "zustand";
+import { EMPTY_RESOLUTION } from "../../../../services/partMetadata/partResolver";
+import {
+  validateParts,
+  validatePart,
+} from "../../../../services/partMetadata/partSchema";
+import { clearCache } from "../../../../services/partMetadata/partsService";
+
+/**
+ * Index the nodes the resolver couldn't match, for per-node lookups (hierarchy badges).
+ * Models without metadata have nothing to report.
+ *
+ * @param {Object} resolution - Result of resolveParts
+ * @param {Object|null} partsData - Metadata the resolution was built from
+ * @returns {Object<string, string>} Node UUID -> "unmatched" | "ambiguous"
+ */
+const buildNodeIssues = (resolution, partsData) => {
+  const issues = {};
+  if (!partsData || Object.keys(partsData).length === 0) return issues;
+
+  resolution.unmatched.forEach((node) => {
+    issues[node.id] = "unmatched";
+  });
+  resolution.ambiguous.forEach((node) => {
+    issues[node.id] = "ambiguous";
+  });
+  return issues;
+};
+
+/**
+ * Get the full record of a part as loaded from the metadata source
+ * (the fetched details for lazily loaded sources, the index entry otherwise).
+ *
+ * @param {Object} state - partMetadataStore state
+ * @param {string} key - Part key
+ * @returns {Object|null} Record, or null if not loaded (yet)
+ */
+export const getPartRecord = (state, key) => {
+  if (!state.partsData || !key) return null;
+  if (state.lazyDetails) return state.partDetails[key]?.data || null;
+  return state.partsData[key] || null;
+};
+
+export const partMetadataStore = create((set, get) => ({
+  // ============ LOADED METADATA ============
+  /** Locator of the metadata source `partsData` was loaded from */
+  partsUrl: null,
+  /** Metadata index keyed by part key (partsByName), null until loaded */
+  partsData: null,
+  /**
+   * Whether index entries are summaries and full records are fetched per part
+   * (REST backends). When false the index already holds full records.
+   */
+  lazyDetails: false,
+  /** Schema problems per part key: { [key]: [{ field, status, message }] } */
+  partIssues: {},
+  /**
+   * Store metadata loaded for the active model.
+   * Full records are validated right away; summaries are validated as details arrive.
+   */
+  setPartsData: (partsUrl, partsData, lazyDetails = false) =>
+    set({
+      partsUrl,
+      partsData,
+      lazyDetails,
+      partIssues: lazyDetails ? {} : validateParts(partsData),
+      partDetails: {},
+    }),
+
+  // ============ LAZY PART DETAILS ============
+  /** Full records fetched per part: { [key]: { status, data, error } } */
+  partDetails: {},
+  /**
+   * Update the details entry of a part (null removes it, e.g. after cancellation).
+   * Loaded records are validated against the part schema.
+   */
+  setPartDetails: (key, entry) =>
+    set((state) => {
+      const partDetails = { ...state.partDetails };
+      const partIssues = { ...state.partIssues };
+
+      if (entry) {
+        partDetails[key] = entry;
+      } else {
+        delete partDetails[key];
+      }
+
+      if (entry?.status === "loaded") {
+        const problems = validatePart(entry.data);
+        if (problems.length > 0) {
+          partIssues[key] = problems;
+        } else {
+          delete partIssues[key];
+        }
+      }
+
+      return { partDetails, partIssues };
+    }),
+
+  // ============ RELOAD ============
+  /** Incremented to make the loader fetch the metadata again */
+  reloadToken: 0,
+  /**
+   * Drop the cached metadata of the active source and load it again
+   * (e.g. after editing the file or the backend data).
+   */
+  reloadMetadata: () => {
+    const { partsUrl } = get();
+    if (partsUrl) clearCache(partsUrl);
+    set((state) => ({ partDetails: {}, reloadToken: state.reloadToken + 1 }));
+  },
+
+  // ============ NODE RESOLUTION ============
+  /**
+   * Result of matching scene nodes to metadata entries (see resolveParts):
+   * { matches: { [uuid]: { key, matchedBy, path } }, ambiguous: [...], unmatched: [...] }
+   */
+  resolution: EMPTY_RESOLUTION,
+  /** Node UUID -> "unmatched" | "ambiguous" for nodes missing metadata */
+  nodeIssues: {},
+  /** Replace the resolution after the model or its metadata changed */
+  setResolution: (resolution) =>
+    set((state) => ({
+      resolution,
+      nodeIssues: buildNodeIssues(resolution, state.partsData),
+    })),
+}));
@@ -0,0 +1,257 @@
+import { useState } from "react";
+import { usePresentationScript } from "../hooks/usePresentationScript";
+import { presentationStore } from "../state/presentationStore";
+import { STEP_SECONDS_RANGE } from "../domain/presentationScript";
+import styles from "./PresentationPanel.module.css";
+import controls from "../../workspace/WorkspacePanels/PanelControls.module.css";
+
+/**
+ * Summary of what a step shows ("2 hidden · exploded 40% · Crank_L_07").
+ *
+ * @param {Object} step - Presentation step
+ * @returns {string} Short description
+ */
+const describeStep = (step) => {
+  const parts = [];
+  if (step.selected) parts.push(step.selected.split("/").at(-1));
+  if (step.hidden.length > 0) parts.push(`${step.hidden.length} hidden`);
+  if (step.isolation || step.solo) parts.push("isolated");
+  if (step.explosion > 0) {
+    parts.push(`exploded ${Math.round(step.explosion * 100)}%`);
+  }
+  const subtrees = Object.keys(step.subtreeExplosions ?? {}).length;
+  if (subtrees > 0) {
+    parts.push(
+      `${subtrees} subassembl${subtrees === 1 ? "y" : "ies"} exploded`,
+    );
+  }
+  if (!step.camera) parts.push("no camera");
+  return parts.length > 0 ? parts.join(" · ") : "all parts, assembled";
+};
+
+/**
+ * Storyboard editor of the loaded model's presentation.
+ *
+ * Features:
+ * - Title of the presentation
+ * - Steps in play order: each shows a view (camera, visible parts, isolation,
+ *   selection, explosion) with a caption and its time on screen during
+ *   automatic playback
+ * - Add a step from the current view, or update a step's view from it
+ * - Reorder and delete steps, present from the start or from any step
+ * - Export the script as JSON and import it on another machine
+ *
+ * Scripts are stored in the browser per model.
+ *
+ * @component
+ * @returns {JSX.Element} Presentation editor
+ */
+export function PresentationPanel() {
+  const {
+    modelKey,
+    script,
+    canEdit,
+    setTitle,
+    addStep,
+    captureStep,
+    setCaption,
+    setSeconds,
+    moveStep,
+    deleteStep,
+    play,
+    exportScript,
+    importScript,
+  } = usePresentationScript();
+  const playingIndex = presentationStore((state) =>
+    state.playback?.modelKey === modelKey ? state.playback.index : null,
+  );
+  const [message, setMessage] = useState(null);
+  const { steps } = script;
+
+  const handleDelete = (step, index) => {
+    if (window.confirm(`Delete step ${index + 1}?`)) deleteStep(step.id);
+  };
+
+  const handleFileChange = async (e) => {
+    const [picked] = e.target.files;
+    // Allow picking the same file again after editing it
+    e.target.value = "";
+    if (!picked) return;
+    if (
+      steps.length > 0 &&
+      !window.confirm(
+        `Replace the ${steps.length} step(s) of this presentation with ${picked.name}?`,
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const { count } = await importScript(picked);
+      setMessage({
+        isError: false,
+        text: `Imported ${count} step${count === 1 ? "" : "s"} from ${picked.name}.`,
+      });
+    } catch (err) {
+      setMessage({ isError: true, text: err.message });
+    }
+  };
+
+  return (
+    <div className={styles.presentation}>
+      <input
+        className={styles.titleInput}
+        value={script.title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder="Presentation title"
+        aria-label="Presentation title"
+        disabled={!canEdit}
+      />
+
+      <div className={styles.toolbar}>
+        <button
+          type="button"
+          className={controls.secondaryBtn}
+          onClick={() => addStep()}
+          disabled={!canEdit}
+          title="Add a step showing the current view"
+        >
+          + Add step
+        </button>
+        <button
+          type="button"
+          className={styles.primaryBtn}
+          onClick={() => play(0)}
+          disabled={!canEdit || steps.length === 0}
+        >
+          ▶ Present
+        </button>
+      </div>
+
+      {steps.length === 0 ? (
+        <p className={styles.message}>
+          {canEdit
+            ? "Set up the camera, visibility, selection and explosion, then add a step. Each step gets a caption shown while presenting."
+            : "Load a model to author a presentation."}
+        </p>
+      ) : (
+        <ol className={styles.list}>
+          {steps.map((step, index) => (
+            <li
+              key={step.id}
+              className={`${styles.step}${index === playingIndex ? ` ${styles.stepPlaying}` : ""}`}
+            >
+              <div className={styles.stepHeader}>
+                <span className={styles.stepNumber}>{index + 1}</span>
+                <span className={styles.stepMeta}>{describeStep(step)}</span>
+                <div className={styles.stepActions}>
+                  <button
+                    type="button"
+                    className={controls.iconBtn}
+                    onClick={() => play(index)}
+                    title="Present from this step"
+                  >
+                    ▶
+                  </button>
+                  <button
+                    type="button"
+                    className={controls.iconBtn}
+                    onClick={() => captureStep(step.id)}
+                    title="Replace the step's view with the current view"
+                  >
+                    ⟳
+                  </button>
+                  <button
+                    type="button"
+                    className={controls.iconBtn}
+                    onClick={() => addStep(index)}
+                    title="Add a step after this one (current view)"
+                  >
+                    +
+                  </button>
+                  <button
+                    type="button"
+                    className={controls.iconBtn}
+                    onClick={() => moveStep(step.id, -1)}
+                    disabled={index === 0}
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    className={controls.iconBtn}
+                    onClick={() => moveStep(step.id, 1)}
+                    disabled={index === steps.length - 1}
+                    title="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    className={controls.iconBtn}
+                    onClick={() => handleDelete(step, index)}
+                    title="Delete"
+                  >
+                    ✕
+                  </button>
+                </div>
+              </div>
+              <textarea
+                className={styles.caption}
+                value={step.caption}
+                onChange={(e) => setCaption(step.id, e.target.value)}
+                placeholder="Caption shown during this step"
+                aria-label={`Caption of step ${index + 1}`}
+                rows={2}
+              />
+              <label className={styles.seconds}>
+                On screen
+                <input
+                  type="number"
+                  className={styles.secondsInput}
+                  value={step.seconds}
+                  min={STEP_SECONDS_RANGE.min}
+                  max={STEP_SECONDS_RANGE.max}
+                  onChange={(e) =>
+                    e.target.value !== "" && setSeconds(step.id, e.target.value)
+                  }
+                />
+                s during automatic playback
+              </label>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {message && (
+        <p className={message.isError ? controls.error : controls.success}>
+          {message.text}
+        </p>
+      )}
+
+      <div className={controls.footer}>
+        <button
+          type="button"
+          className={controls.secondaryBtn}
+          onClick={exportScript}
+          disabled={steps.length === 0}
+        >
+          ⬇ Export script
+        </button>
+        <label
+          className={`${controls.secondaryBtn}${canEdit ? "" : ` ${controls.disabled}`}`}
+        >
+          📂 Import script…
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFileChange}
+            className={controls.fileInput}
+            disabled={!canEdit}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import { usePresentationPlayer } from "../hooks/usePresentationPlayer";
+import styles from "./PresentationPlayer.module.css";
+
+/**
+ * Caption and controls of the running presentation, over the viewport.
+ *
+ * Features:
+ * - Title, step counter and the step's caption
+ * - Previous / Next, Play / Pause for automatic playback (each step stays on
+ *   screen for its time), Stop
+ * - Keyboard: → / PageDown / Space next, ← / PageUp previous, Escape stops
+ *
+ * Renders nothing when no presentation is running. Mount once in the viewport.
+ *
+ * @component
+ * @returns {JSX.Element|null} Presentation overlay
+ */
+export function PresentationPlayer() {
+  const {
+    step,
+    index,
+    count,
+    title,
+    isAutoPlaying,
+    next,
+    previous,
+    toggleAutoPlay,
+    stop,
+  } = usePresentationPlayer();
+
+  if (!step) return null;
+
+  return (
+    <section className={styles.player} aria-label="Presentation">
+      <div className={styles.header}>
+        <span className={styles.title}>{title || "Presentation"}</span>
+        <span className={styles.counter}>
+          {index + 1} / {count}
+        </span>
+      </div>
+
+      {step.caption ? (
+        <p className={styles.caption} aria-live="polite">
+          {step.caption}
+        </p>
+      ) : (
+        <p className={`${styles.caption} ${styles.captionEmpty}`}>No caption</p>
+      )}
+
+      <div className={styles.controls}>
+        <button
+          type="button"
+          className={styles.controlBtn}
+          onClick={previous}
+          disabled={index === 0}
+          title="Previous step (←)"
+        >
+          ⏮ Previous
+        </button>
+        <button
+          type="button"
+          className={`${styles.controlBtn} ${styles.playBtn}`}
+          onClick={toggleAutoPlay}
+          title={isAutoPlaying ? "Pause" : "Play automatically"}
+        >
+          {isAutoPlaying ? "⏸ Pause" : "▶ Play"}
+        </button>
+        <button
+          type="button"
+          className={styles.controlBtn}
+          onClick={next}
+          disabled={index >= count - 1}
+          title="Next step (→)"
+        >
+          Next ⏭
+        </button>
+        <button
+          type="button"
+          className={styles.controlBtn}
+          onClick={stop}
+          title="Stop presenting (Esc)"
+        >
+          ■ Stop
+        </button>
+      </div>
+    </section>
+  );
+}
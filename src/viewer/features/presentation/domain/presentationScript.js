@@ -0,0 +1,132 @@
+/**
+ * Presentation script - ordered steps played as a guided tour of the model.
+ *
+ * Each step is a view snapshot (see captureViewSnapshot: camera, hidden parts,
+ * isolation, selection, explosion) with a caption and the time it stays on
+ * screen during automatic playback. Scripts are exported as JSON:
+ *
+ * {
+ *   "format": "presentation", "version": 1, "model": "air-motor",
+ *   "title": "Air motor tour",
+ *   "steps": [{ "caption": "The crank turns the flywheel.", "seconds": 6,
+ *     "camera": { "position": [..], "target": [..] }, "selected": "Scene/.../Crank_L_07",
+ *     "hidden": [], "isolation": false, "solo": null, "explosion": 0.3 }]
+ * }
+ */
+import {
+  createViewId,
+  normalizeViewSnapshot,
+} from "../../savedViews/savedViews";
+import { readVersionedJsonFile } from "../../../../services/export/versionedJsonFile";
+
+/** `format` of an exported presentation script */
+export const PRESENTATION_FORMAT = "presentation";
+
+/** Version of the exported script layout */
+export const PRESENTATION_VERSION = 1;
+
+/** Time a new step stays on screen during automatic playback (seconds) */
+export const DEFAULT_STEP_SECONDS = 5;
+
+/** Bounds of a step's on-screen time (seconds) */
+export const STEP_SECONDS_RANGE = { min: 1, max: 120 };
+
+/** Script of a model without steps */
+export const EMPTY_SCRIPT = { title: "", steps: [] };
+
+/**
+ * Clamp a step's on-screen time to STEP_SECONDS_RANGE (default when malformed).
+ *
+ * @param {*} value - Seconds as typed or read from a file
+ * @returns {number} Seconds
+ */
+export const clampStepSeconds = (value) => {
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds)) return DEFAULT_STEP_SECONDS;
+  return Math.min(
+    Math.max(seconds, STEP_SECONDS_RANGE.min),
+    STEP_SECONDS_RANGE.max,
+  );
+};
+
+/**
+ * Read a step, replacing malformed values by defaults (scripts may be edited
+ * by hand).
+ *
+ * @param {Object} raw - Step read from a file or from storage
+ * @returns {Object} Step with a new id
+ */
+const normalizeStep = (raw) => ({
+  id: createViewId(),
+  caption: typeof raw.caption === "string" ? raw.caption : "",
+  seconds: clampStepSeconds(raw.seconds),
+  ...normalizeViewSnapshot(raw),
+});
+
+/**
+ * Create a step from a view snapshot.
+ *
+ * @param {Object} snapshot - View snapshot (see captureViewSnapshot)
+ * @param {string} [caption=""] - Caption shown while the step plays
+ * @returns {Object} Step { id, caption, seconds, ...snapshot fields (see
+ *   normalizeViewSnapshot) }
+ *
+ * @example
+ * createStep(captureViewSnapshot(), "The piston drives the crank.");
+ */
+export const createStep = (snapshot, caption = "") =>
+  normalizeStep({ ...snapshot, caption, seconds: DEFAULT_STEP_SECONDS });
+
+/**
+ * Short label of a step: first line of its caption, or its number.
+ *
+ * @param {Object} step - Step
+ * @param {number} index - Position in the script
+ * @returns {string} Label ("Step 3" for a step without caption)
+ */
+export const getStepLabel = (step, index) =>
+  step.caption.split("\n")[0].trim() || `Step ${index + 1}`;
+
+/**
+ * Build the exported script (ids are left out, they are regenerated on import).
+ *
+ * @param {string} model - Model key
+ * @param {Object} script - { title, steps }
+ * @returns {Object} JSON-serializable file content
+ */
+export const buildPresentationFile = (model, script) => ({
+  format: PRESENTATION_FORMAT,
+  version: PRESENTATION_VERSION,
+  model,
+  title: script.title,
+  steps: script.steps.map((step) => {
+    const rest = { ...step };
+    delete rest.id;
+    return rest;
+  }),
+});
+
+/**
+ * Read an exported presentation script.
+ *
+ * @param {string} text - File content
+ * @returns {Object} { model, title, steps } with new step ids
+ * @throws {Error} When the content is not a presentation script
+ */
+export const readPresentationFile = (text) => {
+  const label = "a presentation script";
+  const { data, model } = readVersionedJsonFile(text, {
+    format: PRESENTATION_FORMAT,
+    version: PRESENTATION_VERSION,
+    label,
+  });
+  if (!Array.isArray(data.steps)) throw new Error(`The file is not ${label}.`);
+
+  return {
+    model,
+    title: typeof data.title === "string" ? data.title : "",
+    steps: data.steps
+      .filter((step) => step && typeof step === "object")
+      .map(normalizeStep),
+  };
+};
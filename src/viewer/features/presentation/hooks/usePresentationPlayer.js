@@ -0,0 +1,161 @@
+import { useCallback, useEffect } from "react";
+import { modelSourceStore } from "../../modelSource/modelSource";
+import {
+  getModelKey,
+  goToView,
+  VIEW_TRANSITION_MS,
+} from "../../savedViews/savedViews";
+import { isTextInput } from "../../viewHistory/viewHistory";
+import { presentationStore } from "../state/presentationStore";
+import { getStepLabel } from "../domain/presentationScript";
+
+/** Keys moving through the steps (presentation clickers send PageDown/PageUp) */
+const NEXT_KEYS = ["ArrowRight", "PageDown", " "];
+const PREVIOUS_KEYS = ["ArrowLeft", "PageUp"];
+
+/**
+ * Custom hook playing the running presentation.
+ *
+ * - Goes to each step's view as it is shown (camera and explosion animated,
+ *   see goToView)
+ * - During automatic playback, moves on once the step has been on screen for
+ *   its time (after the transition), and stops at the last step
+ * - Keyboard: → / PageDown / Space next, ← / PageUp previous, Escape stops
+ * - Stops when the script's model is unloaded or its steps are deleted
+ *
+ * @hook
+ * @returns {Object} Playback state and controls:
+ *   - step, index, count: current step, its index and the number of steps
+ *     (step is null when not presenting)
+ *   - title: presentation title
+ *   - isAutoPlaying
+ *   - next(), previous(), toggleAutoPlay(), stop()
+ *
+ * @example
+ * const { step, next, stop } = usePresentationPlayer();
+ * if (step) return <p>{step.caption}</p>;
+ */
+export const usePresentationPlayer = () => {
+  const playback = presentationStore((state) => state.playback);
+  const script = presentationStore((state) =>
+    state.playback ? state.scripts[state.playback.modelKey] : null,
+  );
+  const modelKey = modelSourceStore((state) => getModelKey(state.source));
+
+  const steps = script?.steps;
+  const count = steps?.length ?? 0;
+  const index = playback?.index ?? 0;
+  const step = playback ? (steps?.[index] ?? null) : null;
+  const isPresenting = playback !== null;
+  const isAutoPlaying = playback?.isAutoPlaying ?? false;
+  const stepId = step?.id ?? null;
+  const stepSeconds = step?.seconds ?? 0;
+
+  const next = useCallback(() => {
+    const { playback: current, goToStep } = presentationStore.getState();
+    if (current) goToStep(current.index + 1);
+  }, []);
+
+  const previous = useCallback(() => {
+    const { playback: current, goToStep } = presentationStore.getState();
+    if (current) goToStep(current.index - 1);
+  }, []);
+
+  const toggleAutoPlay = useCallback(() => {
+    const {
+      playback: current,
+      setAutoPlaying,
+      goToStep,
+    } = presentationStore.getState();
+    if (!current) return;
+    // Playing from the last step starts over
+    if (!current.isAutoPlaying && current.index >= count - 1) goToStep(0);
+    setAutoPlaying(!current.isAutoPlaying);
+  }, [count]);
+
+  const stop = useCallback(() => {
+    presentationStore.getState().stopPresentation();
+  }, []);
+
+  /**
+   * Leave the presentation when its model is no longer shown or it has no step
+   * left at the current position.
+   */
+  useEffect(() => {
+    if (!playback) return;
+    if (playback.modelKey !== modelKey || count === 0) {
+      presentationStore.getState().stopPresentation();
+    } else if (index >= count) {
+      presentationStore.getState().goToStep(count - 1);
+    }
+  }, [playback, modelKey, count, index]);
+
+  /**
+   * Go to the view of the shown step. Keyed on the step's id and position, so
+   * editing its caption or timing during playback doesn't replay the transition.
+   */
+  useEffect(() => {
+    if (!stepId) return;
+    const { playback: current, scripts } = presentationStore.getState();
+    const shown = scripts[current.modelKey].steps[current.index];
+    goToView(shown, getStepLabel(shown, current.index));
+  }, [stepId, index]);
+
+  /**
+   * Automatic playback: next step once this one has been on screen for its time.
+   */
+  useEffect(() => {
+    if (!isAutoPlaying || !stepId) return undefined;
+
+    const timer = setTimeout(
+      () => {
+        const { setAutoPlaying, goToStep } = presentationStore.getState();
+        if (index < count - 1) {
+          goToStep(index + 1);
+        } else {
+          setAutoPlaying(false);
+        }
+      },
+      VIEW_TRANSITION_MS + stepSeconds * 1000,
+    );
+
+    return () => clearTimeout(timer);
+  }, [isAutoPlaying, stepId, index, count, stepSeconds]);
+
+  /**
+   * Keyboard controls while presenting.
+   */
+  useEffect(() => {
+    if (!isPresenting) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      if (isTextInput(event)) return;
+
+      if (NEXT_KEYS.includes(event.key)) {
+        event.preventDefault();
+        next();
+      } else if (PREVIOUS_KEYS.includes(event.key)) {
+        event.preventDefault();
+        previous();
+      } else if (event.key === "Escape") {
+        stop();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [isPresenting, next, previous, stop]);
+
+  return {
+    step,
+    index,
+    count,
+    title: script?.title ?? "",
+    isAutoPlaying,
+    next,
+    previous,
+    toggleAutoPlay,
+    stop,
+  };
+};
@@ -0,0 +1,161 @@
+import { useCallback } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { modelSourceStore } from "../../modelSource/modelSource";
+import { captureViewSnapshot } from "../../deepLink/deepLink";
+import {
+  getModelKey,
+  normalizeViewSnapshot,
+} from "../../savedViews/savedViews";
+import {
+  downloadJson,
+  toFileBaseName,
+} from "../../../../services/export/downloadFile";
+import { readImportFile } from "../../../../services/export/versionedJsonFile";
+import { presentationStore } from "../state/presentationStore";
+import {
+  buildPresentationFile,
+  clampStepSeconds,
+  createStep,
+  EMPTY_SCRIPT,
+  readPresentationFile,
+} from "../domain/presentationScript";
+
+/**
+ * Custom hook for authoring the presentation of the loaded model.
+ *
+ * @hook
+ * @returns {Object} Script of the model and its actions:
+ *   - modelKey: key the script is stored under (null while no model is known)
+ *   - script: { title, steps }
+ *   - canEdit: whether a model is loaded (views can be captured)
+ *   - setTitle(title)
+ *   - addStep(afterIndex?): add a step showing the current view
+ *   - captureStep(id): replace a step's view with the current view
+ *   - setCaption(id, caption), setSeconds(id, seconds)
+ *   - moveStep(id, offset), deleteStep(id)
+ *   - play(index?): start presenting at a step
+ *   - exportScript(): download the script as JSON
+ *   - importScript(file): replace the script by an exported one; resolves to
+ *     { count, model }, rejects with a readable message
+ *
+ * @example
+ * const { script, addStep, play } = usePresentationScript();
+ * addStep();
+ * play(0);
+ */
+export const usePresentationScript = () => {
+  const source = modelSourceStore((state) => state.source);
+  const items = viewerStateStore((state) => state.items);
+  const modelKey = getModelKey(source);
+  const script = presentationStore(
+    (state) => (modelKey && state.scripts[modelKey]) || EMPTY_SCRIPT,
+  );
+
+  const setTitle = useCallback(
+    (title) => {
+      if (modelKey) presentationStore.getState().setTitle(modelKey, title);
+    },
+    [modelKey],
+  );
+
+  const addStep = useCallback(
+    (afterIndex) => {
+      if (!modelKey) return;
+      presentationStore
+        .getState()
+        .addStep(modelKey, createStep(captureViewSnapshot()), afterIndex);
+    },
+    [modelKey],
+  );
+
+  const captureStep = useCallback(
+    (id) => {
+      if (!modelKey) return;
+      // The step keeps its id, caption and timing
+      presentationStore
+        .getState()
+        .updateStep(modelKey, id, normalizeViewSnapshot(captureViewSnapshot()));
+    },
+    [modelKey],
+  );
+
+  const setCaption = useCallback(
+    (id, caption) => {
+      if (modelKey) {
+        presentationStore.getState().updateStep(modelKey, id, { caption });
+      }
+    },
+    [modelKey],
+  );
+
+  const setSeconds = useCallback(
+    (id, seconds) => {
+      if (modelKey) {
+        presentationStore
+          .getState()
+          .updateStep(modelKey, id, { seconds: clampStepSeconds(seconds) });
+      }
+    },
+    [modelKey],
+  );
+
+  const moveStep = useCallback(
+    (id, offset) => {
+      if (modelKey) presentationStore.getState().moveStep(modelKey, id, offset);
+    },
+    [modelKey],
+  );
+
+  const deleteStep = useCallback(
+    (id) => {
+      if (modelKey) presentationStore.getState().deleteStep(modelKey, id);
+    },
+    [modelKey],
+  );
+
+  const play = useCallback(
+    (index = 0) => {
+      if (modelKey) {
+        presentationStore.getState().startPresentation(modelKey, index);
+      }
+    },
+    [modelKey],
+  );
+
+  const exportScript = useCallback(() => {
+    if (!modelKey) return;
+    downloadJson(
+      `${toFileBaseName(script.title || source.name, "presentation")}.presentation.json`,
+      buildPresentationFile(modelKey, script),
+    );
+  }, [modelKey, script, source.name]);
+
+  const importScript = useCallback(
+    async (file) => {
+      if (!modelKey) {
+        throw new Error("Load a model before importing a presentation.");
+      }
+
+      const imported = await readImportFile(file, readPresentationFile);
+      presentationStore.getState().replaceScript(modelKey, imported);
+      return { count: imported.steps.length, model: imported.model };
+    },
+    [modelKey],
+  );
+
+  return {
+    modelKey,
+    script,
+    canEdit: Boolean(modelKey) && items.length > 0,
+    setTitle,
+    addStep,
+    captureStep,
+    setCaption,
+    setSeconds,
+    moveStep,
+    deleteStep,
+    play,
+    exportScript,
+    importScript,
+  };
+};
@@ -0,0 +1,7 @@
+/**
+ * Presentation feature barrel file.
+ * Exports the storyboard editor (steps with a view and a caption, saved as a
+ * JSON script) and the player overlay presenting them.
+ */
+export { PresentationPanel } from "./PresentationPanel/PresentationPanel";
+export { PresentationPlayer } from "./PresentationPlayer/PresentationPlayer";
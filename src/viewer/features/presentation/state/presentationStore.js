@@ -0,0 +1,131 @@
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { EMPTY_SCRIPT } from "../domain/presentationScript";
+
+/** localStorage key of the persisted scripts */
+const STORAGE_KEY = "r3f-mechanical-demo-presentations";
+
+/**
+ * Update the steps of one model's script, dropping the script once it is empty.
+ *
+ * @param {Object} scripts - All scripts ({ [modelKey]: { title, steps } })
+ * @param {string} modelKey - Model key (see getModelKey)
+ * @param {Function} update - (script) => updated script
+ * @returns {Object} Updated scripts
+ */
+const withModelScript = (scripts, modelKey, update) => {
+  const script = update(scripts[modelKey] || EMPTY_SCRIPT);
+  const next = { ...scripts, [modelKey]: script };
+  if (!script.title && script.steps.length === 0) delete next[modelKey];
+  return next;
+};
+
+/**
+ * Presentation scripts of each model (see presentationScript domain), persisted
+ * in localStorage, and the playback state of the running presentation.
+ */
+export const presentationStore = create(
+  persist(
+    (set, get) => ({
+      // ============ SCRIPTS ============
+      /** Script per model: { [modelKey]: { title, steps } } */
+      scripts: {},
+
+      /** Set the title of a model's presentation */
+      setTitle: (modelKey, title) =>
+        set((state) => ({
+          scripts: withModelScript(state.scripts, modelKey, (script) => ({
+            ...script,
+            title,
+          })),
+        })),
+
+      /** Insert a step after the given index (appended by default) */
+      addStep: (modelKey, step, afterIndex = Infinity) =>
+        set((state) => ({
+          scripts: withModelScript(state.scripts, modelKey, (script) => {
+            const steps = [...script.steps];
+            steps.splice(afterIndex + 1, 0, step);
+            return { ...script, steps };
+          }),
+        })),
+
+      /** Change fields of a step (caption, seconds, or a new view snapshot) */
+      updateStep: (modelKey, id, changes) =>
+        set((state) => ({
+          scripts: withModelScript(state.scripts, modelKey, (script) => ({
+            ...script,
+            steps: script.steps.map((step) =>
+              step.id === id ? { ...step, ...changes } : step,
+            ),
+          })),
+        })),
+
+      /** Move a step up (-1) or down (+1) */
+      moveStep: (modelKey, id, offset) =>
+        set((state) => ({
+          scripts: withModelScript(state.scripts, modelKey, (script) => {
+            const steps = [...script.steps];
+            const from = steps.findIndex((step) => step.id === id);
+            const to = from + offset;
+            if (from < 0 || to < 0 || to >= steps.length) return script;
+
+            [steps[from], steps[to]] = [steps[to], steps[from]];
+            return { ...script, steps };
+          }),
+        })),
+
+      /** Delete a step */
+      deleteStep: (modelKey, id) =>
+        set((state) => ({
+          scripts: withModelScript(state.scripts, modelKey, (script) => ({
+            ...script,
+            steps: script.steps.filter((step) => step.id !== id),
+          })),
+        })),
+
+      /** Replace a model's script (import) */
+      replaceScript: (modelKey, script) =>
+        set((state) => ({
+          scripts: withModelScript(state.scripts, modelKey, () => ({
+            title: script.title,
+            steps: script.steps,
+          })),
+        })),
+
+      // ============ PLAYBACK ============
+      /**
+       * Running presentation: { modelKey, index, isAutoPlaying }, null when
+       * not presenting. Not persisted.
+       */
+      playback: null,
+
+      /** Start presenting a model's script at a step */
+      startPresentation: (modelKey, index = 0) =>
+        set({ playback: { modelKey, index, isAutoPlaying: false } }),
+
+      /** Show another step; outside the script, playback stays where it is */
+      goToStep: (index) => {
+        const { playback, scripts } = get();
+        const steps = playback && scripts[playback.modelKey]?.steps;
+        if (!steps || index < 0 || index >= steps.length) return;
+        set({ playback: { ...playback, index } });
+      },
+
+      /** Switch automatic playback on or off */
+      setAutoPlaying: (isAutoPlaying) =>
+        set((state) =>
+          state.playback
+            ? { playback: { ...state.playback, isAutoPlaying } }
+            : {},
+        ),
+
+      /** Leave the presentation (the view stays as it is) */
+      stopPresentation: () => set({ playback: null }),
+    }),
+    {
+      name: STORAGE_KEY,
+      partialize: (state) => ({ scripts: state.scripts }),
+    },
+  ),
+);
@@ -0,0 +1,260 @@
+import { useState } from "react";
+import { useSavedViews } from "../hooks/useSavedViews";
+import { getNextViewName } from "../domain/savedViews";
+import styles from "./SavedViewsPanel.module.css";
+import controls from "../../workspace/WorkspacePanels/PanelControls.module.css";
+
+/**
+ * Summary of what a saved view restores ("2 hidden · isolated · exploded 40%").
+ *
+ * @param {Object} view - Saved view
+ * @returns {string} Short description
+ */
+const describeView = (view) => {
+  const parts = [];
+  if (view.hidden.length > 0) parts.push(`${view.hidden.length} hidden`);
+  if (view.isolation || view.solo) parts.push("isolated");
+  if (view.explosion > 0) {
+    parts.push(`exploded ${Math.round(view.explosion * 100)}%`);
+  }
+  const subtrees = Object.keys(view.subtreeExplosions ?? {}).length;
+  if (subtrees > 0) {
+    parts.push(
+      `${subtrees} subassembl${subtrees === 1 ? "y" : "ies"} exploded`,
+    );
+  }
+  if (!view.camera) parts.push("no camera");
+  return parts.length > 0 ? parts.join(" · ") : "all parts, assembled";
+};
+
+/**
+ * One saved view: name (click to go to the view) with rename, reorder and
+ * delete actions.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.view - Saved view
+ * @param {boolean} props.isActive - Whether it is the last view gone to
+ * @param {boolean} props.isFirst - Whether it is first in the list
+ * @param {boolean} props.isLast - Whether it is last in the list
+ * @param {Function} props.onApply - Go to the view
+ * @param {Function} props.onRename - Called with the new name
+ * @param {Function} props.onMove - Called with -1 (up) or +1 (down)
+ * @param {Function} props.onDelete - Delete the view
+ * @returns {JSX.Element} List item
+ */
+function SavedViewItem({
+  view,
+  isActive,
+  isFirst,
+  isLast,
+  onApply,
+  onRename,
+  onMove,
+  onDelete,
+}) {
+  const [draftName, setDraftName] = useState(null);
+
+  const commitRename = () => {
+    const name = draftName?.trim();
+    if (name && name !== view.name) onRename(name);
+    setDraftName(null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") commitRename();
+    if (e.key === "Escape") setDraftName(null);
+  };
+
+  return (
+    <li className={`${styles.item}${isActive ? ` ${styles.itemActive}` : ""}`}>
+      {draftName !== null ? (
+        <input
+          className={styles.nameInput}
+          value={draftName}
+          onChange={(e) => setDraftName(e.target.value)}
+          onBlur={commitRename}
+          onKeyDown={handleKeyDown}
+          aria-label="View name"
+          autoFocus
+        />
+      ) : (
+        <button type="button" className={styles.viewBtn} onClick={onApply}>
+          <span className={styles.viewName}>{view.name}</span>
+          <span className={styles.viewMeta}>{describeView(view)}</span>
+        </button>
+      )}
+      <div className={styles.itemActions}>
+        <button
+          type="button"
+          className={controls.iconBtn}
+          onClick={() => setDraftName(view.name)}
+          title="Rename"
+        >
+          ✎
+        </button>
+        <button
+          type="button"
+          className={controls.iconBtn}
+          onClick={() => onMove(-1)}
+          disabled={isFirst}
+          title="Move up"
+        >
+          ↑
+        </button>
+        <button
+          type="button"
+          className={controls.iconBtn}
+          onClick={() => onMove(1)}
+          disabled={isLast}
+          title="Move down"
+        >
+          ↓
+        </button>
+        <button
+          type="button"
+          className={controls.iconBtn}
+          onClick={onDelete}
+          title="Delete"
+        >
+          ✕
+        </button>
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Saved views of the loaded model, for walking through prepared views in a demo.
+ *
+ * Features:
+ * - Save the current view (camera, orbit target, hidden parts, isolation,
+ *   selection, explosion) under a name
+ * - Click a view to go to it: the camera and explosion move there with the
+ *   camera focus easing; the change can be undone like any other
+ * - Rename, reorder and delete views; they are stored in the browser per model
+ * - Export the model's views as JSON and import them on another machine
+ *
+ * @component
+ * @returns {JSX.Element} Save form, view list and import/export buttons
+ */
+export function SavedViewsPanel() {
+  const {
+    views,
+    canSave,
+    saveView,
+    applyView,
+    renameView,
+    moveView,
+    deleteView,
+    exportViews,
+    importViews,
+  } = useSavedViews();
+  const [name, setName] = useState("");
+  const [activeId, setActiveId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    saveView(name.trim() || getNextViewName(views));
+    setName("");
+    setMessage(null);
+  };
+
+  const handleApply = (view) => {
+    applyView(view);
+    setActiveId(view.id);
+  };
+
+  const handleDelete = (view) => {
+    if (window.confirm(`Delete the view "${view.name}"?`)) deleteView(view.id);
+  };
+
+  const handleFileChange = async (e) => {
+    const [picked] = e.target.files;
+    // Allow picking the same file again after editing it
+    e.target.value = "";
+    if (!picked) return;
+
+    try {
+      const { count } = await importViews(picked);
+      setMessage({
+        isError: false,
+        text: `Imported ${count} view${count === 1 ? "" : "s"} from ${picked.name}.`,
+      });
+    } catch (err) {
+      setMessage({ isError: true, text: err.message });
+    }
+  };
+
+  return (
+    <div className={styles.savedViews}>
+      <form className={styles.saveForm} onSubmit={handleSave}>
+        <input
+          className={styles.nameInput}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={getNextViewName(views)}
+          aria-label="New view name"
+          disabled={!canSave}
+        />
+        <button type="submit" className={styles.primaryBtn} disabled={!canSave}>
+          Save view
+        </button>
+      </form>
+
+      {views.length === 0 ? (
+        <p className={styles.message}>
+          {canSave
+            ? "Set up the camera, visibility and explosion, then save the view to come back to it later."
+            : "Load a model to save views."}
+        </p>
+      ) : (
+        <ol className={styles.list}>
+          {views.map((view, index) => (
+            <SavedViewItem
+              key={view.id}
+              view={view}
+              isActive={view.id === activeId}
+              isFirst={index === 0}
+              isLast={index === views.length - 1}
+              onApply={() => handleApply(view)}
+              onRename={(newName) => renameView(view.id, newName)}
+              onMove={(offset) => moveView(view.id, offset)}
+              onDelete={() => handleDelete(view)}
+            />
+          ))}
+        </ol>
+      )}
+
+      {message && (
+        <p className={message.isError ? controls.error : controls.success}>
+          {message.text}
+        </p>
+      )}
+
+      <div className={controls.footer}>
+        <button
+          type="button"
+          className={controls.secondaryBtn}
+          onClick={exportViews}
+          disabled={views.length === 0}
+        >
+          ⬇ Export JSON
+        </button>
+        <label
+          className={`${controls.secondaryBtn}${canSave ? "" : ` ${controls.disabled}`}`}
+        >
+          📂 Import JSON…
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFileChange}
+            className={controls.fileInput}
+            disabled={!canSave}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
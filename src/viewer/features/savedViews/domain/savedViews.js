@@ -0,0 +1,172 @@
+/**
+ * Saved views - named view snapshots (camera, visibility, isolation, selection,
+ * explosion) kept per model and exchanged as JSON files.
+ *
+ * A saved view is a view snapshot (see captureViewSnapshot) with an id and a name.
+ * Nodes are referred to by scene path, so views survive reloads and can be
+ * imported on another machine:
+ *
+ * {
+ *   "format": "saved-views", "version": 1, "model": "air-motor",
+ *   "views": [{ "name": "Crank detail", "camera": { "position": [..], "target": [..] },
+ *     "selected": "Scene/.../Crank_L_07", "hidden": [], "isolation": false,
+ *     "solo": null, "explosion": 0.4, "subtreeExplosions": { "Scene/.../Cylinder_L_03": 0.6 } }]
+ * }
+ */
+import {
+  isVector3,
+  readVersionedJsonFile,
+} from "../../../../services/export/versionedJsonFile";
+
+/** `format` of an exported saved views file */
+export const SAVED_VIEWS_FORMAT = "saved-views";
+
+/** Version of the exported file layout */
+export const SAVED_VIEWS_VERSION = 1;
+
+/**
+ * Key under which a model's views are stored: catalog id, URL, or file name
+ * (object URLs of local files change on every load).
+ *
+ * @param {Object} source - Active model source
+ * @returns {string|null} Model key, null while the source is unresolved
+ */
+export const getModelKey = (source) => {
+  if (source.kind === "catalog") return source.id || null;
+  if (source.kind === "file") return source.name ? `file:${source.name}` : null;
+  return source.url || null;
+};
+
+/**
+ * Unique id of a saved view (or presentation step).
+ *
+ * @returns {string} Id
+ */
+export const createViewId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Read the snapshot fields of a view, replacing malformed values by defaults
+ * (files may be edited by hand). Presentation steps share these fields.
+ *
+ * @param {Object} raw - View read from a file or from storage
+ * @returns {Object} { camera, selected, hidden, isolation, solo, explosion,
+ *   subtreeExplosions }
+ */
+export const normalizeViewSnapshot = (raw) => {
+  const nodePath = (value) =>
+    typeof value === "string" && value ? value : null;
+  const isFactor = (value) =>
+    typeof value === "number" && value >= 0 && value <= 1;
+  const explosion = Number(raw.explosion);
+  const subtreeExplosions =
+    raw.subtreeExplosions && typeof raw.subtreeExplosions === "object"
+      ? raw.subtreeExplosions
+      : {};
+
+  return {
+    camera:
+      isVector3(raw.camera?.position) && isVector3(raw.camera?.target)
+        ? { position: raw.camera.position, target: raw.camera.target }
+        : null,
+    selected: nodePath(raw.selected),
+    hidden: Array.isArray(raw.hidden) ? raw.hidden.filter(nodePath) : [],
+    isolation: raw.isolation === true,
+    solo: nodePath(raw.solo),
+    explosion:
+      Number.isFinite(explosion) && explosion >= 0 && explosion <= 1
+        ? explosion
+        : 0,
+    subtreeExplosions: Object.fromEntries(
+      Object.entries(subtreeExplosions).filter(
+        ([path, factor]) => path && isFactor(factor) && factor > 0,
+      ),
+    ),
+  };
+};
+
+/**
+ * Read a saved view (name and snapshot fields).
+ *
+ * @param {Object} raw - View read from a file or from storage
+ * @returns {Object} { name, ...snapshot fields (see normalizeViewSnapshot) }
+ */
+const normalizeSavedView = (raw) => ({
+  name:
+    typeof raw.name === "string" && raw.name.trim()
+      ? raw.name.trim()
+      : "Untitled view",
+  ...normalizeViewSnapshot(raw),
+});
+
+/**
+ * Create a saved view from a view snapshot.
+ *
+ * @param {string} name - Name typed by the user
+ * @param {Object} snapshot - View snapshot (see captureViewSnapshot)
+ * @returns {Object} Saved view { id, name, camera, selected, hidden, isolation,
+ *   solo, explosion, subtreeExplosions }
+ *
+ * @example
+ * createSavedView("Exploded crank", captureViewSnapshot());
+ */
+export const createSavedView = (name, snapshot) => ({
+  id: createViewId(),
+  ...normalizeSavedView({ ...snapshot, name }),
+});
+
+/**
+ * Default name of the next saved view ("View 3").
+ *
+ * @param {Array<Object>} views - Saved views of the model
+ * @returns {string} Name not used yet
+ */
+export const getNextViewName = (views) => {
+  const names = new Set(views.map((view) => view.name));
+  let index = views.length + 1;
+  while (names.has(`View ${index}`)) index += 1;
+  return `View ${index}`;
+};
+
+/**
+ * Build the exported file content of a model's views (ids are left out, they
+ * are regenerated on import).
+ *
+ * @param {string} model - Model key
+ * @param {Array<Object>} views - Saved views
+ * @returns {Object} JSON-serializable file content
+ */
+export const buildSavedViewsFile = (model, views) => ({
+  format: SAVED_VIEWS_FORMAT,
+  version: SAVED_VIEWS_VERSION,
+  model,
+  views: views.map((view) => {
+    const rest = { ...view };
+    delete rest.id;
+    return rest;
+  }),
+});
+
+/**
+ * Read an exported saved views file.
+ *
+ * @param {string} text - File content
+ * @returns {Object} { model, views } with new view ids
+ * @throws {Error} When the content is not a saved views file
+ */
+export const readSavedViewsFile = (text) => {
+  const label = "a saved views export";
+  const { data, model } = readVersionedJsonFile(text, {
+    format: SAVED_VIEWS_FORMAT,
+    version: SAVED_VIEWS_VERSION,
+    label,
+  });
+  if (!Array.isArray(data.views)) throw new Error(`The file is not ${label}.`);
+
+  return {
+    model,
+    views: data.views
+      .filter((view) => view && typeof view === "object")
+      .map((view) => ({ id: createViewId(), ...normalizeSavedView(view) })),
+  };
+};
@@ -0,0 +1,123 @@
+/**
+ * View transition - animated move to a view snapshot, shared by saved views and
+ * presentation steps.
+ */
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { deepLinkStore, resolveViewSnapshot } from "../../deepLink/deepLink";
+import { calculateEasing } from "../../../three/features/camera/camera";
+
+/** Default duration of the transition to a view (camera and explosions) */
+export const VIEW_TRANSITION_MS = 900;
+
+/**
+ * Frame of the running explosion transition: a new transition replaces it, and
+ * it keeps running when the panel that started it is closed.
+ */
+let explosionFrame = null;
+
+/**
+ * Explosion factors of the subtrees at a point of the transition.
+ *
+ * @param {Object} from - { [uuid]: factor } at the start
+ * @param {Object} target - { [uuid]: factor } at the end
+ * @param {number} t - Eased progress (0-1)
+ * @returns {Object} { [uuid]: factor }, subtrees back at 0 left out
+ */
+const interpolateSubtrees = (from, target, t) => {
+  const factors = {};
+  new Set([...Object.keys(from), ...Object.keys(target)]).forEach((id) => {
+    const start = from[id] ?? 0;
+    const factor = start + ((target[id] ?? 0) - start) * t;
+    if (factor > 0) factors[id] = factor;
+  });
+  return factors;
+};
+
+/**
+ * Ease the global and subtree explosion factors from `from` to `target`
+ * ({ explosionFactor, subtreeExplosions } each).
+ * The store is written directly so the transition isn't recorded step by step
+ * (restoreView already recorded the final values); it stops as soon as
+ * something else changes a factor (slider, undo).
+ *
+ * @param {Object} from - Factors at the start
+ * @param {Object} target - Factors at the end
+ * @param {number} duration - Duration in ms
+ */
+const animateExplosion = (from, target, duration) => {
+  cancelAnimationFrame(explosionFrame);
+  const startTime = performance.now();
+  let written = from;
+
+  const step = () => {
+    const { explosionFactor, subtreeExplosions } = viewerStateStore.getState();
+    if (
+      explosionFactor !== written.explosionFactor ||
+      subtreeExplosions !== written.subtreeExplosions
+    ) {
+      return;
+    }
+
+    const progress = Math.min((performance.now() - startTime) / duration, 1);
+    const t = calculateEasing(progress);
+    // The last step writes the target itself, the value the history recorded
+    written =
+      progress < 1
+        ? {
+            explosionFactor:
+              from.explosionFactor +
+              (target.explosionFactor - from.explosionFactor) * t,
+            subtreeExplosions: interpolateSubtrees(
+              from.subtreeExplosions,
+              target.subtreeExplosions,
+              t,
+            ),
+          }
+        : target;
+    viewerStateStore.setState(written);
+    if (progress < 1) explosionFrame = requestAnimationFrame(step);
+  };
+
+  viewerStateStore.setState(from);
+  explosionFrame = requestAnimationFrame(step);
+};
+
+/**
+ * Animate the viewer to a view snapshot (saved view, presentation step).
+ *
+ * Visibility, isolation and selection are restored at once (one history entry
+ * named after the view), then the camera and the explosion factors (global and
+ * per subassembly) ease to the view's values with the camera focus easing. Going to another view, moving the
+ * slider or undoing during the transition takes over from it.
+ *
+ * @param {Object} snapshot - View snapshot (see captureViewSnapshot)
+ * @param {string} label - Name of the view, for the history entry
+ * @param {number} [duration=VIEW_TRANSITION_MS] - Transition duration in ms
+ *   (0 jumps)
+ *
+ * @example
+ * goToView(savedView, savedView.name);
+ */
+export const goToView = (snapshot, label, duration = VIEW_TRANSITION_MS) => {
+  const { view, missing } = resolveViewSnapshot(snapshot);
+  const viewerState = viewerStateStore.getState();
+  const from = {
+    explosionFactor: viewerState.explosionFactor,
+    subtreeExplosions: viewerState.subtreeExplosions,
+  };
+
+  cancelAnimationFrame(explosionFrame);
+  viewerState.restoreView(view, label);
+  if (duration > 0) {
+    const { explosionFactor, subtreeExplosions } = viewerStateStore.getState();
+    animateExplosion(from, { explosionFactor, subtreeExplosions }, duration);
+  }
+  // Requested after the selection, so it replaces the focus animation
+  if (snapshot.camera) {
+    deepLinkStore.getState().requestCameraPose(snapshot.camera, { duration });
+  }
+
+  if (missing.length > 0) {
+    console.warn(`⚠️ Nodes of "${label}" not found in the model:`, missing);
+  }
+};
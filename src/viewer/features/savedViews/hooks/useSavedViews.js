@@ -0,0 +1,120 @@
+import { useCallback } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+import { modelSourceStore } from "../../modelSource/modelSource";
+import { captureViewSnapshot } from "../../deepLink/deepLink";
+import {
+  downloadJson,
+  toFileBaseName,
+} from "../../../../services/export/downloadFile";
+import { readImportFile } from "../../../../services/export/versionedJsonFile";
+import { savedViewsStore } from "../state/savedViewsStore";
+import { goToView } from "../domain/viewTransition";
+import {
+  buildSavedViewsFile,
+  createSavedView,
+  getModelKey,
+  readSavedViewsFile,
+} from "../domain/savedViews";
+
+/** Stable empty list for models without views */
+const NO_VIEWS = [];
+
+/**
+ * Custom hook managing the saved views of the loaded model.
+ *
+ * Going to a view restores visibility, isolation and selection at once (one
+ * history entry, "Go to <name>"), then moves the camera and the explosion factor
+ * to the view's values with the camera focus easing (see goToView).
+ *
+ * @hook
+ * @returns {Object} Saved views of the model and their actions:
+ *   - modelKey: key the views are stored under (null while no model is known)
+ *   - views: saved views, in presentation order
+ *   - canSave: whether a model is loaded (paths can be captured)
+ *   - saveView(name): save the current view
+ *   - applyView(view): go to a view
+ *   - renameView(id, name), moveView(id, offset), deleteView(id)
+ *   - exportViews(): download the views as JSON
+ *   - importViews(file): append the views of an exported file; resolves to
+ *     { count, model }, rejects with a readable message
+ *
+ * @example
+ * const { views, applyView } = useSavedViews();
+ * views.map((view) => <button onClick={() => applyView(view)}>{view.name}</button>);
+ */
+export const useSavedViews = () => {
+  const source = modelSourceStore((state) => state.source);
+  const items = viewerStateStore((state) => state.items);
+  const modelKey = getModelKey(source);
+  const views = savedViewsStore(
+    (state) => (modelKey && state.views[modelKey]) || NO_VIEWS,
+  );
+
+  const saveView = useCallback(
+    (name) => {
+      if (!modelKey) return;
+      savedViewsStore
+        .getState()
+        .addViews(modelKey, [createSavedView(name, captureViewSnapshot())]);
+    },
+    [modelKey],
+  );
+
+  const applyView = useCallback(
+    (savedView) => goToView(savedView, savedView.name),
+    [],
+  );
+
+  const renameView = useCallback(
+    (id, name) => {
+      if (modelKey) savedViewsStore.getState().renameView(modelKey, id, name);
+    },
+    [modelKey],
+  );
+
+  const moveView = useCallback(
+    (id, offset) => {
+      if (modelKey) savedViewsStore.getState().moveView(modelKey, id, offset);
+    },
+    [modelKey],
+  );
+
+  const deleteView = useCallback(
+    (id) => {
+      if (modelKey) savedViewsStore.getState().deleteView(modelKey, id);
+    },
+    [modelKey],
+  );
+
+  const exportViews = useCallback(() => {
+    if (!modelKey) return;
+    downloadJson(
+      `${toFileBaseName(source.name, "model")}-views.json`,
+      buildSavedViewsFile(modelKey, views),
+    );
+  }, [modelKey, source.name, views]);
+
+  const importViews = useCallback(
+    async (file) => {
+      if (!modelKey) throw new Error("Load a model before importing views.");
+
+      const imported = await readImportFile(file, readSavedViewsFile);
+      savedViewsStore.getState().addViews(modelKey, imported.views);
+      return { count: imported.views.length, model: imported.model };
+    },
+    [modelKey],
+  );
+
+  return {
+    modelKey,
+    views,
+    canSave: Boolean(modelKey) && items.length > 0,
+    saveView,
+    applyView,
+    renameView,
+    moveView,
+    deleteView,
+    exportViews,
+    importViews,
+  };
+};
@@ -0,0 +1,15 @@
+/**
+ * Saved views feature barrel file.
+ * Exports the panel listing the model's named views (camera, visibility,
+ * isolation, selection and explosion), the hook saving and applying them, and
+ * the view helpers shared with presentations (animated transition, snapshot
+ * normalization, model key).
+ */
+export { SavedViewsPanel } from "./SavedViewsPanel/SavedViewsPanel";
+export { useSavedViews } from "./hooks/useSavedViews";
+export { goToView, VIEW_TRANSITION_MS } from "./domain/viewTransition";
+export {
+  createViewId,
+  getModelKey,
+  normalizeViewSnapshot,
+} from "./domain/savedViews";
@@ -0,0 +1,83 @@
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+
+/** localStorage key of the persisted views */
+const STORAGE_KEY = "r3f-mechanical-demo-saved-views";
+
+/**
+ * Replace the views of one model, dropping the model once it has none left.
+ *
+ * @param {Object} views - All views ({ [modelKey]: Array<Object> })
+ * @param {string} modelKey - Model key (see getModelKey)
+ * @param {Array<Object>} modelViews - New views of the model
+ * @returns {Object} Updated views
+ */
+const withModelViews = (views, modelKey, modelViews) => {
+  const next = { ...views, [modelKey]: modelViews };
+  if (modelViews.length === 0) delete next[modelKey];
+  return next;
+};
+
+/**
+ * Named views of each model (see savedViews domain), in the order they are
+ * presented. Persisted in localStorage so they are ready for the next demo.
+ */
+export const savedViewsStore = create(
+  persist(
+    (set) => ({
+      // ============ VIEWS ============
+      /** Saved views per model: { [modelKey]: Array<{ id, name, camera, ... }> } */
+      views: {},
+
+      /** Append views to a model's list (a new view, or the views of an import) */
+      addViews: (modelKey, added) =>
+        set((state) => ({
+          views: withModelViews(state.views, modelKey, [
+            ...(state.views[modelKey] || []),
+            ...added,
+          ]),
+        })),
+
+      /** Rename a view */
+      renameView: (modelKey, id, name) =>
+        set((state) => ({
+          views: withModelViews(
+            state.views,
+            modelKey,
+            (state.views[modelKey] || []).map((view) =>
+              view.id === id ? { ...view, name } : view,
+            ),
+          ),
+        })),
+
+      /** Move a view up (-1) or down (+1) in the list */
+      moveView: (modelKey, id, offset) =>
+        set((state) => {
+          const modelViews = [...(state.views[modelKey] || [])];
+          const from = modelViews.findIndex((view) => view.id === id);
+          const to = from + offset;
+          if (from < 0 || to < 0 || to >= modelViews.length) return {};
+
+          [modelViews[from], modelViews[to]] = [
+            modelViews[to],
+            modelViews[from],
+          ];
+          return { views: withModelViews(state.views, modelKey, modelViews) };
+        }),
+
+      /** Delete a view */
+      deleteView: (modelKey, id) =>
+        set((state) => ({
+          views: withModelViews(
+            state.views,
+            modelKey,
+            (state.views[modelKey] || []).filter((view) => view.id !== id),
+          ),
+        })),
+    }),
+    {
+      name: STORAGE_KEY,
+      partialize: (state) => ({ views: state.views }),
+    },
+  ),
+);
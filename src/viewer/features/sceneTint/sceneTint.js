@@ -0,0 +1,6 @@
+/**
+ * Scene tint feature barrel file.
+ * Exports the store of color layers applied over the model's materials
+ * (used by overlays such as the maintenance status and the heatmap).
+ */
+export { sceneTintStore } from "./state/sceneTintStore";
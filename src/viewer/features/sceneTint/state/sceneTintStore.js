@@ -0,0 +1,26 @@
+import { create } from "zustand";
+
+export const sceneTintStore = create((set) => ({
+  // ============ TINT LAYERS ============
+  /**
+   * Colors applied over the model's materials, by layer id:
+   * { [layerId]: { colors: { [nodeUuid]: "#rrggbb" }, priority, mode } }.
+   * A group's color applies to all its meshes; where layers overlap, the higher
+   * priority wins (then the more specific node). Mode "tint" adds a glow over the
+   * original look, "paint" replaces the color and texture.
+   */
+  layers: {},
+  /** Add or replace a tint layer (e.g. overdue parts, heatmap) */
+  setTintLayer: (id, colors, { priority = 0, mode = "tint" } = {}) =>
+    set((state) => ({
+      layers: { ...state.layers, [id]: { colors, priority, mode } },
+    })),
+  /** Remove a tint layer; its meshes get their original materials back */
+  clearTintLayer: (id) =>
+    set((state) => {
+      if (!state.layers[id]) return state;
+      const layers = { ...state.layers };
+      delete layers[id];
+      return { layers };
+    }),
+}));
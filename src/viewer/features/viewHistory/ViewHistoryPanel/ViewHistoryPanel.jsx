@@ -0,0 +1,105 @@
+import { viewerStateStore } from "../../viewerState/viewerState";
+import styles from "./ViewHistoryPanel.module.css";
+
+/**
+ * Format the time of a history entry.
+ *
+ * @param {number} time - Timestamp (ms)
+ * @returns {string} Local time ("14:05:32")
+ */
+const formatEntryTime = (time) =>
+  new Date(time).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+/**
+ * History of the view changes (selection, visibility, isolation, explosion).
+ *
+ * Features:
+ * - Undo / Redo buttons (also Ctrl+Z and Ctrl+Shift+Z)
+ * - List of the changes, oldest first: the current point is highlighted, undone
+ *   changes are dimmed until a new change drops them
+ * - Clicking a line restores the view right after that change ("Initial view"
+ *   goes back before the first one)
+ *
+ * @component
+ * @returns {JSX.Element} Undo/redo buttons and history list
+ */
+export function ViewHistoryPanel() {
+  const history = viewerStateStore((state) => state.history);
+  const undo = viewerStateStore((state) => state.undo);
+  const redo = viewerStateStore((state) => state.redo);
+  const goToHistory = viewerStateStore((state) => state.goToHistory);
+
+  const entries = [...history.past, ...history.future];
+  const position = history.past.length;
+
+  /**
+   * Class of a history line at a given position.
+   */
+  const lineClass = (linePosition) =>
+    `${styles.line}${linePosition === position ? ` ${styles.lineCurrent}` : ""}${
+      linePosition > position ? ` ${styles.lineUndone}` : ""
+    }`;
+
+  return (
+    <div className={styles.history}>
+      <div className={styles.actions}>
+        <button
+          type="button"
+          className={styles.actionBtn}
+          onClick={undo}
+          disabled={position === 0}
+          title="Undo (Ctrl+Z)"
+        >
+          ↶ Undo
+        </button>
+        <button
+          type="button"
+          className={styles.actionBtn}
+          onClick={redo}
+          disabled={history.future.length === 0}
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          ↷ Redo
+        </button>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className={styles.message}>
+          Selection, visibility, isolation and explosion changes are listed here
+          and can be undone.
+        </p>
+      ) : (
+        <ol className={styles.list}>
+          <li>
+            <button
+              type="button"
+              className={lineClass(0)}
+              onClick={() => goToHistory(0)}
+            >
+              <span className={styles.label}>Initial view</span>
+            </button>
+          </li>
+          {entries.map((entry, index) => (
+            <li key={entry.id}>
+              <button
+                type="button"
+                className={lineClass(index + 1)}
+                onClick={() => goToHistory(index + 1)}
+                aria-current={index + 1 === position ? "step" : undefined}
+              >
+                <span className={styles.label}>{entry.label}</span>
+                <span className={styles.time}>
+                  {formatEntryTime(entry.time)}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
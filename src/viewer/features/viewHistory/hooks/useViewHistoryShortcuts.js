@@ -0,0 +1,51 @@
+import { useEffect } from "react";
+import { viewerStateStore } from "../../viewerState/viewerState";
+
+/**
+ * Whether a key event comes from a text field, which handles its own keys
+ * (undo, arrows, space). Shared with the presentation player's shortcuts.
+ *
+ * @param {KeyboardEvent} event - Key event
+ * @returns {boolean} True for inputs, text areas, selects and editable content
+ */
+export const isTextInput = (event) => {
+  const target = event.target;
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+  );
+};
+
+/**
+ * Custom hook binding the view history to the keyboard:
+ * Ctrl+Z (Cmd+Z on macOS) undoes, Ctrl+Shift+Z or Ctrl+Y redoes.
+ * Shortcuts typed in text fields are left to the field.
+ *
+ * @hook
+ *
+ * @example
+ * // Called once at application root
+ * useViewHistoryShortcuts();
+ */
+export const useViewHistoryShortcuts = () => {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      if (isTextInput(event)) return;
+
+      const key = event.key.toLowerCase();
+      const { undo, redo } = viewerStateStore.getState();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+};
@@ -0,0 +1,11 @@
+/**
+ * View history feature barrel file.
+ * Exports the history panel (undo/redo of selection, visibility, isolation and
+ * explosion changes), the hook binding undo/redo to the keyboard and its
+ * text field check, shared with other shortcuts.
+ */
+export { ViewHistoryPanel } from "./ViewHistoryPanel/ViewHistoryPanel";
+export {
+  useViewHistoryShortcuts,
+  isTextInput,
+} from "./hooks/useViewHistoryShortcuts";
@@ -0,0 +1,150 @@
+/**
+ * View history - undo/redo of the viewer actions that change what the user sees
+ * (selection, visibility, isolation, explosions).
+ *
+ * Every tracked action is recorded as an entry holding the view before and after
+ * it, so undoing or redoing restores a snapshot instead of replaying the action.
+ * Repeated calls of the same kind (slider drags) are merged into one entry.
+ */
+
+/** Maximum number of entries kept (oldest dropped first) */
+export const HISTORY_LIMIT = 100;
+
+/** Calls of the same coalescing kind closer than this are merged */
+export const HISTORY_COALESCE_MS = 1000;
+
+/** History without entries */
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+/** Store fields making up the view */
+const VIEW_FIELDS = [
+  "selectedItem",
+  "selectedId",
+  "selectedIds",
+  "hiddenObjects",
+  "isolationMode",
+  "individualIsolatedId",
+  "explosionFactor",
+  "subtreeExplosions",
+];
+
+/**
+ * Copy the view fields of the viewer state. Actions replace the hidden set and
+ * the selected ids instead of mutating them, so references are kept as they are.
+ *
+ * @param {Object} state - Viewer state
+ * @returns {Object} View snapshot
+ */
+export const captureView = (state) =>
+  Object.fromEntries(VIEW_FIELDS.map((field) => [field, state[field]]));
+
+/**
+ * Whether two view field values are equal. Sets, arrays and plain objects are
+ * compared by content, since actions build new ones even when nothing changes
+ * (showAll).
+ *
+ * @param {*} a - Field value
+ * @param {*} b - Field value
+ * @returns {boolean} True when equal
+ */
+const isSameValue = (a, b) => {
+  if (a === b) return true;
+  if (a instanceof Set && b instanceof Set) {
+    return a.size === b.size && [...a].every((value) => b.has(value));
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+  }
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => a[key] === b[key])
+    );
+  }
+  return false;
+};
+
+/**
+ * Whether two snapshots show the same view.
+ *
+ * @param {Object} a - View snapshot
+ * @param {Object} b - View snapshot
+ * @returns {boolean} True when no view field changed
+ */
+export const isSameView = (a, b) =>
+  VIEW_FIELDS.every((field) => isSameValue(a[field], b[field]));
+
+/** Id of the next history entry */
+let nextEntryId = 1;
+
+/**
+ * Add an entry to the history. The redo stack is dropped; a call with the same
+ * coalescing kind as the last entry, shortly after it, updates that entry instead.
+ *
+ * @param {Object} history - { past, future }
+ * @param {Object} change - { label, before, after, coalesceKey? }
+ * @param {number} [now=Date.now()] - Time of the change (ms)
+ * @returns {Object} New history
+ */
+export const recordHistoryEntry = (history, change, now = Date.now()) => {
+  const last = history.past.at(-1);
+  const coalesce =
+    change.coalesceKey &&
+    last?.coalesceKey === change.coalesceKey &&
+    history.future.length === 0 &&
+    now - last.time < HISTORY_COALESCE_MS;
+
+  if (coalesce) {
+    const past = history.past.slice(0, -1);
+    // A drag back to where it started leaves nothing to undo
+    if (isSameView(last.before, change.after)) return { past, future: [] };
+    return {
+      past: [
+        ...past,
+        { ...last, label: change.label, after: change.after, time: now },
+      ],
+      future: [],
+    };
+  }
+
+  const entry = {
+    id: nextEntryId++,
+    label: change.label,
+    before: change.before,
+    after: change.after,
+    coalesceKey: change.coalesceKey ?? null,
+    time: now,
+  };
+  return { past: [...history.past, entry].slice(-HISTORY_LIMIT), future: [] };
+};
+
+/**
+ * Move through the history to the point where `position` entries are applied.
+ *
+ * @param {Object} history - { past, future } (future: next redo first)
+ * @param {number} position - Number of applied entries (0 = before the first one)
+ * @returns {Object|null} { history, view } with the view to restore, or null when
+ *   the position is out of range or already current
+ *
+ * @example
+ * moveInHistory(history, history.past.length - 1); // undo
+ */
+export const moveInHistory = (history, position) => {
+  const entries = [...history.past, ...history.future];
+  if (
+    position < 0 ||
+    position > entries.length ||
+    position === history.past.length
+  ) {
+    return null;
+  }
+
+  return {
+    history: {
+      past: entries.slice(0, position),
+      future: entries.slice(position),
+    },
+    view: position > 0 ? entries[position - 1].after : entries[0].before,
+  };
+};
@@ -1,20 +1,62 @@
 import { create } from "zustand";
+import {
+  EMPTY_HISTORY,
+  captureView,
+  isSameView,
+  moveInHistory,
+  recordHistoryEntry,
+} from "../domain/viewHistory";
 
 // Object references stay outside the store to keep state serializable.
 let objectMapRef = {};
 let meshDescendantsCacheRef = {};
+let modelRootRef = null;
+let assembledPositionGetterRef = null;
+
+/**
+ * Name shown for an object; unnamed nodes show their type instead of a UUID.
+ */
+const getDisplayName = (obj) => obj.name || `(unnamed ${obj.type})`;
+
+/** Range of the number of hierarchy levels exploded one after the other */
+export const EXPLOSION_DEPTH_RANGE = { min: 1, max: 4 };
+
+/**
+ * Stagger choices between nested levels: share of a level's slider window
+ * before the next level starts (0 = together, 1 = one after the other)
+ */
+export const EXPLOSION_STAGGERS = [0, 0.3, 0.6, 1];
+
+/**
+ * Explosion modes: away from the center ("radial"), along an axis ("axis"),
+ * along the model's principal axis ("principal"), or away from an axis
+ * ("cylindrical")
+ */
+export const EXPLOSION_MODES = ["radial", "axis", "principal", "cylindrical"];
+
+/** Axes of the axis and cylindrical modes, and the frames they are read in */
+export const EXPLOSION_AXES = ["x", "y", "z"];
+export const EXPLOSION_AXIS_SPACES = ["world", "local"];
+
+/**
+ * Clamp an explosion factor to the 0-1 range (non-finite values give 0).
+ */
+const clampExplosionFactor = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, 0), 1) : 0;
+};
 
 const buildMeshDescendantsCache = (map) => {
   const cache = {};
   Object.entries(map).forEach(([uuid, obj]) => {
-    if (obj.type === "Mesh") {
+    if (obj.isMesh) {
       cache[uuid] = [uuid];
       return;
     }
 
     const meshIds = [];
     obj.traverse((child) => {
-      if (child.type === "Mesh") {
+      if (child.isMesh) {
         meshIds.push(child.uuid);
       }
     });
@@ -25,12 +67,6 @@ const buildMeshDescendantsCache = (map) => {
 };
 
 export const viewerStateStore = create((set, get) => ({
-  // ============ LOADING STATE ============
-  /** Whether the 3D model and metadata are currently loading */
-  isLoading: true,
-  /** Update the global loading state */
-  setLoading: (loading) => set({ isLoading: loading }),
-
   // ============ SELECTION STATE ============
   /** Display name of the currently selected object (for UI display) */
   selectedItem: null,
@@ -59,20 +95,137 @@ export const viewerStateStore = create((set, get) => ({
    * Non-finite values default to 0.
    */
   setExplosionFactor: (value) => {
-    const parsed = Number(value);
-    const safeValue = Number.isFinite(parsed)
-      ? Math.min(Math.max(parsed, 0), 1)
-      : 0;
-    set({ explosionFactor: safeValue });
+    set({ explosionFactor: clampExplosionFactor(value) });
   },
   /** Reset explosion animation to 0 */
   resetExplosion: () => set({ explosionFactor: 0 }),
 
+  /**
+   * Explosion factors of single subassemblies: { [uuid]: 0-1 }.
+   * Each subtree explodes around its own bounds while the rest stays assembled;
+   * factors combine with the global explosionFactor.
+   */
+  subtreeExplosions: {},
+  /**
+   * Set the explosion factor of one subtree (clamped to 0-1; 0 removes it).
+   *
+   * @param {string} id - UUID of the subtree root
+   * @param {number} value - Explosion factor
+   */
+  setSubtreeExplosion: (id, value) => {
+    const { subtreeExplosions } = get();
+    const factor = clampExplosionFactor(value);
+    if ((subtreeExplosions[id] ?? 0) === factor) return;
+
+    const next = { ...subtreeExplosions, [id]: factor };
+    if (factor === 0) delete next[id];
+    set({ subtreeExplosions: next });
+  },
+  /** Put every exploded subtree back together */
+  resetSubtreeExplosions: () => {
+    if (Object.keys(get().subtreeExplosions).length > 0) {
+      set({ subtreeExplosions: {} });
+    }
+  },
+
+  /**
+   * Number of hierarchy levels the explosions separate (1 = a single level).
+   * Deeper levels separate around their subassembly's center once the
+   * previous level is on its way. A viewer setting: kept across models and
+   * not part of views.
+   */
+  explosionDepth: EXPLOSION_DEPTH_RANGE.min,
+  /** Set the explosion depth (rounded and clamped to EXPLOSION_DEPTH_RANGE) */
+  setExplosionDepth: (value) => {
+    const parsed = Math.round(Number(value));
+    if (!Number.isFinite(parsed)) return;
+    set({
+      explosionDepth: Math.min(
+        Math.max(parsed, EXPLOSION_DEPTH_RANGE.min),
+        EXPLOSION_DEPTH_RANGE.max,
+      ),
+    });
+  },
+  /**
+   * Stagger between nested levels (one of EXPLOSION_STAGGERS; see
+   * getLevelProgress). A viewer setting like the depth.
+   */
+  explosionStagger: 0.6,
+  /** Set the level stagger (values outside EXPLOSION_STAGGERS are ignored) */
+  setExplosionStagger: (stagger) => {
+    if (EXPLOSION_STAGGERS.includes(stagger)) {
+      set({ explosionStagger: stagger });
+    }
+  },
+  /**
+   * Direction parts move in (one of EXPLOSION_MODES). The axis and
+   * cylindrical modes use explosionAxis, read in the world frame or in the
+   * model's own frame ("local"). Viewer settings like the depth.
+   */
+  explosionMode: "radial",
+  explosionAxis: "y",
+  explosionAxisSpace: "world",
+  /** Set the explosion mode (unknown modes are ignored) */
+  setExplosionMode: (mode) => {
+    if (EXPLOSION_MODES.includes(mode)) set({ explosionMode: mode });
+  },
+  /**
+   * Set the explosion axis and, optionally, its frame (invalid values are ignored).
+   *
+   * @param {string} axis - One of EXPLOSION_AXES
+   * @param {string} [space] - One of EXPLOSION_AXIS_SPACES (default: unchanged)
+   */
+  setExplosionAxis: (axis, space = get().explosionAxisSpace) => {
+    if (
+      EXPLOSION_AXES.includes(axis) &&
+      EXPLOSION_AXIS_SPACES.includes(space)
+    ) {
+      set({ explosionAxis: axis, explosionAxisSpace: space });
+    }
+  },
+  /**
+   * Explosion guides: leader lines from exploded parts to their assembled
+   * position, and ghosts of the parts there. Viewer settings like the depth.
+   */
+  explosionLeaderLines: false,
+  explosionGhosts: false,
+  /** Show or hide the leader lines */
+  setExplosionLeaderLines: (show) =>
+    set({ explosionLeaderLines: Boolean(show) }),
+  /** Show or hide the ghosts */
+  setExplosionGhosts: (show) => set({ explosionGhosts: Boolean(show) }),
+
+  // ============ VIEW HISTORY ============
+  /**
+   * Undo/redo history of the tracked view actions (see TRACKED_ACTIONS):
+   * { past: [entry], future: [entry] } with entries { id, label, before, after }
+   * and the next redo first in `future`.
+   */
+  history: EMPTY_HISTORY,
+
+  /**
+   * Restore the view after the given number of history entries.
+   * Undo and redo are steps of one; the history list jumps anywhere.
+   *
+   * @param {number} position - Entries applied (0 = view before the first entry)
+   */
+  goToHistory: (position) => {
+    const move = moveInHistory(get().history, position);
+    if (move) set({ ...move.view, history: move.history });
+  },
+  /** Undo the last tracked action */
+  undo: () => get().goToHistory(get().history.past.length - 1),
+  /** Redo the last undone action */
+  redo: () => get().goToHistory(get().history.past.length + 1),
+  /** Forget the history (e.g. after restoring a shared view) */
+  clearHistory: () => set({ history: EMPTY_HISTORY }),
+
   // ============ VISIBILITY MANAGEMENT ============
   /**
    * Toggle visibility of an object and all its descendants.
    * If object is hidden, shows it and all descendants.
-   * If object is visible, hides it and all descendants.
+   * If object is visible, hides it and all descendants, and clears the
+   * selection when it is among them (one history entry for both).
    * Updates visual state in scene via InteractiveModel effect.
    */
   toggleVisibility: (id) => {
@@ -91,11 +244,21 @@ export const viewerStateStore = create((set, get) => ({
     if (isCurrentlyHidden) {
       // Show: remove from hidden set
       descendants.forEach((uuid) => hiddenObjects.delete(uuid));
-    } else {
-      // Hide: add to hidden set
-      descendants.forEach((uuid) => hiddenObjects.add(uuid));
+      set({ hiddenObjects });
+      return;
     }
 
+    // Hide: add to hidden set
+    descendants.forEach((uuid) => hiddenObjects.add(uuid));
+    if (descendants.includes(get().selectedId)) {
+      set({
+        hiddenObjects,
+        selectedItem: null,
+        selectedId: null,
+        selectedIds: [],
+      });
+      return;
+    }
     set({ hiddenObjects });
   },
 
@@ -228,6 +391,49 @@ export const viewerStateStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Restore a whole view at once (viewer link, saved view): visibility, isolation,
+   * selection and explosion, recorded as a single history entry.
+   * Each hidden object hides its descendants too, as with toggleVisibility;
+   * isolation flags are taken as given, the hidden set already reflects them.
+   *
+   * @param {Object} view - View to restore:
+   *   - hiddenIds: UUIDs of hidden subtree roots
+   *   - isolationMode, individualIsolatedId: isolation flags
+   *   - selectedId: UUID of the selected object (null clears the selection)
+   *   - explosionFactor: 0-1 (null keeps the current factor)
+   *   - subtreeExplosions: { [uuid]: 0-1 } exploded subtrees (none by default)
+   *
+   * A second argument names the history entry ("Go to <name>", see TRACKED_ACTIONS).
+   */
+  restoreView: ({
+    hiddenIds = [],
+    isolationMode = false,
+    individualIsolatedId = null,
+    selectedId = null,
+    explosionFactor = null,
+    subtreeExplosions = {},
+  }) => {
+    const hiddenObjects = new Set();
+    hiddenIds.forEach((id) => {
+      objectMapRef[id]?.traverse((child) => hiddenObjects.add(child.uuid));
+    });
+
+    const selected = objectMapRef[selectedId] || null;
+    set({
+      hiddenObjects,
+      isolationMode,
+      individualIsolatedId,
+      selectedItem: selected ? getDisplayName(selected) : null,
+      selectedId: selected ? selectedId : null,
+      selectedIds: selected ? get().getDescendantMeshIds(selectedId) : [],
+      ...(explosionFactor !== null && {
+        explosionFactor: clampExplosionFactor(explosionFactor),
+      }),
+      subtreeExplosions,
+    });
+  },
+
   /**
    * Check if an object is currently in individual isolation.
    * Returns true if this object's UUID matches individualIsolatedId.
@@ -250,7 +456,7 @@ export const viewerStateStore = create((set, get) => ({
       return;
     }
 
-    const name = obj.name || obj.uuid || "(unnamed)";
+    const name = getDisplayName(obj);
     set({ selectedItem: name, selectedId: obj.uuid, selectedIds: [obj.uuid] });
   },
 
@@ -268,7 +474,7 @@ export const viewerStateStore = create((set, get) => ({
       return;
     }
 
-    const name = obj.name || obj.uuid || "(unnamed)";
+    const name = getDisplayName(obj);
 
     /**
      * When selecting a parent object, also include all descendant meshes.
@@ -303,6 +509,47 @@ export const viewerStateStore = create((set, get) => ({
     meshDescendantsCacheRef = buildMeshDescendantsCache(objectMapRef);
   },
 
+  /**
+   * Store the root of the loaded model (the glTF scene).
+   * Scene paths used to match metadata are built relative to it.
+   */
+  setModelRoot: (root) => {
+    modelRootRef = root || null;
+  },
+
+  /**
+   * Store the function giving an object's assembled (unexploded) local position.
+   * Used by InteractiveModel, which owns the explosion offsets.
+   */
+  setAssembledPositionGetter: (getter) => {
+    assembledPositionGetterRef = getter || null;
+  },
+
+  /**
+   * Drop everything tied to the currently loaded model.
+   * Called when the model source is swapped, before the new scene loads.
+   *
+   * Clears selection, visibility/isolation, explosions, hierarchy items, view history,
+   * the object map and model root (so stale THREE.Object3D references are released).
+   */
+  resetModelState: () => {
+    objectMapRef = {};
+    meshDescendantsCacheRef = {};
+    modelRootRef = null;
+    set({
+      selectedItem: null,
+      selectedId: null,
+      selectedIds: [],
+      items: [],
+      hiddenObjects: new Set(),
+      isolationMode: false,
+      individualIsolatedId: null,
+      explosionFactor: 0,
+      subtreeExplosions: {},
+      history: EMPTY_HISTORY,
+    });
+  },
+
   // ============ QUERY & HELPER METHODS ============
   /**
    * Get all descendant mesh UUIDs for an object (from cache).
@@ -317,6 +564,19 @@ export const viewerStateStore = create((set, get) => ({
    */
   getObjectById: (id) => objectMapRef[id] || null,
 
+  /**
+   * Get the root THREE.Object3D of the loaded model.
+   * Returns null before a model has loaded.
+   */
+  getModelRoot: () => modelRootRef,
+
+  /**
+   * Get the local position of an object with every explosion undone.
+   * Returns its current position when the model isn't exploded.
+   */
+  getAssembledPosition: (object) =>
+    assembledPositionGetterRef?.(object) ?? object.position,
+
   /**
    * Get multiple THREE.Object3D instances by their UUIDs.
    * Filters out any null/undefined results.
@@ -330,4 +590,98 @@ export const viewerStateStore = create((set, get) => ({
    */
   clearSelection: () =>
     set({ selectedItem: null, selectedId: null, selectedIds: [] }),
+
+  /**
+   * Clear the selection without a history entry of its own.
+   * Used when another recorded action (isolation, a restored view) hid the
+   * selected object: undoing that action brings both back.
+   */
+  dropHiddenSelection: () =>
+    set({ selectedItem: null, selectedId: null, selectedIds: [] }),
 }));
+
+/**
+ * Name of a node for history labels.
+ */
+const getNodeName = (id) => {
+  const obj = objectMapRef[id];
+  return obj ? getDisplayName(obj) : "object";
+};
+
+/** History label of a selection change */
+const selectionLabel = ({ after }) =>
+  after.selectedItem ? `Select ${after.selectedItem}` : "Clear selection";
+
+/**
+ * Actions recorded in the view history.
+ * - label({ args, before, after }): entry label from the call arguments and the
+ *   view before and after the call
+ * - coalesceKey: repeated calls with this key are merged (slider drags); a
+ *   function of ({ args }) gives a key per call (e.g. one per subtree)
+ */
+const TRACKED_ACTIONS = {
+  toggleVisibility: {
+    label: ({ args: [id], before }) =>
+      `${before.hiddenObjects.has(id) ? "Show" : "Hide"} ${getNodeName(id)}`,
+  },
+  toggleIsolationMode: {
+    label: ({ after }) =>
+      after.isolationMode ? `Isolate ${after.selectedItem}` : "Exit isolation",
+  },
+  toggleIndividualIsolation: {
+    label: ({ args: [id], after }) =>
+      after.individualIsolatedId
+        ? `Isolate ${getNodeName(id)}`
+        : "Exit isolation",
+  },
+  showAll: { label: () => "Show all" },
+  setSelectedById: { label: selectionLabel },
+  setSelectedObject: { label: selectionLabel },
+  clearSelection: { label: selectionLabel },
+  setExplosionFactor: {
+    label: ({ after }) =>
+      `Explosion ${Math.round(after.explosionFactor * 100)}%`,
+    coalesceKey: "explosion",
+  },
+  resetExplosion: { label: () => "Reset explosion" },
+  setSubtreeExplosion: {
+    label: ({ args: [id], after }) =>
+      `Explode ${getNodeName(id)} ${Math.round((after.subtreeExplosions[id] ?? 0) * 100)}%`,
+    coalesceKey: ({ args: [id] }) => `subtreeExplosion:${id}`,
+  },
+  resetSubtreeExplosions: { label: () => "Reset subassembly explosions" },
+  restoreView: {
+    label: ({ args: [, name] }) => (name ? `Go to ${name}` : "Restore view"),
+  },
+};
+
+/**
+ * Wrap the tracked actions so each call that changes the view is recorded.
+ * The actions themselves stay unaware of the history; calls that leave the view
+ * unchanged (e.g. selecting the selected node) record nothing.
+ */
+Object.entries(TRACKED_ACTIONS).forEach(([name, { label, coalesceKey }]) => {
+  const action = viewerStateStore.getState()[name];
+
+  viewerStateStore.setState({
+    [name]: (...args) => {
+      const before = captureView(viewerStateStore.getState());
+      const result = action(...args);
+      const after = captureView(viewerStateStore.getState());
+      if (isSameView(before, after)) return result;
+
+      viewerStateStore.setState((state) => ({
+        history: recordHistoryEntry(state.history, {
+          label: label({ args, before, after }),
+          before,
+          after,
+          coalesceKey:
+            typeof coalesceKey === "function"
+              ? coalesceKey({ args })
+              : coalesceKey,
+        }),
+      }));
+      return result;
+    },
+  });
+});
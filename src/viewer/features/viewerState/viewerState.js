@@ -1,5 +1,13 @@
 /**
  * Viewer state management barrel file.
- * Exports the Zustand store managing selection, visibility, isolation, and explosion state.
+ * Exports the Zustand store managing selection, visibility, isolation, and explosion state
+ * (with the undo/redo history of their changes).
  */
-export { viewerStateStore } from "./state/viewerStateStore";
+export {
+  viewerStateStore,
+  EXPLOSION_DEPTH_RANGE,
+  EXPLOSION_STAGGERS,
+  EXPLOSION_MODES,
+  EXPLOSION_AXES,
+  EXPLOSION_AXIS_SPACES,
+} from "./state/viewerStateStore";
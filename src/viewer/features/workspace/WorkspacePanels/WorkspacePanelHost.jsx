@@ -0,0 +1,52 @@
+import { workspaceStore } from "../state/workspaceStore";
+import styles from "./WorkspacePanels.module.css";
+
+/**
+ * Floating frame rendering the open workspace panel over the viewport.
+ *
+ * Panels only provide their content; the host adds the title bar and close button.
+ * Nothing is rendered while no panel is open.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.panels - Panel definitions
+ *   ({ id, title, icon, component, width? }) where component renders the panel body
+ *   and width (px) widens the frame for table-like panels
+ * @returns {JSX.Element|null} Open panel, or null
+ */
+export function WorkspacePanelHost({ panels }) {
+  const activePanel = workspaceStore((state) => state.activePanel);
+  const closePanel = workspaceStore((state) => state.closePanel);
+
+  const panel = panels.find((entry) => entry.id === activePanel);
+  if (!panel) return null;
+
+  const PanelContent = panel.component;
+
+  return (
+    <section
+      className={styles.panel}
+      style={panel.width ? { width: panel.width } : undefined}
+      aria-label={panel.title}
+    >
+      <header className={styles.panelHeader}>
+        <h2 className={styles.panelTitle}>
+          <span className={styles.panelIcon}>{panel.icon}</span>
+          {panel.title}
+        </h2>
+        <button
+          type="button"
+          className={styles.closeBtn}
+          onClick={closePanel}
+          title="Close"
+          aria-label="Close panel"
+        >
+          ✕
+        </button>
+      </header>
+      <div className={styles.panelBody}>
+        <PanelContent />
+      </div>
+    </section>
+  );
+}
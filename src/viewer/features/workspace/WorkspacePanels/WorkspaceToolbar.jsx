@@ -0,0 +1,35 @@
+import { workspaceStore } from "../state/workspaceStore";
+import styles from "./WorkspacePanels.module.css";
+
+/**
+ * Toolbar in the top-right corner of the viewport opening the workspace panels.
+ *
+ * Each button toggles its panel; the button of the open panel is highlighted.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.panels - Panel definitions ({ id, title, icon })
+ * @returns {JSX.Element} Toolbar with one button per panel
+ */
+export function WorkspaceToolbar({ panels }) {
+  const activePanel = workspaceStore((state) => state.activePanel);
+  const togglePanel = workspaceStore((state) => state.togglePanel);
+
+  return (
+    <div className={styles.toolbar} role="toolbar" aria-label="Workspace panels">
+      {panels.map((panel) => (
+        <button
+          key={panel.id}
+          type="button"
+          className={`${styles.toolbarBtn}${activePanel === panel.id ? ` ${styles.toolbarBtnActive}` : ""}`}
+          onClick={() => togglePanel(panel.id)}
+          title={panel.title}
+          aria-label={panel.title}
+          aria-pressed={activePanel === panel.id}
+        >
+          {panel.icon}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import { create } from "zustand";
+
+export const workspaceStore = create((set) => ({
+  // ============ FLOATING PANELS ============
+  /** Id of the floating panel shown over the viewport (null when closed) */
+  activePanel: null,
+  /** Show a panel, or close it if it's already open */
+  togglePanel: (id) =>
+    set((state) => ({ activePanel: state.activePanel === id ? null : id })),
+  /** Show a panel (replaces the one currently open) */
+  openPanel: (id) => set({ activePanel: id }),
+  /** Close the open panel */
+  closePanel: () => set({ activePanel: null }),
+}));
@@ -0,0 +1,8 @@
+/**
+ * Workspace feature barrel file.
+ * Exports the store and UI for the floating panels opened from the viewport toolbar
+ * (coverage report and other authoring tools).
+ */
+export { workspaceStore } from "./state/workspaceStore";
+export { WorkspaceToolbar } from "./WorkspacePanels/WorkspaceToolbar";
+export { WorkspacePanelHost } from "./WorkspacePanels/WorkspacePanelHost";
@@ -1,5 +1,9 @@
 /**
  * Camera feature barrel file.
- * Exports the hook for animating camera focus on selected objects.
+ * Exports the hooks for animating camera focus on selected objects,
+ * for applying per-model camera presets and for sharing the camera pose in
+ * viewer links, and the easing shared with other view transitions.
  */
-export { useCameraAnimation } from "./useCameraAnimation";
+export { useCameraAnimation, calculateEasing } from "./useCameraAnimation";
+export { useCameraPreset, DEFAULT_CAMERA_PRESET } from "./useCameraPreset";
+export { useCameraLink } from "./useCameraLink";
@@ -1,4 +1,4 @@
-import { useEffect, useRef } from "react";
+import { useCallback, useEffect, useMemo, useRef } from "react";
 import { useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
 
@@ -9,10 +9,13 @@ import * as THREE from "three";
  * - Starts slow, accelerates toward middle, then decelerates toward end
  * - This creates smoother, more pleasant animation than linear interpolation
  *
+ * Also used outside the scene so other transitions (saved views) move in step
+ * with the camera.
+ *
  * @param {number} progress - Animation progress from 0 to 1
  * @returns {number} Eased progress value (0 to 1)
  */
-function calculateEasing(progress) {
+export function calculateEasing(progress) {
   return progress < 0.5
     ? 2 * progress * progress
     : 1 - Math.pow(-2 * progress + 2, 2) / 2;
@@ -62,11 +65,17 @@ function getTargetPosition(obj) {
  * @param {THREE.Object3D | THREE.Object3D[] | null} selected - The object(s) to focus on (null = no animation)
  * @param {React.RefObject} controlsRef - Reference to OrbitControls instance
  * @param {number} [duration=500] - Animation duration in milliseconds
+ * @returns {Object} Controls of the running animation:
+ *   - stop(): stops it where it is (e.g. when a viewer link sets the camera right
+ *     after restoring the selection)
+ *   - animateTo(pose, duration?): animates to a camera pose { position, target }
+ *     instead (e.g. going to a saved view)
  *
  * @example
  * const controlsRef = useRef(null);
  * const selectedObjects = useMemo(() => [mesh], [mesh]);
- * useCameraAnimation(selectedObjects, controlsRef, 600);
+ * const cameraAnimation = useCameraAnimation(selectedObjects, controlsRef, 600);
+ * cameraAnimation.animateTo({ position: [0, 5, 10], target: [0, 0, 0] });
  */
 export const useCameraAnimation = (selected, controlsRef, duration = 500) => {
   const camera = useThree((state) => state.camera);
@@ -171,4 +180,31 @@ export const useCameraAnimation = (selected, controlsRef, duration = 500) => {
       animationRef.current.isAnimating = false;
     }
   });
+
+  const stop = useCallback(() => {
+    animationRef.current.isAnimating = false;
+  }, []);
+
+  /**
+   * Start an animation from the current camera to an explicit pose, replacing
+   * the running one (e.g. a selection focus started by the same view change).
+   */
+  const animateTo = useCallback(
+    (pose, animationDuration = duration) => {
+      if (!controlsRef.current) return;
+
+      animationRef.current = {
+        isAnimating: true,
+        startTarget: controlsRef.current.target.clone(),
+        endTarget: new THREE.Vector3(...pose.target),
+        startCameraPos: camera.position.clone(),
+        endCameraPos: new THREE.Vector3(...pose.position),
+        startTime: performance.now(),
+        duration: animationDuration,
+      };
+    },
+    [camera, controlsRef, duration],
+  );
+
+  return useMemo(() => ({ stop, animateTo }), [stop, animateTo]);
 };
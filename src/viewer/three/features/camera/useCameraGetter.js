@@ -0,0 +1,24 @@
+import { useCallback } from "react";
+import { useThree } from "@react-three/fiber";
+
+/**
+ * Custom React hook giving a getter of the R3F camera.
+ *
+ * Camera hooks move the camera from their effects. Reading it through a getter,
+ * instead of subscribing to it, keeps them from mutating a value a hook
+ * returned (which the React Compiler rules forbid), and always gives the
+ * current camera.
+ *
+ * @hook
+ * @returns {function(): THREE.Camera} Returns the current camera
+ *
+ * @example
+ * const getCamera = useCameraGetter();
+ * useEffect(() => {
+ *   getCamera().position.set(0, 0, 200);
+ * }, [getCamera]);
+ */
+export const useCameraGetter = () => {
+  const getThreeState = useThree((state) => state.get);
+  return useCallback(() => getThreeState().camera, [getThreeState]);
+};
@@ -0,0 +1,76 @@
+import { useEffect } from "react";
+import { useCameraGetter } from "./useCameraGetter";
+import { deepLinkStore } from "../../../features/deepLink/deepLink";
+
+/** Time without camera movement before the pose is reported */
+const POSE_SETTLE_MS = 300;
+
+/**
+ * Custom React hook exchanging the camera pose with the viewer link.
+ *
+ * - Reports the pose (camera position and orbit target) to deepLinkStore on mount
+ *   and once the camera comes to rest (user orbit, damping, focus animation)
+ * - Moves to the requested pose, replacing the selection focus animation started
+ *   by the restored selection: jumps for a link, animates when the request has a
+ *   duration (saved views)
+ *
+ * Call it after useCameraAnimation and useCameraPreset so a requested pose wins
+ * over both.
+ *
+ * @hook
+ * @param {React.RefObject} controlsRef - Reference to OrbitControls instance
+ * @param {Object} cameraAnimation - Animation controls returned by useCameraAnimation
+ *
+ * @example
+ * const cameraAnimation = useCameraAnimation(selectedObjects, controlsRef);
+ * useCameraLink(controlsRef, cameraAnimation);
+ */
+export const useCameraLink = (controlsRef, cameraAnimation) => {
+  const getCamera = useCameraGetter();
+  const requestedPose = deepLinkStore((state) => state.requestedCameraPose);
+
+  useEffect(() => {
+    const controls = controlsRef.current;
+    if (!controls) return undefined;
+
+    let timer = null;
+    const reportPose = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const camera = getCamera();
+        deepLinkStore.getState().setCameraPose({
+          position: camera.position.toArray(),
+          target: controls.target.toArray(),
+        });
+      }, POSE_SETTLE_MS);
+    };
+
+    controls.addEventListener("change", reportPose);
+    // A camera that never moves still has a pose to save
+    reportPose();
+    return () => {
+      controls.removeEventListener("change", reportPose);
+      clearTimeout(timer);
+    };
+  }, [controlsRef, getCamera]);
+
+  useEffect(() => {
+    if (!requestedPose) return;
+    deepLinkStore.getState().clearRequestedCameraPose();
+
+    if (requestedPose.duration > 0 && controlsRef.current) {
+      cameraAnimation.animateTo(requestedPose, requestedPose.duration);
+      return;
+    }
+
+    const camera = getCamera();
+    cameraAnimation.stop();
+    camera.position.set(...requestedPose.position);
+    if (controlsRef.current) {
+      controlsRef.current.target.set(...requestedPose.target);
+      controlsRef.current.update();
+    } else {
+      camera.lookAt(...requestedPose.target);
+    }
+  }, [requestedPose, controlsRef, getCamera, cameraAnimation]);
+};
@@ -0,0 +1,52 @@
+import { useEffect } from "react";
+import { useCameraGetter } from "./useCameraGetter";
+
+/**
+ * Camera pose used when a model does not define its own preset.
+ * Matches the PerspectiveCamera defaults declared in SceneCanvas.
+ * @constant {Object}
+ */
+export const DEFAULT_CAMERA_PRESET = {
+  position: [0, 0, 200],
+  target: [0, 0, 0],
+  fov: 50,
+};
+
+/**
+ * Custom React hook that snaps the camera to a model's default pose.
+ *
+ * Runs whenever the active model changes (`modelKey`) or its preset changes,
+ * so switching assemblies in the catalog starts from that model's framing
+ * instead of wherever the previous model left the camera.
+ *
+ * @hook
+ * @param {{position?: number[], target?: number[], fov?: number}|null} preset - Camera preset from the catalog (null = defaults)
+ * @param {React.RefObject} controlsRef - Reference to OrbitControls instance
+ * @param {string|null} modelKey - Identity of the active model (e.g. its URL)
+ *
+ * @example
+ * useCameraPreset(modelSource.camera, controlsRef, modelSource.url);
+ */
+export const useCameraPreset = (preset, controlsRef, modelKey) => {
+  const getCamera = useCameraGetter();
+
+  useEffect(() => {
+    if (!modelKey) return;
+
+    const camera = getCamera();
+    const { position, target, fov } = { ...DEFAULT_CAMERA_PRESET, ...preset };
+
+    camera.position.set(...position);
+    if (camera.isPerspectiveCamera && Number.isFinite(fov)) {
+      camera.fov = fov;
+      camera.updateProjectionMatrix();
+    }
+
+    if (controlsRef.current) {
+      controlsRef.current.target.set(...target);
+      controlsRef.current.update();
+    } else {
+      camera.lookAt(...target);
+    }
+  }, [getCamera, preset, controlsRef, modelKey]);
+};
@@ -0,0 +1,65 @@
+import { useCallback, useRef } from "react";
+import { TransformControls } from "@react-three/drei";
+
+/**
+ * Translation gizmo setting the exploded offset of one object by hand.
+ *
+ * Dragging an arrow (or a plane handle) moves the object; the object is held
+ * where it is dragged, and its offset from the assembled position, in the
+ * parent's frame, is reported once the drag ends. The scene is expected to
+ * show the explosion at full progress while editing, so the object's position
+ * is where it goes at full explosion. Orbit controls set as default are paused
+ * during the drag.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {THREE.Object3D} props.object - Object to move
+ * @param {Function} props.getBasePosition - Returns the assembled position of
+ *   an object (see useExplosionEffect)
+ * @param {Function} props.holdPosition - Keeps an object at a position over
+ *   the explosion, or releases it with null (see useExplosionEffect)
+ * @param {Function} props.onOffsetChange - Called with the new offset
+ *   ([x, y, z]) when a drag that moved the object ends
+ * @returns {JSX.Element} Transform controls attached to the object
+ */
+export function ExplosionOverrideGizmo({
+  object,
+  getBasePosition,
+  holdPosition,
+  onOffsetChange,
+}) {
+  /** Assembled position of the object during a drag */
+  const baseRef = useRef(null);
+  /** Whether the object moved since the drag started */
+  const movedRef = useRef(false);
+
+  const handleMouseDown = useCallback(() => {
+    baseRef.current = getBasePosition(object);
+    movedRef.current = false;
+  }, [object, getBasePosition]);
+
+  const handleMouseUp = useCallback(() => {
+    if (baseRef.current && movedRef.current) {
+      onOffsetChange(object.position.clone().sub(baseRef.current).toArray());
+    }
+    holdPosition(object, null);
+    baseRef.current = null;
+  }, [object, holdPosition, onOffsetChange]);
+
+  const handleObjectChange = useCallback(() => {
+    if (!baseRef.current) return;
+    movedRef.current = true;
+    holdPosition(object, object.position);
+  }, [object, holdPosition]);
+
+  return (
+    <TransformControls
+      object={object}
+      mode="translate"
+      size={0.8}
+      onMouseDown={handleMouseDown}
+      onMouseUp={handleMouseUp}
+      onObjectChange={handleObjectChange}
+    />
+  );
+}
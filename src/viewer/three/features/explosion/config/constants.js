@@ -24,6 +24,13 @@ export const EPSILON = 1e-10;
  * @property {number} overlapSeparationStrength - Impulse strength for separation per iteration (0.36)
  * @property {number} overlapSpreadBoost - Spread gain multiplier for overlap resolution (0.24)
  * @property {Array<number>} overlapCheckpoints - Waypoints to check overlap (35%, 65%, 100%)
+ * @property {number} linearMinSpread - Smallest travel of a part in the axis and principal
+ *   modes, as a fraction of the model radius, so parts at the center move too (0.15)
+ * @property {number} principalAxisSampleCount - Most vertices read to find the principal axis (20000)
+ * @property {number} principalAxisIterations - Power iterations for the principal axis (32)
+ * @property {number} levelStagger - Default share of a level's slider window before
+ *   the next nested level starts moving (0.6; 0 = together, 1 = one after the
+ *   other), when no stagger is set
  */
 export const EXPLOSION_CONFIG = {
   maxDistanceFactor: 1.25,
@@ -40,4 +47,34 @@ export const EXPLOSION_CONFIG = {
   overlapSeparationStrength: 0.36,
   overlapSpreadBoost: 0.24,
   overlapCheckpoints: [0.35, 0.65, 1],
+  linearMinSpread: 0.15,
+  principalAxisSampleCount: 20000,
+  principalAxisIterations: 32,
+  levelStagger: 0.6,
+};
+
+/**
+ * Look of the explosion guides: leader lines from each exploded part's
+ * assembled position to its current one, and ghosts of the parts at their
+ * assembled location. Sizes are fractions of the model radius, so the guides
+ * look the same on models of any scale.
+ *
+ * @constant {Object}
+ * @property {string} lineColor - Leader line color
+ * @property {number} lineOpacity - Leader line opacity (0.75)
+ * @property {number} lineDashFactor - Dash length as model radius fraction (0.03)
+ * @property {number} lineGapFactor - Gap between dashes as model radius fraction (0.018)
+ * @property {number} lineMinLengthFactor - Shortest travel drawn, as model radius
+ *   fraction, so barely moved parts don't clutter the view (0.01)
+ * @property {string} ghostColor - Ghost color
+ * @property {number} ghostOpacity - Ghost opacity (0.12)
+ */
+export const EXPLOSION_GUIDES_CONFIG = {
+  lineColor: "#5b6b82",
+  lineOpacity: 0.75,
+  lineDashFactor: 0.03,
+  lineGapFactor: 0.018,
+  lineMinLengthFactor: 0.01,
+  ghostColor: "#9aa7b8",
+  ghostOpacity: 0.12,
 };
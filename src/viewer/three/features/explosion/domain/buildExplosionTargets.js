@@ -7,6 +7,14 @@ import {
   toLocalDirection,
 } from "./explosionMath";
 import { resolveProjectedOverlaps } from "./overlapResolution";
+import { getPrincipalAxis } from "./principalAxis";
+
+/** Unit vectors of the axes selectable for the axis and cylindrical modes */
+const AXIS_VECTORS = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
 
 /**
  * Check if an object or any of its descendants has mesh geometry.
@@ -327,6 +335,10 @@ const buildLocalTargets = (worldTargets) => {
     targets.push({
       object: obj,
       initialPosition,
+      // Parts only translate: the offset stays valid while they move
+      centerOffset: objectWorldPosition
+        .clone()
+        .sub(obj.getWorldPosition(new THREE.Vector3())),
       direction: directionLocal,
       localDistanceMultiplier:
         localDistanceMultiplier * finalDistanceMultiplier,
@@ -337,28 +349,130 @@ const buildLocalTargets = (worldTargets) => {
 };
 
 /**
- * Build explosion animation target data for all objects in a model.
+ * Find the node holding a model's parts: going down from the root through
+ * nodes with a single child with meshes, the first one with several (or the
+ * last node when the chain ends at a single part).
  *
- * Calculates:
- * 1. Explosion direction for each target (away from center, accounting for crowding)
- * 2. Crowding multiplier (proximity to neighbors amplifies explosion distance)
- * 3. Spread gain (adjusted for overlap resolution)
- * 4. Local coordinates for parent-relative positioning
+ * @param {THREE.Object3D} root - Model or subtree root
+ * @returns {THREE.Object3D} Assembly node
+ */
+const getAssemblyNode = (root) => {
+  let node = root;
+  let children = node.children.filter(hasMeshDescendant);
+
+  while (children.length === 1) {
+    node = children[0];
+    children = node.children.filter(hasMeshDescendant);
+  }
+
+  return node;
+};
+
+/**
+ * Pick the subassemblies directly under a node for a nested explosion: the
+ * children with meshes of its assembly node.
  *
- * @param {THREE.Object3D} root - Model root object
- * @returns {Object} Object with targets array and maxDistanceWorld
- * @returns {Array} targets - Explosion information for each animatable object
- * @returns {number} maxDistanceWorld - Maximum explosion travel distance in world coordinates
+ * @param {THREE.Object3D} node - Node to split
+ * @returns {Array<THREE.Object3D>} Child subassemblies (fewer than 2 when the
+ *   node doesn't split)
  */
-export const buildExplosionTargets = (root) => {
-  root.updateWorldMatrix(true, true);
-  const { center, radius, maxDistanceWorld } = getModelBoundsInfo(root);
-  const explosionNodes = pickExplosionNodes(root);
+const pickChildAssemblies = (node) =>
+  getAssemblyNode(node).children.filter(hasMeshDescendant);
 
-  if (explosionNodes.length === 0) {
-    getMeshNodes(root).forEach((obj) => explosionNodes.push(obj));
+/**
+ * World direction of the explosion axis for a mode.
+ *
+ * A "local" axis is read in the frame of the assembly node, so the
+ * orientation wrappers exporters add above the model (e.g. Z-up to Y-up) count.
+ *
+ * @param {THREE.Object3D} root - Root of the exploded model or subtree
+ * @param {Object} options - { mode, axis, axisSpace } (see buildExplosionTargets)
+ * @returns {THREE.Vector3|null} Normalized axis, or null in radial mode
+ */
+const getExplosionAxis = (root, { mode, axis, axisSpace }) => {
+  if (mode === "principal") return getPrincipalAxis(root);
+  if (mode !== "axis" && mode !== "cylindrical") return null;
+
+  const direction = (AXIS_VECTORS[axis] ?? AXIS_VECTORS.y).clone();
+  if (axisSpace === "local") {
+    direction
+      .applyQuaternion(
+        getAssemblyNode(root).getWorldQuaternion(new THREE.Quaternion()),
+      )
+      .normalize();
   }
+  return direction;
+};
 
+/**
+ * Build the function keeping a target's direction within a mode's constraint:
+ * - linear (axis, principal): along the axis, on the side it points to
+ * - cylindrical: perpendicular to the axis (parts on the axis get a stable
+ *   perpendicular direction)
+ *
+ * @param {THREE.Vector3} axis - World explosion axis
+ * @param {boolean} isLinear - Whether parts move along the axis
+ * @returns {Function} Called with a world target; adjusts its directionWorld
+ */
+const createDirectionConstraint = (axis, isLinear) => (entry) => {
+  const direction = entry.directionWorld;
+  const along = direction.dot(axis);
+
+  if (isLinear) {
+    direction.copy(axis).multiplyScalar(along < 0 ? -1 : 1);
+    return;
+  }
+
+  direction.addScaledVector(axis, -along);
+  if (direction.lengthSq() <= EPSILON) {
+    direction.copy(getPerpendicularDirection(axis, entry.object.uuid, EPSILON));
+  } else {
+    direction.normalize();
+  }
+};
+
+/**
+ * Turn radial world targets into constrained ones.
+ *
+ * Linear modes stretch the assembly along the axis: each part moves away
+ * from the center on its side of it, by a distance proportional to how far
+ * along the axis it sits (at least `linearMinSpread`), so parts keep their
+ * order. The cylindrical mode keeps the radial spread projected on the plane
+ * perpendicular to the axis.
+ *
+ * @param {Array<Object>} worldTargets - World-space target descriptors (updated in place)
+ * @param {THREE.Vector3} center - Center of the group
+ * @param {number} radius - Radius of the group
+ * @param {Object} constraint - { axis, isLinear, constrainDirection }
+ */
+const constrainWorldTargets = (worldTargets, center, radius, constraint) => {
+  worldTargets.forEach((entry) => {
+    if (constraint.isLinear) {
+      const along = entry.worldCenter.clone().sub(center).dot(constraint.axis);
+      entry.directionWorld.copy(constraint.axis).multiplyScalar(along);
+      entry.crowdingMultiplier = Math.max(
+        Math.abs(along) / radius,
+        EXPLOSION_CONFIG.linearMinSpread,
+      );
+    }
+    constraint.constrainDirection(entry);
+  });
+};
+
+/**
+ * Build the targets of one group of explosion nodes, pushed away from the
+ * center of the group's root.
+ *
+ * @param {THREE.Object3D} root - Root whose bounds the nodes spread from
+ * @param {Array<THREE.Object3D>} explosionNodes - Nodes to move
+ * @param {Object|null} constraint - Direction constraint of the mode (null
+ *   in radial mode)
+ * @returns {{targets: Array<Object>, maxDistanceWorld: number, radius: number}}
+ *   Local-space targets, the group's maximum travel distance and the radius
+ *   of the root's bounds
+ */
+const buildGroupTargets = (root, explosionNodes, constraint) => {
+  const { center, radius, maxDistanceWorld } = getModelBoundsInfo(root);
   const nodeData = buildNodeData(explosionNodes);
   const siblingOffsetByIndex = buildSiblingOffsetByIndex(nodeData);
   const neighborRadius = Math.max(
@@ -371,14 +485,171 @@ export const buildExplosionTargets = (root) => {
     neighborRadius,
     siblingOffsetByIndex,
   );
+  if (constraint) {
+    constrainWorldTargets(worldTargets, center, radius, constraint);
+  }
 
   /**
    * Adjust directions and spread to resolve trajectory overlaps.
    * Ensures explosion animation doesn't have visual collisions.
    */
-  resolveProjectedOverlaps(worldTargets, maxDistanceWorld, radius);
+  resolveProjectedOverlaps(
+    worldTargets,
+    maxDistanceWorld,
+    radius,
+    constraint?.constrainDirection,
+  );
+
+  return {
+    targets: buildLocalTargets(worldTargets),
+    maxDistanceWorld,
+    radius,
+  };
+};
+
+/**
+ * Build explosion animation target data for all objects in a model.
+ *
+ * Calculates:
+ * 1. Explosion direction for each target (away from center, accounting for crowding)
+ * 2. Crowding multiplier (proximity to neighbors amplifies explosion distance)
+ * 3. Spread gain (adjusted for overlap resolution)
+ * 4. Local coordinates for parent-relative positioning
+ *
+ * With a depth above 1 the explosion follows the hierarchy: the first level
+ * is the model's top-level subassemblies, and each level's nodes split again
+ * into their own child subassemblies, which spread from the center of that
+ * node (and over a distance scaled to its size) instead of the model's.
+ * Targets carry their level so the animation can stagger the levels (see
+ * getLevelProgress); nodes that don't split any further end the nesting.
+ *
+ * Modes set the directions parts move in:
+ * - "radial": away from the center in every direction
+ * - "axis": along a world axis, or an axis of the root's own frame ("local")
+ * - "principal": along the axis the model's geometry is longest in
+ * - "cylindrical": away from the chosen axis, in the plane perpendicular to it
+ * Overlap resolution keeps the directions within the mode's constraint.
+ *
+ * @param {THREE.Object3D} root - Model root object
+ * @param {Object} [options] - Explosion settings
+ * @param {number} [options.depth=1] - Number of hierarchy levels to explode
+ * @param {string} [options.mode="radial"] - "radial", "axis", "principal" or "cylindrical"
+ * @param {string} [options.axis="y"] - "x", "y" or "z" (axis and cylindrical modes)
+ * @param {string} [options.axisSpace="world"] - "world" or "local" (the root's frame)
+ * @returns {Object} Object with targets array, maxDistanceWorld, levels and radius
+ * @returns {Array} targets - Explosion information for each animatable object
+ *   (level 0 for the first level; centerOffset goes from the object's origin
+ *   to the center of its bounds, in world space)
+ * @returns {number} maxDistanceWorld - Maximum explosion travel distance in world coordinates
+ * @returns {number} levels - Number of levels that have targets
+ * @returns {number} radius - Radius of the root's bounds in world coordinates
+ */
+export const buildExplosionTargets = (root, options = {}) => {
+  const {
+    depth = 1,
+    mode = "radial",
+    axis = "y",
+    axisSpace = "world",
+  } = options;
+  root.updateWorldMatrix(true, true);
+  const explosionAxis = getExplosionAxis(root, { mode, axis, axisSpace });
+  const isLinear = mode === "axis" || mode === "principal";
+  const constraint = explosionAxis && {
+    axis: explosionAxis,
+    isLinear,
+    constrainDirection: createDirectionConstraint(explosionAxis, isLinear),
+  };
+  const topAssemblies = depth > 1 ? pickChildAssemblies(root) : [];
+  const explosionNodes =
+    topAssemblies.length > 1 ? topAssemblies : pickExplosionNodes(root);
 
-  const targets = buildLocalTargets(worldTargets);
+  if (explosionNodes.length === 0) {
+    getMeshNodes(root).forEach((obj) => explosionNodes.push(obj));
+  }
+
+  const {
+    targets: rootTargets,
+    maxDistanceWorld,
+    radius,
+  } = buildGroupTargets(root, explosionNodes, constraint);
+  const targets = rootTargets.map((entry) => ({ ...entry, level: 0 }));
+  let levels = 1;
+  let parents = explosionNodes;
+
+  for (let level = 1; level < depth && parents.length > 0; level += 1) {
+    const nextParents = [];
+
+    parents.forEach((parent) => {
+      const children = pickChildAssemblies(parent);
+      if (children.length < 2) return;
+
+      /**
+       * Targets share the model's maxDistanceWorld in the animation loop:
+       * fold the group's own travel distance into the multiplier.
+       */
+      const group = buildGroupTargets(parent, children, constraint);
+      const distanceScale = group.maxDistanceWorld / maxDistanceWorld;
+      group.targets.forEach((entry) => {
+        targets.push({
+          ...entry,
+          level,
+          localDistanceMultiplier:
+            entry.localDistanceMultiplier * distanceScale,
+        });
+      });
+      nextParents.push(...children);
+    });
+
+    if (nextParents.length > 0) levels = level + 1;
+    parents = nextParents;
+  }
+
+  return { targets, maxDistanceWorld, levels, radius };
+};
+
+/**
+ * Merge offsets set by hand into the targets of a layer.
+ *
+ * An override replaces the automatic motion of its node: the node moves along
+ * the offset, by its full length at full progress, keeping the level of the
+ * target it replaces. Overridden nodes that are not targets of the layer are
+ * added on the first level when `appendMissing` is set (the caller knows their
+ * assembled position).
+ *
+ * @param {Object} layer - { targets, maxDistanceWorld, levels } (see buildExplosionTargets)
+ * @param {Map<THREE.Object3D, THREE.Vector3>} overrides - Offset of each node at
+ *   full explosion, in its parent's frame
+ * @param {boolean} [appendMissing=false] - Add overridden nodes the layer doesn't move
+ * @returns {Object} Layer with the merged targets
+ */
+export const mergeExplosionOverrides = (
+  layer,
+  overrides,
+  appendMissing = false,
+) => {
+  if (overrides.size === 0) return layer;
+
+  const toOverrideTarget = (object, offset) => ({
+    object,
+    direction: offset.clone().normalize(),
+    localDistanceMultiplier: offset.length() / layer.maxDistanceWorld,
+  });
+
+  const merged = new Set();
+  const targets = layer.targets.map((entry) => {
+    const offset = overrides.get(entry.object);
+    if (!offset) return entry;
+    merged.add(entry.object);
+    return { ...entry, ...toOverrideTarget(entry.object, offset) };
+  });
+
+  if (appendMissing) {
+    overrides.forEach((offset, object) => {
+      if (!merged.has(object)) {
+        targets.push({ ...toOverrideTarget(object, offset), level: 0 });
+      }
+    });
+  }
 
-  return { targets, maxDistanceWorld };
+  return { ...layer, targets };
 };
@@ -0,0 +1,284 @@
+/**
+ * Explosion guides - leader lines from each exploded part's assembled
+ * position to its current one, and faint ghosts of the parts at their
+ * assembled location, so it stays clear where a part came from.
+ *
+ * The guides live outside the model (they must not be picked, exploded or
+ * measured with it) and are rebuilt every frame from the explosion layers.
+ */
+import * as THREE from "three";
+import { EXPLOSION_GUIDES_CONFIG } from "../config/constants";
+
+const NO_OFFSET = new THREE.Vector3();
+
+/**
+ * Check that a node is shown, going up to (and including) a root.
+ *
+ * @param {THREE.Object3D} node - Node to check
+ * @param {THREE.Object3D} root - Last ancestor to check
+ * @returns {boolean} Whether the node and its ancestors up to root are visible
+ */
+const isShownWithin = (node, root) => {
+  for (let current = node; current; current = current.parent) {
+    if (!current.visible) return false;
+    if (current === root) break;
+  }
+  return true;
+};
+
+/**
+ * Local matrix of a node at its assembled position.
+ *
+ * @param {THREE.Object3D} node - Scene node
+ * @param {Map<THREE.Object3D, THREE.Vector3>} basePositions - Assembled
+ *   positions of the moved nodes
+ * @param {THREE.Matrix4} target - Matrix receiving the result
+ * @returns {THREE.Matrix4} target
+ */
+const getAssembledLocalMatrix = (node, basePositions, target) =>
+  target.compose(
+    basePositions.get(node) ?? node.position,
+    node.quaternion,
+    node.scale,
+  );
+
+/**
+ * Build the ghost of a node: its meshes, sharing their geometry, placed as in
+ * the assembled node (nested parts that are exploded too are put back).
+ *
+ * @param {THREE.Object3D} object - Exploded node
+ * @param {Map<THREE.Object3D, THREE.Vector3>} basePositions - Assembled positions
+ * @param {THREE.Material} material - Ghost material
+ * @returns {Object} { root, meshes: [[ghostMesh, sourceMesh]] }
+ */
+const buildGhost = (object, basePositions, material) => {
+  const root = new THREE.Group();
+  root.matrixAutoUpdate = false;
+  const meshes = [];
+  const local = new THREE.Matrix4();
+
+  object.traverse((node) => {
+    if (!node.isMesh) return;
+
+    const mesh = new THREE.Mesh(node.geometry, material);
+    mesh.matrixAutoUpdate = false;
+    for (let current = node; current !== object; current = current.parent) {
+      mesh.matrix.premultiply(
+        getAssembledLocalMatrix(current, basePositions, local),
+      );
+    }
+    root.add(mesh);
+    meshes.push([mesh, node]);
+  });
+
+  return { root, meshes };
+};
+
+/**
+ * Create the (empty, hidden) guides of a model.
+ *
+ * @returns {Object} Guides: { root } to add to the scene, plus the objects
+ *   updateExplosionGuides fills
+ */
+export const createExplosionGuides = () => {
+  const lines = new THREE.LineSegments(
+    new THREE.BufferGeometry(),
+    new THREE.LineDashedMaterial({
+      color: EXPLOSION_GUIDES_CONFIG.lineColor,
+      transparent: true,
+      opacity: EXPLOSION_GUIDES_CONFIG.lineOpacity,
+      depthWrite: false,
+    }),
+  );
+  // Bounds change every frame; the lines are cheap to draw anyway
+  lines.frustumCulled = false;
+
+  const ghosts = new THREE.Group();
+  const root = new THREE.Group();
+  root.name = "ExplosionGuides";
+  root.visible = false;
+  root.add(lines, ghosts);
+
+  return {
+    root,
+    lines,
+    ghosts,
+    ghostMaterial: new THREE.MeshBasicMaterial({
+      color: EXPLOSION_GUIDES_CONFIG.ghostColor,
+      transparent: true,
+      opacity: EXPLOSION_GUIDES_CONFIG.ghostOpacity,
+      depthWrite: false,
+    }),
+    ghostByObject: new Map(),
+  };
+};
+
+/**
+ * Write one dashed segment per moved part, from its assembled position to its
+ * current one (through the center of its bounds). A part inside an exploded
+ * subassembly starts from its place in the moved subassembly, so the lines
+ * chain back to the assembly.
+ *
+ * @param {Object} guides - Guides (see createExplosionGuides)
+ * @param {Map<THREE.Object3D, Object>} moved - Moved node -> its explosion target
+ * @param {Map<THREE.Object3D, THREE.Vector3>} basePositions - Assembled positions
+ * @param {THREE.Object3D} scene - Model root
+ * @param {number} radius - Model radius
+ */
+const updateLeaderLines = (guides, moved, basePositions, scene, radius) => {
+  const { geometry, material } = guides.lines;
+  const minLength = radius * EXPLOSION_GUIDES_CONFIG.lineMinLengthFactor;
+  const start = new THREE.Vector3();
+  const end = new THREE.Vector3();
+
+  let positions = geometry.getAttribute("position");
+  let distances = geometry.getAttribute("lineDistance");
+  if (!positions || positions.count < moved.size * 2) {
+    // Release the GPU buffers of the smaller attributes being replaced (the
+    // geometry is uploaded again with the new ones)
+    geometry.dispose();
+    positions = new THREE.BufferAttribute(new Float32Array(moved.size * 6), 3);
+    distances = new THREE.BufferAttribute(new Float32Array(moved.size * 2), 1);
+    geometry.setAttribute("position", positions);
+    geometry.setAttribute("lineDistance", distances);
+  }
+
+  let count = 0;
+  moved.forEach((entry, object) => {
+    if (!isShownWithin(object, scene)) return;
+
+    const { matrixWorld } = object.parent;
+    start.copy(basePositions.get(object)).applyMatrix4(matrixWorld);
+    end.copy(object.position).applyMatrix4(matrixWorld);
+    const length = start.distanceTo(end);
+    if (length < minLength) return;
+
+    const offset = entry.centerOffset ?? NO_OFFSET;
+    start.add(offset);
+    end.add(offset);
+    positions.setXYZ(count * 2, start.x, start.y, start.z);
+    positions.setXYZ(count * 2 + 1, end.x, end.y, end.z);
+    // Dashes start at the assembled position
+    distances.setX(count * 2, 0);
+    distances.setX(count * 2 + 1, length);
+    count += 1;
+  });
+
+  positions.needsUpdate = true;
+  distances.needsUpdate = true;
+  geometry.setDrawRange(0, count * 2);
+  material.dashSize = radius * EXPLOSION_GUIDES_CONFIG.lineDashFactor;
+  material.gapSize = radius * EXPLOSION_GUIDES_CONFIG.lineGapFactor;
+};
+
+/**
+ * Show a ghost of each outermost moved node at its assembled location (nodes
+ * moving inside a moved subassembly are part of its ghost).
+ *
+ * @param {Object} guides - Guides (see createExplosionGuides)
+ * @param {Map<THREE.Object3D, Object>} moved - Moved node -> its explosion target
+ * @param {Map<THREE.Object3D, THREE.Vector3>} basePositions - Assembled positions
+ * @param {THREE.Object3D} scene - Model root
+ */
+const updateGhosts = (guides, moved, basePositions, scene) => {
+  const { ghostByObject, ghosts, ghostMaterial } = guides;
+  const local = new THREE.Matrix4();
+  ghostByObject.forEach((ghost) => {
+    ghost.root.visible = false;
+  });
+
+  moved.forEach((_, object) => {
+    for (let node = object.parent; node && node !== scene; node = node.parent) {
+      if (moved.has(node)) return;
+    }
+    if (!isShownWithin(object, scene)) return;
+
+    let ghost = ghostByObject.get(object);
+    if (!ghost) {
+      ghost = buildGhost(object, basePositions, ghostMaterial);
+      ghostByObject.set(object, ghost);
+      ghosts.add(ghost.root);
+    }
+
+    ghost.root.visible = true;
+    ghost.root.matrix.multiplyMatrices(
+      object.parent.matrixWorld,
+      getAssembledLocalMatrix(object, basePositions, local),
+    );
+    ghost.meshes.forEach(([mesh, source]) => {
+      mesh.visible = isShownWithin(source, object);
+    });
+  });
+};
+
+/**
+ * Update the guides after the explosion layers moved the parts.
+ *
+ * @param {Object} guides - Guides (see createExplosionGuides)
+ * @param {THREE.Object3D} scene - Model root
+ * @param {Array<Object>} layers - Explosion layers with a factor above 0
+ *   (see buildExplosionTargets)
+ * @param {Map<THREE.Object3D, THREE.Vector3>} basePositions - Assembled positions
+ * @param {Object} options - { leaderLines, ghosts } (booleans) and radius:
+ *   model radius the line dashes are scaled to
+ */
+export const updateExplosionGuides = (
+  guides,
+  scene,
+  layers,
+  basePositions,
+  options,
+) => {
+  const { leaderLines, ghosts, radius } = options;
+  const moved = new Map();
+
+  if (leaderLines || ghosts) {
+    layers.forEach((layer) => {
+      layer.targets.forEach((entry) => {
+        const base = basePositions.get(entry.object);
+        if (
+          base &&
+          !moved.has(entry.object) &&
+          !entry.object.position.equals(base)
+        ) {
+          moved.set(entry.object, entry);
+        }
+      });
+    });
+  }
+
+  guides.root.visible = moved.size > 0;
+  if (moved.size === 0) return;
+
+  // Parts moved in this frame: bring their world matrices up to date
+  scene.updateMatrixWorld();
+  guides.lines.visible = leaderLines;
+  if (leaderLines) {
+    updateLeaderLines(guides, moved, basePositions, scene, radius);
+  }
+  guides.ghosts.visible = ghosts;
+  if (ghosts) updateGhosts(guides, moved, basePositions, scene);
+};
+
+/**
+ * Drop the ghosts built so far (the assembled positions they were built from
+ * changed). They are built again when next shown.
+ *
+ * @param {Object} guides - Guides (see createExplosionGuides)
+ */
+export const clearExplosionGhosts = (guides) => {
+  guides.ghosts.clear();
+  guides.ghostByObject.clear();
+};
+
+/**
+ * Release the guides' GPU resources (ghost geometries belong to the model).
+ *
+ * @param {Object} guides - Guides (see createExplosionGuides)
+ */
+export const disposeExplosionGuides = (guides) => {
+  clearExplosionGhosts(guides);
+  guides.lines.geometry.dispose();
+  guides.lines.material.dispose();
+  guides.ghostMaterial.dispose();
+};
@@ -1,4 +1,5 @@
 import * as THREE from "three";
+import { EXPLOSION_CONFIG } from "../config/constants";
 
 /**
  * Build a deterministic pseudo-random normalized direction from a seed string.
@@ -99,3 +100,29 @@ export const getMaxAbsScaleComponent = (scale, epsilon) => {
     epsilon,
   );
 };
+
+/**
+ * Progress of one level of a nested explosion for the slider's factor.
+ *
+ * Levels share the slider range: each level runs over a window of the same
+ * length, and a level starts once the previous one has covered
+ * `levelStagger` of its window (0 moves all levels together, 1 one after the
+ * other). With a single level the progress is the factor itself.
+ *
+ * @param {number} factor - Explosion factor from 0 to 1
+ * @param {number} level - Level of the target (0 for the first level)
+ * @param {number} levels - Number of levels of the explosion
+ * @param {number} [stagger=EXPLOSION_CONFIG.levelStagger] - Fraction of a
+ *   level's window before the next level starts
+ * @returns {number} Progress of the level from 0 to 1
+ */
+export const getLevelProgress = (
+  factor,
+  level,
+  levels,
+  stagger = EXPLOSION_CONFIG.levelStagger,
+) => {
+  const span = 1 / (1 + (levels - 1) * stagger);
+  const start = level * stagger * span;
+  return Math.min(Math.max((factor - start) / span, 0), 1);
+};
@@ -11,14 +11,21 @@ import { getDeterministicDirection } from "./explosionMath";
  * 3. Boost spread factor to increase separation distance
  * 4. Repeat for multiple iterations for convergence
  *
+ * Constrained explosion modes pass `constrainDirection`, which brings an
+ * entry's direction back to what the mode allows after each impulse (e.g.
+ * along the explosion axis).
+ *
  * @param {Array} entries - Target explosion entries with trajectory data
  * @param {number} maxDistanceWorld - Maximum explosion travel distance
  * @param {number} modelRadius - Overall model size
+ * @param {Function|null} [constrainDirection=null] - Called with an entry to
+ *   adjust its directionWorld in place
  */
 export const resolveProjectedOverlaps = (
   entries,
   maxDistanceWorld,
   modelRadius,
+  constrainDirection = null,
 ) => {
   if (entries.length < 2) return;
 
@@ -91,6 +98,10 @@ export const resolveProjectedOverlaps = (
         right.directionWorld
           .addScaledVector(separationDirection, -separationStrength)
           .normalize();
+        if (constrainDirection) {
+          constrainDirection(left);
+          constrainDirection(right);
+        }
 
         const spreadBoost =
           1 + overlapRatio * EXPLOSION_CONFIG.overlapSpreadBoost;
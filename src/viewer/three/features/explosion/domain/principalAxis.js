@@ -0,0 +1,93 @@
+import * as THREE from "three";
+import { EPSILON, EXPLOSION_CONFIG } from "../config/constants";
+
+/**
+ * Compute the principal axis of an object's geometry: the direction along
+ * which its vertices spread the most (largest eigenvector of their covariance).
+ *
+ * Vertices are read in world space; large meshes are sampled so at most
+ * `principalAxisSampleCount` vertices are visited in total.
+ *
+ * @param {THREE.Object3D} root - Object whose mesh vertices are measured
+ * @returns {THREE.Vector3} Normalized world direction (largest component
+ *   positive, world Y when the geometry has no spread)
+ */
+export const getPrincipalAxis = (root) => {
+  root.updateWorldMatrix(true, true);
+
+  let vertexCount = 0;
+  root.traverse((obj) => {
+    if (obj.isMesh)
+      vertexCount += obj.geometry?.attributes.position?.count ?? 0;
+  });
+  const stride = Math.max(
+    1,
+    Math.ceil(vertexCount / EXPLOSION_CONFIG.principalAxisSampleCount),
+  );
+
+  // Running sums of coordinates and their products
+  const sum = new THREE.Vector3();
+  const products = { xx: 0, xy: 0, xz: 0, yy: 0, yz: 0, zz: 0 };
+  const vertex = new THREE.Vector3();
+  let sampled = 0;
+
+  root.traverse((obj) => {
+    const positions = obj.isMesh ? obj.geometry?.attributes.position : null;
+    if (!positions) return;
+
+    for (let index = 0; index < positions.count; index += stride) {
+      vertex
+        .fromBufferAttribute(positions, index)
+        .applyMatrix4(obj.matrixWorld);
+      sum.add(vertex);
+      products.xx += vertex.x * vertex.x;
+      products.xy += vertex.x * vertex.y;
+      products.xz += vertex.x * vertex.z;
+      products.yy += vertex.y * vertex.y;
+      products.yz += vertex.y * vertex.z;
+      products.zz += vertex.z * vertex.z;
+      sampled += 1;
+    }
+  });
+
+  if (sampled < 2) return new THREE.Vector3(0, 1, 0);
+
+  const mean = sum.divideScalar(sampled);
+  const xy = products.xy / sampled - mean.x * mean.y;
+  const xz = products.xz / sampled - mean.x * mean.z;
+  const yz = products.yz / sampled - mean.y * mean.z;
+  const covariance = new THREE.Matrix3().set(
+    products.xx / sampled - mean.x * mean.x,
+    xy,
+    xz,
+    xy,
+    products.yy / sampled - mean.y * mean.y,
+    yz,
+    xz,
+    yz,
+    products.zz / sampled - mean.z * mean.z,
+  );
+
+  /**
+   * Power iteration: repeated multiplication converges to the eigenvector of
+   * the largest eigenvalue. The start vector is skewed so it is unlikely to be
+   * orthogonal to it.
+   */
+  const axis = new THREE.Vector3(1, 0.7, 0.4).normalize();
+  for (
+    let iteration = 0;
+    iteration < EXPLOSION_CONFIG.principalAxisIterations;
+    iteration += 1
+  ) {
+    axis.applyMatrix3(covariance);
+    if (axis.lengthSq() <= EPSILON) return new THREE.Vector3(0, 1, 0);
+    axis.normalize();
+  }
+
+  // Deterministic sign: the largest component points to positive
+  const components = [axis.x, axis.y, axis.z];
+  const largest = components.reduce((best, value) =>
+    Math.abs(value) > Math.abs(best) ? value : best,
+  );
+  return largest < 0 ? axis.negate() : axis;
+};
@@ -1,5 +1,7 @@
 /**
  * Explosion feature barrel file.
- * Exports the hook for animating explosion (explosion view) of model objects.
+ * Exports the hook for animating explosion (explosion view) of model objects
+ * and the gizmo setting a part's exploded offset by hand.
  */
 export { useExplosionEffect } from "./hooks/useExplosionEffect";
+export { ExplosionOverrideGizmo } from "./ExplosionOverrideGizmo";
@@ -1,14 +1,84 @@
-import { useEffect, useRef } from "react";
+import * as THREE from "three";
+import { useCallback, useEffect, useMemo, useRef } from "react";
 import { useFrame } from "@react-three/fiber";
-import { buildExplosionTargets } from "../domain/buildExplosionTargets";
+import {
+  buildExplosionTargets,
+  mergeExplosionOverrides,
+} from "../domain/buildExplosionTargets";
+import { getLevelProgress } from "../domain/explosionMath";
+import { EXPLOSION_CONFIG } from "../config/constants";
+import {
+  clearExplosionGhosts,
+  createExplosionGuides,
+  disposeExplosionGuides,
+  updateExplosionGuides,
+} from "../domain/explosionGuides";
+
+/** Key of the whole-model explosion layer (subtree layers use the root's UUID) */
+const SCENE_LAYER = "scene";
+
+/** Stable default when no subtree is exploded */
+const NO_SUBTREE_EXPLOSIONS = {};
+
+/** Stable default when no offset is set by hand */
+const NO_OVERRIDES = {};
+
+/**
+ * Offset the targets of one explosion layer by a factor.
+ *
+ * Nested levels move one after the other over the factor's range.
+ *
+ * @param {Object|undefined} layer - { targets, maxDistanceWorld, levels } (see buildExplosionTargets)
+ * @param {number} factor - Explosion progress from 0 to 1
+ * @param {number} stagger - Stagger between nested levels (see getLevelProgress)
+ */
+const applyExplosionLayer = (layer, factor, stagger) => {
+  if (!layer || !(factor > 0)) return;
+
+  layer.targets.forEach((entry) => {
+    const progress = getLevelProgress(
+      factor,
+      entry.level,
+      layer.levels,
+      stagger,
+    );
+    if (progress <= 0) return;
+    entry.object.position.addScaledVector(
+      entry.direction,
+      layer.maxDistanceWorld * progress * entry.localDistanceMultiplier,
+    );
+  });
+};
 
 /**
  * Custom React hook that manages explosion animation using R3F's useFrame.
  *
- * Computes explosion targets once from the scene, then animates them each frame
- * based on the current explosion factor (0 to 1).
+ * Explosions are layers of precomputed targets, each driven by its own factor:
+ * - The whole model, driven by `explosionFactor`
+ * - Single subassemblies, driven by `subtreeExplosions`: targets are picked
+ *   inside the subtree and pushed away from the subtree's own center, so the
+ *   rest of the model stays assembled
+ *
+ * Each frame, every moved object is put back at its assembled position, then
+ * the offsets of all layers are added, so a part inside an exploded
+ * subassembly also follows the whole-model explosion.
+ *
+ * With a depth above 1, each layer explodes nested levels: subassemblies
+ * separate first, then their parts separate around the subassembly's center
+ * as the factor increases further. The mode sets the directions parts move
+ * in (radial, along an axis, along the principal axis, or cylindrical).
  *
- * When component unmounts or scene changes, resets all objects to their initial positions.
+ * Offsets set by hand (`settings.overrides`) replace the automatic motion of
+ * their nodes in every layer; nodes no layer moves are added to the
+ * whole-model layer (see mergeExplosionOverrides).
+ *
+ * Guides show where exploded parts come from: leader lines from each moved
+ * target's initial position to its current one (`settings.leaderLines`) and
+ * ghosts of the parts at their assembled location (`settings.ghosts`). They
+ * are sized to the model radius and returned as an object to add next to the
+ * model, so they are never picked or exploded with it.
+ *
+ * When component unmounts, scene or settings change, resets all objects to their initial positions.
  *
  * Explosion motion uses:
  * - Pre-computed directions and multipliers for each target
@@ -18,20 +88,101 @@ import { buildExplosionTargets } from "../domain/buildExplosionTargets";
  * @hook
  * @param {THREE.Scene} scene - The Three.js scene containing objects to animate
  * @param {number} explosionFactor - Progress value from 0 (none) to 1 (full explosion)
+ * @param {Object<string, number>} [subtreeExplosions={}] - Progress per subtree
+ *   root UUID
+ * @param {Object} [settings] - Explosion settings (see buildExplosionTargets):
+ *   { depth, mode, axis, axisSpace }, the stagger between nested levels
+ *   (see getLevelProgress), overrides: { [uuid]: [x, y, z] }
+ *   offsets at full explosion in each node's parent frame, and the guides
+ *   shown: { leaderLines, ghosts } (booleans)
+ * @returns {Object} Hook API:
+ *   - getBasePosition(object): assembled position of an object (a copy), for
+ *     editing its offset; objects not moved yet are tracked from then on
+ *   - getAssembledPosition(object): assembled position of an object, read-only
+ *     and without tracking it (objects not moved give their current position)
+ *   - holdPosition(object, position): keep an object at a position over the
+ *     explosion (a gizmo drag in progress); null lets the explosion place it
+ *     again
+ *   - guides: THREE.Object3D holding the leader lines and ghosts, to render
+ *     next to the model (in world space)
  *
  * @example
- * useExplosionEffect(scene, explosionFactor);
+ * const { getBasePosition, getAssembledPosition, guides } = useExplosionEffect(
+ *   scene,
+ *   explosionFactor,
+ *   subtreeExplosions,
+ *   { depth: 2, mode: "axis", axis: "y", overrides, leaderLines: true },
+ * );
+ * return <primitive object={guides} />;
  */
-export const useExplosionEffect = (scene, explosionFactor) => {
+export const useExplosionEffect = (
+  scene,
+  explosionFactor,
+  subtreeExplosions = NO_SUBTREE_EXPLOSIONS,
+  settings = {},
+) => {
+  const {
+    depth = 1,
+    stagger = EXPLOSION_CONFIG.levelStagger,
+    mode = "radial",
+    axis = "y",
+    axisSpace = "world",
+    overrides = NO_OVERRIDES,
+    leaderLines = false,
+    ghosts = false,
+  } = settings;
+
+  /**
+   * Refs to cache explosion layers and the assembled position of every object
+   * they move. Prevents recomputation on every frame and survives re-renders.
+   */
+  const layersRef = useRef(new Map());
+  const basePositionsRef = useRef(new Map());
+  /** Positions held over the explosion, per object */
+  const heldPositionsRef = useRef(new Map());
+  /** Layers merged with the overrides, per computed layer */
+  const mergedLayersRef = useRef(new WeakMap());
+  const guides = useMemo(() => createExplosionGuides(), []);
+
+  useEffect(() => () => disposeExplosionGuides(guides), [guides]);
+
   /**
-   * Refs to cache explosion targets and max distance.
-   * Prevents recomputation on every frame and survives component re-renders.
+   * Overrides resolved to the scene's objects.
    */
-  const explosionTargetsRef = useRef([]);
-  const maxDistanceRef = useRef(0);
+  const overrideOffsets = useMemo(() => {
+    const offsets = new Map();
+    if (!scene) return offsets;
+
+    Object.entries(overrides).forEach(([id, offset]) => {
+      const object = scene.getObjectByProperty("uuid", id);
+      if (object) offsets.set(object, new THREE.Vector3(...offset));
+    });
+    return offsets;
+  }, [scene, overrides]);
+
+  const getBasePosition = useCallback((object) => {
+    const basePositions = basePositionsRef.current;
+    if (!basePositions.has(object)) {
+      basePositions.set(object, object.position.clone());
+    }
+    return basePositions.get(object).clone();
+  }, []);
+
+  const getAssembledPosition = useCallback(
+    (object) => basePositionsRef.current.get(object) ?? object.position,
+    [],
+  );
+
+  const holdPosition = useCallback((object, position) => {
+    if (position) {
+      heldPositionsRef.current.set(object, position.clone());
+    } else {
+      heldPositionsRef.current.delete(object);
+    }
+  }, []);
 
   /**
-   * Compute explosion targets when scene loads or changes.
+   * Compute the whole-model layer when scene loads or changes, or the settings change.
    * This expensive calculation happens once, results are cached in refs.
    *
    * Cleanup: Reset all objects to initial positions when unmounting or scene changes.
@@ -39,36 +190,128 @@ export const useExplosionEffect = (scene, explosionFactor) => {
   useEffect(() => {
     if (!scene) return;
 
-    const { targets, maxDistanceWorld } = buildExplosionTargets(scene);
-    explosionTargetsRef.current = targets;
-    maxDistanceRef.current = maxDistanceWorld;
+    const layers = layersRef.current;
+    const basePositions = basePositionsRef.current;
+    const layer = buildExplosionTargets(scene, {
+      depth,
+      mode,
+      axis,
+      axisSpace,
+    });
+    layer.targets.forEach((entry) => {
+      basePositions.set(entry.object, entry.initialPosition);
+    });
+    layers.set(SCENE_LAYER, layer);
 
     /**
      * Cleanup function: restore all objects to initial positions.
      * Ensures clean state when scene changes or component unmounts.
      */
     return () => {
-      explosionTargetsRef.current.forEach((entry) => {
-        entry.object.position.copy(entry.initialPosition);
+      basePositions.forEach((position, object) => {
+        object.position.copy(position);
       });
-      explosionTargetsRef.current = [];
-      maxDistanceRef.current = 0;
+      basePositions.clear();
+      layers.clear();
+      clearExplosionGhosts(guides);
     };
-  }, [scene]);
+  }, [scene, depth, mode, axis, axisSpace, guides]);
+
+  /**
+   * Compute the layer of a subtree the first time it is exploded, on the
+   * assembled model (objects moved by other layers are put back first, so
+   * bounds and initial positions are those of the assembly).
+   */
+  useEffect(() => {
+    if (!scene) return;
+
+    const layers = layersRef.current;
+    const basePositions = basePositionsRef.current;
+    Object.keys(subtreeExplosions).forEach((id) => {
+      if (layers.has(id)) return;
+      const root = scene.getObjectByProperty("uuid", id);
+      if (!root) return;
+
+      basePositions.forEach((position, object) => {
+        object.position.copy(position);
+      });
+      const layer = buildExplosionTargets(root, {
+        depth,
+        mode,
+        axis,
+        axisSpace,
+      });
+      layer.targets.forEach((entry) => {
+        if (!basePositions.has(entry.object)) {
+          basePositions.set(entry.object, entry.initialPosition);
+        }
+      });
+      layers.set(id, layer);
+    });
+  }, [scene, subtreeExplosions, depth, mode, axis, axisSpace]);
 
   /**
    * Frame-by-frame animation loop synced with R3F render cycle.
-   * Updates all explosion target positions based on current explosion factor.
-   * Only runs if explosion factor is non-zero and targets exist.
+   * Rebuilds every moved object's position from its assembled position and
+   * the offsets of the whole-model and subtree layers, then updates the
+   * guides of the exploded layers.
    */
   useFrame(() => {
-    const worldDistance = maxDistanceRef.current * explosionFactor;
+    const layers = layersRef.current;
+    const basePositions = basePositionsRef.current;
+    const mergedLayers = mergedLayersRef.current;
 
-    explosionTargetsRef.current.forEach((entry) => {
-      const localDistance = worldDistance * entry.localDistanceMultiplier;
-      entry.object.position
-        .copy(entry.initialPosition)
-        .addScaledVector(entry.direction, localDistance);
+    /**
+     * Merge the overrides into a layer, again only when they changed.
+     */
+    const withOverrides = (layer, appendMissing) => {
+      if (!layer) return layer;
+      const cached = mergedLayers.get(layer);
+      if (cached?.overrides === overrideOffsets) return cached.layer;
+
+      const merged = mergeExplosionOverrides(
+        layer,
+        overrideOffsets,
+        appendMissing,
+      );
+      mergedLayers.set(layer, { overrides: overrideOffsets, layer: merged });
+      return merged;
+    };
+
+    // Overridden objects no layer moves are still at their assembled position
+    overrideOffsets.forEach((_, object) => {
+      if (!basePositions.has(object)) {
+        basePositions.set(object, object.position.clone());
+      }
+    });
+
+    basePositions.forEach((position, object) => {
+      object.position.copy(position);
+    });
+    const sceneLayer = withOverrides(layers.get(SCENE_LAYER), true);
+    applyExplosionLayer(sceneLayer, explosionFactor, stagger);
+    const explodedLayers =
+      sceneLayer && explosionFactor > 0 ? [sceneLayer] : [];
+    Object.entries(subtreeExplosions).forEach(([id, factor]) => {
+      const layer = withOverrides(layers.get(id), false);
+      applyExplosionLayer(layer, factor, stagger);
+      if (layer && factor > 0) explodedLayers.push(layer);
+    });
+    heldPositionsRef.current.forEach((position, object) => {
+      object.position.copy(position);
+    });
+
+    updateExplosionGuides(guides, scene, explodedLayers, basePositions, {
+      leaderLines,
+      ghosts,
+      radius: sceneLayer?.radius ?? 1,
     });
   });
+
+  return {
+    getBasePosition,
+    getAssembledPosition,
+    holdPosition,
+    guides: guides.root,
+  };
 };
@@ -0,0 +1,242 @@
+import * as THREE from "three";
+
+/**
+ * Relative tolerance used to weld vertices split by the exporter (UV seams, hard
+ * normals) when checking whether a mesh is closed, as a fraction of its bounding box.
+ * @constant {number}
+ */
+const WELD_TOLERANCE = 1e-6;
+
+/**
+ * Transform every vertex of a geometry into model space.
+ *
+ * @param {THREE.BufferAttribute} position - Geometry position attribute
+ * @param {THREE.Matrix4} matrix - Geometry space -> model space
+ * @returns {Float32Array} Flat xyz array of transformed vertices
+ */
+const transformVertices = (position, matrix) => {
+  const out = new Float32Array(position.count * 3);
+  const vertex = new THREE.Vector3();
+  for (let index = 0; index < position.count; index += 1) {
+    vertex.fromBufferAttribute(position, index).applyMatrix4(matrix);
+    out[index * 3] = vertex.x;
+    out[index * 3 + 1] = vertex.y;
+    out[index * 3 + 2] = vertex.z;
+  }
+  return out;
+};
+
+/**
+ * Transform from a node's space to the root's space, with each node between
+ * them at the position given by `getPosition`.
+ *
+ * @param {THREE.Object3D} node - Descendant of root
+ * @param {THREE.Object3D} root - Model root
+ * @param {function(THREE.Object3D): THREE.Vector3} getPosition - Local position of a node
+ * @param {THREE.Matrix4} target - Matrix receiving the result
+ * @returns {THREE.Matrix4} target
+ */
+const getMatrixToRoot = (node, root, getPosition, target) => {
+  const local = new THREE.Matrix4();
+  target.identity();
+  for (
+    let current = node;
+    current && current !== root;
+    current = current.parent
+  ) {
+    target.premultiply(
+      local.compose(getPosition(current), current.quaternion, current.scale),
+    );
+  }
+  return target;
+};
+
+/**
+ * Check whether a triangle mesh is closed: every edge, once coincident vertices are
+ * welded, is shared by exactly two triangles. Volume is only meaningful for closed meshes.
+ *
+ * @param {THREE.BufferGeometry} geometry - Mesh geometry
+ * @param {function(number): number} vertexAt - Triangle corner -> vertex index
+ * @param {number} triangleCount - Number of triangles
+ * @returns {boolean} True if the mesh is closed
+ */
+const isClosedMesh = (geometry, vertexAt, triangleCount) => {
+  const position = geometry.attributes.position;
+  if (!geometry.boundingBox) geometry.computeBoundingBox();
+  const extent = geometry.boundingBox.getSize(new THREE.Vector3()).length();
+  const step = extent * WELD_TOLERANCE || WELD_TOLERANCE;
+
+  const weldedIds = new Map();
+  const welded = new Int32Array(position.count);
+  for (let index = 0; index < position.count; index += 1) {
+    const key = [
+      Math.round(position.getX(index) / step),
+      Math.round(position.getY(index) / step),
+      Math.round(position.getZ(index) / step),
+    ].join(",");
+    if (!weldedIds.has(key)) weldedIds.set(key, weldedIds.size);
+    welded[index] = weldedIds.get(key);
+  }
+
+  const edgeUses = new Map();
+  for (let triangle = 0; triangle < triangleCount; triangle += 1) {
+    for (let corner = 0; corner < 3; corner += 1) {
+      const a = welded[vertexAt(triangle * 3 + corner)];
+      const b = welded[vertexAt(triangle * 3 + ((corner + 1) % 3))];
+      if (a === b) continue;
+      const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+      edgeUses.set(key, (edgeUses.get(key) || 0) + 1);
+    }
+  }
+
+  for (const uses of edgeUses.values()) {
+    if (uses !== 2) return false;
+  }
+  return edgeUses.size > 0;
+};
+
+/**
+ * Measure a single mesh in model space.
+ *
+ * Volume and centroid come from the signed volumes of the tetrahedra formed by each
+ * triangle and the origin (divergence theorem), so the mesh winding doesn't matter.
+ *
+ * @param {THREE.Mesh} mesh - Mesh to measure
+ * @param {THREE.Matrix4} matrix - Mesh space -> model space
+ * @returns {Object|null} { volume, moment (volume * centroid), surfaceArea, box,
+ *   triangleCount, isClosed }, null for meshes without triangles
+ */
+const measureMesh = (mesh, matrix) => {
+  const geometry = mesh.geometry;
+  const position = geometry?.attributes?.position;
+  if (!position) return null;
+
+  const index = geometry.index;
+  const vertexAt = index ? (corner) => index.getX(corner) : (corner) => corner;
+  const triangleCount = Math.floor((index ? index.count : position.count) / 3);
+  if (triangleCount === 0) return null;
+
+  const vertices = transformVertices(position, matrix);
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const edge1 = new THREE.Vector3();
+  const edge2 = new THREE.Vector3();
+  const moment = new THREE.Vector3();
+  const box = new THREE.Box3();
+  let volume = 0;
+  let surfaceArea = 0;
+
+  for (let triangle = 0; triangle < triangleCount; triangle += 1) {
+    a.fromArray(vertices, vertexAt(triangle * 3) * 3);
+    b.fromArray(vertices, vertexAt(triangle * 3 + 1) * 3);
+    c.fromArray(vertices, vertexAt(triangle * 3 + 2) * 3);
+
+    const signedVolume = a.dot(edge1.crossVectors(b, c)) / 6;
+    volume += signedVolume;
+    // Centroid of the tetrahedron (origin, a, b, c) weighted by its signed volume
+    moment.x += ((a.x + b.x + c.x) / 4) * signedVolume;
+    moment.y += ((a.y + b.y + c.y) / 4) * signedVolume;
+    moment.z += ((a.z + b.z + c.z) / 4) * signedVolume;
+
+    edge1.subVectors(b, a);
+    edge2.subVectors(c, a);
+    surfaceArea += edge1.cross(edge2).length() / 2;
+
+    box.expandByPoint(a).expandByPoint(b).expandByPoint(c);
+  }
+
+  // Inward-facing winding (or a mirroring transform) gives a negative volume
+  if (volume < 0) {
+    volume = -volume;
+    moment.negate();
+  }
+
+  return {
+    volume,
+    moment,
+    surfaceArea,
+    box,
+    triangleCount,
+    isClosed: isClosedMesh(geometry, vertexAt, triangleCount),
+  };
+};
+
+/**
+ * Compute the geometric mass properties of an object (mesh or group) from its meshes.
+ *
+ * Measurements are taken in the space of the model root, so node transforms and scale
+ * inside the model are applied while the model's placement in the viewer is not.
+ * Results are in meters (volume in m³, surface area in m², lengths in m):
+ * model units are converted with `unitScale`, 1 for glTF's meters.
+ * Node positions come from `getPosition`: pass the assembled positions so an
+ * exploded group is measured with its parts in place (the default reads them
+ * as currently displayed).
+ *
+ * @param {THREE.Object3D} object3D - Selected mesh or group
+ * @param {THREE.Object3D} root - Model root defining the measurement space
+ * @param {Object} [options] - Measurement options
+ * @param {function(THREE.Object3D): THREE.Vector3} [options.getPosition] - Local
+ *   position of a node (default: its current position)
+ * @param {number} [options.unitScale=1] - Meters per model unit
+ * @returns {Object|null} null when the object has no measurable mesh, otherwise
+ *   { volume, surfaceArea, size: [x, y, z], centroid: [x, y, z], meshCount,
+ *   triangleCount, openMeshCount, meshes: [{ id, volume }] }
+ *
+ * @example
+ * const properties = computeMassProperties(object, getModelRoot(), {
+ *   getPosition: getAssembledPosition,
+ *   unitScale: 0.001, // model authored in millimeters
+ * });
+ * console.log(properties.volume * 1e6, "cm³");
+ */
+export const computeMassProperties = (
+  object3D,
+  root,
+  { getPosition = (node) => node.position, unitScale = 1 } = {},
+) => {
+  const matrix = new THREE.Matrix4();
+
+  const moment = new THREE.Vector3();
+  const box = new THREE.Box3();
+  const meshes = [];
+  let volume = 0;
+  let surfaceArea = 0;
+  let triangleCount = 0;
+  let openMeshCount = 0;
+
+  object3D.traverse((child) => {
+    if (!child.isMesh) return;
+
+    const measured = measureMesh(
+      child,
+      getMatrixToRoot(child, root, getPosition, matrix),
+    );
+    if (!measured) return;
+
+    volume += measured.volume;
+    moment.add(measured.moment);
+    surfaceArea += measured.surfaceArea;
+    triangleCount += measured.triangleCount;
+    box.union(measured.box);
+    if (!measured.isClosed) openMeshCount += 1;
+    meshes.push({ id: child.uuid, volume: measured.volume * unitScale ** 3 });
+  });
+
+  if (meshes.length === 0) return null;
+
+  // Meshes without volume (open surfaces, flat decals) fall back to the box center
+  const centroid =
+    volume > 0 ? moment.divideScalar(volume) : box.getCenter(moment);
+
+  return {
+    volume: volume * unitScale ** 3,
+    surfaceArea: surfaceArea * unitScale ** 2,
+    size: box.getSize(new THREE.Vector3()).multiplyScalar(unitScale).toArray(),
+    centroid: centroid.multiplyScalar(unitScale).toArray(),
+    meshCount: meshes.length,
+    triangleCount,
+    openMeshCount,
+    meshes,
+  };
+};
@@ -0,0 +1,5 @@
+/**
+ * Mass properties feature barrel file.
+ * Exports the geometry measurement (volume, surface area, bounds, centroid) of scene objects.
+ */
+export { computeMassProperties } from "./domain/computeMassProperties";
@@ -1,9 +1,19 @@
-import { useGLTF } from "@react-three/drei";
 import { viewerStateStore } from "../../../features/viewerState/viewerState";
 import { useEffect, useRef, useCallback } from "react";
-import { useExplosionEffect } from "../explosion/explosion";
+import {
+  ExplosionOverrideGizmo,
+  useExplosionEffect,
+} from "../explosion/explosion";
+import { useSceneTint } from "../tint/tint";
 
 import { buildHierarchy } from "./buildHierarchy";
+import { disposeScene } from "./disposeScene";
+import { useModelGLTF, MODEL_RESOURCE_ID } from "./useModelGLTF";
+import { loadingStore } from "../../../features/loading/loading";
+import { useExplosionOverrideEditor } from "../../../features/explosionOverrides/explosionOverrides";
+
+/** Explosion of subtrees while editing overrides (only the whole model is shown) */
+const NO_SUBTREE_EXPLOSIONS = {};
 
 /**
  * Finds the first visible (non-hidden) object in a raycast intersections array.
@@ -34,25 +44,87 @@ const findFirstVisibleObject = (intersections) => {
  * - Object picking (selection) via raycasting
  * - Hover state management with visual feedback
  * - Visibility toggling and isolation modes
- * - Explosion effect animation
+ * - Explosion effect animation, and the gizmo setting a part's exploded
+ *   offset by hand while overrides are edited (the model is then shown fully
+ *   exploded), with the explosion guides (leader lines, ghosts) next to the model
+ * - Status tints (overlays) applied over the materials
  * - Synchronization between 3D scene and application state
  *
+ * Suspends while the model downloads (progress is reported to the loading store)
+ * and throws load failures to the nearest error boundary.
+ *
+ * When `url` changes, the previous scene's GPU resources are disposed and its
+ * loader cache entry is cleared once the new scene is available.
+ *
  * @component
+ * @param {string} url - URL of the .glb/.gltf file to load
+ * @param {Object<string, string>} [resources] - Companion files of a local .gltf (file name -> object URL)
  * @param {Function} onPick - Callback invoked when user clicks on a 3D object (receives object or null)
  * @param {Function} onHover - Callback invoked when user hovers over a 3D object (receives object or null)
  * @param {Object} props - Additional props passed to the THREE.Primitive component
- * @returns {JSX.Element|null} THREE.Primitive with the loaded scene or null while loading
+ * @returns {JSX.Element|null} THREE.Primitive with the loaded scene, the
+ *   explosion guides (and the override gizmo while editing) or null while loading
  */
-export function InteractiveModel({ onPick, onHover, ...props }) {
-  const { scene } = useGLTF("/air_motor.glb");
+export function InteractiveModel({
+  url,
+  resources,
+  onPick,
+  onHover,
+  ...props
+}) {
+  const { scene } = useModelGLTF(url, resources);
   const setSelectedObject = viewerStateStore(
     (state) => state.setSelectedObject,
   );
+  const dropHiddenSelection = viewerStateStore(
+    (state) => state.dropHiddenSelection,
+  );
   const setItems = viewerStateStore((state) => state.setItems);
   const setObjectMap = viewerStateStore((state) => state.setObjectMap);
+  const setModelRoot = viewerStateStore((state) => state.setModelRoot);
+  const setAssembledPositionGetter = viewerStateStore(
+    (state) => state.setAssembledPositionGetter,
+  );
   const hiddenObjects = viewerStateStore((state) => state.hiddenObjects);
   const explosionFactor = viewerStateStore((state) => state.explosionFactor);
+  const subtreeExplosions = viewerStateStore(
+    (state) => state.subtreeExplosions,
+  );
+  const explosionDepth = viewerStateStore((state) => state.explosionDepth);
+  const explosionMode = viewerStateStore((state) => state.explosionMode);
+  const explosionStagger = viewerStateStore((state) => state.explosionStagger);
+  const explosionAxis = viewerStateStore((state) => state.explosionAxis);
+  const explosionAxisSpace = viewerStateStore(
+    (state) => state.explosionAxisSpace,
+  );
+  const explosionLeaderLines = viewerStateStore(
+    (state) => state.explosionLeaderLines,
+  );
+  const explosionGhosts = viewerStateStore((state) => state.explosionGhosts);
+  const getObjectById = viewerStateStore((state) => state.getObjectById);
+  const {
+    offsets: overrideOffsets,
+    isEditing: isEditingOverrides,
+    editedId,
+    setEditedOffset,
+  } = useExplosionOverrideEditor();
   const lastHoveredRef = useRef(null);
+  const previousModelRef = useRef(null);
+
+  /**
+   * Dispose the previously displayed model once a different scene arrives.
+   * Comparing against the last scene (instead of disposing in a cleanup)
+   * keeps StrictMode's double effect invocation from disposing a live scene.
+   */
+  useEffect(() => {
+    const previous = previousModelRef.current;
+    if (previous && previous.scene !== scene) {
+      disposeScene(previous.scene);
+      useModelGLTF.clear(previous.url);
+    }
+    previousModelRef.current = { scene, url };
+    loadingStore.getState().completeResource(MODEL_RESOURCE_ID);
+  }, [scene, url]);
 
   /**
    * Build hierarchy tree and create UUID->Object3D map once on initial scene load.
@@ -67,8 +139,9 @@ export function InteractiveModel({ onPick, onHover, ...props }) {
     });
 
     setObjectMap(map);
+    setModelRoot(scene);
     setItems(buildHierarchy(scene));
-  }, [scene, setItems, setObjectMap]);
+  }, [scene, setItems, setObjectMap, setModelRoot]);
 
   /**
    * Clears hover state and notifies parent component.
@@ -81,7 +154,33 @@ export function InteractiveModel({ onPick, onHover, ...props }) {
     }
   }, [onHover]);
 
-  useExplosionEffect(scene, explosionFactor);
+  const { getBasePosition, getAssembledPosition, holdPosition, guides } =
+    useExplosionEffect(
+      scene,
+      isEditingOverrides ? 1 : explosionFactor,
+      isEditingOverrides ? NO_SUBTREE_EXPLOSIONS : subtreeExplosions,
+      {
+        depth: explosionDepth,
+        stagger: explosionStagger,
+        mode: explosionMode,
+        axis: explosionAxis,
+        axisSpace: explosionAxisSpace,
+        overrides: overrideOffsets,
+        leaderLines: explosionLeaderLines,
+        ghosts: explosionGhosts,
+      },
+    );
+  const editedObject = editedId ? getObjectById(editedId) : null;
+
+  /**
+   * Expose the assembled positions, so measurements ignore the explosion.
+   */
+  useEffect(() => {
+    setAssembledPositionGetter(getAssembledPosition);
+    return () => setAssembledPositionGetter(null);
+  }, [setAssembledPositionGetter, getAssembledPosition]);
+
+  useSceneTint(scene);
 
   /**
    * Synchronize scene object visibility with application state.
@@ -106,7 +205,7 @@ export function InteractiveModel({ onPick, onHover, ...props }) {
         // Clear selection/hover if this object is being hidden
         if (isHidden) {
           if (selectedObjRef === obj) {
-            setSelectedObject(null);
+            dropHiddenSelection();
           }
           if (lastHoveredRef.current === obj) {
             lastHoveredRef.current = null;
@@ -115,15 +214,17 @@ export function InteractiveModel({ onPick, onHover, ...props }) {
         }
       }
     });
-  }, [scene, hiddenObjects, setSelectedObject, onHover]);
+  }, [scene, hiddenObjects, dropHiddenSelection, onHover]);
 
   /**
    * Handles click events on 3D objects.
    * Picks the topmost visible object and updates selection state.
+   * A drag ending on the model (orbit, override gizmo) is not a click.
    */
   const handleClick = useCallback(
     (e) => {
       e.stopPropagation();
+      if (e.delta > 2) return;
       const pickedObject = findFirstVisibleObject(e.intersections);
 
       if (!pickedObject) return;
@@ -186,15 +287,24 @@ export function InteractiveModel({ onPick, onHover, ...props }) {
 
   if (!scene) return null;
   return (
-    <primitive
-      object={scene}
-      {...props}
-      onClick={handleClick}
-      onPointerOver={handlePointerOver}
-      onPointerOut={handlePointerOut}
-      onPointerMissed={handlePointerMissed}
-    />
+    <>
+      <primitive
+        object={scene}
+        {...props}
+        onClick={handleClick}
+        onPointerOver={handlePointerOver}
+        onPointerOut={handlePointerOut}
+        onPointerMissed={handlePointerMissed}
+      />
+      <primitive object={guides} />
+      {editedObject && (
+        <ExplosionOverrideGizmo
+          object={editedObject}
+          getBasePosition={getBasePosition}
+          holdPosition={holdPosition}
+          onOffsetChange={setEditedOffset}
+        />
+      )}
+    </>
   );
 }
-
-useGLTF.preload("/air_motor.glb");
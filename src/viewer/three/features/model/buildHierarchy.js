@@ -6,7 +6,7 @@
  *
  * The resulting tree:
  * - Includes each object's UUID (used for state management)
- * - Includes display names (falls back to type or "(unnamed)")
+ * - Includes display names (unnamed nodes show "(unnamed <type>)")
  * - Preserves parent-child relationships
  * - Is suitable for display in the hierarchy panel
  *
@@ -26,15 +26,16 @@ export function buildHierarchy(root) {
     const children = obj.children.map((child) => toNode(child)).filter(Boolean);
 
     /**
-     * An object is renderable if it's a Mesh or if it's a parent with renderable children.
+     * An object is renderable if it's a mesh (including skinned/instanced meshes)
+     * or if it's a parent with renderable children.
      * This filters out helper objects and empty groups.
      */
-    const isRenderable = obj.type === "Mesh" || children.length > 0;
+    const isRenderable = obj.isMesh || children.length > 0;
     if (!isRenderable) return null;
 
     return {
       id: obj.uuid,
-      name: obj.name || obj.type || "(unnamed)",
+      name: obj.name || `(unnamed ${obj.type})`,
       children,
     };
   };
@@ -0,0 +1,66 @@
+import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader.js";
+import { KTX2Loader } from "three/examples/jsm/loaders/KTX2Loader.js";
+import { MeshoptDecoder } from "three/examples/jsm/libs/meshopt_decoder.module.js";
+
+/**
+ * Base path of the locally served decoders (see the gltf-decoders plugin in vite.config.js).
+ * Follows Vite's `base` so the app keeps working when deployed under a sub-path.
+ */
+const DECODERS_PATH = `${import.meta.env.BASE_URL}decoders/`;
+
+/** Shared Draco decoder (its worker pool is reused across model loads) */
+let dracoLoader = null;
+
+/** Shared KTX2 transcoder, initialized once per renderer */
+let ktx2Loader = null;
+let ktx2Renderer = null;
+
+/**
+ * Get the shared Draco loader for KHR_draco_mesh_compression geometry.
+ *
+ * @returns {DRACOLoader} Draco loader pointing at the bundled decoder
+ */
+const getDracoLoader = () => {
+  if (!dracoLoader) {
+    dracoLoader = new DRACOLoader().setDecoderPath(`${DECODERS_PATH}draco/`);
+  }
+  return dracoLoader;
+};
+
+/**
+ * Get the shared KTX2 loader for KHR_texture_basisu textures.
+ *
+ * The transcoder picks a GPU texture format supported by the renderer,
+ * so support is detected again if the renderer changes.
+ *
+ * @param {THREE.WebGLRenderer} gl - Renderer the textures are uploaded to
+ * @returns {KTX2Loader} KTX2 loader pointing at the bundled Basis transcoder
+ */
+const getKTX2Loader = (gl) => {
+  if (!ktx2Loader) {
+    ktx2Loader = new KTX2Loader().setTranscoderPath(`${DECODERS_PATH}basis/`);
+  }
+  if (ktx2Renderer !== gl) {
+    ktx2Loader.detectSupport(gl);
+    ktx2Renderer = gl;
+  }
+  return ktx2Loader;
+};
+
+/**
+ * Enable compressed asset support on a glTF loader.
+ *
+ * - Draco geometry (KHR_draco_mesh_compression)
+ * - Meshopt geometry (EXT_meshopt_compression)
+ * - KTX2/Basis textures (KHR_texture_basisu)
+ *
+ * All decoders are bundled with the app; nothing is fetched from a CDN.
+ *
+ * @param {GLTFLoader} loader - Loader about to fetch a model
+ * @param {THREE.WebGLRenderer} gl - Renderer used to detect KTX2 format support
+ */
+export const applyCompressionSupport = (loader, gl) => {
+  loader.setDRACOLoader(getDracoLoader());
+  loader.setKTX2Loader(getKTX2Loader(gl));
+  loader.setMeshoptDecoder(MeshoptDecoder);
+};
@@ -0,0 +1,46 @@
+/**
+ * Collect every texture referenced by a material's properties
+ * (map, normalMap, roughnessMap, envMap, ...).
+ *
+ * @param {THREE.Material} material - Material to inspect
+ * @returns {Array<THREE.Texture>} Textures found on the material
+ */
+const getMaterialTextures = (material) =>
+  Object.values(material).filter((value) => value && value.isTexture);
+
+/**
+ * Release GPU resources held by a loaded glTF scene.
+ *
+ * Disposes every geometry, material and texture reachable from the root.
+ * Shared resources are disposed once (tracked via Sets).
+ * The scene must not be rendered again after this call.
+ *
+ * @param {THREE.Object3D} root - Scene or group root to dispose
+ *
+ * @example
+ * disposeScene(previousScene);
+ * useGLTF.clear(previousUrl);
+ */
+export function disposeScene(root) {
+  if (!root) return;
+
+  const geometries = new Set();
+  const materials = new Set();
+  const textures = new Set();
+
+  root.traverse((obj) => {
+    if (obj.geometry) geometries.add(obj.geometry);
+
+    const objectMaterials = Array.isArray(obj.material)
+      ? obj.material
+      : [obj.material];
+    objectMaterials.filter(Boolean).forEach((material) => {
+      materials.add(material);
+      getMaterialTextures(material).forEach((texture) => textures.add(texture));
+    });
+  });
+
+  geometries.forEach((geometry) => geometry.dispose());
+  materials.forEach((material) => material.dispose());
+  textures.forEach((texture) => texture.dispose());
+}
@@ -1,5 +1,11 @@
 /**
  * 3D model feature barrel file.
- * Exports the interactive model component for rendering and interacting with loaded GLTF models.
+ * Exports the interactive model component for rendering and interacting with loaded GLTF models,
+ * and the loader hook whose cache must be cleared to retry a failed model.
  */
 export { InteractiveModel } from "./InteractiveModel";
+export {
+  useModelGLTF,
+  MODEL_RESOURCE_ID,
+  MODEL_RESOURCE_LABEL,
+} from "./useModelGLTF";
@@ -0,0 +1,39 @@
+import { SCENE_PATH_SEPARATOR } from "../../../../services/partMetadata/partResolver";
+
+/**
+ * Get the names of an object and its ancestors, from the model root down.
+ *
+ * Stops at `root` (inclusive) so the R3F scene the model is mounted in is not
+ * part of the path. Unnamed nodes contribute an empty segment, which keeps the
+ * depth of the path intact.
+ *
+ * @param {THREE.Object3D} object - Object to build the path for
+ * @param {THREE.Object3D} root - Model root (the loaded glTF scene)
+ * @returns {Array<string>} Path segments, root first
+ *
+ * @example
+ * getScenePath(mesh, scene);
+ * // ["Scene", "Sketchfab_Scene", "_rootJoint", "BASE_00", "Crank_L_07"]
+ */
+export function getScenePath(object, root) {
+  const segments = [];
+  let current = object;
+
+  while (current) {
+    segments.unshift(current.name || "");
+    if (current === root) break;
+    current = current.parent;
+  }
+
+  return segments;
+}
+
+/**
+ * Join path segments into the string form used by the metadata files.
+ *
+ * @param {Array<string>} segments - Path segments, root first
+ * @returns {string} Path string
+ */
+export function formatScenePath(segments) {
+  return segments.join(SCENE_PATH_SEPARATOR);
+}
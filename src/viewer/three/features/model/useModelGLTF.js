@@ -0,0 +1,112 @@
+import { useLoader, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { loadingStore } from "../../../features/loading/loading";
+import { applyCompressionSupport } from "./compressedLoaders";
+
+/** Id of the model entry in the loading store */
+export const MODEL_RESOURCE_ID = "model";
+
+/** Label of the model entry shown in the loader overlay */
+export const MODEL_RESOURCE_LABEL = "3D model";
+
+/**
+ * Forward download progress of the main model file to the loading store.
+ *
+ * @param {ProgressEvent} event - Progress event from the file loader
+ */
+const reportModelProgress = (event) => {
+  loadingStore
+    .getState()
+    .reportProgress(
+      MODEL_RESOURCE_ID,
+      event.loaded,
+      event.lengthComputable ? event.total : 0,
+    );
+};
+
+/**
+ * Create the loading manager used for one model load.
+ *
+ * - Resolves companion files of a local .gltf (buffers, textures) to the
+ *   object URLs created for them
+ * - Logs sub-resources that fail without failing the whole model
+ *   (the glTF loader keeps going without a missing texture)
+ *
+ * @param {Object<string, string>} [resources] - File name -> object URL map
+ * @returns {THREE.LoadingManager} Loading manager for the glTF loader
+ */
+const createModelLoadingManager = (resources) => {
+  const manager = new THREE.LoadingManager();
+
+  if (resources && Object.keys(resources).length > 0) {
+    manager.setURLModifier((url) => {
+      const fileName = decodeURIComponent(
+        url.split(/[?#]/)[0].split("/").pop(),
+      );
+      return resources[fileName] || url;
+    });
+  }
+
+  manager.onError = (url) => {
+    console.warn(`⚠️ Could not load model resource: ${url}`);
+  };
+
+  return manager;
+};
+
+/**
+ * Build the loader extension applied right before a model download starts.
+ * Registers the model in the loading store (deferred: it runs during render)
+ * and enables the Draco, Meshopt and KTX2 decoders.
+ *
+ * @param {Object<string, string>} [resources] - Companion files of a local .gltf
+ * @param {THREE.WebGLRenderer} gl - Renderer used to detect KTX2 format support
+ * @returns {Function} Loader extension for useLoader
+ */
+const createLoaderExtension = (resources, gl) => (loader) => {
+  queueMicrotask(() =>
+    loadingStore
+      .getState()
+      .startResource(MODEL_RESOURCE_ID, MODEL_RESOURCE_LABEL),
+  );
+  loader.manager = createModelLoadingManager(resources);
+  applyCompressionSupport(loader, gl);
+};
+
+/**
+ * Custom hook that loads a glTF/GLB model with Suspense and progress reporting.
+ *
+ * Wraps R3F's useLoader so that:
+ * - Download bytes are reported to the loading store (true percentage)
+ * - Companion files of a local .gltf resolve through the loading manager
+ * - Draco/Meshopt geometry and KTX2 textures decode with the bundled decoders
+ * - Failures reject into the nearest error boundary (see SceneErrorBoundary)
+ *
+ * The caller marks the model as loaded once its scene is mounted.
+ *
+ * @hook
+ * @param {string} url - URL of the .glb/.gltf file
+ * @param {Object<string, string>} [resources] - Companion files (file name -> object URL)
+ * @returns {Object} Loaded glTF result ({ scene, nodes, materials, ... })
+ *
+ * @example
+ * const { scene } = useModelGLTF(source.url, source.resources);
+ */
+export const useModelGLTF = (url, resources) => {
+  const gl = useThree((state) => state.gl);
+  return useLoader(
+    GLTFLoader,
+    url,
+    createLoaderExtension(resources, gl),
+    reportModelProgress,
+  );
+};
+
+/**
+ * Remove a model from the loader cache so the next render downloads it again
+ * (after a failure, or once the model has been disposed).
+ *
+ * @param {string} url - URL used to load the model
+ */
+useModelGLTF.clear = (url) => useLoader.clear(GLTFLoader, url);
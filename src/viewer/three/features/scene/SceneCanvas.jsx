@@ -3,7 +3,13 @@ import { useRef, useState, useCallback, useMemo } from "react";
 import { InteractiveModel } from "../model/model";
 import { SelectionEffect } from "../selection/selection";
 import { viewerStateStore } from "../../../features/viewerState/viewerState";
-import { useCameraAnimation } from "../camera/camera";
+import {
+  useCameraAnimation,
+  useCameraLink,
+  useCameraPreset,
+  DEFAULT_CAMERA_PRESET,
+} from "../camera/camera";
+import { modelSourceStore } from "../../../features/modelSource/modelSource";
 
 /**
  * Three.js scene setup component for react-three-fiber.
@@ -11,9 +17,11 @@ import { useCameraAnimation } from "../camera/camera";
  * Configures the 3D environment including:
  * - Camera and orbit controls
  * - Lighting (ambient and hemisphere lights for realistic illumination)
- * - The interactive 3D model
+ * - The interactive 3D model (from the active model source)
  * - Selection outline effects
  * - Automatic camera animation when objects are selected
+ * - Per-model camera preset applied when the active model changes
+ * - Camera pose shared with viewer links (reported at rest, restored on load)
  *
  * @component
  * @returns {JSX.Element} Three.js scene elements and components
@@ -22,6 +30,7 @@ export function Scene() {
   const selectedIds = viewerStateStore((state) => state.selectedIds);
   const getObjectsByIds = viewerStateStore((state) => state.getObjectsByIds);
   const setSelected = viewerStateStore((state) => state.setSelectedObject);
+  const modelSource = modelSourceStore((state) => state.source);
   const [hoveredObject, setHoveredObject] = useState(null);
   const controlsRef = useRef(null);
 
@@ -47,13 +56,29 @@ export function Scene() {
    * Trigger smooth camera animation when selection changes.
    * Camera will focus on the selected object(s) while maintaining viewpoint distance.
    */
-  useCameraAnimation(selectedObjects, controlsRef);
+  const cameraAnimation = useCameraAnimation(selectedObjects, controlsRef);
+
+  /**
+   * Frame the newly loaded model using its catalog camera preset.
+   */
+  useCameraPreset(modelSource.camera, controlsRef, modelSource.url);
+
+  /**
+   * Report the camera pose (URL, saved views) and move to requested poses.
+   */
+  useCameraLink(controlsRef, cameraAnimation);
 
   return (
     <>
-      <PerspectiveCamera makeDefault position={[0, 0, 200]} fov={50} />
+      <PerspectiveCamera
+        makeDefault
+        position={DEFAULT_CAMERA_PRESET.position}
+        fov={DEFAULT_CAMERA_PRESET.fov}
+      />
+      {/* Default controls: the explosion override gizmo pauses them while dragging */}
       <OrbitControls
         ref={controlsRef}
+        makeDefault
         enableDamping={true}
         dampingFactor={0.05}
       />
@@ -66,12 +91,17 @@ export function Scene() {
       />
 
       <SelectionEffect hovered={hoveredObject} selected={selectedObjects}>
-        <InteractiveModel
-          position={[0, 0, 0]}
-          scale={1}
-          onPick={setSelected}
-          onHover={handleHover}
-        />
+        {/* A catalog `?model=<id>` has no URL until models.json is resolved */}
+        {modelSource.url && (
+          <InteractiveModel
+            url={modelSource.url}
+            resources={modelSource.resources}
+            position={[0, 0, 0]}
+            scale={1}
+            onPick={setSelected}
+            onHover={handleHover}
+          />
+        )}
       </SelectionEffect>
     </>
   );
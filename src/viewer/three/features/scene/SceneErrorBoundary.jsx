@@ -0,0 +1,46 @@
+import { Component } from "react";
+
+/**
+ * Error boundary for the 3D scene.
+ *
+ * Catches errors thrown while loading or rendering the scene (e.g. a GLB that
+ * fails to download or parse) so they don't unmount the whole canvas.
+ * Renders `fallback` (nothing by default) while in the error state and reports
+ * the error through `onError` so the UI can show it outside the canvas.
+ *
+ * Changing `resetKey` clears the error and renders children again (retry).
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {*} props.resetKey - Value whose change resets the boundary
+ * @param {Function} [props.onError] - Called with the caught error
+ * @param {React.ReactNode} [props.fallback=null] - Content rendered while in error state
+ * @param {React.ReactNode} props.children - Scene content to protect
+ */
+export class SceneErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    if (this.props.onError) this.props.onError(error);
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+      this.setState({ error: null });
+    }
+  }
+
+  render() {
+    if (this.state.error) {
+      return this.props.fallback ?? null;
+    }
+    return this.props.children;
+  }
+}
@@ -1,5 +1,7 @@
 /**
  * Scene feature barrel file.
- * Exports the three-dimensional scene canvas component for rendering 3D models.
+ * Exports the three-dimensional scene canvas component for rendering 3D models
+ * and the error boundary that reports scene load failures.
  */
 export { Scene } from "./SceneCanvas";
+export { SceneErrorBoundary } from "./SceneErrorBoundary";
@@ -0,0 +1,112 @@
+import * as THREE from "three";
+
+/**
+ * Strength of the tint: emissive intensity for lit materials, blend factor of the
+ * base color for unlit ones.
+ * @constant {number}
+ */
+const TINT_STRENGTH = 0.55;
+
+/**
+ * Original materials of tinted meshes. Materials are often shared between meshes,
+ * so a tinted mesh gets its own clone and the original is kept here to restore it.
+ * @type {WeakMap<THREE.Mesh, THREE.Material|Array<THREE.Material>>}
+ */
+const originalMaterials = new WeakMap();
+
+/**
+ * Clone a material with a tint applied.
+ *
+ * @param {THREE.Material} material - Original material
+ * @param {THREE.Color} color - Tint color
+ * @returns {THREE.Material} Tinted clone
+ */
+const cloneTinted = (material, color) => {
+  const tinted = material.clone();
+  if (tinted.emissive) {
+    tinted.emissive.copy(color);
+    tinted.emissiveIntensity = TINT_STRENGTH;
+  } else if (tinted.color) {
+    tinted.color.lerp(color, TINT_STRENGTH);
+  }
+  return tinted;
+};
+
+/**
+ * Clone a material painted in a flat color: the color replaces the base color and
+ * its texture, so values read the same on every part (heatmaps).
+ *
+ * @param {THREE.Material} material - Original material
+ * @param {THREE.Color} color - Paint color
+ * @returns {THREE.Material} Painted clone
+ */
+const clonePainted = (material, color) => {
+  const painted = material.clone();
+  if (painted.color) {
+    painted.color.copy(color);
+    painted.map = null;
+    painted.vertexColors = false;
+  }
+  if (painted.emissive) {
+    painted.emissive.setRGB(0, 0, 0);
+    painted.emissiveMap = null;
+  }
+  // Dropping textures changes the shader program
+  painted.needsUpdate = true;
+  return painted;
+};
+
+/** Material clone function per tint mode */
+const CLONE_BY_MODE = {
+  tint: cloneTinted,
+  paint: clonePainted,
+};
+
+/**
+ * Dispose the tinted clone(s) currently on a mesh.
+ *
+ * @param {THREE.Mesh} mesh - Tinted mesh
+ */
+const disposeTinted = (mesh) => {
+  const materials = Array.isArray(mesh.material)
+    ? mesh.material
+    : [mesh.material];
+  // Textures are shared with the original material and must stay alive
+  materials.forEach((material) => material.dispose());
+};
+
+/**
+ * Tint a mesh (or change its tint), keeping its original material for restoreMesh.
+ *
+ * @param {THREE.Mesh} mesh - Mesh to tint
+ * @param {string} color - CSS color ("#d9534f")
+ * @param {string} [mode="tint"] - "tint" adds a glow over the original look,
+ *   "paint" replaces the color and texture
+ */
+export const tintMesh = (mesh, color, mode = "tint") => {
+  if (originalMaterials.has(mesh)) {
+    disposeTinted(mesh);
+  } else {
+    originalMaterials.set(mesh, mesh.material);
+  }
+
+  const original = originalMaterials.get(mesh);
+  const tintColor = new THREE.Color(color);
+  const cloneMaterial = CLONE_BY_MODE[mode] ?? cloneTinted;
+  mesh.material = Array.isArray(original)
+    ? original.map((material) => cloneMaterial(material, tintColor))
+    : cloneMaterial(original, tintColor);
+};
+
+/**
+ * Give a tinted mesh its original material back. Does nothing for untinted meshes.
+ *
+ * @param {THREE.Mesh} mesh - Mesh to restore
+ */
+export const restoreMesh = (mesh) => {
+  if (!originalMaterials.has(mesh)) return;
+
+  disposeTinted(mesh);
+  mesh.material = originalMaterials.get(mesh);
+  originalMaterials.delete(mesh);
+};
@@ -0,0 +1,84 @@
+import { useEffect, useRef } from "react";
+import { viewerStateStore } from "../../../../features/viewerState/viewerState";
+import { sceneTintStore } from "../../../../features/sceneTint/sceneTint";
+import { restoreMesh, tintMesh } from "../domain/meshTint";
+
+/**
+ * Resolve tint layers to one color per mesh.
+ * Layers are applied by increasing priority and, within a layer, from the largest
+ * subtree to the smallest, so the most specific node has the last word.
+ *
+ * @param {Object} layers - Tint layers from sceneTintStore
+ * @returns {Map<string, Object>} Mesh UUID -> { color, mode }
+ */
+const collectMeshColors = (layers) => {
+  const { getDescendantMeshIds } = viewerStateStore.getState();
+  const colors = new Map();
+
+  Object.values(layers)
+    .sort((a, b) => a.priority - b.priority)
+    .forEach((layer) => {
+      Object.entries(layer.colors)
+        .map(([nodeId, color]) => ({
+          tint: { color, mode: layer.mode },
+          meshIds: getDescendantMeshIds(nodeId),
+        }))
+        .sort((a, b) => b.meshIds.length - a.meshIds.length)
+        .forEach(({ tint, meshIds }) =>
+          meshIds.forEach((meshId) => colors.set(meshId, tint)),
+        );
+    });
+
+  return colors;
+};
+
+/**
+ * Custom hook applying the tint layers of sceneTintStore to the model's meshes.
+ *
+ * Only meshes whose color or mode changed are re-tinted; meshes dropped from every layer
+ * get their original material back. All tints are removed when the scene changes
+ * or the model unmounts, so disposing the scene releases the original materials.
+ *
+ * @hook
+ * @param {THREE.Object3D} scene - Loaded model scene
+ *
+ * @example
+ * useSceneTint(scene);
+ */
+export const useSceneTint = (scene) => {
+  const layers = sceneTintStore((state) => state.layers);
+
+  /** Currently tinted meshes: mesh UUID -> { mesh, color, mode } */
+  const appliedRef = useRef(new Map());
+
+  useEffect(() => {
+    const applied = appliedRef.current;
+    return () => {
+      applied.forEach(({ mesh }) => restoreMesh(mesh));
+      applied.clear();
+    };
+  }, [scene]);
+
+  useEffect(() => {
+    if (!scene) return;
+
+    const colors = collectMeshColors(layers);
+    const applied = appliedRef.current;
+    const { getObjectById } = viewerStateStore.getState();
+
+    applied.forEach(({ mesh }, meshId) => {
+      if (colors.has(meshId)) return;
+      restoreMesh(mesh);
+      applied.delete(meshId);
+    });
+
+    colors.forEach(({ color, mode }, meshId) => {
+      const current = applied.get(meshId);
+      if (current?.color === color && current.mode === mode) return;
+      const mesh = getObjectById(meshId);
+      if (!mesh?.isMesh) return;
+      tintMesh(mesh, color, mode);
+      applied.set(meshId, { mesh, color, mode });
+    });
+  }, [scene, layers]);
+};
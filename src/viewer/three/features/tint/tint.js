@@ -0,0 +1,5 @@
+/**
+ * Tint feature barrel file.
+ * Exports the hook applying the scene tint layers (status overlays) to the model's materials.
+ */
+export { useSceneTint } from "./hooks/useSceneTint";
@@ -1,7 +1,47 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+
+// Decoders for compressed glTF assets, served from /decoders/ instead of a CDN.
+// Keys are public paths, values are files shipped with the three package.
+const DECODER_FILES = {
+  'decoders/draco/draco_decoder.js': 'libs/draco/gltf/draco_decoder.js',
+  'decoders/draco/draco_decoder.wasm': 'libs/draco/gltf/draco_decoder.wasm',
+  'decoders/draco/draco_wasm_wrapper.js': 'libs/draco/gltf/draco_wasm_wrapper.js',
+  'decoders/basis/basis_transcoder.js': 'libs/basis/basis_transcoder.js',
+  'decoders/basis/basis_transcoder.wasm': 'libs/basis/basis_transcoder.wasm',
+}
+
+const readDecoder = (file) =>
+  readFileSync(
+    new URL(`./node_modules/three/examples/jsm/${file}`, import.meta.url),
+  )
+
+// Serves the decoders in dev and copies them into the build output,
+// so they always match the installed three version.
+const glTFDecoders = () => ({
+  name: 'gltf-decoders',
+  configureServer(server) {
+    server.middlewares.use((req, res, next) => {
+      const path = req.url.split('?')[0].replace(server.config.base, '')
+      const file = DECODER_FILES[path]
+      if (!file) return next()
+
+      res.setHeader(
+        'Content-Type',
+        path.endsWith('.wasm') ? 'application/wasm' : 'text/javascript',
+      )
+      res.end(readDecoder(file))
+    })
+  },
+  generateBundle() {
+    Object.entries(DECODER_FILES).forEach(([fileName, file]) => {
+      this.emitFile({ type: 'asset', fileName, source: readDecoder(file) })
+    })
+  },
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), glTFDecoders()],
 })